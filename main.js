@@ -1,4 +1,4 @@
-const { app, BrowserWindow, globalShortcut, screen, ipcMain, desktopCapturer } = require('electron');
+const { app, BrowserWindow, globalShortcut, screen, ipcMain, desktopCapturer, dialog, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const winston = require('winston');
@@ -59,12 +59,18 @@ class OverlayApplication {
 
     try {
       await this.createMainWindow();
+      this.setupApplicationMenu();
       this.setupGlobalShortcuts();
       this.setupScreenTracking();
       this.setupScreenSharingDetection();
       await this.initializeVoiceManager();
 
       logger.info('Overlay Assistant initialized successfully');
+
+      // Recovery prompts (and the notes they may generate) must not hold up startup
+      if (this.voiceInitialized) {
+        this.offerSessionRecovery().catch(error => logger.error('Failed to recover unfinished sessions', error));
+      }
     } catch (error) {
       logger.error('Application initialization failed', error);
       app.quit();
@@ -192,12 +198,53 @@ class OverlayApplication {
     logger.info('Window shown on current desktop');
   }
 
+  setupApplicationMenu() {
+    const template = [
+      ...(process.platform === 'darwin' ? [{ role: 'appMenu' }] : []),
+      {
+        label: 'File',
+        submenu: [
+          {
+            label: 'Transcribe Audio File...',
+            accelerator: 'CommandOrControl+Shift+O',
+            click: () => this.transcribeAudioFile()
+          },
+          {
+            label: 'Import Transcript...',
+            click: () => this.importTranscript()
+          },
+          {
+            label: 'Export Transcript',
+            submenu: [
+              ['Word Document (.docx)...', 'docx'],
+              ['Web Page (.html)...', 'html'],
+              ['Markdown (.md)...', 'md'],
+              ['Subtitles (.vtt)...', 'vtt'],
+              ['Subtitles (.srt)...', 'srt'],
+              ['Spreadsheet (.csv)...', 'csv'],
+              ['Plain Text (.txt)...', 'txt'],
+              ['JSON (.json)...', 'json']
+            ].map(([label, format]) => ({ label, click: () => this.exportSession(format, null, { saveAs: true }) }))
+          },
+          { type: 'separator' },
+          process.platform === 'darwin' ? { role: 'close' } : { role: 'quit' }
+        ]
+      },
+      { role: 'editMenu' }
+    ];
+
+    Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+    logger.info('Application menu created');
+  }
+
   setupGlobalShortcuts() {
     const shortcuts = {
       'CommandOrControl+Shift+V': () => this.toggleVisibility(),
       'CommandOrControl+Shift+I': () => this.toggleInteraction(),
       'Alt+A': () => this.toggleInteraction(),
       'CommandOrControl+Shift+T': () => this.enforceAlwaysOnTop(),
+      'CommandOrControl+Shift+P': () => this.togglePauseRecording(),
+      'CommandOrControl+Shift+B': () => this.addBookmark(),
       'CommandOrControl+Up': () => this.moveWindow(0, -20),
       'CommandOrControl+Down': () => this.moveWindow(0, 20),
       'CommandOrControl+Left': () => this.moveWindow(-20, 0),
@@ -294,11 +341,21 @@ class OverlayApplication {
     ipcMain.handle('start-voice-recording', () => this.startVoiceRecording());
     ipcMain.handle('stop-voice-recording', () => this.stopVoiceRecording());
     ipcMain.handle('toggle-voice-recording', () => this.toggleVoiceRecording());
+    ipcMain.handle('pause-voice-recording', () => this.pauseVoiceRecording());
+    ipcMain.handle('resume-voice-recording', () => this.resumeVoiceRecording());
+    ipcMain.handle('toggle-pause-recording', () => this.togglePauseRecording());
+    
+    // Bookmarks of the current call
+    ipcMain.handle('add-bookmark', (event, label) => this.addBookmark(label));
+    ipcMain.handle('update-bookmark', (event, bookmarkId, changes) => this.updateBookmark(bookmarkId, changes));
+    ipcMain.handle('remove-bookmark', (event, bookmarkId) => this.removeBookmark(bookmarkId));
+    ipcMain.handle('get-bookmarks', () => this.getBookmarks());
     ipcMain.handle('get-voice-status', () => this.getVoiceStatus());
+    ipcMain.handle('transcribe-audio-file', (event, filePath) => this.transcribeAudioFile(filePath));
+    ipcMain.handle('import-transcript', (event, filePath, options) => this.importTranscript(filePath, options));
     
     // Audio data processing (from renderer process)
-    ipcMain.handle('process-audio-data', (event, audioData) => this.processAudioData(audioData));
-    ipcMain.handle('process-system-audio-data', (event, audioData) => this.processSystemAudioData(audioData));
+    ipcMain.handle('process-audio-frames', (event, streamId, frames) => this.processAudioFrames(streamId, frames));
     ipcMain.handle('set-microphone-active', (event, active) => this.setMicrophoneActive(active));
     ipcMain.handle('set-system-audio-active', (event, active) => this.setSystemAudioActive(active));
     ipcMain.handle('update-audio-devices', (event, devices) => this.updateAudioDevices(devices));
@@ -315,7 +372,42 @@ class OverlayApplication {
     // Transcript management
     ipcMain.handle('get-recent-transcripts', (event, count) => this.getRecentTranscripts(count));
     ipcMain.handle('search-transcripts', (event, query, options) => this.searchTranscripts(query, options));
-    ipcMain.handle('export-session', (event, format) => this.exportSession(format));
+    ipcMain.handle('export-session', (event, format, sessionId, options) => this.exportSession(format, sessionId, options));
+    
+    // Session library: saved calls with title, participants, topics and word count
+    ipcMain.handle('list-sessions', (event, options) => this.listSessions(options));
+    ipcMain.handle('get-session', (event, sessionId) => this.getSession(sessionId));
+    ipcMain.handle('rename-session', (event, sessionId, title) => this.renameSession(sessionId, title));
+    ipcMain.handle('set-session-tags', (event, sessionId, tags) => this.setSessionTags(sessionId, tags));
+    ipcMain.handle('delete-session', (event, sessionId) => this.deleteSession(sessionId));
+    ipcMain.handle('search-sessions', (event, query, options) => this.searchSessions(query, options));
+    
+    // Calls left unfinished by a crash (journal recovery)
+    ipcMain.handle('get-unfinished-sessions', () => this.getUnfinishedSessions());
+    ipcMain.handle('recover-session', (event, sessionId, options) => this.recoverSession(sessionId, options));
+    ipcMain.handle('discard-unfinished-session', (event, sessionId) => this.discardUnfinishedSession(sessionId));
+    
+    // Speakers (diarized remote participants can be renamed)
+    ipcMain.handle('get-speakers', () => this.getSpeakers());
+    ipcMain.handle('rename-speaker', (event, key, name) => this.renameSpeaker(key, name));
+    ipcMain.handle('get-participants', () => this.getParticipants());
+    ipcMain.handle('set-participants', (event, participants) => this.setParticipants(participants));
+    ipcMain.handle('update-participant', (event, key, changes) => this.updateParticipant(key, changes));
+    
+    // Low-confidence review: pick an alternative or type a correction
+    ipcMain.handle('get-flagged-transcripts', () => this.getFlaggedTranscripts());
+    ipcMain.handle('correct-transcript', (event, transcriptId, text, source) => this.correctTranscript(transcriptId, text, source));
+    
+    // Transcript editing with undo/redo, and finalizing a call held for review
+    ipcMain.handle('edit-transcript', (event, transcriptId, text) => this.runTranscriptEdit('editTranscript', transcriptId, text));
+    ipcMain.handle('reassign-transcript-speaker', (event, transcriptId, speakerKey) => this.runTranscriptEdit('reassignSpeaker', transcriptId, speakerKey));
+    ipcMain.handle('merge-transcripts', (event, firstId, secondId) => this.runTranscriptEdit('mergeTranscripts', firstId, secondId));
+    ipcMain.handle('split-transcript', (event, transcriptId, at) => this.runTranscriptEdit('splitTranscript', transcriptId, at));
+    ipcMain.handle('delete-transcript', (event, transcriptId) => this.runTranscriptEdit('deleteTranscript', transcriptId));
+    ipcMain.handle('undo-transcript-edit', () => this.runTranscriptEdit('undoTranscriptEdit'));
+    ipcMain.handle('redo-transcript-edit', () => this.runTranscriptEdit('redoTranscriptEdit'));
+    ipcMain.handle('get-edit-history', () => this.getEditHistory());
+    ipcMain.handle('finalize-session', () => this.finalizeSession());
     
     // Knowledge base queries
     ipcMain.handle('query-knowledge-base', (event, { question, context }) => this.queryKnowledgeBase(question, context));
@@ -323,6 +415,10 @@ class OverlayApplication {
     // QUICK FIX: Transcript configuration for duplicate filtering
     ipcMain.handle('update-transcript-config', (event, config) => this.updateTranscriptConfig(config));
     
+    // Custom recognition vocabulary
+    ipcMain.handle('get-speech-vocabulary', () => this.getSpeechVocabulary());
+    ipcMain.handle('update-speech-vocabulary', (event, update) => this.updateSpeechVocabulary(update));
+    
     // Topic analysis controls
     ipcMain.handle('get-current-topic', () => this.getCurrentTopic());
     ipcMain.handle('get-topic-status', () => this.getTopicStatus());
@@ -579,6 +675,196 @@ class OverlayApplication {
     }
   }
 
+  /**
+   * Pause the recording without ending the session (holds, private side conversations)
+   */
+  async pauseVoiceRecording() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.pauseRecording();
+      return { success: result, isPaused: this.voiceManager.isPaused };
+    } catch (error) {
+      logger.error('Failed to pause voice recording', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Resume a paused recording in the same session
+   */
+  async resumeVoiceRecording() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.resumeRecording();
+      return { success: result, isPaused: this.voiceManager.isPaused };
+    } catch (error) {
+      logger.error('Failed to resume voice recording', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pause or resume the recording (global shortcut and overlay control)
+   */
+  async togglePauseRecording() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.togglePause();
+      logger.info(`Voice recording ${this.voiceManager.isPaused ? 'paused' : 'resumed'}`);
+      return { success: result, isPaused: this.voiceManager.isPaused };
+    } catch (error) {
+      logger.error('Failed to toggle pause', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Bookmark the current moment of the call (global shortcut and overlay button)
+   */
+  async addBookmark(label = '') {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const bookmark = this.voiceManager.addBookmark(label);
+      logger.info('Bookmark added', { id: bookmark.id });
+      return { success: true, bookmark };
+    } catch (error) {
+      logger.error('Failed to add bookmark', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Label a bookmark
+   */
+  async updateBookmark(bookmarkId, changes) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const bookmark = await this.voiceManager.updateBookmark(bookmarkId, changes);
+      return { success: true, bookmark };
+    } catch (error) {
+      logger.error('Failed to update bookmark', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async removeBookmark(bookmarkId) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      await this.voiceManager.removeBookmark(bookmarkId);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to remove bookmark', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getBookmarks() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, bookmarks: this.voiceManager.getBookmarks() };
+  }
+
+  /**
+   * Offer to recover calls whose journal survived a crash
+   */
+  async offerSessionRecovery() {
+    try {
+      const unfinished = await this.voiceManager.getUnfinishedSessions();
+      for (const session of unfinished) {
+        const { response } = await dialog.showMessageBox(this.mainWindow, {
+          type: 'question',
+          title: 'Recover Unfinished Call',
+          message: `The call started ${new Date(session.startTime).toLocaleString()} did not finish properly.`,
+          detail: `${session.transcriptCount} transcript lines can be recovered from its journal.`,
+          buttons: ['Recover and Generate Notes', 'Recover Only', 'Discard', 'Ask Later'],
+          defaultId: 0,
+          cancelId: 3
+        });
+        
+        if (response === 2) {
+          await this.voiceManager.discardUnfinishedSession(session.sessionId);
+          logger.info('Unfinished session discarded', { sessionId: session.sessionId });
+        } else if (response !== 3) {
+          const result = await this.voiceManager.recoverSession(session.sessionId, { generateNotes: response === 0 });
+          logger.info('Unfinished session recovered', result);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to recover unfinished sessions', error);
+    }
+  }
+
+  /**
+   * Unfinished calls found in the journal directory
+   */
+  async getUnfinishedSessions() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      return { success: true, sessions: await this.voiceManager.getUnfinishedSessions() };
+    } catch (error) {
+      logger.error('Failed to list unfinished sessions', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Recover an unfinished call, optionally generating its meeting notes
+   */
+  async recoverSession(sessionId, options = {}) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.recoverSession(sessionId, options);
+      logger.info('Unfinished session recovered', result);
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to recover session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Throw away an unfinished call's journal
+   */
+  async discardUnfinishedSession(sessionId) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      await this.voiceManager.discardUnfinishedSession(sessionId);
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to discard unfinished session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Toggle voice recording
    */
@@ -596,6 +882,84 @@ class OverlayApplication {
     }
   }
 
+  /**
+   * Transcribe a recorded audio file through the voice pipeline
+   * Prompts for the file when no path is given
+   */
+  async transcribeAudioFile(filePath = null) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      if (!filePath) {
+        const selection = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Transcribe Audio File',
+          properties: ['openFile'],
+          filters: [
+            { name: 'Audio Files', extensions: ['wav', 'pcm'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        
+        if (selection.canceled || selection.filePaths.length === 0) {
+          return { success: false, canceled: true };
+        }
+        filePath = selection.filePaths[0];
+      }
+      
+      logger.info('Transcribing audio file', { filePath });
+      const result = await this.voiceManager.transcribeFile(filePath);
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to transcribe audio file', error);
+      this.mainWindow?.webContents.send('voice-manager-error', {
+        type: 'file-transcription',
+        message: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Import a WebVTT, SRT or Teams/Zoom text transcript as a session
+   * Prompts for the file when no path is given
+   */
+  async importTranscript(filePath = null, options = {}) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      if (!filePath) {
+        const selection = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Import Transcript',
+          properties: ['openFile'],
+          filters: [
+            { name: 'Transcripts', extensions: ['vtt', 'srt', 'txt'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        
+        if (selection.canceled || selection.filePaths.length === 0) {
+          return { success: false, canceled: true };
+        }
+        filePath = selection.filePaths[0];
+      }
+      
+      logger.info('Importing transcript', { filePath });
+      const result = await this.voiceManager.importTranscript(filePath, options);
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to import transcript', error);
+      this.mainWindow?.webContents.send('voice-manager-error', {
+        type: 'transcript-import',
+        message: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get voice recording status
    */
@@ -705,6 +1069,188 @@ class OverlayApplication {
     }
   }
 
+  /**
+   * Speakers of the current session with talk-time stats
+   */
+  getSpeakers() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, speakers: this.voiceManager.getSpeakers() };
+  }
+
+  /**
+   * Rename a speaker; lines already attributed to it are relabelled
+   */
+  async renameSpeaker(key, name) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const speakers = await this.voiceManager.renameSpeaker(key, name);
+      logger.info('Speaker renamed', { key, name });
+      return { success: true, speakers };
+    } catch (error) {
+      logger.error('Failed to rename speaker', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Participants (name and role) of the current or last call, or of the next one before any call
+   */
+  getParticipants() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, participants: this.voiceManager.getParticipants() };
+  }
+
+  /**
+   * Set up participants before a call (or apply them to the call in progress)
+   */
+  async setParticipants(participants) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.setParticipants(participants);
+      logger.info('Participants set', { count: participants.length });
+      return { success: true, participants: result };
+    } catch (error) {
+      logger.error('Failed to set participants', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Change a participant's name and/or role; lines already attributed to them are relabelled
+   */
+  async updateParticipant(key, changes) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const speakers = await this.voiceManager.updateParticipant(key, changes);
+      logger.info('Participant updated', { key, ...changes });
+      return { success: true, speakers };
+    } catch (error) {
+      logger.error('Failed to update participant', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Low-confidence transcripts that have not been reviewed yet
+   */
+  getFlaggedTranscripts() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, transcripts: this.voiceManager.getFlaggedTranscripts() };
+  }
+
+  /**
+   * Run a transcript edit operation of the VoiceManager (editTranscript, reassignSpeaker,
+   * mergeTranscripts, splitTranscript, deleteTranscript, undoTranscriptEdit, redoTranscriptEdit)
+   */
+  async runTranscriptEdit(operation, ...args) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager[operation](...args);
+      logger.info('Transcript edited', { operation, editId: result.edit.editId });
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error(`Transcript edit failed (${operation})`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Edits of the current (or last) session and whether they can be undone / redone
+   */
+  getEditHistory() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, ...this.voiceManager.getEditHistory() };
+  }
+
+  /**
+   * Generate meeting notes for a call that was held for review
+   */
+  async finalizeSession() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.finalizeReviewedSession();
+      logger.info('Reviewed session finalized', result);
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to finalize session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Correct a transcript line; the correction is saved with the session and feeds the vocabulary
+   */
+  async correctTranscript(transcriptId, text, source) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const result = await this.voiceManager.correctTranscript(transcriptId, text, source);
+      logger.info('Transcript corrected', { transcriptId, source, learnedTerms: result.learnedTerms });
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Failed to correct transcript', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get the custom recognition vocabulary
+   */
+  getSpeechVocabulary() {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, ...this.voiceManager.getVocabulary() };
+  }
+
+  /**
+   * Edit the custom recognition vocabulary; running recognizers pick it up immediately
+   */
+  async updateSpeechVocabulary(update = {}) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const vocabulary = await this.voiceManager.updateVocabulary(update);
+      logger.info('Speech vocabulary updated', { phrases: vocabulary.phrases.length });
+      return { success: true, ...vocabulary };
+    } catch (error) {
+      logger.error('Failed to update speech vocabulary', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Search transcripts
    */
@@ -717,21 +1263,156 @@ class OverlayApplication {
   }
 
   /**
-   * Export current session
+   * Export the current session, or a saved one by id
+   * options.saveAs asks where to save the file and returns { success, filePath } instead of the content
    */
-  exportSession(format = 'json') {
+  async exportSession(format = 'json', sessionId = null, options = {}) {
+    if (options.saveAs) {
+      return this.saveSessionExport(format, sessionId, options);
+    }
     if (!this.voiceManager || !this.voiceInitialized) {
       return null;
     }
     
     try {
-      return this.voiceManager.exportSession(format);
+      return await this.voiceManager.exportSession(format, sessionId, options);
     } catch (error) {
       logger.error('Failed to export session', error);
       return null;
     }
   }
 
+  /**
+   * Export a session to a file chosen in a save dialog
+   */
+  async saveSessionExport(format, sessionId = null, options = {}) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const { saveAs, ...exportOptions } = options;
+      const file = this.voiceManager.getExportFileInfo(format, sessionId);
+      const selection = await dialog.showSaveDialog(this.mainWindow, {
+        title: 'Export Transcript',
+        defaultPath: path.join(app.getPath('documents'), file.fileName),
+        filters: [
+          { name: file.name, extensions: [file.extension] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+      
+      if (selection.canceled || !selection.filePath) {
+        return { success: false, canceled: true };
+      }
+      
+      const content = await this.voiceManager.exportSession(format, sessionId, exportOptions);
+      await fs.writeFile(selection.filePath, content);
+      logger.info('Session exported', { format, sessionId, filePath: selection.filePath });
+      return { success: true, filePath: selection.filePath };
+    } catch (error) {
+      logger.error('Failed to export session', error);
+      this.mainWindow?.webContents.send('voice-manager-error', {
+        type: 'export',
+        message: error.message
+      });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Saved sessions, newest first
+   */
+  listSessions(options = {}) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, ...this.voiceManager.listSessions(options) };
+  }
+
+  /**
+   * Reopen a saved session with its transcripts
+   */
+  async getSession(sessionId) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const session = await this.voiceManager.getSession(sessionId);
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Failed to load session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Retitle a saved session
+   */
+  async renameSession(sessionId, title) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const session = await this.voiceManager.renameSession(sessionId, title);
+      logger.info('Session renamed', { sessionId, title });
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Failed to rename session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Replace a saved session's tags
+   */
+  async setSessionTags(sessionId, tags) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      const session = await this.voiceManager.setSessionTags(sessionId, tags);
+      logger.info('Session tags updated', { sessionId, tags: session.tags });
+      return { success: true, session };
+    } catch (error) {
+      logger.error('Failed to tag session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Full-text search across saved sessions; hits link to a session and a moment in it
+   */
+  searchSessions(query, options = {}) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    return { success: true, ...this.voiceManager.searchSessions(query, options) };
+  }
+
+  /**
+   * Delete a saved session and its recorded audio
+   */
+  async deleteSession(sessionId) {
+    if (!this.voiceManager || !this.voiceInitialized) {
+      return { success: false, error: 'Voice Manager not initialized' };
+    }
+    
+    try {
+      await this.voiceManager.deleteSession(sessionId);
+      logger.info('Session deleted', { sessionId });
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete session', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get current conversation topic
    */
@@ -790,7 +1471,7 @@ class OverlayApplication {
         return { success: false, error: 'Topic analyzer not available' };
       }
       
-      const recentTranscripts = this.voiceManager.getRecentTranscripts(20);
+      const recentTranscripts = this.voiceManager.getRecentContext(20, 'llm');
       if (recentTranscripts.length === 0) {
         return { success: false, error: 'No transcripts available for analysis' };
       }
@@ -804,18 +1485,22 @@ class OverlayApplication {
   }
 
   /**
-   * Process audio data from renderer process
+   * Process a batch of binary PCM frames from the renderer capture worklet
    */
-  processAudioData(audioData) {
+  processAudioFrames(streamId, frames) {
     if (!this.voiceManager || !this.voiceInitialized) {
       return { success: false, error: 'Voice Manager not initialized' };
     }
     
+    if (streamId !== 'microphone' && streamId !== 'system') {
+      return { success: false, error: `Unknown audio stream: ${streamId}` };
+    }
+    
     try {
-      this.voiceManager.processRendererAudioData(audioData);
+      this.voiceManager.processAudioFrames(streamId, frames);
       return { success: true };
     } catch (error) {
-      logger.error('Failed to process audio data', error);
+      logger.error('Failed to process audio frames', error);
       return { success: false, error: error.message };
     }
   }
@@ -854,23 +1539,6 @@ class OverlayApplication {
     }
   }
 
-  /**
-   * Process system audio data from desktop capturer
-   */
-  processSystemAudioData(audioData) {
-    if (!this.voiceManager || !this.voiceInitialized) {
-      return { success: false, error: 'Voice Manager not initialized' };
-    }
-    
-    try {
-      this.voiceManager.processSystemAudioData(audioData);
-      return { success: true };
-    } catch (error) {
-      logger.error('Failed to process system audio data', error);
-      return { success: false, error: error.message };
-    }
-  }
-
   /**
    * Set system audio active state
    */
@@ -1083,10 +1751,10 @@ class OverlayApplication {
         throw new Error('Topic analyzer not available');
       }
 
-      // Use the topic analyzer's new file search functionality
+      // Use the topic analyzer's new file search functionality (the overlay's text may be unredacted)
       const result = await this.voiceManager.topicAnalyzer.queryKnowledgeBase(
-        question,
-        context || ''
+        this.voiceManager.redactText(question, 'llm'),
+        this.voiceManager.redactText(context || '', 'llm')
       );
 
       // Return the answer text for backward compatibility
@@ -19,11 +19,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
   startVoiceRecording: () => ipcRenderer.invoke('start-voice-recording'),
   stopVoiceRecording: () => ipcRenderer.invoke('stop-voice-recording'),
   toggleVoiceRecording: () => ipcRenderer.invoke('toggle-voice-recording'),
+  pauseVoiceRecording: () => ipcRenderer.invoke('pause-voice-recording'),
+  resumeVoiceRecording: () => ipcRenderer.invoke('resume-voice-recording'),
+  togglePauseRecording: () => ipcRenderer.invoke('toggle-pause-recording'),
+  
+  // Bookmarks: drop one at the current moment of the call, label or remove it later
+  addBookmark: (label) => ipcRenderer.invoke('add-bookmark', label),
+  updateBookmark: (bookmarkId, changes) => ipcRenderer.invoke('update-bookmark', bookmarkId, changes),
+  removeBookmark: (bookmarkId) => ipcRenderer.invoke('remove-bookmark', bookmarkId),
+  getBookmarks: () => ipcRenderer.invoke('get-bookmarks'),
   getVoiceStatus: () => ipcRenderer.invoke('get-voice-status'),
+  transcribeAudioFile: (filePath) => ipcRenderer.invoke('transcribe-audio-file', filePath),
+  // WebVTT, SRT or Teams/Zoom text transcript as a session (options: { self, startTime, language, analyzeTopics, generateNotes })
+  importTranscript: (filePath, options) => ipcRenderer.invoke('import-transcript', filePath, options),
   
   // Audio data processing (from renderer to main process)
-  processAudioData: (audioData) => ipcRenderer.invoke('process-audio-data', audioData),
-  processSystemAudioData: (audioData) => ipcRenderer.invoke('process-system-audio-data', audioData),
+  sendAudioFrames: (streamId, frames) => ipcRenderer.invoke('process-audio-frames', streamId, frames),
   setMicrophoneActive: (active) => ipcRenderer.invoke('set-microphone-active', active),
   setSystemAudioActive: (active) => ipcRenderer.invoke('set-system-audio-active', active),
   updateAudioDevices: (devices) => ipcRenderer.invoke('update-audio-devices', devices),
@@ -40,11 +51,59 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Transcript management
   getRecentTranscripts: (count) => ipcRenderer.invoke('get-recent-transcripts', count),
   searchTranscripts: (query, options) => ipcRenderer.invoke('search-transcripts', query, options),
-  exportSession: (format) => ipcRenderer.invoke('export-session', format),
+  // Formats: json, txt, csv, srt, vtt, md, html, docx (bytes). options.turns exports conversational turns
+  // instead of raw lines (not for subtitles); options.saveAs asks for a file and returns { success, filePath }
+  exportSession: (format, sessionId, options) => ipcRenderer.invoke('export-session', format, sessionId, options),
+  
+  // Session library: browse, reopen, retitle and delete saved calls (re-export with exportSession)
+  listSessions: (options) => ipcRenderer.invoke('list-sessions', options),
+  getSession: (sessionId) => ipcRenderer.invoke('get-session', sessionId),
+  renameSession: (sessionId, title) => ipcRenderer.invoke('rename-session', sessionId, title),
+  setSessionTags: (sessionId, tags) => ipcRenderer.invoke('set-session-tags', sessionId, tags),
+  deleteSession: (sessionId) => ipcRenderer.invoke('delete-session', sessionId),
+  
+  // Full-text search across saved sessions: words and "quoted phrases", options
+  // { speaker, streamId, sessionId, from, to, tags, sort: 'relevance' | 'recent', limit }
+  searchSessions: (query, options) => ipcRenderer.invoke('search-sessions', query, options),
+  
+  // Calls left unfinished by a crash: recover (options.generateNotes) or discard their journal
+  getUnfinishedSessions: () => ipcRenderer.invoke('get-unfinished-sessions'),
+  recoverSession: (sessionId, options) => ipcRenderer.invoke('recover-session', sessionId, options),
+  discardUnfinishedSession: (sessionId) => ipcRenderer.invoke('discard-unfinished-session', sessionId),
+  
+  // Speakers: key is a stream id or 'streamId:speakerId' for diarized speakers
+  getSpeakers: () => ipcRenderer.invoke('get-speakers'),
+  renameSpeaker: (key, name) => ipcRenderer.invoke('rename-speaker', key, name),
+  
+  // Participants { key, name, role } with role 'agent', 'customer' or 'colleague'. Set before a call they
+  // apply to the next calls; updated during or after a call they relabel the call's lines
+  getParticipants: () => ipcRenderer.invoke('get-participants'),
+  setParticipants: (participants) => ipcRenderer.invoke('set-participants', participants),
+  updateParticipant: (key, changes) => ipcRenderer.invoke('update-participant', key, changes),
+  
+  // Low-confidence review: source is 'alternative' or 'manual'
+  getFlaggedTranscripts: () => ipcRenderer.invoke('get-flagged-transcripts'),
+  correctTranscript: (transcriptId, text, source) => ipcRenderer.invoke('correct-transcript', transcriptId, text, source),
+  
+  // Transcript editing (undoable). speakerKey is a getSpeakers() key; split at a character position
+  editTranscript: (transcriptId, text) => ipcRenderer.invoke('edit-transcript', transcriptId, text),
+  reassignTranscriptSpeaker: (transcriptId, speakerKey) => ipcRenderer.invoke('reassign-transcript-speaker', transcriptId, speakerKey),
+  mergeTranscripts: (firstId, secondId) => ipcRenderer.invoke('merge-transcripts', firstId, secondId),
+  splitTranscript: (transcriptId, at) => ipcRenderer.invoke('split-transcript', transcriptId, at),
+  deleteTranscript: (transcriptId) => ipcRenderer.invoke('delete-transcript', transcriptId),
+  undoTranscriptEdit: () => ipcRenderer.invoke('undo-transcript-edit'),
+  redoTranscriptEdit: () => ipcRenderer.invoke('redo-transcript-edit'),
+  getEditHistory: () => ipcRenderer.invoke('get-edit-history'),
+  // Generate meeting notes for a call held for review (REVIEW_BEFORE_NOTES)
+  finalizeSession: () => ipcRenderer.invoke('finalize-session'),
   
   // QUICK FIX: Transcript configuration for duplicate filtering
   updateTranscriptConfig: (config) => ipcRenderer.invoke('update-transcript-config', config),
   
+  // Custom recognition vocabulary: update is { phrases } | { add, remove } | { reload: true }
+  getSpeechVocabulary: () => ipcRenderer.invoke('get-speech-vocabulary'),
+  updateSpeechVocabulary: (update) => ipcRenderer.invoke('update-speech-vocabulary', update),
+  
   // Topic analysis
   getCurrentTopic: () => ipcRenderer.invoke('get-current-topic'),
   getTopicStatus: () => ipcRenderer.invoke('get-topic-status'),
@@ -89,6 +148,27 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('voice-recording-stopped', (event, data) => callback(data));
   },
   
+  onVoiceRecordingPaused: (callback) => {
+    ipcRenderer.on('voice-recording-paused', (event, data) => callback(data));
+  },
+  
+  onVoiceRecordingResumed: (callback) => {
+    ipcRenderer.on('voice-recording-resumed', (event, data) => callback(data));
+  },
+  
+  // { idle, idleMs, stopsInMs }: idle is true when the recording will stop soon for lack of speech
+  onRecordingIdle: (callback) => {
+    ipcRenderer.on('recording-idle', (event, status) => callback(status));
+  },
+  
+  onFileTranscriptionProgress: (callback) => {
+    ipcRenderer.on('file-transcription-progress', (event, data) => callback(data));
+  },
+  
+  onSpeechStreamStatus: (callback) => {
+    ipcRenderer.on('speech-stream-status', (event, data) => callback(data));
+  },
+  
   onInterimTranscript: (callback) => {
     ipcRenderer.on('interim-transcript', (event, transcript) => callback(transcript));
   },
@@ -96,6 +176,46 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onFinalTranscript: (callback) => {
     ipcRenderer.on('final-transcript', (event, transcript) => callback(transcript));
   },
+  
+  onTranscriptTranslated: (callback) => {
+    ipcRenderer.on('transcript-translated', (event, transcript) => callback(transcript));
+  },
+  
+  onTranscriptCorrected: (callback) => {
+    ipcRenderer.on('transcript-corrected', (event, transcript) => callback(transcript));
+  },
+  
+  onTranscriptsEdited: (callback) => {
+    ipcRenderer.on('transcripts-edited', (event, result) => callback(result));
+  },
+  
+  onSessionReviewPending: (callback) => {
+    ipcRenderer.on('session-review-pending', (event, data) => callback(data));
+  },
+  
+  onBookmarkAdded: (callback) => {
+    ipcRenderer.on('bookmark-added', (event, bookmark) => callback(bookmark));
+  },
+  
+  onBookmarksUpdated: (callback) => {
+    ipcRenderer.on('bookmarks-updated', (event, bookmarks) => callback(bookmarks));
+  },
+  
+  onSessionRecovered: (callback) => {
+    ipcRenderer.on('session-recovered', (event, result) => callback(result));
+  },
+  
+  onSessionImported: (callback) => {
+    ipcRenderer.on('session-imported', (event, result) => callback(result));
+  },
+  
+  onSpeakersUpdated: (callback) => {
+    ipcRenderer.on('speakers-updated', (event, speakers) => callback(speakers));
+  },
+  
+  onSessionsUpdated: (callback) => {
+    ipcRenderer.on('sessions-updated', (event, library) => callback(library));
+  },
 
   // Knowledge base queries
   queryKnowledgeBase: (question, context) => ipcRenderer.invoke('query-knowledge-base', { question, context }),
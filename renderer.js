@@ -1,4 +1,11 @@
 // Renderer process JavaScript for the overlay interface
+
+// Audio capture pipeline settings (16kHz mono PCM16)
+const AUDIO_FRAME_SAMPLES = 2048;      // Samples per worklet frame (128ms)
+const AUDIO_MAX_BATCH_FRAMES = 8;      // Frames coalesced into a single IPC call
+const AUDIO_MAX_QUEUED_FRAMES = 32;    // Backpressure bound (~4s) before dropping oldest frames
+const AUDIO_STOP_TIMEOUT_MS = 500;     // Longest wait for the worklet to flush its last frame on teardown
+
 class OverlayRenderer {
   constructor() {
     this.isInteractive = true;
@@ -10,6 +17,9 @@ class OverlayRenderer {
     this.voiceAvailable = false;
     this.voiceInitialized = false;
     this.isRecording = false;
+    this.isPaused = false;
+    this.pendingBookmarkLabel = null; // Bookmark whose label field takes focus once it is listed
+    this.reconnectingStreams = new Map(); // streamId -> reconnect attempt
     this.transcripts = [];
     this.currentTranscript = null;
 
@@ -27,6 +37,9 @@ class OverlayRenderer {
     this.systemAudioActive = false;
     this.desktopSources = [];
 
+    // Per-stream binary frame senders (queue + backpressure state)
+    this.audioSenders = {};
+
     this.initializeElements();
     this.setupEventListeners();
     this.setupVoiceEventListeners();
@@ -41,6 +54,8 @@ class OverlayRenderer {
       interactionToggle: document.getElementById('interactionToggle'),
       screenSharingToggle: document.getElementById('screenSharingToggle'),
       micButton: document.getElementById('micButton'),
+      pauseButton: document.getElementById('pauseButton'),
+      bookmarkButton: document.getElementById('bookmarkButton'),
       infoButton: document.getElementById('infoButton'),
       statusDot: document.getElementById('statusDot'),
       shortcutsTooltip: document.getElementById('shortcutsTooltip'),
@@ -53,6 +68,12 @@ class OverlayRenderer {
       insightsKeypoints: document.getElementById('insightsKeypoints'),
       questionActions: document.getElementById('questionActions'),
       taskActions: document.getElementById('taskActions'),
+      speakersSection: document.getElementById('speakersSection'),
+      reviewSection: document.getElementById('reviewSection'),
+      reviewList: document.getElementById('reviewList'),
+      speakersList: document.getElementById('speakersList'),
+      bookmarksSection: document.getElementById('bookmarksSection'),
+      bookmarksList: document.getElementById('bookmarksList'),
       knowledgePane: document.getElementById('knowledgePane'),
       knowledgeContent: document.getElementById('knowledgeContent'),
       knowledgeClose: document.getElementById('knowledgeClose'),
@@ -92,6 +113,20 @@ class OverlayRenderer {
       this.handleMicrophoneClick();
     });
 
+    this.elements.pauseButton.addEventListener('click', async () => {
+      const result = await window.electronAPI.togglePauseRecording();
+      if (!result.success && result.error) {
+        this.showFeedback('voice', `❌ ${result.error}`);
+      }
+    });
+
+    this.elements.bookmarkButton.addEventListener('click', async () => {
+      const result = await window.electronAPI.addBookmark();
+      if (!result.success) {
+        this.showFeedback('voice', `❌ ${result.error}`);
+      }
+    });
+
     // Info button with tooltip
     this.elements.infoButton.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -249,6 +284,13 @@ class OverlayRenderer {
     if (this.isScreenSharingActive) {
       this.elements.statusDot.className = 'status-dot screen-sharing';
       this.elements.statusDot.title = 'Screen Sharing Detected - Stealth Mode Active';
+    } else if (this.isRecording && this.isPaused) {
+      this.elements.statusDot.className = 'status-dot paused';
+      this.elements.statusDot.title = 'Recording Paused - Ctrl+Shift+P to resume';
+    } else if (this.isRecording && this.reconnectingStreams.size > 0) {
+      const streams = Array.from(this.reconnectingStreams.keys()).map(streamId => this.getStreamLabel(streamId));
+      this.elements.statusDot.className = 'status-dot reconnecting';
+      this.elements.statusDot.title = `Reconnecting Speech Recognition - ${streams.join(', ')}`;
     } else if (this.isRecording) {
       this.elements.statusDot.className = 'status-dot recording';
       this.elements.statusDot.title = 'Voice Recording Active - Dual Audio Capture';
@@ -308,6 +350,14 @@ class OverlayRenderer {
       micButton.style.opacity = '1';
       micButton.style.cursor = 'pointer';
     }
+
+    // Pause and bookmark controls only exist while recording
+    this.elements.bookmarkButton.style.display = this.isRecording ? '' : 'none';
+    const pauseButton = this.elements.pauseButton;
+    pauseButton.style.display = this.isRecording ? '' : 'none';
+    pauseButton.classList.toggle('paused', this.isPaused);
+    pauseButton.querySelector('i').className = this.isPaused ? 'fas fa-play' : 'fas fa-pause';
+    pauseButton.title = this.isPaused ? 'Resume Recording (Ctrl+Shift+P)' : 'Pause Recording (Ctrl+Shift+P)';
   }
 
   showFeedback(type, message, duration = 1500) {
@@ -520,6 +570,7 @@ class OverlayRenderer {
       this.voiceInitialized = true;
       this.voiceAvailable = true;
       this.updateUI();
+      this.loadUpcomingParticipants();
       this.showFeedback('voice', '🎙️ Voice features ready - Azure Speech connected');
       console.log('Voice Manager initialized');
     });
@@ -551,12 +602,45 @@ class OverlayRenderer {
     // Recording state changes
     window.electronAPI.onVoiceRecordingStarted((data) => {
       this.isRecording = true;
+      this.renderSpeakers([]);
+      this.renderBookmarks([]);
+      this.elements.reviewList.innerHTML = '';
+      this.updateReviewSection();
       this.updateUI();
       console.log('Voice recording started:', data);
+      
+      if (data.source === 'file') {
+        this.showFeedback('voice', '📂 Transcribing audio file...');
+      }
+    });
+
+    window.electronAPI.onFileTranscriptionProgress((data) => {
+      if (data.progress % 10 === 0) {
+        this.showFeedback('voice', `📂 Transcribing audio file: ${data.progress}%`);
+      }
+    });
+
+    window.electronAPI.onSpeechStreamStatus((data) => {
+      this.handleSpeechStreamStatus(data);
+    });
+
+    window.electronAPI.onVoiceRecordingPaused(() => {
+      this.isPaused = true;
+      this.updateUI();
+      this.showFeedback('voice', '⏸️ Recording paused - nothing is being heard', 2500);
+    });
+
+    window.electronAPI.onVoiceRecordingResumed((data) => {
+      this.isPaused = false;
+      this.updateUI();
+      const seconds = Math.round((data.marker?.durationMs || 0) / 1000);
+      this.showFeedback('voice', `▶️ Recording resumed after ${seconds}s`);
     });
 
     window.electronAPI.onVoiceRecordingStopped((data) => {
       this.isRecording = false;
+      this.isPaused = false;
+      this.reconnectingStreams.clear();
       this.updateUI();
       console.log('Voice recording stopped:', data);
       
@@ -565,18 +649,66 @@ class OverlayRenderer {
         this.stopAudioCapture();
       }
       
-      if (data.summary && data.summary.transcriptCount > 0) {
+      if (data.reason === 'idle') {
+        this.showFeedback('voice', '💤 Recording stopped - no speech detected', 4000);
+      } else if (data.summary && data.summary.transcriptCount > 0) {
         this.showFeedback('voice', `📝 Session ended: ${data.summary.transcriptCount} transcripts`);
       } else {
         this.showFeedback('voice', '📝 Recording session ended');
       }
     });
 
+    window.electronAPI.onRecordingIdle((status) => {
+      if (status.idle) {
+        const seconds = Math.round(status.stopsInMs / 1000);
+        this.showFeedback('voice', `💤 No speech for a while - recording stops in ${seconds}s`, Math.min(status.stopsInMs, 10000));
+      } else {
+        this.showFeedback('voice', '🎙️ Speech detected - recording continues');
+      }
+    });
+
     // Transcript events
     window.electronAPI.onInterimTranscript((transcript) => {
       this.handleInterimTranscript(transcript);
     });
 
+    window.electronAPI.onTranscriptTranslated((transcript) => {
+      this.handleTranscriptTranslated(transcript);
+    });
+
+    window.electronAPI.onTranscriptCorrected((transcript) => {
+      this.handleTranscriptCorrected(transcript);
+    });
+
+    window.electronAPI.onTranscriptsEdited((result) => {
+      this.handleTranscriptsEdited(result);
+    });
+
+    window.electronAPI.onSessionReviewPending(() => {
+      this.showFeedback('voice', '📝 Review the transcript, then finalize to generate meeting notes', 4000);
+    });
+
+    window.electronAPI.onBookmarkAdded((bookmark) => {
+      this.showFeedback('voice', '🔖 Bookmarked - type a label in the Bookmarks list', 2500);
+      this.pendingBookmarkLabel = bookmark.id;
+    });
+
+    window.electronAPI.onBookmarksUpdated((bookmarks) => {
+      this.renderBookmarks(bookmarks);
+    });
+
+    window.electronAPI.onSessionRecovered((result) => {
+      this.showFeedback('voice', `♻️ Recovered an unfinished call (${result.transcriptCount} lines)`, 4000);
+    });
+
+    window.electronAPI.onSessionImported((result) => {
+      this.showFeedback('voice', `📥 Imported a ${result.format.toUpperCase()} transcript (${result.transcriptCount} lines)`, 4000);
+    });
+
+    window.electronAPI.onSpeakersUpdated((speakers) => {
+      this.renderSpeakers(speakers);
+    });
+
     window.electronAPI.onFinalTranscript((transcript) => {
       this.handleFinalTranscript(transcript);
       
@@ -605,6 +737,7 @@ class OverlayRenderer {
     this.voiceAvailable = status.available || false;
     this.voiceInitialized = status.initialized || false;
     this.isRecording = status.isRecording || false;
+    this.isPaused = status.isPaused || false;
     
     // Update transcripts if available
     if (status.isRecording && status.transcriptStatus) {
@@ -634,18 +767,386 @@ class OverlayRenderer {
     // Show final transcript feedback
     this.showTranscriptPreview(transcript, true);
     
+    // Flag low-confidence lines for review
+    if (transcript.lowConfidence) {
+      this.addReviewItem(transcript);
+    }
+    
     // Keep only recent transcripts in memory
     if (this.transcripts.length > 50) {
       this.transcripts = this.transcripts.slice(-50);
     }
   }
 
+  /**
+   * Replace a final transcript with its translated version and preview the translation
+   */
+  handleTranscriptTranslated(transcript) {
+    const index = this.transcripts.findIndex(t => t.id === transcript.id);
+    if (index !== -1) {
+      this.transcripts[index] = transcript;
+    }
+    this.showTranscriptPreview(transcript, true);
+  }
+
+  /**
+   * Apply a correction: update the stored line and drop it from the review list
+   */
+  handleTranscriptCorrected(transcript) {
+    const index = this.transcripts.findIndex(t => t.id === transcript.id);
+    if (index !== -1) {
+      this.transcripts[index] = transcript;
+    }
+    this.removeReviewItem(transcript.id);
+  }
+
+  /**
+   * Swap edited lines (merged, split, reassigned, deleted, undone) for their new versions
+   */
+  handleTranscriptsEdited({ edit, transcripts }) {
+    const replacedIds = new Set(edit.before.map(line => line.id));
+    const index = this.transcripts.findIndex(t => replacedIds.has(t.id));
+    if (index !== -1) {
+      this.transcripts = this.transcripts.filter(t => !replacedIds.has(t.id));
+      this.transcripts.splice(index, 0, ...transcripts);
+    }
+    replacedIds.forEach(id => this.removeReviewItem(id));
+    transcripts.filter(t => t.lowConfidence).forEach(t => this.addReviewItem(t));
+  }
+
+  /**
+   * Add a low-confidence line to the review list
+   */
+  addReviewItem(transcript) {
+    if (this.elements.reviewList.querySelector(`[data-id="${transcript.id}"]`)) return;
+    this.elements.reviewList.appendChild(this.createReviewElement(transcript));
+    this.updateReviewSection();
+  }
+
+  removeReviewItem(transcriptId) {
+    const item = this.elements.reviewList.querySelector(`[data-id="${transcriptId}"]`);
+    if (item) item.remove();
+    this.updateReviewSection();
+  }
+
+  updateReviewSection() {
+    this.elements.reviewSection.style.display = this.elements.reviewList.children.length > 0 ? '' : 'none';
+  }
+
+  /**
+   * Create review element; clicking it offers the alternatives and a field to type a correction
+   */
+  createReviewElement(transcript) {
+    const reviewElement = document.createElement('div');
+    reviewElement.className = 'action-item review-item';
+    reviewElement.dataset.id = transcript.id;
+    reviewElement.innerHTML = `
+      <div class="action-content">
+        <div class="action-text"></div>
+        <div class="action-type"></div>
+        <div class="review-editor">
+          <div class="review-alternatives"></div>
+          <div class="review-manual">
+            <input class="review-input" type="text" spellcheck="true" placeholder="Type the correct text">
+            <button class="dismiss-btn tick" title="Save correction">
+              <i class="fas fa-check"></i>
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    reviewElement.querySelector('.action-text').textContent = transcript.taggedText;
+    reviewElement.querySelector('.action-type').textContent =
+      `⚠ ${Math.round(transcript.confidence * 100)}% confidence - click to correct`;
+
+    const alternatives = reviewElement.querySelector('.review-alternatives');
+    (transcript.alternatives || []).forEach(alternative => {
+      const button = document.createElement('button');
+      button.className = 'review-alternative';
+      button.textContent = alternative.text;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.submitCorrection(transcript.id, alternative.text, 'alternative');
+      });
+      alternatives.appendChild(button);
+    });
+
+    const input = reviewElement.querySelector('.review-input');
+    input.value = transcript.text;
+    const saveManual = () => this.submitCorrection(transcript.id, input.value, 'manual');
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') saveManual();
+    });
+    reviewElement.querySelector('.review-manual .dismiss-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      saveManual();
+    });
+
+    reviewElement.addEventListener('click', () => {
+      reviewElement.classList.toggle('expanded');
+      if (reviewElement.classList.contains('expanded')) input.focus();
+    });
+
+    return reviewElement;
+  }
+
+  async submitCorrection(transcriptId, text, source) {
+    const result = await window.electronAPI.correctTranscript(transcriptId, text, source);
+    if (result.success) {
+      this.handleTranscriptCorrected(result.transcript);
+      const learned = result.learnedTerms?.length ? ` - learned ${result.learnedTerms.join(', ')}` : '';
+      this.showFeedback('voice', `✏️ Transcript corrected${learned}`, 2500);
+    } else {
+      this.showFeedback('error', `❌ ${result.error}`, 3000);
+    }
+  }
+
+  /**
+   * Before the first call, list the participants it will start with so names and roles can be
+   * set up ahead of time
+   */
+  async loadUpcomingParticipants() {
+    const result = await window.electronAPI.getParticipants();
+    if (!result.success || this.isRecording || this.elements.speakersList.children.length > 0) return;
+
+    this.renderSpeakers(result.participants.map(participant => ({
+      key: participant.key,
+      speakerId: participant.speakerId,
+      speaker: participant.name,
+      role: participant.role,
+      upcoming: true,
+      talkTimeMs: 0,
+      share: 0,
+      transcriptCount: 0
+    })));
+  }
+
+  /**
+   * Show each speaker with talk time, a name field and a role; rows are updated in place so a name
+   * being typed is not overwritten by live stats
+   */
+  renderSpeakers(speakers = []) {
+    const list = this.elements.speakersList;
+    const keys = new Set(speakers.map(speaker => speaker.key));
+
+    list.querySelectorAll('.speaker-item').forEach(item => {
+      if (!keys.has(item.dataset.key)) item.remove();
+    });
+
+    speakers.forEach(speaker => {
+      let item = Array.from(list.children).find(child => child.dataset.key === speaker.key);
+      if (!item) {
+        item = this.createSpeakerElement(speaker);
+        list.appendChild(item);
+      }
+
+      const input = item.querySelector('.speaker-name');
+      if (document.activeElement !== input) {
+        input.value = speaker.speaker;
+      }
+      const roleSelect = item.querySelector('.speaker-role');
+      if (document.activeElement !== roleSelect) {
+        roleSelect.value = speaker.role || '';
+      }
+      const share = Math.round(speaker.share * 100);
+      item.querySelector('.action-type').textContent = speaker.upcoming
+        ? 'Next call'
+        : `${this.formatTalkTime(speaker.talkTimeMs)} · ${share}% · ${speaker.transcriptCount} lines`;
+      item.querySelector('.speaker-share-bar').style.width = `${share}%`;
+    });
+
+    this.elements.speakersSection.style.display = speakers.length > 0 ? '' : 'none';
+  }
+
+  /**
+   * Create speaker element; editing the name or role relabels the speaker everywhere
+   * (or, before the first call, sets up the participants the next call starts with)
+   */
+  createSpeakerElement(speaker) {
+    const speakerElement = document.createElement('div');
+    speakerElement.className = 'action-item speaker-item';
+    speakerElement.dataset.key = speaker.key;
+    speakerElement.innerHTML = `
+      <div class="action-content">
+        <div class="speaker-header">
+          <input class="speaker-name" type="text" spellcheck="false">
+          <select class="speaker-role" title="Role in the call">
+            <option value="">No role</option>
+            <option value="agent">Agent</option>
+            <option value="customer">Customer</option>
+            <option value="colleague">Colleague</option>
+          </select>
+        </div>
+        <div class="speaker-share"><div class="speaker-share-bar"></div></div>
+        <div class="action-type"></div>
+      </div>
+    `;
+
+    const input = speakerElement.querySelector('.speaker-name');
+    input.title = `Rename ${speaker.speakerId || speaker.speaker}`;
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') input.blur();
+      if (e.key === 'Escape') {
+        input.value = speaker.speaker;
+        input.blur();
+      }
+    });
+    input.addEventListener('change', async () => {
+      const result = await this.updateParticipant(speaker, { name: input.value });
+      if (result.success) {
+        speaker.speaker = input.value.trim();
+        this.showFeedback('voice', `👤 Speaker renamed to ${speaker.speaker}`, 2000);
+      } else {
+        input.value = speaker.speaker;
+        this.showFeedback('error', `❌ ${result.error}`, 3000);
+      }
+    });
+
+    const roleSelect = speakerElement.querySelector('.speaker-role');
+    roleSelect.addEventListener('change', async () => {
+      const role = roleSelect.value || null;
+      const result = await this.updateParticipant(speaker, { role });
+      if (result.success) {
+        speaker.role = role;
+        this.showFeedback('voice', `👤 ${speaker.speaker} is ${role ? `the ${role}` : 'without a role'}`, 2000);
+      } else {
+        roleSelect.value = speaker.role || '';
+        this.showFeedback('error', `❌ ${result.error}`, 3000);
+      }
+    });
+
+    return speakerElement;
+  }
+
+  /**
+   * Apply a name / role change to a speaker of the call, or to the next call's participants
+   */
+  updateParticipant(speaker, changes) {
+    return speaker.upcoming
+      ? window.electronAPI.setParticipants([{ key: speaker.key, ...changes }])
+      : window.electronAPI.updateParticipant(speaker.key, changes);
+  }
+
+  /**
+   * Bookmarks of the call; a new bookmark's label field takes focus when the overlay is interactive
+   */
+  renderBookmarks(bookmarks = []) {
+    const list = this.elements.bookmarksList;
+    const ids = new Set(bookmarks.map(bookmark => bookmark.id));
+
+    list.querySelectorAll('.bookmark-item').forEach(item => {
+      if (!ids.has(item.dataset.id)) item.remove();
+    });
+
+    bookmarks.forEach(bookmark => {
+      let item = Array.from(list.children).find(child => child.dataset.id === bookmark.id);
+      if (!item) {
+        item = this.createBookmarkElement(bookmark);
+        list.appendChild(item);
+      }
+
+      const input = item.querySelector('.bookmark-label');
+      if (document.activeElement !== input) {
+        input.value = bookmark.label;
+      }
+      const quote = bookmark.lines.map(line => line.taggedText).join(' ');
+      item.querySelector('.action-type').textContent =
+        `${this.formatTalkTime(bookmark.offset)}${quote ? ` · ${quote}` : ''}`;
+    });
+
+    this.elements.bookmarksSection.style.display = bookmarks.length > 0 ? '' : 'none';
+
+    if (this.pendingBookmarkLabel && this.isInteractive) {
+      const item = Array.from(list.children).find(child => child.dataset.id === this.pendingBookmarkLabel);
+      item?.querySelector('.bookmark-label').focus();
+    }
+    this.pendingBookmarkLabel = null;
+  }
+
+  /**
+   * Create bookmark element; the label is saved when edited, the button removes the bookmark
+   */
+  createBookmarkElement(bookmark) {
+    const bookmarkElement = document.createElement('div');
+    bookmarkElement.className = 'action-item bookmark-item';
+    bookmarkElement.dataset.id = bookmark.id;
+    bookmarkElement.innerHTML = `
+      <div class="action-content">
+        <input class="bookmark-label" type="text" spellcheck="true" placeholder="Add a label">
+        <div class="action-type"></div>
+      </div>
+      <button class="dismiss-btn" title="Remove bookmark">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    const input = bookmarkElement.querySelector('.bookmark-label');
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') input.blur();
+    });
+    input.addEventListener('change', async () => {
+      const result = await window.electronAPI.updateBookmark(bookmark.id, { label: input.value });
+      if (!result.success) {
+        this.showFeedback('error', `❌ ${result.error}`, 3000);
+      }
+    });
+    bookmarkElement.querySelector('.dismiss-btn').addEventListener('click', async () => {
+      const result = await window.electronAPI.removeBookmark(bookmark.id);
+      if (!result.success) {
+        this.showFeedback('error', `❌ ${result.error}`, 3000);
+      }
+    });
+
+    return bookmarkElement;
+  }
+
+  /**
+   * Talk time as m:ss
+   */
+  formatTalkTime(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Track speech recognition recovery per stream and reflect it in the status dot
+   */
+  handleSpeechStreamStatus(data) {
+    const label = this.getStreamLabel(data.streamId);
+
+    if (data.state === 'reconnecting') {
+      this.reconnectingStreams.set(data.streamId, data.attempt);
+      this.showFeedback('warning', `🔄 ${label} recognition reconnecting (attempt ${data.attempt}/${data.maxAttempts})...`, 3000);
+    } else if (data.state === 'connected') {
+      this.reconnectingStreams.delete(data.streamId);
+      const lost = data.gap?.droppedMs ? ` - ${(data.gap.droppedMs / 1000).toFixed(1)}s of audio lost` : '';
+      this.showFeedback('voice', `✅ ${label} recognition reconnected${lost}`, 3000);
+    } else if (data.state === 'failed') {
+      this.reconnectingStreams.delete(data.streamId);
+      this.showFeedback('error', `❌ ${label} recognition lost - stop and restart recording`, 5000);
+    }
+
+    this.updateUI();
+  }
+
+  /**
+   * Display name for an audio stream
+   */
+  getStreamLabel(streamId) {
+    return streamId === 'microphone' ? 'Microphone' : 'System audio';
+  }
+
   /**
    * Show transcript preview in UI
    */
   showTranscriptPreview(transcript, isFinal = false) {
-    const prefix = isFinal ? '💬' : '⏳';
-    const text = transcript.taggedText || `[${transcript.speaker}] ${transcript.text}`;
+    const prefix = isFinal ? (transcript.lowConfidence ? '⚠️' : '💬') : '⏳';
+    // Translated speech is previewed in the agent's language
+    const text = transcript.translation
+      ? `[${transcript.speaker}] 🌐 ${transcript.translation.text}`
+      : transcript.taggedText || `[${transcript.speaker}] ${transcript.text}`;
     const maxLength = 60;
     const displayText = text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
     
@@ -1149,20 +1650,8 @@ class OverlayRenderer {
         sampleRate: 16000
       });
 
-      const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-
-      // Create script processor for real-time audio data
-      const bufferSize = 4096;
-      this.audioWorkletNode = this.audioContext.createScriptProcessor(bufferSize, 1, 1);
-      
-      this.audioWorkletNode.onaudioprocess = (event) => {
-        const inputBuffer = event.inputBuffer.getChannelData(0);
-        this.processAudioData(inputBuffer);
-      };
-
-      // Connect audio processing chain
-      source.connect(this.audioWorkletNode);
-      this.audioWorkletNode.connect(this.audioContext.destination);
+      // Create worklet pipeline for real-time audio data
+      this.audioWorkletNode = await this.createCapturePipeline(this.audioContext, this.mediaStream, 'microphone');
 
       // Notify main process that microphone is active
       if (window.electronAPI) {
@@ -1190,7 +1679,7 @@ class OverlayRenderer {
 
       // Clean up audio processing
       if (this.audioWorkletNode) {
-        this.audioWorkletNode.disconnect();
+        await this.destroyCapturePipeline(this.audioWorkletNode, 'microphone');
         this.audioWorkletNode = null;
       }
 
@@ -1213,92 +1702,134 @@ class OverlayRenderer {
   }
 
   /**
-   * Process audio data and send to main process
+   * Build the AudioWorklet capture chain for a stream
+   * The worklet converts to 16-bit PCM off the main thread and posts batched frames
    */
-  async processAudioData(audioBuffer) {
-    try {
-      if (!this.isRecording || !window.electronAPI) {
-        console.log('Not recording or no electronAPI, skipping audio data');
-        return;
-      }
+  async createCapturePipeline(audioContext, mediaStream, streamId) {
+    await audioContext.audioWorklet.addModule('src/audio/pcm-capture-processor.js');
+
+    const source = audioContext.createMediaStreamSource(mediaStream);
+    const workletNode = new AudioWorkletNode(audioContext, 'pcm-capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: 1,
+      processorOptions: { batchSize: AUDIO_FRAME_SAMPLES }
+    });
 
-      // Calculate audio level to check if there's actually sound
-      let sum = 0;
-      let max = 0;
-      for (let i = 0; i < audioBuffer.length; i++) {
-        const abs = Math.abs(audioBuffer[i]);
-        sum += abs;
-        max = Math.max(max, abs);
-      }
-      const average = sum / audioBuffer.length;
-      const db = 20 * Math.log10(max);
-
-      // Convert Float32Array to Int16Array for Azure Speech SDK
-      const int16Buffer = new Int16Array(audioBuffer.length);
-      for (let i = 0; i < audioBuffer.length; i++) {
-        const sample = Math.max(-1, Math.min(1, audioBuffer[i]));
-        int16Buffer[i] = sample * 0x7FFF;
+    this.audioSenders[streamId] = { queue: [], queuedSamples: 0, inFlight: false, sending: null, droppedFrames: 0, onStopped: null };
+    workletNode.port.onmessage = (event) => {
+      if (event.data?.type === 'stopped') {
+        this.audioSenders[streamId]?.onStopped?.();
+      } else {
+        this.enqueueAudioFrame(streamId, event.data);
       }
+    };
 
-      // Log audio levels periodically
-      if (Math.random() < 0.1) { // Log 10% of samples to avoid spam
-        console.log(`Audio levels - Max: ${max.toFixed(4)}, Avg: ${average.toFixed(4)}, dB: ${db.toFixed(1)}`);
-      }
+    source.connect(workletNode);
+    return workletNode;
+  }
 
-      // Only send to Azure if there's meaningful audio (above noise floor)
-      if (max > 0.001) { // Threshold for meaningful audio
-        const result = await window.electronAPI.processAudioData(Array.from(int16Buffer));
-        if (!result.success) {
-          console.error('Failed to send audio data to main process:', result.error);
-        }
-      } else if (Math.random() < 0.01) { // Occasionally log silence
-        console.log('Audio below threshold (silence), not sending to Azure');
-      }
-    } catch (error) {
-      console.error('Failed to process audio data:', error);
+  /**
+   * Tear down a capture chain, flushing the last partial frame
+   * Resolves once the worklet has posted that frame and the queue has reached the main process, so
+   * callers stopping the recording themselves should await this before telling main to stop
+   */
+  async destroyCapturePipeline(workletNode, streamId) {
+    const sender = this.audioSenders[streamId];
+    if (sender) {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, AUDIO_STOP_TIMEOUT_MS);
+        sender.onStopped = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        workletNode.port.postMessage({ type: 'stop' });
+      });
+      await this.drainAudioQueue(streamId);
+    } else {
+      workletNode.port.postMessage({ type: 'stop' });
+    }
+    workletNode.disconnect();
+
+    if (sender && sender.droppedFrames > 0) {
+      console.warn(`Audio sender [${streamId}] dropped ${sender.droppedFrames} frames under backpressure`);
     }
   }
 
   /**
-   * Process system audio data from desktop capture
+   * Whether frames for a stream should currently be sent to the main process
    */
-  async processSystemAudioData(audioBuffer) {
-    try {
-      if (!this.systemAudioActive || !window.electronAPI) {
-        return;
-      }
+  isStreamSending(streamId) {
+    if (!window.electronAPI) return false;
+    return streamId === 'microphone' ? this.isRecording : this.systemAudioActive;
+  }
 
-      // Calculate audio level
-      let sum = 0;
-      let max = 0;
-      for (let i = 0; i < audioBuffer.length; i++) {
-        const abs = Math.abs(audioBuffer[i]);
-        sum += abs;
-        max = Math.max(max, abs);
-      }
-      const average = sum / audioBuffer.length;
+  /**
+   * Queue a PCM frame posted by the capture worklet
+   * The queue is bounded: when the main process falls behind, the oldest frames are dropped
+   */
+  enqueueAudioFrame(streamId, frame) {
+    const sender = this.audioSenders[streamId];
+    if (!sender || frame?.type !== 'frame' || !this.isStreamSending(streamId)) {
+      return;
+    }
 
-      // Convert Float32Array to Int16Array for Azure Speech SDK
-      const int16Buffer = new Int16Array(audioBuffer.length);
-      for (let i = 0; i < audioBuffer.length; i++) {
-        const sample = Math.max(-1, Math.min(1, audioBuffer[i]));
-        int16Buffer[i] = sample * 0x7FFF;
-      }
+    sender.queue.push(frame.pcm);
+    sender.queuedSamples += frame.samples;
 
-      // Log audio levels periodically
-      if (Math.random() < 0.1) {
-        console.log(`System audio levels - Max: ${max.toFixed(4)}, Avg: ${average.toFixed(4)}`);
-      }
+    while (sender.queue.length > AUDIO_MAX_QUEUED_FRAMES) {
+      const dropped = sender.queue.shift();
+      sender.queuedSamples -= dropped.byteLength / 2;
+      sender.droppedFrames++;
+    }
 
-      // Send to Azure if there's meaningful audio
-      if (max > 0.001) {
-        const result = await window.electronAPI.processSystemAudioData(Array.from(int16Buffer));
-        if (!result.success) {
-          console.error('Failed to send system audio data to main process:', result.error);
-        }
+    this.flushAudioQueue(streamId);
+  }
+
+  /**
+   * Send queued frames to the main process as one binary batch
+   * Only one IPC call per stream is in flight at a time; frames arriving meanwhile are batched
+   */
+  async flushAudioQueue(streamId) {
+    const sender = this.audioSenders[streamId];
+    if (!sender || sender.inFlight || sender.queue.length === 0) {
+      return;
+    }
+
+    const frames = sender.queue.splice(0, AUDIO_MAX_BATCH_FRAMES);
+    const batch = new Int16Array(frames.reduce((total, pcm) => total + pcm.byteLength / 2, 0));
+    let position = 0;
+    frames.forEach(pcm => {
+      batch.set(new Int16Array(pcm), position);
+      position += pcm.byteLength / 2;
+    });
+    sender.queuedSamples -= batch.length;
+
+    sender.inFlight = true;
+    try {
+      sender.sending = window.electronAPI.sendAudioFrames(streamId, batch.buffer);
+      const result = await sender.sending;
+      if (!result.success) {
+        console.error(`Failed to send ${streamId} audio frames to main process:`, result.error);
       }
     } catch (error) {
-      console.error('Failed to process system audio data:', error);
+      console.error(`Failed to send ${streamId} audio frames:`, error);
+    } finally {
+      sender.inFlight = false;
+    }
+
+    if (sender.queue.length > 0) {
+      this.flushAudioQueue(streamId);
+    }
+  }
+
+  /**
+   * Wait until every frame queued for a stream has been handed to the main process
+   */
+  async drainAudioQueue(streamId) {
+    const sender = this.audioSenders[streamId];
+    while (sender && (sender.inFlight || sender.queue.length > 0)) {
+      await Promise.resolve(sender.sending).catch(() => {});
     }
   }
 
@@ -1376,20 +1907,8 @@ class OverlayRenderer {
         sampleRate: 16000
       });
 
-      const source = this.systemAudioContext.createMediaStreamSource(this.systemAudioStream);
-
-      // Create script processor for real-time system audio data
-      const bufferSize = 4096;
-      this.systemAudioWorkletNode = this.systemAudioContext.createScriptProcessor(bufferSize, 1, 1);
-      
-      this.systemAudioWorkletNode.onaudioprocess = (event) => {
-        const inputBuffer = event.inputBuffer.getChannelData(0);
-        this.processSystemAudioData(inputBuffer);
-      };
-
-      // Connect system audio processing chain
-      source.connect(this.systemAudioWorkletNode);
-      this.systemAudioWorkletNode.connect(this.systemAudioContext.destination);
+      // Create worklet pipeline for real-time system audio data
+      this.systemAudioWorkletNode = await this.createCapturePipeline(this.systemAudioContext, this.systemAudioStream, 'system');
 
       // Notify main process that system audio is active
       if (window.electronAPI) {
@@ -1424,7 +1943,7 @@ class OverlayRenderer {
 
       // Clean up system audio processing
       if (this.systemAudioWorkletNode) {
-        this.systemAudioWorkletNode.disconnect();
+        await this.destroyCapturePipeline(this.systemAudioWorkletNode, 'system');
         this.systemAudioWorkletNode = null;
       }
 
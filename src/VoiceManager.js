@@ -1,11 +1,18 @@
 const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
 const AudioCaptureManager = require('./audio/AudioCaptureManager');
 const SpeechRecognitionService = require('./speech/SpeechRecognitionService');
 const TranscriptManager = require('./transcript/TranscriptManager');
+const SessionRepository = require('./transcript/SessionRepository');
+const TranscriptSearchIndex = require('./transcript/TranscriptSearchIndex');
 const TopicAnalyzer = require('./topic/TopicAnalyzer');
 const VoiceConfig = require('./config/VoiceConfig');
 const WebhookService = require('./webhook/WebhookService');
 const MeetingNotesGenerator = require('./meeting/MeetingNotesGenerator');
+const AudioFileReader = require('./audio/AudioFileReader');
+const VocabularyManager = require('./speech/VocabularyManager');
+const TranslationService = require('./translation/TranslationService');
 
 /**
  * VoiceManager - Central orchestrator for voice features
@@ -19,8 +26,11 @@ class VoiceManager extends EventEmitter {
     
     // Initialize components with configurations
     this.audioCapture = new AudioCaptureManager(VoiceConfig.getAudioConfig());
-    this.speechService = new SpeechRecognitionService(VoiceConfig.getAzureConfig());
+    this.speechService = new SpeechRecognitionService(VoiceConfig.getSpeechConfig());
     this.transcriptManager = new TranscriptManager(VoiceConfig.getTranscriptConfig());
+    this.vocabularyManager = new VocabularyManager(VoiceConfig.getVocabularyConfig());
+    this.sessionRepository = new SessionRepository({ directory: this.transcriptManager.config.saveDirectory });
+    this.searchIndex = new TranscriptSearchIndex({ debug: VoiceConfig.getTranscriptConfig().debug || false });
     
     // Initialize TopicAnalyzer only if OpenAI API key is available
     this.topicAnalyzer = null;
@@ -28,6 +38,8 @@ class VoiceManager extends EventEmitter {
       if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
         this.topicAnalyzer = new TopicAnalyzer({
           apiKey: process.env.OPENAI_API_KEY,
+          defaultLanguage: VoiceConfig.azure.language,
+          redactText: (text) => this.transcriptManager.redactText(text, 'disk'), // current_topic.txt, conversation_summary.txt
           debug: VoiceConfig.getTranscriptConfig().debug || false
         });
       } else {
@@ -44,6 +56,13 @@ class VoiceManager extends EventEmitter {
       debug: true
     });
     
+    // Translation of recognized text for providers that cannot translate while recognizing
+    this.translationService = new TranslationService({
+      ...VoiceConfig.getTranslationConfig(),
+      apiKey: process.env.OPENAI_API_KEY,
+      debug: true
+    });
+    
     // Initialize meeting notes generator
     this.meetingNotesGenerator = new MeetingNotesGenerator({
       apiKey: process.env.OPENAI_API_KEY,
@@ -53,8 +72,14 @@ class VoiceManager extends EventEmitter {
     // State management
     this.isInitialized = false;
     this.isRecording = false;
+    this.isPaused = false;
+    this.pausedStreams = []; // Streams whose recognition restarts on resume
     this.recordingStartTime = null;
     this.currentSessionId = null;
+    this.fileTranscription = null; // { filePath, durationMs, processedMs } while a file is being transcribed
+    this.sessionAwaitingReview = null; // Ended session whose notes wait for finalizeReviewedSession()
+    this.idleWatchdog = null; // { timer, warned } while a live recording is watched for silence
+    this.stopping = null; // Promise of the stop in progress, shared by every caller until it settles
     
     // Component status
     this.componentStatus = {
@@ -75,8 +100,8 @@ class VoiceManager extends EventEmitter {
     try {
       this.log('Initializing VoiceManager...');
       
-      // Check Azure credentials
-      if (!VoiceConfig.hasAzureCredentials()) {
+      // Check speech provider credentials (local providers need none)
+      if (!VoiceConfig.hasSpeechCredentials()) {
         throw new Error('Azure Speech credentials not configured. Please set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION in .env file');
       }
       
@@ -85,6 +110,13 @@ class VoiceManager extends EventEmitter {
       this.componentStatus.speechService = await this.speechService.initialize();
       this.componentStatus.transcriptManager = await this.transcriptManager.initialize();
       
+      // Custom vocabulary is optional - recognition works without it
+      await this.vocabularyManager.initialize();
+      
+      // The session library is optional too - calls are still saved without it
+      await this.sessionRepository.initialize();
+      await this.buildSearchIndex();
+      
       // Initialize topic analyzer (optional - don't fail if OpenAI key is missing)
       if (this.topicAnalyzer) {
         try {
@@ -130,6 +162,8 @@ class VoiceManager extends EventEmitter {
 
   /**
    * Start voice recording with dual audio capture
+   * options.streams limits recognition to specific streams (e.g. ['system'] for a mono file);
+   * all other options are stored as session metadata
    */
   async startRecording(options = {}) {
     try {
@@ -145,24 +179,28 @@ class VoiceManager extends EventEmitter {
       this.log('Starting voice recording...');
       this.recordingStartTime = Date.now();
       
+      const { streams, ...sessionOptions } = options;
+      
       // Start transcript session
       this.currentSessionId = this.transcriptManager.startSession({
         captureMode: VoiceConfig.audio.captureMode,
         language: VoiceConfig.azure.language,
+        candidateLanguages: VoiceConfig.speech.candidateLanguages,
         startTime: this.recordingStartTime,
-        ...options
+        ...sessionOptions
       });
       
       // Start speech recognition for both streams
-      if (VoiceConfig.isDualCaptureEnabled()) {
-        await this.speechService.startRecognition('microphone');
-        await this.speechService.startRecognition('system');
-      } else {
-        await this.speechService.startRecognition('microphone');
+      const streamIds = streams || (VoiceConfig.isDualCaptureEnabled() ? ['microphone', 'system'] : ['microphone']);
+      for (const streamId of streamIds) {
+        await this.speechService.startRecognition(streamId);
       }
       
-      // Start audio capture
-      const captureStarted = await this.audioCapture.startRecording();
+      // Start audio capture (session audio is recorded next to the transcript)
+      const captureStarted = await this.audioCapture.startRecording({
+        startTime: this.recordingStartTime,
+        recordingDirectory: this.transcriptManager.getSessionDirectory()
+      });
       
       if (!captureStarted) {
         throw new Error('Failed to start audio capture');
@@ -170,11 +208,17 @@ class VoiceManager extends EventEmitter {
       
       this.isRecording = true;
       
+      // A forgotten live recording stops itself; file transcription ends with the file
+      if (sessionOptions.source !== 'file') {
+        this.startIdleWatchdog();
+      }
+      
       // Notify renderer process
       this.notifyRenderer('voice-recording-started', {
         sessionId: this.currentSessionId,
         captureMode: VoiceConfig.audio.captureMode,
-        dualCapture: VoiceConfig.isDualCaptureEnabled()
+        dualCapture: VoiceConfig.isDualCaptureEnabled(),
+        source: sessionOptions.source || 'live'
       });
       
       this.log('Voice recording started successfully', {
@@ -200,18 +244,45 @@ class VoiceManager extends EventEmitter {
 
   /**
    * Stop voice recording
+   * options.drain waits for the recognizers to finish all pushed audio (used for file transcription)
+   * options.reason ('user' by default, 'idle' from the idle watchdog) is passed on with 'recording-stopped'
+   * A stop requested while one is under way (idle watchdog, shortcut, menu) waits for it instead of
+   * ending the session a second time
    */
-  async stopRecording() {
+  stopRecording(options = {}) {
+    if (this.stopping) {
+      this.log('Recording is already stopping');
+      return this.stopping;
+    }
+    if (!this.isRecording) {
+      this.log('No recording in progress');
+      return Promise.resolve(false);
+    }
+    
+    this.stopping = this.finishRecording(options).finally(() => {
+      this.stopping = null;
+    });
+    return this.stopping;
+  }
+
+  async finishRecording(options) {
     try {
-      if (!this.isRecording) {
-        this.log('No recording in progress');
-        return false;
-      }
-      
-      this.log('Stopping voice recording...');
+      this.log('Stopping voice recording...', { reason: options.reason || 'user' });
+      this.stopIdleWatchdog();
+      this.isPaused = false;
+      this.pausedStreams = [];
       
       // Stop audio capture
       await this.audioCapture.stopRecording();
+      if (this.audioCapture.lastRecording) {
+        this.transcriptManager.setSessionAudio(this.audioCapture.lastRecording);
+      }
+      
+      // Let the recognizers catch up with audio that was pushed faster than real time
+      if (options.drain) {
+        this.log('Draining speech recognition...');
+        await this.speechService.drainRecognition();
+      }
       
       // Stop speech recognition
       await this.speechService.stopAllRecognition();
@@ -226,86 +297,20 @@ class VoiceManager extends EventEmitter {
       this.isRecording = false;
       const recordingDuration = Date.now() - (this.recordingStartTime || Date.now());
       
-      // Generate meeting notes and send to webhook if session has transcripts
-      if (sessionSummary && sessionSummary.transcripts && sessionSummary.transcripts.length > 0) {
-        try {
-          this.log('Generating meeting notes from transcript...', {
-            transcriptCount: sessionSummary.transcripts.length,
-            sessionId: sessionSummary.id
-          });
-          
-          // Generate meeting notes using OpenAI
-          const meetingNotesResult = await this.meetingNotesGenerator.generateMeetingNotes(sessionSummary);
-          
-          if (meetingNotesResult.success) {
-            this.log('Meeting notes and todo list generated successfully', {
-              notesLength: meetingNotesResult.meetingNotes.length,
-              todoList: meetingNotesResult.todoList
-            });
-            
-            // Send meeting notes and todo list to webhook
-            this.log('Sending meeting notes and todo list to webhook...', {
-              webhookUrl: process.env.WEBHOOK_URL
-            });
-            
-            // Format the webhook payload according to the required structure
-            const webhookPayload = {
-              meeting_notes: meetingNotesResult.meetingNotes,
-              call_id: "68cd625aadfbdf1fe71dcba8", // Static call ID as per your example
-              client_id: "68cc36dcf08509fc0085b48f", // Static client ID as per your example
-              agent_id: "68cc36dcf08509fc0085b48e", // Static agent ID as per your example
-              session_id: sessionSummary.id,
-              start_time: new Date(sessionSummary.startTime).toISOString(),
-              end_time: new Date(sessionSummary.endTime).toISOString(),
-              duration_minutes: Math.round(sessionSummary.duration / 60000),
-              timestamp: new Date().toISOString(),
-              source: "call_copilot",
-              todo_items: []
-            };
-
-            // Add schedulemeeting to todo_items
-            webhookPayload.todo_items.push({
-              "schedulemeeting": meetingNotesResult.todoList.reschedule_meeting
-            });
-
-            // Add tasks to todo_items
-            if (meetingNotesResult.todoList.tasks && meetingNotesResult.todoList.tasks.length > 0) {
-              meetingNotesResult.todoList.tasks.forEach(task => {
-                webhookPayload.todo_items.push({
-                  "task": task.task,
-                  "assignee": task.assignee,
-                  "priority": task.priority,
-                  "due_date": task.due_date
-                });
-              });
-            }
-
-            const webhookResult = await this.webhookService.sendTranscript(webhookPayload);
-            
-            if (webhookResult.success) {
-              this.log('Meeting notes sent to webhook successfully', {
-                statusCode: webhookResult.statusCode
-              });
-            } else {
-              this.log('Failed to send meeting notes to webhook', webhookResult.error);
-            }
-          } else {
-            this.log('Failed to generate meeting notes', meetingNotesResult.error);
-          }
-        } catch (error) {
-          this.log('Error processing meeting notes and webhook', error.message);
-        }
+      // Generate meeting notes and send to webhook, or hold them until the transcript has been reviewed
+      if (this.transcriptManager.config.reviewBeforeNotes && sessionSummary?.transcripts.length > 0) {
+        this.sessionAwaitingReview = sessionSummary;
+        this.log('Meeting notes held until the transcript is reviewed', { sessionId: sessionSummary.id });
+        this.notifyRenderer('session-review-pending', { sessionId: sessionSummary.id });
       } else {
-        this.log('No transcripts to process for meeting notes', {
-          hasSessionSummary: !!sessionSummary,
-          transcriptCount: sessionSummary?.transcripts?.length || 0
-        });
+        await this.finalizeSession(sessionSummary);
       }
       
       // Notify renderer process
       this.notifyRenderer('voice-recording-stopped', {
         sessionId: this.currentSessionId,
         duration: recordingDuration,
+        reason: options.reason || 'user',
         summary: sessionSummary
       });
       
@@ -318,6 +323,7 @@ class VoiceManager extends EventEmitter {
       this.emit('recording-stopped', {
         sessionId: this.currentSessionId,
         duration: recordingDuration,
+        reason: options.reason || 'user',
         summary: sessionSummary
       });
       
@@ -333,6 +339,389 @@ class VoiceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Watch a live recording for silence: after sessionTimeout - idleWarning without speech on any
+   * stream the overlay is warned ('recording-idle'), after sessionTimeout the recording is stopped
+   * through the normal end-of-session pipeline
+   */
+  startIdleWatchdog() {
+    this.stopIdleWatchdog();
+    const { sessionTimeout } = this.transcriptManager.config;
+    if (!sessionTimeout) return;
+    
+    this.idleWatchdog = {
+      timer: setInterval(() => this.checkIdle(), Math.min(1000, sessionTimeout / 10)),
+      warned: false
+    };
+  }
+
+  stopIdleWatchdog() {
+    if (this.idleWatchdog) {
+      clearInterval(this.idleWatchdog.timer);
+      this.idleWatchdog = null;
+    }
+  }
+
+  checkIdle() {
+    const watchdog = this.idleWatchdog;
+    if (!watchdog || !this.isRecording) return;
+    
+    const { sessionTimeout, idleWarning } = this.transcriptManager.config;
+    const idleMs = Date.now() - (this.transcriptManager.lastActivity || this.recordingStartTime);
+    
+    if (idleMs >= sessionTimeout) {
+      this.stopIdleWatchdog();
+      this.log('No speech detected, stopping idle recording', { idleMs });
+      this.stopRecording({ reason: 'idle' }).catch(error => this.log('Failed to stop idle recording', error));
+    } else if (idleMs >= sessionTimeout - idleWarning) {
+      if (!watchdog.warned) {
+        watchdog.warned = true;
+        this.log('Recording idle, stopping soon', { idleMs });
+        this.notifyIdle({ idle: true, idleMs, stopsInMs: sessionTimeout - idleMs });
+      }
+    } else if (watchdog.warned) {
+      // Someone spoke again
+      watchdog.warned = false;
+      this.notifyIdle({ idle: false, idleMs, stopsInMs: null });
+    }
+  }
+
+  notifyIdle(status) {
+    this.notifyRenderer('recording-idle', status);
+    this.emit('recording-idle', status);
+  }
+
+  /**
+   * Generate meeting notes for a completed session and send them to the webhook
+   * Shared by live recordings and offline file transcription
+   */
+  async finalizeSession(sessionSummary) {
+    if (sessionSummary && sessionSummary.transcripts && sessionSummary.transcripts.length > 0) {
+      try {
+        this.log('Generating meeting notes from transcript...', {
+          transcriptCount: sessionSummary.transcripts.length,
+          sessionId: sessionSummary.id
+        });
+        
+        // Who spoke, with their roles, for the notes and the webhook
+        const participants = this.transcriptManager.getParticipants(sessionSummary, { spokenOnly: true });
+        
+        // Generate meeting notes using OpenAI
+        const meetingNotesResult = await this.meetingNotesGenerator.generateMeetingNotes({
+          ...sessionSummary,
+          transcripts: this.transcriptManager.redactTranscript(this.transcriptManager.groupIntoTurns(sessionSummary.transcripts), 'llm'),
+          bookmarks: this.transcriptManager.getBookmarks('llm', sessionSummary),
+          participants
+        });
+        
+        if (meetingNotesResult.success) {
+          this.log('Meeting notes and todo list generated successfully', {
+            notesLength: meetingNotesResult.meetingNotes.length,
+            todoList: meetingNotesResult.todoList
+          });
+          
+          // Kept with the session for the document exports
+          await this.transcriptManager.setSessionNotes(sessionSummary, meetingNotesResult);
+          
+          // Send meeting notes and todo list to webhook
+          this.log('Sending meeting notes and todo list to webhook...', {
+            webhookUrl: process.env.WEBHOOK_URL
+          });
+          
+          // Format the webhook payload according to the required structure
+          const webhookPayload = {
+            meeting_notes: this.transcriptManager.redactText(meetingNotesResult.meetingNotes, 'webhook'),
+            call_id: "68cd625aadfbdf1fe71dcba8", // Static call ID as per your example
+            client_id: "68cc36dcf08509fc0085b48f", // Static client ID as per your example
+            agent_id: "68cc36dcf08509fc0085b48e", // Static agent ID as per your example
+            session_id: sessionSummary.id,
+            start_time: new Date(sessionSummary.startTime).toISOString(),
+            end_time: new Date(sessionSummary.endTime).toISOString(),
+            duration_minutes: Math.round(sessionSummary.duration / 60000),
+            timestamp: new Date().toISOString(),
+            source: "call_copilot",
+            participants: participants.map(participant => ({ name: participant.name, role: participant.role })),
+            todo_items: []
+          };
+
+          // Add schedulemeeting to todo_items
+          webhookPayload.todo_items.push({
+            "schedulemeeting": meetingNotesResult.todoList.reschedule_meeting
+          });
+
+          // Add tasks to todo_items
+          if (meetingNotesResult.todoList.tasks && meetingNotesResult.todoList.tasks.length > 0) {
+            meetingNotesResult.todoList.tasks.forEach(task => {
+              webhookPayload.todo_items.push({
+                "task": this.transcriptManager.redactText(task.task, 'webhook'),
+                "assignee": task.assignee,
+                "priority": task.priority,
+                "due_date": task.due_date
+              });
+            });
+          }
+
+          const webhookResult = await this.webhookService.sendTranscript(webhookPayload);
+          
+          if (webhookResult.success) {
+            this.log('Meeting notes sent to webhook successfully', {
+              statusCode: webhookResult.statusCode
+            });
+          } else {
+            this.log('Failed to send meeting notes to webhook', webhookResult.error);
+          }
+        } else {
+          this.log('Failed to generate meeting notes', meetingNotesResult.error);
+        }
+      } catch (error) {
+        this.log('Error processing meeting notes and webhook', error.message);
+      }
+    } else {
+      this.log('No transcripts to process for meeting notes', {
+        hasSessionSummary: !!sessionSummary,
+        transcriptCount: sessionSummary?.transcripts?.length || 0
+      });
+    }
+  }
+
+  /**
+   * Transcribe a recorded audio file (WAV or raw 16 kHz PCM) as a normal session
+   * Stereo files are treated as microphone (left) + system (right); mono files as system audio.
+   * Audio is pushed through AudioCaptureManager faster than real time, so VAD, transcripts,
+   * topic analysis, meeting notes and the webhook all behave exactly as for a live call
+   */
+  async transcribeFile(filePath, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('VoiceManager not initialized');
+    }
+    if (this.isRecording) {
+      throw new Error('Stop the current recording before transcribing a file');
+    }
+    
+    const reader = new AudioFileReader({ sampleRate: VoiceConfig.audio.sampleRate });
+    const audio = await reader.read(filePath);
+    const streamIds = options.streams || (audio.channels.length === 2 ? ['microphone', 'system'] : ['system']);
+    const speed = options.speed || VoiceConfig.audio.fileTranscriptionSpeed;
+    
+    this.log('Transcribing audio file', {
+      filePath,
+      durationMs: audio.durationMs,
+      sourceSampleRate: audio.sourceSampleRate,
+      streams: streamIds,
+      speed
+    });
+    
+    const started = await this.startRecording({
+      source: 'file',
+      sourceFile: path.basename(filePath),
+      audioDurationMs: audio.durationMs,
+      streams: streamIds
+    });
+    if (!started) {
+      throw new Error('Failed to start transcription session');
+    }
+    
+    this.fileTranscription = { filePath, durationMs: audio.durationMs, processedMs: 0 };
+    const sessionId = this.currentSessionId;
+    const chunkMs = 100;
+    const chunkSamples = audio.sampleRate * chunkMs / 1000;
+    const totalSamples = audio.channels[0].length;
+    let lastProgress = -1;
+    
+    try {
+      for (let offset = 0; offset < totalSamples && this.isRecording; offset += chunkSamples) {
+        streamIds.forEach((streamId, index) => {
+          const chunk = audio.channels[Math.min(index, audio.channels.length - 1)].slice(offset, offset + chunkSamples);
+          this.audioCapture.processAudioData(Buffer.from(chunk.buffer), streamId);
+        });
+        
+        this.fileTranscription.processedMs = Math.min(audio.durationMs, Math.round((offset + chunkSamples) / audio.sampleRate * 1000));
+        const progress = Math.floor(this.fileTranscription.processedMs / audio.durationMs * 100);
+        if (progress !== lastProgress) {
+          lastProgress = progress;
+          this.notifyRenderer('file-transcription-progress', { sessionId, filePath, progress, ...this.fileTranscription });
+          this.emit('file-transcription-progress', { sessionId, filePath, progress });
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, chunkMs / speed));
+      }
+      
+      // Recording may have been stopped from the UI while the file was being fed
+      const completed = this.isRecording;
+      if (completed) {
+        await this.stopRecording({ drain: true });
+      }
+      
+      this.log('Audio file transcription finished', { filePath, sessionId, completed });
+      return { sessionId, completed, durationMs: audio.durationMs };
+    } finally {
+      this.fileTranscription = null;
+    }
+  }
+
+  /**
+   * Import a transcript saved by another tool (WebVTT, SRT, Teams or Zoom text) as a session
+   * The call is dated by the file's modification time unless options.startTime says otherwise
+   * (options are passed on to TranscriptManager.importSession). Like a recorded call, the session then
+   * goes through topic analysis and meeting notes with the webhook (held for review when
+   * reviewBeforeNotes is set); options.analyzeTopics / options.generateNotes false skip them
+   */
+  async importTranscript(filePath, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('VoiceManager not initialized');
+    }
+    if (this.isRecording) {
+      throw new Error('Stop the current recording before importing a transcript');
+    }
+    
+    const [text, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+    const { analyzeTopics, generateNotes, ...importOptions } = options;
+    this.log('Importing transcript', { filePath });
+    
+    const session = await this.transcriptManager.importSession(text, {
+      startTime: stats.mtimeMs,
+      ...importOptions,
+      fileName: path.basename(filePath)
+    });
+    
+    if (analyzeTopics !== false) {
+      await this.analyzeSessionTopics(session);
+    }
+    
+    if (generateNotes !== false) {
+      if (this.transcriptManager.config.reviewBeforeNotes) {
+        this.sessionAwaitingReview = session;
+        this.log('Meeting notes held until the transcript is reviewed', { sessionId: session.id });
+        this.notifyRenderer('session-review-pending', { sessionId: session.id });
+      } else {
+        await this.finalizeSession(session);
+      }
+    }
+    
+    return {
+      sessionId: session.id,
+      format: session.metadata.format,
+      transcriptCount: session.transcripts.length,
+      topics: session.topics
+    };
+  }
+
+  /**
+   * Topics of a session that was not analyzed live (an import): the topic analyzer reads it in
+   * windows of turns, as it would have heard it, and each topic is placed where its window ends
+   */
+  async analyzeSessionTopics(session) {
+    if (!this.componentStatus.topicAnalyzer || !this.topicAnalyzer) return;
+    
+    const turns = this.transcriptManager.redactTranscript(this.transcriptManager.groupIntoTurns(session.transcripts), 'llm');
+    const windowSize = this.topicAnalyzer.config.transcriptWindow;
+    
+    // Insights from an earlier call must not be taken for this one's
+    this.topicAnalyzer.clearHistory();
+    for (let start = 0; start < turns.length; start += windowSize) {
+      const window = turns.slice(start, start + windowSize);
+      // The periodic analysis may be running; the analyzer skips requests while it is busy
+      while (this.topicAnalyzer.isAnalyzing) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      try {
+        const topic = await this.topicAnalyzer.analyzeTranscripts(window);
+        if (topic) {
+          this.transcriptManager.addSessionTopic(topic.topic, window[window.length - 1].timestamp, session);
+        }
+      } catch (error) {
+        this.log('Error analyzing topics of the session', error);
+      }
+    }
+    
+    if (session.topics.length > 0) {
+      await this.transcriptManager.saveSession(session);
+    }
+    this.log('Session topics analyzed', { sessionId: session.id, topics: session.topics.length });
+  }
+
+  /**
+   * Pause a live recording: audio is dropped and recognition stops, but the session stays open
+   * (no notes, no webhook) and is continued by resumeRecording()
+   */
+  async pauseRecording() {
+    if (!this.isRecording || this.isPaused) {
+      this.log('No running recording to pause');
+      return false;
+    }
+    if (this.fileTranscription) {
+      throw new Error('File transcription cannot be paused');
+    }
+    
+    this.isPaused = true;
+    this.stopIdleWatchdog();
+    this.audioCapture.pause();
+    
+    // Results for speech before the pause still arrive while recognition stops
+    this.pausedStreams = Array.from(this.speechService.activeStreams);
+    await this.speechService.stopAllRecognition();
+    
+    const marker = this.transcriptManager.pauseSession();
+    this.log('Voice recording paused', { sessionId: this.currentSessionId });
+    this.notifyRenderer('voice-recording-paused', { sessionId: this.currentSessionId, marker });
+    this.emit('recording-paused', { sessionId: this.currentSessionId, marker });
+    return true;
+  }
+
+  /**
+   * Continue a paused recording in the same session
+   */
+  async resumeRecording() {
+    if (!this.isRecording || !this.isPaused) {
+      this.log('No paused recording to resume');
+      return false;
+    }
+    
+    for (const streamId of this.pausedStreams) {
+      await this.speechService.startRecognition(streamId);
+    }
+    this.pausedStreams = [];
+    this.audioCapture.resume();
+    this.isPaused = false;
+    
+    const marker = this.transcriptManager.resumeSession();
+    this.startIdleWatchdog();
+    
+    this.log('Voice recording resumed', { sessionId: this.currentSessionId, pausedMs: marker?.durationMs });
+    this.notifyRenderer('voice-recording-resumed', { sessionId: this.currentSessionId, marker });
+    this.emit('recording-resumed', { sessionId: this.currentSessionId, marker });
+    return true;
+  }
+
+  async togglePause() {
+    return this.isPaused ? this.resumeRecording() : this.pauseRecording();
+  }
+
+  /**
+   * Bookmark the current moment of the call (label optional, can be added later)
+   */
+  addBookmark(label = '') {
+    if (!this.isRecording) {
+      throw new Error('Bookmarks can only be added during a call');
+    }
+    return this.transcriptManager.addBookmark(label);
+  }
+
+  async updateBookmark(bookmarkId, changes) {
+    return this.transcriptManager.updateBookmark(bookmarkId, changes);
+  }
+
+  async removeBookmark(bookmarkId) {
+    return this.transcriptManager.removeBookmark(bookmarkId);
+  }
+
+  /**
+   * Bookmarks of the current (or just completed) call with their lines, redacted for the overlay
+   */
+  getBookmarks() {
+    return this.transcriptManager.getBookmarks('display');
+  }
+
   /**
    * Toggle recording state
    */
@@ -357,6 +746,16 @@ class VoiceManager extends EventEmitter {
       this.handleSystemAudio(audioData);
     });
     
+    this.audioCapture.on('speech-start', (data) => {
+      this.notifyRenderer('speech-activity', { ...data, active: true });
+    });
+    
+    this.audioCapture.on('speech-end', (data) => {
+      // Segment-based providers transcribe the finished utterance now
+      this.speechService.flush(data.source);
+      this.notifyRenderer('speech-activity', { ...data, active: false });
+    });
+    
     this.audioCapture.on('error', (error) => {
       this.log('Audio capture error', error);
       this.emit('audio-error', error);
@@ -376,6 +775,29 @@ class VoiceManager extends EventEmitter {
       this.emit('speech-error', error);
     });
     
+    // Custom vocabulary changes apply to running recognizers without restarting the session
+    this.vocabularyManager.on('vocabulary-updated', ({ phrases }) => {
+      this.speechService.setPhrases(phrases);
+    });
+    
+    // Recognizer recovery: audio keeps being buffered while a stream reconnects
+    this.speechService.on('stream-reconnecting', (data) => {
+      this.log(`Speech recognition reconnecting for ${data.streamId}`, data);
+      this.notifyRenderer('speech-stream-status', { ...data, state: 'reconnecting' });
+    });
+    
+    this.speechService.on('stream-reconnected', (data) => {
+      this.transcriptManager.markGap(data.streamId, data.gap, true);
+      this.notifyRenderer('speech-stream-status', { ...data, state: 'connected' });
+    });
+    
+    this.speechService.on('stream-reconnect-failed', (data) => {
+      this.log(`Speech recognition could not reconnect for ${data.streamId}`, data);
+      this.transcriptManager.markGap(data.streamId, data.gap, false);
+      this.emit('speech-error', { streamId: data.streamId, error: `Reconnect failed after ${data.attempts} attempts` });
+      this.notifyRenderer('speech-stream-status', { ...data, state: 'failed' });
+    });
+    
     // Transcript manager events
     this.transcriptManager.on('interim-transcript', (transcript) => {
       this.notifyRenderer('interim-transcript', transcript);
@@ -383,12 +805,77 @@ class VoiceManager extends EventEmitter {
     
     this.transcriptManager.on('final-transcript', (transcript) => {
       this.notifyRenderer('final-transcript', transcript);
+      // Talk time changes with every line
+      this.notifyRenderer('speakers-updated', this.getSpeakers());
+    });
+    
+    this.transcriptManager.on('speaker-detected', () => {
+      this.notifyRenderer('speakers-updated', this.getSpeakers());
+    });
+    
+    // Renames and role changes
+    this.transcriptManager.on('participant-updated', () => {
+      this.notifyRenderer('speakers-updated', this.getSpeakers());
+    });
+    
+    this.transcriptManager.on('transcript-translated', (transcript) => {
+      this.notifyRenderer('transcript-translated', transcript);
+    });
+    
+    this.transcriptManager.on('transcript-corrected', ({ transcript }) => {
+      this.notifyRenderer('transcript-corrected', transcript);
+    });
+    
+    this.transcriptManager.on('transcripts-edited', (result) => {
+      this.notifyRenderer('transcripts-edited', result);
+      this.notifyRenderer('speakers-updated', this.getSpeakers());
+    });
+    
+    this.transcriptManager.on('bookmark-added', (bookmark) => {
+      this.notifyRenderer('bookmark-added', this.transcriptManager.redactBookmark(bookmark, 'display'));
+      this.notifyRenderer('bookmarks-updated', this.getBookmarks());
+    });
+    
+    ['bookmark-updated', 'bookmark-removed'].forEach(eventName => {
+      this.transcriptManager.on(eventName, () => {
+        this.notifyRenderer('bookmarks-updated', this.getBookmarks());
+      });
+    });
+    
+    this.transcriptManager.on('session-recovered', (result) => {
+      this.notifyRenderer('session-recovered', result);
+      this.notifyRenderer('speakers-updated', this.getSpeakers());
+    });
+    
+    this.transcriptManager.on('session-imported', (result) => {
+      this.notifyRenderer('session-imported', result);
+      this.notifyRenderer('speakers-updated', this.getSpeakers());
     });
     
     this.transcriptManager.on('session-ended', (summary) => {
       this.emit('session-ended', summary);
     });
     
+    this.transcriptManager.on('session-saved', ({ filePath, session }) => {
+      this.sessionRepository.indexSession(filePath, session).catch(error => {
+        this.log('Failed to index saved session', error.message);
+      });
+      // The library entry is registered synchronously; only the index file write is pending
+      this.searchIndex.indexSession(session, this.sessionRepository.getEntry(session.id));
+    });
+    
+    this.sessionRepository.on('session-updated', (entry) => {
+      this.searchIndex.updateSessionInfo(entry.id, entry);
+    });
+    
+    this.sessionRepository.on('session-deleted', (entry) => {
+      this.searchIndex.removeSession(entry.id);
+    });
+    
+    this.sessionRepository.on('sessions-updated', ({ sessions, total }) => {
+      this.notifyRenderer('sessions-updated', { sessions, total });
+    });
+    
     this.transcriptManager.on('transcript-updated', (transcripts) => {
       // Trigger topic analysis when transcripts are updated
       if (this.componentStatus.topicAnalyzer && this.topicAnalyzer) {
@@ -408,7 +895,7 @@ class VoiceManager extends EventEmitter {
     console.log(`VoiceManager: Speech service stream active for microphone: ${this.speechService.isStreamActive('microphone')}`);
     
     if (this.speechService.isStreamActive('microphone')) {
-      const success = this.speechService.processAudioData('microphone', audioData.audioData);
+      const success = this.speechService.processAudioData('microphone', audioData.audioData, audioData.captureOffset);
       console.log(`VoiceManager: Sent audio data to speech service, success: ${success}`);
     } else {
       console.log('VoiceManager: Speech service not active for microphone stream');
@@ -423,7 +910,7 @@ class VoiceManager extends EventEmitter {
     console.log(`🔊 VoiceManager: Speech service stream active for system: ${this.speechService.isStreamActive('system')}`);
     
     if (this.speechService.isStreamActive('system')) {
-      const success = this.speechService.processAudioData('system', audioData.audioData);
+      const success = this.speechService.processAudioData('system', audioData.audioData, audioData.captureOffset);
       console.log(`🔊 VoiceManager: Sent system audio data to speech service, success: ${success}`);
     } else {
       console.log('🔊 VoiceManager: Speech service not active for system stream');
@@ -431,31 +918,15 @@ class VoiceManager extends EventEmitter {
   }
 
   /**
-   * Process audio data from renderer process (via IPC)
-   * This handles audio captured using getUserMedia in the renderer
-   */
-  processRendererAudioData(audioData) {
-    try {
-      console.log('🎤 VoiceManager: Processing MICROPHONE audio data - should be tagged as "Me"');
-      // Pass audio data to the audio capture manager for processing
-      this.audioCapture.processAudioData(audioData, 'microphone');
-    } catch (error) {
-      this.log('Error processing renderer audio data', error);
-      this.emit('audio-error', error);
-    }
-  }
-
-  /**
-   * Process system audio data from desktop capturer
+   * Process binary PCM frames from the renderer capture worklet (via IPC)
+   * streamId is 'microphone' or 'system'; lines are attributed to the session's participant for it
    */
-  processSystemAudioData(audioData) {
+  processAudioFrames(streamId, frames) {
     try {
-      console.log('🔊 VoiceManager: Processing SYSTEM audio data - should be tagged as "Other"');
-      // Pass system audio data to the audio capture manager for processing
-      this.audioCapture.processAudioData(audioData, 'system');
+      this.audioCapture.processAudioData(frames, streamId);
     } catch (error) {
-      this.log('Error processing system audio data', error);
-      this.emit('system-audio-error', error);
+      this.log(`Error processing ${streamId} audio frames`, error);
+      this.emit(streamId === 'system' ? 'system-audio-error' : 'audio-error', error);
     }
   }
 
@@ -468,7 +939,8 @@ class VoiceManager extends EventEmitter {
     this.transcriptManager.addInterimTranscript(
       result.streamId,
       result.text,
-      result.timestamp
+      result.timestamp,
+      { language: result.language, translation: result.translation, speakerId: result.speakerId }
     );
   }
 
@@ -478,14 +950,48 @@ class VoiceManager extends EventEmitter {
   handleFinalResult(result) {
     console.log(`VoiceManager: Handling final result - "${result.text}" from ${result.streamId}`);
     
-    this.transcriptManager.addFinalTranscript(
+    const transcript = this.transcriptManager.addFinalTranscript(
       result.streamId,
       result.text,
       result.confidence,
-      result.timestamp
+      result.timestamp,
+      {
+        alternatives: result.alternatives,
+        audioOffset: result.audioOffset,
+        duration: result.duration,
+        words: result.words,
+        language: result.language,
+        translation: result.translation,
+        speakerId: result.speakerId
+      }
     );
     
     console.log(`VoiceManager: Added final transcript to manager`);
+    
+    if (transcript && !transcript.translation && this.shouldTranslate(transcript)) {
+      this.translateTranscript(transcript);
+    }
+  }
+
+  /**
+   * Whether a final transcript should get a translation after recognition
+   */
+  shouldTranslate(transcript) {
+    const translation = VoiceConfig.speech.translation;
+    return translation.enabled &&
+      translation.streams.includes(transcript.streamId) &&
+      this.translationService.needsTranslation(transcript.language);
+  }
+
+  /**
+   * Translate a final transcript in the background; the transcript is updated when done
+   */
+  async translateTranscript(transcript) {
+    const text = this.transcriptManager.redactText(transcript.text, 'llm');
+    const translation = await this.translationService.translate(text, transcript.language);
+    if (translation) {
+      this.transcriptManager.setTranslation(transcript.id, translation);
+    }
   }
 
   /**
@@ -495,12 +1001,13 @@ class VoiceManager extends EventEmitter {
     if (this.topicAnalyzer) {
       this.topicAnalyzer.on('topic-updated', (topic) => {
         this.log('Conversation topic updated', topic.topic.substring(0, 50) + '...');
+        this.transcriptManager.addSessionTopic(topic.topic, topic.timestamp);
         this.notifyRenderer('topic-updated', topic);
       });
       
       this.topicAnalyzer.on('analysis-requested', () => {
         // Provide current transcripts when analysis is requested
-        const recentTranscripts = this.transcriptManager.getRecentTranscripts(20);
+        const recentTranscripts = this.transcriptManager.getRecentContext(20, 'llm');
         if (recentTranscripts.length > 0) {
           this.analyzeTopicFromTranscripts(recentTranscripts);
         }
@@ -540,18 +1047,22 @@ class VoiceManager extends EventEmitter {
     return {
       isInitialized: this.isInitialized,
       isRecording: this.isRecording,
+      isPaused: this.isPaused,
       currentSessionId: this.currentSessionId,
       recordingStartTime: this.recordingStartTime,
       recordingDuration: this.recordingStartTime ? Date.now() - this.recordingStartTime : 0,
+      fileTranscription: this.fileTranscription,
       componentStatus: this.componentStatus,
       audioStatus: this.audioCapture.getStatus(),
       speechStatus: this.speechService.getStatus(),
       transcriptStatus: this.transcriptManager.getStatus(),
       config: {
         hasAzureCredentials: VoiceConfig.hasAzureCredentials(),
+        speechProvider: VoiceConfig.speech.provider,
         captureMode: VoiceConfig.audio.captureMode,
         dualCaptureEnabled: VoiceConfig.isDualCaptureEnabled(),
-        language: VoiceConfig.azure.language
+        language: VoiceConfig.azure.language,
+        candidateLanguages: VoiceConfig.speech.candidateLanguages
       }
     };
   }
@@ -564,17 +1075,139 @@ class VoiceManager extends EventEmitter {
   }
 
   /**
-   * Get recent transcripts
+   * Get recent transcripts, redacted for the overlay unless another destination is given
+   */
+  getRecentTranscripts(count = 10, destination = 'display') {
+    return this.transcriptManager.getRecentTranscripts(count, destination);
+  }
+
+  /**
+   * Recent conversation for LLM features: turns, or raw lines when turns are disabled
    */
-  getRecentTranscripts(count = 10) {
-    return this.transcriptManager.getRecentTranscripts(count);
+  getRecentContext(count = 10, destination = 'llm') {
+    return this.transcriptManager.getRecentContext(count, destination);
   }
 
   /**
-   * Search transcripts
+   * Search transcripts (results are redacted for the overlay)
    */
   searchTranscripts(query, options = {}) {
-    return this.transcriptManager.searchTranscripts(query, options);
+    return this.transcriptManager.searchTranscripts(query, { destination: 'display', ...options });
+  }
+
+  /**
+   * Search every saved session (see TranscriptSearchIndex.search for the options)
+   * Sessions are indexed as saved, so the call in progress is searchable from its last auto-save
+   */
+  searchSessions(query, options = {}) {
+    return this.searchIndex.search(query, options);
+  }
+
+  /**
+   * Index the lines of every session in the library
+   */
+  async buildSearchIndex() {
+    for (const entry of this.sessionRepository.listSessions().sessions) {
+      try {
+        this.searchIndex.indexSession(await this.sessionRepository.getSession(entry.id), entry);
+      } catch (error) {
+        this.log(`Failed to index session ${entry.id} for search`, error.message);
+      }
+    }
+    this.log('Search index built', this.searchIndex.getStats());
+  }
+
+  /**
+   * Low-confidence lines awaiting review (redacted for the overlay)
+   */
+  getFlaggedTranscripts() {
+    return this.transcriptManager.getLowConfidenceTranscripts('display');
+  }
+
+  /**
+   * Correct a line with a picked alternative or typed text; the correction is logged as vocabulary
+   * training data (redacted like anything else written to disk) and new terms are learned from
+   * what was said, never from PII in it or the placeholders that replace it
+   */
+  async correctTranscript(transcriptId, text, source = 'manual') {
+    const { transcript, correction } = await this.transcriptManager.correctTranscript(transcriptId, text, source);
+    
+    let learnedTerms = [];
+    try {
+      learnedTerms = await this.vocabularyManager.recordCorrection({
+        ...correction,
+        originalText: this.transcriptManager.redactText(correction.originalText, 'disk'),
+        text: this.transcriptManager.redactText(correction.text, 'disk')
+      }, {
+        originalText: correction.originalText,
+        text: correction.text,
+        excludedSpans: this.transcriptManager.redactor.findMatches(correction.text)
+      });
+    } catch (error) {
+      this.log('Failed to record correction for the vocabulary', error.message);
+    }
+    
+    return {
+      transcript: this.transcriptManager.redactTranscript(transcript, 'display'),
+      learnedTerms
+    };
+  }
+
+  /**
+   * Transcript editing (current session, or the last one after the call). Each returns
+   * { edit, transcripts, canUndo, canRedo } with the resulting lines redacted for the overlay
+   */
+  async editTranscript(transcriptId, text) {
+    return this.transcriptManager.editTranscript(transcriptId, text);
+  }
+
+  async reassignSpeaker(transcriptId, speakerKey) {
+    return this.transcriptManager.reassignSpeaker(transcriptId, speakerKey);
+  }
+
+  async mergeTranscripts(firstId, secondId) {
+    return this.transcriptManager.mergeTranscripts(firstId, secondId);
+  }
+
+  async splitTranscript(transcriptId, at) {
+    return this.transcriptManager.splitTranscript(transcriptId, at);
+  }
+
+  async deleteTranscript(transcriptId) {
+    return this.transcriptManager.deleteTranscript(transcriptId);
+  }
+
+  async undoTranscriptEdit() {
+    return this.transcriptManager.undoEdit();
+  }
+
+  async redoTranscriptEdit() {
+    return this.transcriptManager.redoEdit();
+  }
+
+  getEditHistory() {
+    return this.transcriptManager.getEditHistory();
+  }
+
+  /**
+   * Generate the meeting notes of a session held for review (transcript.reviewBeforeNotes)
+   */
+  async finalizeReviewedSession() {
+    const session = this.sessionAwaitingReview;
+    if (!session) {
+      throw new Error('No session is waiting for review');
+    }
+    
+    this.sessionAwaitingReview = null;
+    await this.finalizeSession(session);
+    return { sessionId: session.id };
+  }
+
+  /**
+   * Redact free text for a destination ('display', 'llm', 'disk' or 'webhook')
+   */
+  redactText(text, destination) {
+    return this.transcriptManager.redactText(text, destination);
   }
 
   /**
@@ -585,10 +1218,179 @@ class VoiceManager extends EventEmitter {
   }
 
   /**
-   * Export current session
+   * Speakers of the current (or just completed) session with talk-time stats
+   */
+  getSpeakers() {
+    return this.transcriptManager.getSpeakerStats();
+  }
+
+  /**
+   * Give a speaker (key from getSpeakers) a real name, during or after the call
+   */
+  async renameSpeaker(key, name) {
+    return await this.transcriptManager.renameSpeaker(key, name);
+  }
+
+  /**
+   * Participants (name and role per stream / diarized speaker) of the current or just completed call,
+   * or, with no call yet, the ones the next call starts with
+   */
+  getParticipants() {
+    return this.transcriptManager.getParticipants();
+  }
+
+  /**
+   * Set participants [{ key, name, role }]. Before a call they become the participants the next calls
+   * start with; during a call they are applied to it, relabelling lines already heard
+   */
+  async setParticipants(participants) {
+    if (!this.isRecording) {
+      return this.transcriptManager.setDefaultParticipants(participants);
+    }
+    
+    for (const { key, ...changes } of participants) {
+      await this.transcriptManager.updateParticipant(key, changes);
+    }
+    return this.transcriptManager.getParticipants();
+  }
+
+  /**
+   * Change one participant's name and/or role ({ name, role }), during or after the call
+   */
+  async updateParticipant(key, changes) {
+    return await this.transcriptManager.updateParticipant(key, changes);
+  }
+
+  /**
+   * Get the custom recognition vocabulary
+   */
+  getVocabulary() {
+    return this.vocabularyManager.getVocabulary();
+  }
+
+  /**
+   * Edit the custom recognition vocabulary ({ phrases } | { add, remove } | { reload: true })
+   */
+  async updateVocabulary(update) {
+    return await this.vocabularyManager.updateVocabulary(update);
+  }
+
+  /**
+   * Export the current session, or a saved one by id
+   * Formats: json, txt, csv, srt, vtt, md, html and docx (returned as a Buffer)
+   */
+  async exportSession(format = 'json', sessionId = null, options = {}) {
+    if (sessionId) {
+      const session = await this.sessionRepository.getSession(sessionId);
+      return this.transcriptManager.exportTranscripts(format, { ...options, session });
+    }
+    return this.transcriptManager.exportTranscripts(format, { ...options, sessionOnly: true });
+  }
+
+  /**
+   * Suggested file name and save dialog filter for exporting a session: { fileName, name, extension }
+   */
+  getExportFileInfo(format = 'json', sessionId = null) {
+    const builtIn = {
+      json: { name: 'JSON', extension: 'json' },
+      txt: { name: 'Text', extension: 'txt' },
+      srt: { name: 'SRT Subtitles', extension: 'srt' }
+    };
+    const info = builtIn[format.toLowerCase()] || this.transcriptManager.exporter.getFormat(format);
+    if (!info) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    
+    const session = this.transcriptManager.currentSession || this.transcriptManager.lastSession;
+    const baseName = sessionId
+      ? this.sessionRepository.getEntry(sessionId).title
+      : (session ? this.transcriptManager.getSessionBaseName(session) : 'transcript');
+    // Titles are free text; keep them usable as file names on every platform
+    const fileName = baseName.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) || 'transcript';
+    
+    return { fileName: `${fileName}.${info.extension}`, name: info.name, extension: info.extension };
+  }
+
+  /**
+   * Saved sessions, newest first (options: { query, limit, offset })
+   */
+  listSessions(options = {}) {
+    return this.sessionRepository.listSessions(options);
+  }
+
+  /**
+   * Reopen a saved session
+   */
+  async getSession(sessionId) {
+    return this.sessionRepository.getSession(sessionId);
+  }
+
+  /**
+   * Retitle a saved session; the session still in memory keeps the title for its next save
+   */
+  async renameSession(sessionId, title) {
+    const entry = await this.sessionRepository.renameSession(sessionId, title);
+    const session = [this.transcriptManager.currentSession, this.transcriptManager.lastSession]
+      .find(s => s && s.id === sessionId);
+    if (session) {
+      session.title = entry.title;
+    }
+    return entry;
+  }
+
+  /**
+   * Replace a saved session's tags (used by the library and search filters)
+   */
+  async setSessionTags(sessionId, tags) {
+    const entry = await this.sessionRepository.setSessionTags(sessionId, tags);
+    const session = [this.transcriptManager.currentSession, this.transcriptManager.lastSession]
+      .find(s => s && s.id === sessionId);
+    if (session) {
+      session.tags = entry.tags;
+    }
+    return entry;
+  }
+
+  /**
+   * Calls that never finished (the app quit or crashed while recording), from their journals
+   */
+  async getUnfinishedSessions() {
+    return this.transcriptManager.getUnfinishedSessions();
+  }
+
+  /**
+   * Save an unfinished call from its journal; options.generateNotes also runs the post-call
+   * meeting notes and webhook flow
    */
-  exportSession(format = 'json') {
-    return this.transcriptManager.exportTranscripts(format, { sessionOnly: true });
+  async recoverSession(sessionId, options = {}) {
+    if (this.isRecording) {
+      throw new Error('Cannot recover a session while recording');
+    }
+    
+    const session = await this.transcriptManager.recoverSession(sessionId);
+    if (options.generateNotes) {
+      await this.finalizeSession(session);
+    }
+    return { sessionId, transcriptCount: session.transcripts.length };
+  }
+
+  async discardUnfinishedSession(sessionId) {
+    return this.transcriptManager.discardUnfinishedSession(sessionId);
+  }
+
+  /**
+   * Delete a saved session and its recorded audio (not the call in progress)
+   */
+  async deleteSession(sessionId) {
+    if (this.transcriptManager.currentSession?.id === sessionId) {
+      throw new Error('Cannot delete the session that is being recorded');
+    }
+    const entry = await this.sessionRepository.deleteSession(sessionId);
+    if (this.transcriptManager.lastSession?.id === sessionId) {
+      // Renames and corrections must not write the deleted session back
+      this.transcriptManager.lastSession = null;
+    }
+    return entry;
   }
 
   /**
@@ -601,8 +1403,8 @@ class VoiceManager extends EventEmitter {
       // Update component configurations
       if (section === 'audio') {
         this.audioCapture.updateConfig(VoiceConfig.getAudioConfig());
-      } else if (section === 'azure') {
-        this.speechService.updateConfig(VoiceConfig.getAzureConfig());
+      } else if (section === 'azure' || section === 'speech') {
+        this.speechService.updateConfig(VoiceConfig.getSpeechConfig());
       } else if (section === 'transcript') {
         this.transcriptManager.updateConfig(VoiceConfig.getTranscriptConfig());
       }
@@ -619,13 +1421,13 @@ class VoiceManager extends EventEmitter {
   }
 
   /**
-   * Test Azure Speech connection
+   * Test the speech provider connection (Azure by default)
    */
   async testAzureConnection() {
     try {
       return await this.speechService.testConnection();
     } catch (error) {
-      this.log('Azure connection test failed', error);
+      this.log('Speech provider connection test failed', error);
       return { success: false, error: error.toString() };
     }
   }
@@ -647,6 +1449,7 @@ class VoiceManager extends EventEmitter {
       hasAzureCredentials: VoiceConfig.hasAzureCredentials(),
       supportedLanguages: VoiceConfig.getSupportedLanguages(),
       supportedCaptureModes: VoiceConfig.getSupportedCaptureModes(),
+      supportedSpeechProviders: VoiceConfig.getSupportedSpeechProviders(),
       currentConfig: VoiceConfig.export(),
       audioDevices: this.getAudioDevices()
     };
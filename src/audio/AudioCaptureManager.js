@@ -1,4 +1,7 @@
 const EventEmitter = require('events');
+const VoiceActivityDetector = require('./VoiceActivityDetector');
+const AudioRingBuffer = require('./AudioRingBuffer');
+const SessionAudioRecorder = require('./SessionAudioRecorder');
 
 /**
  * AudioCaptureManager - Handles audio stream capture using Electron's native APIs
@@ -19,6 +22,16 @@ class AudioCaptureManager extends EventEmitter {
       enableSystemAudio: config.enableSystemAudio !== false,
       captureMode: config.captureMode || 'microphone-only', // Simplified to microphone-only by default
       debug: config.debug || false,
+      // Voice activity detection - only speech is forwarded to speech recognition
+      vadEnabled: config.vadEnabled !== false,
+      vadEnergyThreshold: config.vadEnergyThreshold || 0.008,
+      vadMaxZeroCrossingRate: config.vadMaxZeroCrossingRate || 0.35,
+      vadMinSpeechMs: config.vadMinSpeechMs || 60,
+      vadHangoverMs: config.vadHangoverMs || 600,
+      vadPreRollMs: config.vadPreRollMs || 300,
+      // Optional session audio recording (WAV per stream + stereo mix)
+      recordSessionAudio: config.recordSessionAudio || false,
+      recordMixedAudio: config.recordMixedAudio || false,
       ...config
     };
     
@@ -30,6 +43,8 @@ class AudioCaptureManager extends EventEmitter {
     
     // Recording state
     this.isRecording = false;
+    this.isPaused = false; // Audio received while paused is dropped (not recorded, not recognized)
+    this.pausedAt = null;
     this.microphoneActive = false;
     this.systemAudioActive = false;
     
@@ -40,6 +55,18 @@ class AudioCaptureManager extends EventEmitter {
     // Audio data buffer for Azure Speech
     this.audioDataBuffer = [];
     
+    // Per-stream voice activity state: source -> { detector, preRoll }
+    this.vadStreams = new Map();
+    
+    // Capture timeline: bytes captured per stream since recording start
+    this.captureStartTime = null;
+    this.capturePositions = new Map();
+    this.pendingSilence = new Map(); // source -> bytes of paused time to insert before its next chunk
+    
+    // Session audio recorder (only while recording with recordSessionAudio enabled)
+    this.recorder = null;
+    this.lastRecording = null;
+    
     this.log('AudioCaptureManager initialized', { config: this.config });
   }
 
@@ -87,14 +114,34 @@ class AudioCaptureManager extends EventEmitter {
   /**
    * Start audio capture using Electron's native APIs
    * This will be coordinated with the renderer process
+   * options.startTime anchors capture offsets; options.recordingDirectory is where session audio is written
    */
-  async startRecording() {
+  async startRecording(options = {}) {
     if (this.isRecording) {
       this.log('Recording already in progress');
       return false;
     }
 
     try {
+      this.captureStartTime = options.startTime || Date.now();
+      this.capturePositions.clear();
+      this.pendingSilence.clear();
+      this.isPaused = false;
+      this.lastRecording = null;
+      
+      if (this.config.recordSessionAudio && options.recordingDirectory) {
+        this.recorder = new SessionAudioRecorder({
+          sampleRate: this.config.sampleRate,
+          mixed: this.config.recordMixedAudio
+        });
+        this.recorder.on('error', (error) => {
+          this.log('Session audio recording error', error);
+          this.emit('error', error);
+        });
+        await this.recorder.start(options.recordingDirectory);
+        this.log('Session audio recording enabled', { directory: options.recordingDirectory });
+      }
+      
       this.isRecording = true;
       this.emit('recording-started');
       
@@ -122,8 +169,28 @@ class AudioCaptureManager extends EventEmitter {
 
     try {
       this.isRecording = false;
+      this.isPaused = false;
+      this.pendingSilence.clear();
       this.microphoneActive = false;
       
+      // Close any speech segment still open and reset detectors
+      this.resetVoiceActivity();
+      
+      // Finalize session audio files
+      if (this.recorder) {
+        const files = await this.recorder.stop();
+        this.lastRecording = {
+          directory: this.recorder.directory,
+          files,
+          sampleRate: this.config.sampleRate,
+          startTime: this.captureStartTime
+        };
+        this.recorder = null;
+        this.log('Session audio saved', this.lastRecording);
+        this.emit('recording-saved', this.lastRecording);
+      }
+      this.captureStartTime = null;
+      
       // Clear audio buffer
       this.audioDataBuffer = [];
       
@@ -138,14 +205,63 @@ class AudioCaptureManager extends EventEmitter {
     }
   }
 
+  /**
+   * Stop taking audio without ending the recording (holds, private side conversations)
+   */
+  pause() {
+    if (!this.isRecording || this.isPaused) {
+      return false;
+    }
+    
+    this.isPaused = true;
+    this.pausedAt = Date.now();
+    
+    // Close open speech segments so recognition can finish what was said before the pause
+    this.resetVoiceActivity();
+    
+    this.log('Recording paused');
+    this.emit('recording-paused');
+    return true;
+  }
+
+  /**
+   * Take audio again; the paused time is written as silence so the recorded files and
+   * capture offsets stay on the session's wall-clock timeline. Returns the paused time (ms)
+   */
+  resume() {
+    if (!this.isPaused) {
+      return 0;
+    }
+    
+    const pausedMs = Date.now() - this.pausedAt;
+    const bytesPerMs = this.config.sampleRate * 2 / 1000;
+    const silenceBytes = Math.round(pausedMs * bytesPerMs / 2) * 2; // Whole samples only
+    
+    // Streams that have not started yet are placed by elapsed time on their first chunk anyway
+    this.capturePositions.forEach((position, source) => {
+      this.pendingSilence.set(source, (this.pendingSilence.get(source) || 0) + silenceBytes);
+    });
+    
+    this.isPaused = false;
+    this.pausedAt = null;
+    
+    this.log('Recording resumed', { pausedMs });
+    this.emit('recording-resumed', { pausedMs });
+    return pausedMs;
+  }
+
   /**
    * Process audio data received from renderer process
    * This method receives audio data captured via getUserMedia in the renderer
    */
   processAudioData(audioData, source = 'microphone') {
+    if (this.isPaused) {
+      return;
+    }
+    
     try {
-      const speakerTag = source === 'microphone' ? 'Me' : 'Other';
-      console.log(`🎵 AudioCaptureManager: Received ${audioData?.length || 0} audio samples from ${source} -> Speaker: "${speakerTag}"`);
+      // Speaker names and roles are resolved from the stream id by the TranscriptManager
+      console.log(`🎵 AudioCaptureManager: Received ${audioData?.byteLength || 0} audio bytes from ${source}`);
       
       // Convert the audio data to format suitable for Azure Speech SDK
       const processedBuffer = this.processAudioBuffer(audioData);
@@ -153,16 +269,14 @@ class AudioCaptureManager extends EventEmitter {
       // Add to audio buffer
       this.audioDataBuffer.push(processedBuffer);
       
-      const eventName = source === 'microphone' ? 'microphone-audio' : 'system-audio';
-      console.log(`🎵 AudioCaptureManager: Emitting ${eventName} event with ${processedBuffer.length} bytes for speaker "${speakerTag}"`);
+      // Place the chunk on the session timeline and record it
+      const { captureOffset, leadingSilenceBytes } = this.trackCapturePosition(source, processedBuffer);
+      if (this.recorder) {
+        this.recorder.write(source, processedBuffer, leadingSilenceBytes);
+      }
       
-      // Emit audio data for speech recognition with correct event name
-      this.emit(eventName, {
-        source: source,
-        speaker: speakerTag,
-        audioData: processedBuffer,
-        timestamp: Date.now()
-      });
+      // Forward to speech recognition (gated by voice activity detection)
+      this.routeAudio(source, processedBuffer, captureOffset);
       
       // Manage buffer size to prevent memory issues
       if (this.audioDataBuffer.length > 1000) {
@@ -177,6 +291,127 @@ class AudioCaptureManager extends EventEmitter {
     }
   }
 
+  /**
+   * Forward audio to speech recognition while speech is active on the stream
+   * Audio preceding speech onset is kept in a short pre-roll buffer and flushed at speech-start
+   */
+  routeAudio(source, audioBuffer, captureOffset = null) {
+    const eventName = source === 'microphone' ? 'microphone-audio' : 'system-audio';
+    const emitAudio = ({ audioData, captureOffset }) => {
+      console.log(`🎵 AudioCaptureManager: Emitting ${eventName} event with ${audioData.length} bytes from ${source}`);
+      
+      // Emit audio data for speech recognition with correct event name
+      this.emit(eventName, {
+        source: source,
+        audioData,
+        captureOffset,
+        timestamp: Date.now()
+      });
+    };
+    const chunk = { audioData: audioBuffer, captureOffset };
+    
+    if (!this.config.vadEnabled) {
+      emitAudio(chunk);
+      return;
+    }
+    
+    const vadStream = this.getVadStream(source);
+    const vad = vadStream.detector.process(this.toInt16Samples(audioBuffer));
+    
+    if (vad.speechStarted) {
+      this.log(`Speech started on ${source}`);
+      this.emit('speech-start', { source, timestamp: Date.now() });
+      vadStream.preRoll.drain().forEach(emitAudio);
+    }
+    
+    if (vad.isSpeech || vad.speechStarted || vad.speechEnded) {
+      emitAudio(chunk);
+    } else {
+      vadStream.preRoll.push(chunk);
+    }
+    
+    if (vad.speechEnded) {
+      this.log(`Speech ended on ${source}`);
+      this.emit('speech-end', { source, timestamp: Date.now() });
+    }
+  }
+
+  /**
+   * Get (or lazily create) the voice activity state for a stream
+   */
+  getVadStream(source) {
+    if (!this.vadStreams.has(source)) {
+      const bytesPerMs = this.config.sampleRate * 2 / 1000;
+      this.vadStreams.set(source, {
+        detector: new VoiceActivityDetector({
+          sampleRate: this.config.sampleRate,
+          energyThreshold: this.config.vadEnergyThreshold,
+          maxZeroCrossingRate: this.config.vadMaxZeroCrossingRate,
+          minSpeechMs: this.config.vadMinSpeechMs,
+          hangoverMs: this.config.vadHangoverMs
+        }),
+        preRoll: new AudioRingBuffer(
+          Math.round(this.config.vadPreRollMs * bytesPerMs),
+          (chunk) => chunk.audioData.byteLength
+        )
+      });
+    }
+    return this.vadStreams.get(source);
+  }
+
+  /**
+   * Advance the capture timeline of a stream by one chunk
+   * The first chunk of a stream is offset by the time elapsed since recording start,
+   * so streams that start late stay aligned in the recorded files; after a pause the paused
+   * time is skipped the same way
+   */
+  trackCapturePosition(source, audioBuffer) {
+    if (!this.captureStartTime) {
+      return { captureOffset: null, leadingSilenceBytes: 0 };
+    }
+    
+    const bytesPerMs = this.config.sampleRate * 2 / 1000;
+    let position = this.capturePositions.get(source);
+    let leadingSilenceBytes = 0;
+    
+    if (position === undefined) {
+      const chunkMs = audioBuffer.byteLength / bytesPerMs;
+      const elapsedMs = Math.max(0, Date.now() - this.captureStartTime - chunkMs);
+      leadingSilenceBytes = Math.round(elapsedMs * bytesPerMs / 2) * 2; // Whole samples only
+      position = leadingSilenceBytes;
+    } else if (this.pendingSilence.has(source)) {
+      leadingSilenceBytes = this.pendingSilence.get(source);
+      this.pendingSilence.delete(source);
+      position += leadingSilenceBytes;
+    }
+    
+    this.capturePositions.set(source, position + audioBuffer.byteLength);
+    
+    return { captureOffset: position / bytesPerMs, leadingSilenceBytes };
+  }
+
+  /**
+   * End open speech segments and drop all voice activity state
+   */
+  resetVoiceActivity() {
+    this.vadStreams.forEach((vadStream, source) => {
+      if (vadStream.detector.isSpeech) {
+        this.emit('speech-end', { source, timestamp: Date.now() });
+      }
+    });
+    this.vadStreams.clear();
+  }
+
+  /**
+   * View a PCM16 buffer as samples (copying only when the buffer is not 2-byte aligned)
+   */
+  toInt16Samples(audioBuffer) {
+    if (audioBuffer.byteOffset % 2 === 0) {
+      return new Int16Array(audioBuffer.buffer, audioBuffer.byteOffset, Math.floor(audioBuffer.byteLength / 2));
+    }
+    return new Int16Array(Uint8Array.from(audioBuffer).buffer, 0, Math.floor(audioBuffer.byteLength / 2));
+  }
+
   /**
    * Set microphone active state (called when renderer starts/stops capture)
    */
@@ -235,14 +470,11 @@ class AudioCaptureManager extends EventEmitter {
    */
   processAudioBuffer(audioData) {
     try {
-      console.log(`AudioCaptureManager: Processing audio buffer - type: ${audioData?.constructor?.name}, length: ${audioData?.length}`);
+      console.log(`AudioCaptureManager: Processing audio buffer - type: ${audioData?.constructor?.name}, bytes: ${audioData?.byteLength}`);
       
-      // If audioData is an array (from renderer), convert to Int16Array then Buffer
-      if (Array.isArray(audioData)) {
-        const int16Array = new Int16Array(audioData);
-        const buffer = Buffer.from(int16Array.buffer);
-        console.log(`AudioCaptureManager: Converted array to Buffer - ${buffer.length} bytes`);
-        return buffer;
+      // Binary frames from the capture worklet arrive as an ArrayBuffer of PCM16 samples
+      if (audioData instanceof ArrayBuffer) {
+        return Buffer.from(audioData);
       }
       
       // If audioData is already a Buffer/Uint8Array for Azure Speech, pass through
@@ -282,9 +514,15 @@ class AudioCaptureManager extends EventEmitter {
   getStatus() {
     return {
       isRecording: this.isRecording,
+      isPaused: this.isPaused,
       microphoneActive: this.microphoneActive,
       captureMode: this.config.captureMode,
+      isRecordingAudio: !!this.recorder,
       bufferSize: this.audioDataBuffer.length,
+      vadEnabled: this.config.vadEnabled,
+      speechActive: Object.fromEntries(
+        Array.from(this.vadStreams.entries()).map(([source, vadStream]) => [source, vadStream.detector.isSpeech])
+      ),
       sampleRate: this.config.sampleRate,
       channels: this.config.channels
     };
@@ -295,6 +533,9 @@ class AudioCaptureManager extends EventEmitter {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    
+    // Detectors are rebuilt with the new thresholds on the next audio chunk
+    this.resetVoiceActivity();
     this.log('Configuration updated', this.config);
     this.emit('config-updated', this.config);
   }
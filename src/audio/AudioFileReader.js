@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * AudioFileReader - Decodes recorded audio files for offline transcription
+ * Reads WAV (PCM 8/16/24/32-bit or 32-bit float) and raw 16-bit PCM files and returns
+ * 16-bit channels resampled to the speech pipeline's sample rate
+ */
+class AudioFileReader {
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: config.sampleRate || 16000, // Output sample rate
+      rawSampleRate: config.rawSampleRate || 16000, // Assumed rate of headerless .pcm files
+      rawChannels: config.rawChannels || 1,
+      ...config
+    };
+  }
+
+  /**
+   * Read and decode an audio file
+   * Returns { sampleRate, channels: Int16Array[], durationMs, sourceSampleRate }
+   */
+  async read(filePath) {
+    const data = await fs.promises.readFile(filePath);
+    const isWav = data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WAVE';
+
+    let decoded;
+    if (isWav) {
+      decoded = this.decodeWav(data);
+    } else if (path.extname(filePath).toLowerCase() === '.pcm') {
+      decoded = this.decodePcm(data, this.config.rawSampleRate, this.config.rawChannels, 16, WAVE_FORMAT_PCM);
+    } else {
+      throw new Error(`Unsupported audio file (expected WAV or raw 16-bit PCM): ${path.basename(filePath)}`);
+    }
+
+    // Stereo keeps both channels (one per speaker stream); anything else is mixed down to mono
+    let channels = decoded.channels;
+    if (channels.length > 2) {
+      channels = [this.downmix(channels)];
+    }
+
+    channels = channels.map(channel => this.resample(channel, decoded.sampleRate, this.config.sampleRate));
+
+    return {
+      sampleRate: this.config.sampleRate,
+      sourceSampleRate: decoded.sampleRate,
+      channels,
+      durationMs: Math.round(channels[0].length / this.config.sampleRate * 1000)
+    };
+  }
+
+  /**
+   * Walk the RIFF chunks of a WAV file and decode its data chunk
+   */
+  decodeWav(data) {
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= data.length) {
+      const chunkId = data.toString('ascii', offset, offset + 4);
+      const chunkSize = data.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        let formatTag = data.readUInt16LE(body);
+        if (formatTag === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+          formatTag = data.readUInt16LE(body + 24); // First two bytes of the sub-format GUID
+        }
+        format = {
+          formatTag,
+          channels: data.readUInt16LE(body + 2),
+          sampleRate: data.readUInt32LE(body + 4),
+          bitsPerSample: data.readUInt16LE(body + 14)
+        };
+      } else if (chunkId === 'data') {
+        if (!format) {
+          throw new Error('Invalid WAV file: data chunk before fmt chunk');
+        }
+        // Some writers leave the size at 0 or 0xFFFFFFFF for streamed files
+        const end = chunkSize > 0 ? Math.min(body + chunkSize, data.length) : data.length;
+        return this.decodePcm(data.subarray(body, end), format.sampleRate, format.channels, format.bitsPerSample, format.formatTag);
+      }
+
+      offset = body + chunkSize + (chunkSize % 2); // Chunks are word aligned
+    }
+
+    throw new Error('Invalid WAV file: no data chunk found');
+  }
+
+  /**
+   * Deinterleave PCM bytes into one Int16Array per channel
+   */
+  decodePcm(bytes, sampleRate, channelCount, bitsPerSample, formatTag) {
+    const isFloat = formatTag === WAVE_FORMAT_IEEE_FLOAT;
+    if ((formatTag !== WAVE_FORMAT_PCM && !isFloat) || (isFloat && bitsPerSample !== 32) || ![8, 16, 24, 32].includes(bitsPerSample)) {
+      throw new Error(`Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample}-bit)`);
+    }
+    if (!channelCount || !sampleRate) {
+      throw new Error('Invalid audio format: missing channel count or sample rate');
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor(bytes.length / (bytesPerSample * channelCount));
+    const channels = Array.from({ length: channelCount }, () => new Int16Array(frameCount));
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      for (let channel = 0; channel < channelCount; channel++) {
+        const position = (frame * channelCount + channel) * bytesPerSample;
+        let sample;
+
+        if (isFloat) {
+          sample = Math.max(-1, Math.min(1, bytes.readFloatLE(position))) * 0x7FFF;
+        } else if (bitsPerSample === 8) {
+          sample = (bytes[position] - 128) << 8; // 8-bit WAV is unsigned
+        } else if (bitsPerSample === 16) {
+          sample = bytes.readInt16LE(position);
+        } else if (bitsPerSample === 24) {
+          sample = bytes.readIntLE(position, 3) >> 8;
+        } else {
+          sample = bytes.readInt32LE(position) >> 16;
+        }
+
+        channels[channel][frame] = sample;
+      }
+    }
+
+    return { sampleRate, channels };
+  }
+
+  /**
+   * Average all channels into one
+   */
+  downmix(channels) {
+    const mono = new Int16Array(channels[0].length);
+    for (let i = 0; i < mono.length; i++) {
+      let sum = 0;
+      for (const channel of channels) {
+        sum += channel[i];
+      }
+      mono[i] = Math.round(sum / channels.length);
+    }
+    return mono;
+  }
+
+  /**
+   * Linear-interpolation resampler (speech recognition does not need better)
+   */
+  resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = fromRate / toRate;
+    const output = new Int16Array(Math.floor(samples.length / ratio));
+
+    for (let i = 0; i < output.length; i++) {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      const fraction = position - index;
+      output[i] = Math.round(samples[index] * (1 - fraction) + samples[next] * fraction);
+    }
+
+    return output;
+  }
+}
+
+module.exports = AudioFileReader;
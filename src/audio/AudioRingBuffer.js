@@ -0,0 +1,52 @@
+/**
+ * AudioRingBuffer - Bounded FIFO of audio chunks
+ * Keeps at most maxBytes of the most recent audio; older chunks are evicted first
+ * sizeOf lets entries carry metadata alongside their audio (defaults to chunk.byteLength)
+ */
+class AudioRingBuffer {
+  constructor(maxBytes, sizeOf = (chunk) => chunk.byteLength) {
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+    this.chunks = [];
+    this.byteLength = 0;
+    this.droppedBytes = 0;
+  }
+
+  /**
+   * Append a chunk, evicting the oldest chunks beyond capacity
+   */
+  push(chunk) {
+    this.chunks.push(chunk);
+    this.byteLength += this.sizeOf(chunk);
+
+    while (this.byteLength > this.maxBytes && this.chunks.length > 1) {
+      const evictedBytes = this.sizeOf(this.chunks.shift());
+      this.byteLength -= evictedBytes;
+      this.droppedBytes += evictedBytes;
+    }
+  }
+
+  /**
+   * Remove and return all buffered chunks, oldest first
+   */
+  drain() {
+    const chunks = this.chunks;
+    this.clear();
+    return chunks;
+  }
+
+  /**
+   * Discard all buffered chunks
+   */
+  clear() {
+    this.chunks = [];
+    this.byteLength = 0;
+    this.droppedBytes = 0;
+  }
+
+  get length() {
+    return this.chunks.length;
+  }
+}
+
+module.exports = AudioRingBuffer;
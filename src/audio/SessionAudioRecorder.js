@@ -0,0 +1,246 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * SessionAudioRecorder - Writes captured session audio to WAV files
+ * One mono 16-bit PCM file per stream ('microphone', 'system') and, optionally,
+ * a stereo mix (left = microphone, right = system) built when the recording stops.
+ * A file that cannot be written (disk full, no permission) stops recording that stream
+ * and emits 'error'; the other streams carry on
+ */
+class SessionAudioRecorder extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      sampleRate: config.sampleRate || 16000,
+      mixed: config.mixed || false,
+      // Audio held in memory while the disk catches up; beyond this it is dropped
+      maxBufferedMs: config.maxBufferedMs || 2000,
+      ...config
+    };
+
+    this.directory = null;
+    // streamId -> { filePath, stream, bytesWritten, silenceBytes, droppedBytes, congested, error }
+    this.writers = new Map();
+    this.isRecording = false;
+  }
+
+  /**
+   * Start recording into a session directory
+   */
+  async start(directory) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    this.directory = directory;
+    this.writers.clear();
+    this.isRecording = true;
+  }
+
+  /**
+   * Append PCM16 samples for a stream, preceded by optional leading silence
+   * While the file is behind (write() returned false) samples are dropped and counted; they are
+   * written back as silence once it drains, so the file stays on the session timeline
+   */
+  write(streamId, audioBuffer, leadingSilenceBytes = 0) {
+    if (!this.isRecording) return;
+
+    const writer = this.getWriter(streamId);
+    if (writer.error) return;
+
+    writer.silenceBytes += leadingSilenceBytes;
+    this.writeSilence(writer);
+    if (writer.congested) {
+      writer.silenceBytes += audioBuffer.byteLength;
+      writer.droppedBytes += audioBuffer.byteLength;
+      return;
+    }
+
+    this.append(writer, audioBuffer);
+  }
+
+  /**
+   * Write PCM bytes, marking the writer congested until the stream drains
+   */
+  append(writer, buffer) {
+    writer.bytesWritten += buffer.byteLength;
+    if (!writer.stream.write(buffer)) {
+      writer.congested = true;
+      writer.stream.once('drain', () => {
+        writer.congested = false;
+        this.writeSilence(writer);
+      });
+    }
+  }
+
+  /**
+   * Write owed silence (leading silence, dropped samples) in chunks while the stream keeps up
+   */
+  writeSilence(writer) {
+    while (this.isRecording && writer.silenceBytes > 0 && !writer.congested && !writer.error) {
+      const bytes = Math.min(writer.silenceBytes, writer.stream.writableHighWaterMark);
+      writer.silenceBytes -= bytes;
+      this.append(writer, Buffer.alloc(bytes));
+    }
+  }
+
+  /**
+   * Get (or lazily open) the WAV writer for a stream
+   */
+  getWriter(streamId) {
+    if (!this.writers.has(streamId)) {
+      const filePath = path.join(this.directory, `${streamId}.wav`);
+      // Whole samples, so a chunk of owed silence never splits one
+      const highWaterMark = Math.round(this.config.sampleRate * this.config.maxBufferedMs / 1000) * 2;
+      const stream = fs.createWriteStream(filePath, { highWaterMark });
+      const writer = {
+        filePath,
+        stream,
+        bytesWritten: 0,
+        silenceBytes: 0,
+        droppedBytes: 0,
+        congested: false,
+        error: null
+      };
+
+      stream.on('error', (error) => {
+        if (writer.error) return;
+        writer.error = error;
+        stream.destroy();
+        this.emit('error', new Error(`Stopped recording ${streamId} audio to ${filePath}: ${error.message}`));
+      });
+
+      // Placeholder header - sizes are patched when the file is closed
+      stream.write(this.createWavHeader(0, 1));
+
+      this.writers.set(streamId, writer);
+    }
+    return this.writers.get(streamId);
+  }
+
+  /**
+   * Close all files, patch WAV headers and build the stereo mix if enabled
+   * Returns the written file paths keyed by stream ('mixed' for the stereo file); streams whose
+   * file failed are left out
+   */
+  async stop() {
+    if (!this.isRecording) return null;
+    this.isRecording = false;
+
+    const files = {};
+    const saved = new Map();
+    for (const [streamId, writer] of this.writers) {
+      if (!writer.error) {
+        await new Promise(resolve => writer.stream.end(resolve));
+      }
+      if (writer.error) continue;
+
+      await this.patchWavHeader(writer.filePath, writer.bytesWritten, 1);
+      files[streamId] = writer.filePath;
+      saved.set(streamId, writer);
+    }
+
+    if (this.config.mixed && saved.size > 0) {
+      files.mixed = await this.writeStereoMix(
+        path.join(this.directory, 'mixed.wav'),
+        saved.get('microphone'),
+        saved.get('system')
+      );
+    }
+
+    this.writers.clear();
+    return files;
+  }
+
+  /**
+   * Interleave the microphone and system files into a stereo WAV, padding the shorter one with silence
+   */
+  async writeStereoMix(filePath, leftWriter, rightWriter) {
+    const leftBytes = leftWriter?.bytesWritten || 0;
+    const rightBytes = rightWriter?.bytesWritten || 0;
+    const monoBytes = Math.max(leftBytes, rightBytes);
+    const chunkBytes = this.config.sampleRate * 2; // 1 second per pass
+
+    const left = leftWriter ? await fs.promises.open(leftWriter.filePath, 'r') : null;
+    const right = rightWriter ? await fs.promises.open(rightWriter.filePath, 'r') : null;
+    const output = await fs.promises.open(filePath, 'w');
+
+    try {
+      await output.write(this.createWavHeader(monoBytes * 2, 2), 0, WAV_HEADER_SIZE, 0);
+
+      let outputPosition = WAV_HEADER_SIZE;
+      for (let position = 0; position < monoBytes; position += chunkBytes) {
+        const length = Math.min(chunkBytes, monoBytes - position);
+        const leftChunk = await this.readPcm(left, position, length, leftBytes);
+        const rightChunk = await this.readPcm(right, position, length, rightBytes);
+
+        const stereo = Buffer.alloc(length * 2);
+        for (let i = 0; i < length; i += 2) {
+          stereo.writeInt16LE(leftChunk.readInt16LE(i), i * 2);
+          stereo.writeInt16LE(rightChunk.readInt16LE(i), i * 2 + 2);
+        }
+
+        await output.write(stereo, 0, stereo.length, outputPosition);
+        outputPosition += stereo.length;
+      }
+    } finally {
+      await output.close();
+      if (left) await left.close();
+      if (right) await right.close();
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Read PCM bytes from a mono WAV file, zero-filled past the end of its data
+   */
+  async readPcm(fileHandle, position, length, dataBytes) {
+    const chunk = Buffer.alloc(length);
+    const available = Math.max(0, Math.min(length, dataBytes - position));
+    if (fileHandle && available > 0) {
+      await fileHandle.read(chunk, 0, available, WAV_HEADER_SIZE + position);
+    }
+    return chunk;
+  }
+
+  /**
+   * Rewrite the RIFF/data sizes of a closed WAV file
+   */
+  async patchWavHeader(filePath, dataBytes, channels) {
+    const fileHandle = await fs.promises.open(filePath, 'r+');
+    try {
+      await fileHandle.write(this.createWavHeader(dataBytes, channels), 0, WAV_HEADER_SIZE, 0);
+    } finally {
+      await fileHandle.close();
+    }
+  }
+
+  /**
+   * Build a canonical 44-byte PCM16 WAV header
+   */
+  createWavHeader(dataBytes, channels) {
+    const header = Buffer.alloc(WAV_HEADER_SIZE);
+    const byteRate = this.config.sampleRate * channels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // PCM fmt chunk size
+    header.writeUInt16LE(1, 20); // Audio format: PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(this.config.sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * 2, 32); // Block align
+    header.writeUInt16LE(16, 34); // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+
+    return header;
+  }
+}
+
+module.exports = SessionAudioRecorder;
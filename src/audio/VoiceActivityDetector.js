@@ -0,0 +1,109 @@
+/**
+ * VoiceActivityDetector - Energy + zero-crossing voice activity detection for one audio stream
+ * Works on 16-bit PCM in short analysis frames, tracks an adaptive noise floor and applies
+ * an attack (minimum speech) and hangover period so soft word endings are not clipped
+ */
+class VoiceActivityDetector {
+  constructor(config = {}) {
+    this.config = {
+      sampleRate: config.sampleRate || 16000,
+      frameMs: config.frameMs || 20,
+      energyThreshold: config.energyThreshold || 0.008, // RMS, normalized to [0, 1]
+      noiseMultiplier: config.noiseMultiplier || 3, // Speech must be this much louder than the noise floor
+      maxZeroCrossingRate: config.maxZeroCrossingRate || 0.35, // Higher rates are treated as hiss/noise
+      minSpeechMs: config.minSpeechMs || 60,
+      hangoverMs: config.hangoverMs || 600,
+      ...config
+    };
+
+    this.frameSize = Math.round(this.config.sampleRate * this.config.frameMs / 1000);
+    this.minSpeechFrames = Math.max(1, Math.round(this.config.minSpeechMs / this.config.frameMs));
+    this.hangoverFrames = Math.max(1, Math.round(this.config.hangoverMs / this.config.frameMs));
+
+    this.reset();
+  }
+
+  /**
+   * Reset detector state (e.g. at the start of a recording)
+   */
+  reset() {
+    this.isSpeech = false;
+    this.speechFrames = 0;
+    this.silenceFrames = 0;
+    this.noiseFloor = this.config.energyThreshold / this.config.noiseMultiplier;
+    this.pending = new Int16Array(0);
+  }
+
+  /**
+   * Analyze a chunk of PCM16 samples
+   * Returns the speech state after the chunk and whether speech started/ended inside it
+   */
+  process(samples) {
+    let speechStarted = false;
+    let speechEnded = false;
+
+    // Carry incomplete frames over to the next chunk
+    const input = new Int16Array(this.pending.length + samples.length);
+    input.set(this.pending, 0);
+    input.set(samples, this.pending.length);
+
+    let offset = 0;
+    while (offset + this.frameSize <= input.length) {
+      const frame = input.subarray(offset, offset + this.frameSize);
+      offset += this.frameSize;
+
+      const { energy, zeroCrossingRate } = this.analyzeFrame(frame);
+      const threshold = Math.max(this.config.energyThreshold, this.noiseFloor * this.config.noiseMultiplier);
+      const isSpeechFrame = energy > threshold && zeroCrossingRate <= this.config.maxZeroCrossingRate;
+
+      if (isSpeechFrame) {
+        this.speechFrames++;
+        this.silenceFrames = 0;
+
+        if (!this.isSpeech && this.speechFrames >= this.minSpeechFrames) {
+          this.isSpeech = true;
+          speechStarted = true;
+        }
+      } else {
+        this.speechFrames = 0;
+        this.silenceFrames++;
+
+        // Only learn the noise floor from non-speech frames
+        this.noiseFloor = this.noiseFloor * 0.95 + energy * 0.05;
+
+        if (this.isSpeech && this.silenceFrames >= this.hangoverFrames) {
+          this.isSpeech = false;
+          speechEnded = true;
+        }
+      }
+    }
+
+    this.pending = input.slice(offset);
+
+    return { isSpeech: this.isSpeech, speechStarted, speechEnded };
+  }
+
+  /**
+   * Compute normalized RMS energy and zero-crossing rate of a frame
+   */
+  analyzeFrame(frame) {
+    let sumSquares = 0;
+    let zeroCrossings = 0;
+
+    for (let i = 0; i < frame.length; i++) {
+      const sample = frame[i] / 0x8000;
+      sumSquares += sample * sample;
+
+      if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+        zeroCrossings++;
+      }
+    }
+
+    return {
+      energy: Math.sqrt(sumSquares / frame.length),
+      zeroCrossingRate: zeroCrossings / frame.length
+    };
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,65 @@
+/**
+ * PcmCaptureProcessor - AudioWorklet processor for the renderer capture pipeline
+ * Converts render quanta to 16-bit PCM on the audio thread and posts batched
+ * frames to the renderer as transferable ArrayBuffers (no copies, no JSON arrays)
+ */
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options = {}) {
+    super();
+
+    const { batchSize = 2048 } = options.processorOptions || {};
+
+    this.batchSize = batchSize;
+    this.batch = new Int16Array(this.batchSize);
+    this.batchLength = 0;
+    this.isCapturing = true;
+
+    this.port.onmessage = (event) => {
+      if (event.data?.type === 'flush') {
+        this.flush();
+      } else if (event.data?.type === 'stop') {
+        // The last frame goes out before 'stopped', so the renderer can wait for it
+        this.flush();
+        this.isCapturing = false;
+        this.port.postMessage({ type: 'stopped' });
+      }
+    };
+  }
+
+  process(inputs) {
+    const channel = inputs[0]?.[0];
+    if (!channel) {
+      return this.isCapturing;
+    }
+
+    for (let i = 0; i < channel.length; i++) {
+      // Clamp to [-1, 1] and convert to 16-bit integer for Azure Speech SDK
+      const sample = Math.max(-1, Math.min(1, channel[i]));
+      this.batch[this.batchLength++] = sample * 0x7FFF;
+
+      if (this.batchLength === this.batchSize) {
+        this.flush();
+      }
+    }
+
+    return this.isCapturing;
+  }
+
+  /**
+   * Post the current batch to the renderer, transferring its buffer
+   */
+  flush() {
+    if (this.batchLength === 0) return;
+
+    const frame = this.batch.slice(0, this.batchLength);
+    this.port.postMessage({
+      type: 'frame',
+      pcm: frame.buffer,
+      samples: this.batchLength
+    }, [frame.buffer]);
+
+    this.batchLength = 0;
+  }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -18,6 +18,59 @@ class VoiceConfig {
       endpoint: process.env.AZURE_SPEECH_ENDPOINT || null
     };
 
+    // Speech-to-text provider selection ('azure', 'local-whisper' or 'fake' for tests)
+    this.speech = {
+      provider: process.env.SPEECH_PROVIDER || 'azure',
+      // Continuous language identification over these locales (empty: AZURE_SPEECH_LANGUAGE only)
+      candidateLanguages: (process.env.SPEECH_LANGUAGE_CANDIDATES || '')
+        .split(',').map(language => language.trim()).filter(Boolean),
+      local: {
+        transport: process.env.LOCAL_STT_TRANSPORT || 'process', // 'process' (stdin/stdout) or 'http'
+        command: process.env.LOCAL_STT_COMMAND || 'whisper-cli',
+        args: process.env.LOCAL_STT_ARGS
+          ? process.env.LOCAL_STT_ARGS.split(' ').filter(Boolean)
+          : ['-m', 'models/ggml-base.en.bin', '-f', '-', '-nt', '-np'],
+        url: process.env.LOCAL_STT_URL || 'http://127.0.0.1:8080/inference',
+        maxSegmentMs: parseInt(process.env.LOCAL_STT_MAX_SEGMENT_MS) || 15000
+      },
+      fake: {
+        script: process.env.FAKE_STT_SCRIPT || null // JSON script of utterances to replay
+      },
+      // Recovery when a recognizer is canceled or its session drops
+      reconnect: {
+        reconnectMaxAttempts: parseInt(process.env.SPEECH_RECONNECT_MAX_ATTEMPTS) || 6,
+        reconnectBaseDelayMs: parseInt(process.env.SPEECH_RECONNECT_BASE_DELAY_MS) || 500,
+        reconnectMaxDelayMs: parseInt(process.env.SPEECH_RECONNECT_MAX_DELAY_MS) || 15000,
+        reconnectBufferMs: parseInt(process.env.SPEECH_RECONNECT_BUFFER_MS) || 30000
+      },
+      // Translation of remote speech into the agent's language: 'auto' uses Azure's translation
+      // recognizer when Azure is the provider and translates recognized text with OpenAI otherwise
+      translation: {
+        enabled: process.env.TRANSLATE_REMOTE_SPEECH === 'true',
+        targetLanguage: process.env.TRANSLATION_TARGET_LANGUAGE || 'en',
+        streams: (process.env.TRANSLATION_STREAMS || 'system').split(',').map(stream => stream.trim()).filter(Boolean),
+        method: process.env.TRANSLATION_METHOD || 'auto', // 'auto' | 'openai' (always translate after recognition)
+        model: process.env.TRANSLATION_MODEL || 'gpt-4o-mini'
+      },
+      // Speaker diarization: remote participants on these streams get distinct ids (Guest-1, Guest-2, ...)
+      // that can be renamed. Azure uses a ConversationTranscriber, which cannot translate while
+      // recognizing, so diarized streams are translated with OpenAI after recognition
+      diarization: {
+        enabled: process.env.SPEECH_DIARIZATION === 'true',
+        streams: (process.env.DIARIZATION_STREAMS || 'system').split(',').map(stream => stream.trim()).filter(Boolean)
+      },
+      // Custom vocabulary (phrase list) biasing recognition towards product and feature names
+      vocabulary: {
+        vocabularyFile: process.env.SPEECH_VOCABULARY_FILE || './vocabulary.txt',
+        knowledgeBaseFile: process.env.KNOWLEDGE_BASE_FILE || './knowledgebase.md',
+        extractFromKnowledgeBase: process.env.SPEECH_VOCABULARY_FROM_KNOWLEDGE_BASE !== 'false',
+        maxPhrases: parseInt(process.env.SPEECH_VOCABULARY_MAX_PHRASES) || 500,
+        // Transcript corrections are logged as training data; new terms in them join the custom list
+        correctionsFile: process.env.SPEECH_VOCABULARY_CORRECTIONS_FILE || './vocabulary_corrections.jsonl',
+        learnFromCorrections: process.env.SPEECH_VOCABULARY_LEARN_CORRECTIONS !== 'false'
+      }
+    };
+
     // Audio Capture Configuration
     this.audio = {
       captureMode: process.env.AUDIO_CAPTURE_MODE || 'dual',
@@ -26,18 +79,63 @@ class VoiceConfig {
       inputDevice: process.env.AUDIO_INPUT_DEVICE || 'default',
       enableSystemAudio: process.env.ENABLE_SYSTEM_AUDIO !== 'false',
       bufferSize: parseInt(process.env.AUDIO_BUFFER_SIZE) || 1024,
-      format: 'PCM16' // Azure Speech requires 16-bit PCM
+      format: 'PCM16', // Azure Speech requires 16-bit PCM
+      // Voice activity detection (only speech is streamed to Azure)
+      vadEnabled: process.env.VAD_ENABLED !== 'false',
+      vadEnergyThreshold: parseFloat(process.env.VAD_ENERGY_THRESHOLD) || 0.008,
+      vadMaxZeroCrossingRate: parseFloat(process.env.VAD_MAX_ZERO_CROSSING_RATE) || 0.35,
+      vadMinSpeechMs: parseInt(process.env.VAD_MIN_SPEECH_MS) || 60,
+      vadHangoverMs: parseInt(process.env.VAD_HANGOVER_MS) || 600,
+      vadPreRollMs: parseInt(process.env.VAD_PRE_ROLL_MS) || 300,
+      // Session audio recording (WAV files saved next to the session transcript)
+      recordSessionAudio: process.env.RECORD_SESSION_AUDIO === 'true',
+      recordMixedAudio: process.env.RECORD_MIXED_AUDIO === 'true',
+      // Offline file transcription: how many times faster than real time audio is pushed
+      fileTranscriptionSpeed: parseFloat(process.env.FILE_TRANSCRIPTION_SPEED) || 4
     };
 
     // Transcript Configuration
     this.transcript = {
       enableInterimResults: process.env.ENABLE_INTERIM_RESULTS !== 'false',
       autoSave: process.env.AUTO_SAVE_TRANSCRIPTS !== 'false',
+      saveDirectory: process.env.TRANSCRIPT_DIRECTORY || './transcripts', // Session files and the session library index
+      journal: process.env.TRANSCRIPT_JOURNAL !== 'false', // Crash-safe line-by-line journal of the call in progress
       maxBufferSize: parseInt(process.env.MAX_BUFFER_SIZE) || 1000,
-      sessionTimeout: parseInt(process.env.SESSION_TIMEOUT) || 30000,
+      // Idle auto-stop: no speech on any stream for SESSION_TIMEOUT ms stops the recording (0 disables)
+      sessionTimeout: process.env.SESSION_TIMEOUT !== undefined ? parseInt(process.env.SESSION_TIMEOUT) || 0 : 900000,
+      idleWarning: parseInt(process.env.SESSION_IDLE_WARNING) || 60000, // Overlay warning this long before the idle stop
+      lowConfidenceThreshold: parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.6, // Lines below it are flagged for review
+      maxAlternatives: parseInt(process.env.MAX_ALTERNATIVES) || 3, // N-best hypotheses kept per line
+      reviewBeforeNotes: process.env.REVIEW_BEFORE_NOTES === 'true', // Hold meeting notes until the transcript is reviewed
+      // Consecutive lines of one speaker are grouped into turns for topic analysis and meeting notes
+      turns: {
+        enabled: process.env.TRANSCRIPT_TURNS !== 'false',
+        maxPauseMs: parseInt(process.env.TURN_MAX_PAUSE_MS) || 1500,
+        maxTurnMs: parseInt(process.env.TURN_MAX_DURATION_MS) || 60000
+      },
+      // Who each stream is at the start of a call: name and role (agent | customer | colleague), editable before and during calls
+      participants: [
+        { key: 'microphone', name: process.env.SPEAKER_MICROPHONE_NAME || 'Me', role: process.env.SPEAKER_MICROPHONE_ROLE || 'agent' },
+        { key: 'system', name: process.env.SPEAKER_SYSTEM_NAME || 'Other', role: process.env.SPEAKER_SYSTEM_ROLE || 'customer' }
+      ],
       speakerTagging: true // Always enable speaker tagging for dual mode
     };
 
+    // PII redaction per destination: display (overlay), llm (OpenAI prompts), disk (sessions, exports,
+    // topic/summary files) and webhook. Modes: off | mask | hash | drop
+    this.redaction = {
+      enabled: process.env.REDACTION_ENABLED !== 'false',
+      detectors: (process.env.REDACTION_DETECTORS || 'email,card,phone,ssn,iban').split(',').map(name => name.trim()).filter(Boolean),
+      customPatterns: this.parseRedactionPatterns(process.env.REDACTION_PATTERNS),
+      policies: {
+        display: process.env.REDACTION_DISPLAY || 'off',
+        llm: process.env.REDACTION_LLM || 'mask',
+        disk: process.env.REDACTION_DISK || 'mask',
+        webhook: process.env.REDACTION_WEBHOOK || 'mask'
+      },
+      hashSalt: process.env.REDACTION_HASH_SALT || '' // Random per run when empty
+    };
+
     // Debug and Logging
     this.debug = {
       audio: process.env.DEBUG_AUDIO === 'true',
@@ -56,15 +154,36 @@ class VoiceConfig {
     const warnings = [];
     const errors = [];
 
-    // Check Azure credentials
-    if (!this.azure.subscriptionKey) {
-      errors.push('AZURE_SPEECH_KEY is required but not set');
+    // Check Azure credentials (only needed when Azure is the speech provider)
+    if (this.speech.provider === 'azure') {
+      if (!this.azure.subscriptionKey) {
+        errors.push('AZURE_SPEECH_KEY is required but not set');
+      }
+
+      if (!this.azure.region) {
+        warnings.push('AZURE_SPEECH_REGION not set, using default: eastus');
+      }
+    } else if (!this.getSupportedSpeechProviders().includes(this.speech.provider)) {
+      errors.push(`Unknown SPEECH_PROVIDER: ${this.speech.provider}`);
     }
 
-    if (!this.azure.region) {
-      warnings.push('AZURE_SPEECH_REGION not set, using default: eastus');
+    // Check language identification candidates
+    const supportedLanguages = this.getSupportedLanguages().map(language => language.code);
+    const unsupported = this.speech.candidateLanguages.filter(language => !supportedLanguages.includes(language));
+    if (unsupported.length > 0) {
+      warnings.push(`SPEECH_LANGUAGE_CANDIDATES contains unlisted locales: ${unsupported.join(', ')}`);
+    }
+    if (this.speech.candidateLanguages.length > 10) {
+      errors.push('SPEECH_LANGUAGE_CANDIDATES supports at most 10 locales for continuous identification');
     }
 
+    // Check redaction policies
+    Object.entries(this.redaction.policies).forEach(([destination, mode]) => {
+      if (!['off', 'mask', 'hash', 'drop'].includes(mode)) {
+        errors.push(`REDACTION_${destination.toUpperCase()} must be off, mask, hash or drop (got ${mode})`);
+      }
+    });
+
     // Check audio settings
     if (this.audio.sampleRate !== 16000) {
       warnings.push(`Audio sample rate is ${this.audio.sampleRate}Hz, Azure Speech works best with 16000Hz`);
@@ -85,6 +204,20 @@ class VoiceConfig {
     }
   }
 
+  /**
+   * REDACTION_PATTERNS: JSON array of { name, pattern, flags } objects or plain pattern strings
+   */
+  parseRedactionPatterns(value) {
+    if (!value) return [];
+    try {
+      const patterns = JSON.parse(value);
+      return Array.isArray(patterns) ? patterns : [patterns];
+    } catch (error) {
+      console.warn('VoiceConfig: REDACTION_PATTERNS is not valid JSON, ignoring it', error.message);
+      return [];
+    }
+  }
+
   /**
    * Get configuration for AudioCaptureManager
    */
@@ -105,12 +238,61 @@ class VoiceConfig {
     };
   }
 
+  /**
+   * Get configuration for SpeechRecognitionService (selected provider + its settings)
+   */
+  getSpeechConfig() {
+    const providerConfig = {
+      'azure': this.azure,
+      'local-whisper': this.speech.local,
+      'fake': this.speech.fake
+    }[this.speech.provider] || {};
+    return {
+      provider: this.speech.provider,
+      language: this.azure.language,
+      candidateLanguages: this.speech.candidateLanguages,
+      translation: this.speech.translation,
+      diarization: this.speech.diarization,
+      enableInterimResults: this.transcript.enableInterimResults,
+      maxAlternatives: this.transcript.maxAlternatives,
+      ...providerConfig,
+      ...this.speech.reconnect,
+      debug: this.debug.speech
+    };
+  }
+
+  /**
+   * Get configuration for TranslationService
+   */
+  getTranslationConfig() {
+    return { ...this.speech.translation };
+  }
+
+  /**
+   * Get configuration for VocabularyManager
+   */
+  getVocabularyConfig() {
+    return { ...this.speech.vocabulary };
+  }
+
+  /**
+   * Get configuration for RedactionService
+   */
+  getRedactionConfig() {
+    return {
+      ...this.redaction,
+      policies: { ...this.redaction.policies },
+      hashSalt: this.redaction.hashSalt || undefined
+    };
+  }
+
   /**
    * Get configuration for TranscriptManager
    */
   getTranscriptConfig() {
     return {
       ...this.transcript,
+      redaction: this.getRedactionConfig(),
       debug: this.debug.logLevel === 'debug'
     };
   }
@@ -133,8 +315,10 @@ class VoiceConfig {
   getAll() {
     return {
       azure: this.azure,
+      speech: this.speech,
       audio: this.audio,
       transcript: this.transcript,
+      redaction: this.redaction,
       debug: this.debug
     };
   }
@@ -146,6 +330,21 @@ class VoiceConfig {
     return !!(this.azure.subscriptionKey && this.azure.region);
   }
 
+  /**
+   * Check if the selected speech provider has what it needs to run
+   * (local providers need no credentials)
+   */
+  hasSpeechCredentials() {
+    return this.speech.provider !== 'azure' || this.hasAzureCredentials();
+  }
+
+  /**
+   * Get supported speech-to-text providers
+   */
+  getSupportedSpeechProviders() {
+    return ['azure', 'local-whisper', 'fake'];
+  }
+
   /**
    * Check if dual capture mode is enabled
    */
@@ -188,8 +387,10 @@ class VoiceConfig {
         language: this.azure.language
         // Don't export the subscription key for security
       },
+      speech: this.speech,
       audio: this.audio,
       transcript: this.transcript,
+      redaction: { ...this.redaction, hashSalt: undefined }, // The salt stays out of saved settings
       debug: this.debug
     };
   }
@@ -201,12 +402,18 @@ class VoiceConfig {
     if (config.azure) {
       this.azure = { ...this.azure, ...config.azure };
     }
+    if (config.speech) {
+      this.speech = { ...this.speech, ...config.speech };
+    }
     if (config.audio) {
       this.audio = { ...this.audio, ...config.audio };
     }
     if (config.transcript) {
       this.transcript = { ...this.transcript, ...config.transcript };
     }
+    if (config.redaction) {
+      this.redaction = { ...this.redaction, ...config.redaction, hashSalt: this.redaction.hashSalt };
+    }
     if (config.debug) {
       this.debug = { ...this.debug, ...config.debug };
     }
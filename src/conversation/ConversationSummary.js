@@ -14,6 +14,7 @@ class ConversationSummary extends EventEmitter {
       summaryFile: config.summaryFile || './conversation_summary.txt',
       maxSummaryLength: config.maxSummaryLength || 2000,
       updateInterval: config.updateInterval || 30000, // 30 seconds
+      redactText: config.redactText || (text => text), // Applied before the summary is written to disk
       debug: config.debug || false,
       ...config
     };
@@ -277,7 +278,7 @@ class ConversationSummary extends EventEmitter {
    */
   async saveSummaryToFile() {
     try {
-      await fs.writeFile(this.config.summaryFile, this.currentSummary.meetingMinutes, 'utf8');
+      await fs.writeFile(this.config.summaryFile, this.config.redactText(this.currentSummary.meetingMinutes), 'utf8');
       this.log('Conversation summary saved to file');
     } catch (error) {
       this.log('Error saving summary to file', error);
@@ -0,0 +1,451 @@
+const ZipArchive = require('./ZipArchive');
+
+// Export formats beyond the ones TranscriptManager writes itself (json, txt, srt)
+const FORMATS = {
+  csv: { name: 'CSV Spreadsheet', extension: 'csv' },
+  vtt: { name: 'WebVTT Subtitles', extension: 'vtt' },
+  md: { name: 'Markdown', extension: 'md' },
+  html: { name: 'Web Page', extension: 'html' },
+  docx: { name: 'Word Document', extension: 'docx', binary: true }
+};
+const ALIASES = { webvtt: 'vtt', markdown: 'md', htm: 'html' };
+
+/**
+ * TranscriptExporter - Renders a call as CSV, WebVTT, Markdown, HTML or DOCX
+ * Works on an export document built by TranscriptManager.buildExportDocument, already redacted for
+ * its destination: { title, startTime, endTime, participants [{ name, role }], topics, lines,
+ * markers (topic changes, pauses, recognition gaps), bookmarks (with their lines), notes
+ * { text, actionItems, rescheduleMeeting } or null, cues (subtitle cues) }. The documents follow the
+ * call: participants, highlights, meeting notes and action items, then the transcript under a
+ * heading per topic. Everything except DOCX (a Buffer) is returned as a string.
+ */
+class TranscriptExporter {
+  constructor(config = {}) {
+    this.config = {
+      debug: config.debug || false,
+      ...config
+    };
+  }
+
+  log(message, data = null) {
+    if (this.config.debug) {
+      console.log(`[TranscriptExporter] ${message}`, data || '');
+    }
+  }
+
+  /**
+   * Canonical format name (vtt, md, ...) for a format or alias, or null when not handled here
+   */
+  resolveFormat(format) {
+    const name = String(format || '').toLowerCase();
+    const resolved = ALIASES[name] || name;
+    return FORMATS[resolved] ? resolved : null;
+  }
+
+  /**
+   * { name, extension, binary } of a format, for save dialogs
+   */
+  getFormat(format) {
+    const resolved = this.resolveFormat(format);
+    return resolved ? { format: resolved, ...FORMATS[resolved] } : null;
+  }
+
+  export(format, document) {
+    this.log(`Exporting ${format}`, { lines: document.lines.length });
+    switch (this.resolveFormat(format)) {
+      case 'csv':
+        return this.toCSV(document);
+      case 'vtt':
+        return this.toVTT(document);
+      case 'md':
+        return this.toMarkdown(document);
+      case 'html':
+        return this.toHTML(document);
+      case 'docx':
+        return this.toDOCX(document);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  /**
+   * RFC 4180: every field quoted, quotes doubled, CRLF between records
+   */
+  toCSV(document) {
+    const field = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const records = [
+      ['Timestamp', 'Speaker', 'Role', 'Language', 'Text', 'Translation', 'Confidence'],
+      ...document.lines.map(t => [
+        new Date(t.timestamp).toISOString(), t.speaker, t.role, t.language, t.text, t.translation?.text, t.confidence
+      ])
+    ];
+    return records.map(record => record.map(field).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * WebVTT with a voice tag per speaker; pauses and bookmarks are cues without a voice
+   */
+  toVTT(document) {
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = document.cues.map(cue => {
+      const lines = cue.lines.map(line => cue.speaker ? `<v ${escape(cue.speaker)}>${escape(line)}</v>` : escape(line));
+      return `${this.formatVTTTime(cue.start)} --> ${this.formatVTTTime(cue.end)}\n${lines.join('\n')}`;
+    });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  toMarkdown(document) {
+    const escape = text => String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    const out = [`# ${escape(document.title)}`, ''];
+
+    out.push(...this.describeCall(document).map(([label, value]) => `**${label}:** ${escape(value)}  `), '');
+
+    if (document.bookmarks.length > 0) {
+      out.push('## Highlights', '');
+      document.bookmarks.forEach(bookmark => {
+        const quote = bookmark.lines.map(t => `${escape(t.speaker)}: ${escape(t.text)}`).join(' ');
+        out.push(`- **${this.formatOffset(bookmark.offset)}** ${escape(bookmark.label || 'Bookmark')}${quote ? ` — ${quote}` : ''}`);
+      });
+      out.push('');
+    }
+
+    if (document.notes) {
+      // Headings of the notes go below the section's own; a list ends with a blank line
+      out.push('## Meeting Notes', '');
+      this.parseNotes(document.notes.text).forEach((block, i, blocks) => {
+        if (block.type === 'heading') {
+          out.push(`${'#'.repeat(Math.min(Math.max(block.level + 1, 3), 6))} ${block.text}`, '');
+        } else if (block.type === 'bullet') {
+          out.push(`- ${block.text}`, ...(blocks[i + 1]?.type === 'bullet' ? [] : ['']));
+        } else {
+          out.push(block.text, '');
+        }
+      });
+      if (document.notes.actionItems.length > 0) {
+        out.push('## Action Items', '');
+        document.notes.actionItems.forEach(item => out.push(`- [ ] ${escape(this.describeActionItem(item))}`));
+        out.push('');
+      }
+    }
+
+    this.buildSections(document).forEach(section => {
+      out.push(`## ${escape(section.topic || 'Transcript')}`, '');
+      section.items.forEach(item => {
+        switch (item.kind) {
+          case 'line':
+            out.push(`**[${this.formatOffset(item.offset)}] ${escape(item.line.speaker)}:** ${escape(item.line.text)}` +
+              (item.line.translation ? `  \n_${escape(item.line.translation.language)}: ${escape(item.line.translation.text)}_` : ''), '');
+            break;
+          case 'bookmark':
+            out.push(`> ★ **${this.formatOffset(item.offset)}** ${escape(item.bookmark.label || 'Bookmark')}`, '');
+            break;
+          default:
+            out.push(`_${escape(this.describeMarker(item.marker))}_`, '');
+        }
+      });
+    });
+
+    return out.join('\n').replace(/\n+$/, '\n');
+  }
+
+  /**
+   * Self-contained page: styles inline, no scripts or external resources
+   */
+  toHTML(document) {
+    const escape = text => String(text ?? '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    const roleClass = role => role ? ` role-${escape(role)}` : '';
+    const body = [];
+
+    body.push(`<h1>${escape(document.title)}</h1>`);
+    body.push('<dl class="meta">' + this.describeCall(document)
+      .map(([label, value]) => `<dt>${escape(label)}</dt><dd>${escape(value)}</dd>`).join('') + '</dl>');
+
+    if (document.bookmarks.length > 0) {
+      body.push('<h2>Highlights</h2><ul class="highlights">' + document.bookmarks.map(bookmark =>
+        `<li><span class="time">${this.formatOffset(bookmark.offset)}</span> <strong>${escape(bookmark.label || 'Bookmark')}</strong>` +
+        bookmark.lines.map(t => ` <q>${escape(t.speaker)}: ${escape(t.text)}</q>`).join('') + '</li>'
+      ).join('') + '</ul>');
+    }
+
+    if (document.notes) {
+      body.push('<h2>Meeting Notes</h2>');
+      const bold = text => escape(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+      let notes = '';
+      this.parseNotes(document.notes.text).forEach((block, i, blocks) => {
+        if (block.type === 'bullet') {
+          notes += `${blocks[i - 1]?.type === 'bullet' ? '' : '<ul>'}<li>${bold(block.text)}</li>${blocks[i + 1]?.type === 'bullet' ? '' : '</ul>'}`;
+        } else {
+          notes += block.type === 'heading' ? `<h3>${bold(block.text)}</h3>` : `<p>${bold(block.text)}</p>`;
+        }
+      });
+      body.push(`<div class="notes">${notes}</div>`);
+      if (document.notes.actionItems.length > 0) {
+        body.push('<h2>Action Items</h2><ul class="action-items">' + document.notes.actionItems
+          .map(item => `<li>${escape(this.describeActionItem(item))}</li>`).join('') + '</ul>');
+      }
+    }
+
+    this.buildSections(document).forEach(section => {
+      body.push(`<h2>${escape(section.topic || 'Transcript')}</h2>`);
+      body.push('<div class="transcript">' + section.items.map(item => {
+        switch (item.kind) {
+          case 'line':
+            return `<div class="line${roleClass(item.line.role)}"><span class="time">${this.formatOffset(item.offset)}</span>` +
+              `<span class="speaker">${escape(item.line.speaker)}</span>` +
+              `<p>${escape(item.line.text)}` +
+              (item.line.translation ? `<span class="translation" lang="${escape(item.line.translation.language)}">${escape(item.line.translation.text)}</span>` : '') +
+              '</p></div>';
+          case 'bookmark':
+            return `<div class="marker bookmark">★ ${this.formatOffset(item.offset)} ${escape(item.bookmark.label || 'Bookmark')}</div>`;
+          default:
+            return `<div class="marker">${escape(this.describeMarker(item.marker))}</div>`;
+        }
+      }).join('') + '</div>');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(document.title)}</title>
+<style>
+  body { font: 15px/1.5 -apple-system, "Segoe UI", Roboto, sans-serif; color: #1e293b; max-width: 820px; margin: 40px auto; padding: 0 20px; }
+  h1 { font-size: 26px; margin-bottom: 8px; }
+  h2 { font-size: 18px; margin-top: 32px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  .meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; color: #475569; }
+  .meta dt { font-weight: 600; }
+  .meta dd { margin: 0; }
+  .time { color: #94a3b8; font-variant-numeric: tabular-nums; font-size: 13px; }
+  .highlights li { margin-bottom: 6px; }
+  .highlights q { color: #475569; }
+  .line { display: grid; grid-template-columns: 56px 130px 1fr; gap: 8px; padding: 6px 0; }
+  .line p { margin: 0; }
+  .speaker { font-weight: 600; color: #2563eb; }
+  .role-customer .speaker { color: #16a34a; }
+  .role-colleague .speaker { color: #9333ea; }
+  .translation { display: block; color: #64748b; font-style: italic; }
+  .marker { color: #94a3b8; font-style: italic; padding: 6px 0 6px 64px; }
+  .marker.bookmark { color: #d97706; font-style: normal; font-weight: 600; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Word document (Office Open XML): notes and action items first, then the transcript
+   */
+  toDOCX(document) {
+    const escape = text => String(text ?? '')
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+      // Characters XML 1.0 does not allow
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    const run = (text, properties = '') =>
+      `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escape(text)}</w:t></w:r>`;
+    const paragraph = (runs, style = null) =>
+      `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${runs}</w:p>`;
+    const paragraphs = [];
+
+    paragraphs.push(paragraph(run(document.title), 'Title'));
+    this.describeCall(document).forEach(([label, value]) => {
+      paragraphs.push(paragraph(run(`${label}: `, '<w:b/>') + run(value)));
+    });
+
+    if (document.notes) {
+      paragraphs.push(paragraph(run('Meeting Notes'), 'Heading1'));
+      this.parseNotes(document.notes.text).forEach(block => {
+        const text = block.text.replace(/\*\*(.+?)\*\*/g, '$1');
+        if (block.type === 'heading') {
+          paragraphs.push(paragraph(run(text), 'Heading2'));
+        } else {
+          paragraphs.push(paragraph(run(block.type === 'bullet' ? `• ${text}` : text), block.type === 'bullet' ? 'ListParagraph' : null));
+        }
+      });
+      if (document.notes.actionItems.length > 0) {
+        paragraphs.push(paragraph(run('Action Items'), 'Heading1'));
+        document.notes.actionItems.forEach(item => {
+          paragraphs.push(paragraph(run(`☐ ${this.describeActionItem(item)}`), 'ListParagraph'));
+        });
+      }
+    }
+
+    if (document.bookmarks.length > 0) {
+      paragraphs.push(paragraph(run('Highlights'), 'Heading1'));
+      document.bookmarks.forEach(bookmark => {
+        const quote = bookmark.lines.map(t => `${t.speaker}: ${t.text}`).join(' ');
+        paragraphs.push(paragraph(
+          run(`${this.formatOffset(bookmark.offset)}  `, '<w:color w:val="94A3B8"/>') +
+          run(bookmark.label || 'Bookmark', '<w:b/>') +
+          (quote ? run(` — ${quote}`) : ''),
+          'ListParagraph'
+        ));
+      });
+    }
+
+    paragraphs.push(paragraph(run('Transcript'), 'Heading1'));
+    this.buildSections(document).forEach(section => {
+      if (section.topic) {
+        paragraphs.push(paragraph(run(section.topic), 'Heading2'));
+      }
+      section.items.forEach(item => {
+        switch (item.kind) {
+          case 'line':
+            paragraphs.push(paragraph(
+              run(`${this.formatOffset(item.offset)}  `, '<w:color w:val="94A3B8"/>') +
+              run(`${item.line.speaker}: `, '<w:b/>') +
+              run(item.line.text) +
+              (item.line.translation ? '<w:r><w:br/></w:r>' + run(`${item.line.translation.language}: ${item.line.translation.text}`, '<w:i/><w:color w:val="64748B"/>') : '')
+            ));
+            break;
+          case 'bookmark':
+            paragraphs.push(paragraph(run(`★ ${this.formatOffset(item.offset)} ${item.bookmark.label || 'Bookmark'}`, '<w:b/><w:color w:val="D97706"/>')));
+            break;
+          default:
+            paragraphs.push(paragraph(run(this.describeMarker(item.marker), '<w:i/><w:color w:val="94A3B8"/>')));
+        }
+      });
+    });
+
+    const NS = 'http://schemas.openxmlformats.org';
+    const zip = new ZipArchive();
+    zip.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="${NS}/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`);
+    zip.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS}/package/2006/relationships"><Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="${NS}/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`);
+    zip.addFile('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="${NS}/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escape(document.title)}</dc:title><dcterms:created xsi:type="dcterms:W3CDTF">${new Date(document.startTime).toISOString()}</dcterms:created></cp:coreProperties>`);
+    zip.addFile('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${NS}/package/2006/relationships"><Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`);
+    zip.addFile('word/styles.xml', this.buildDocxStyles(NS));
+    zip.addFile('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${NS}/wordprocessingml/2006/main"><w:body>${paragraphs.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`);
+
+    return zip.toBuffer();
+  }
+
+  /**
+   * Paragraph styles the document uses, so headings show in Word's navigation pane
+   */
+  buildDocxStyles(NS) {
+    const style = (id, name, runProperties, paragraphProperties = '') =>
+      `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+      `<w:pPr>${paragraphProperties}</w:pPr><w:rPr>${runProperties}</w:rPr></w:style>`;
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${NS}/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>` +
+      '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+      style('Title', 'Title', '<w:sz w:val="48"/>', '<w:spacing w:after="240"/>') +
+      style('Heading1', 'heading 1', '<w:b/><w:color w:val="1E3A8A"/><w:sz w:val="32"/>', '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/>') +
+      style('Heading2', 'heading 2', '<w:b/><w:color w:val="2563EB"/><w:sz w:val="26"/>', '<w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/>') +
+      style('ListParagraph', 'List Paragraph', '', '<w:ind w:left="360"/>') +
+      '</w:styles>';
+  }
+
+  /**
+   * The generated notes are Markdown-ish: [{ type: 'heading' | 'bullet' | 'text', text, level }].
+   * A leading "Meeting Notes" heading is dropped, the documents have one already
+   */
+  parseNotes(text) {
+    const blocks = text.trim().split('\n').filter(line => line.trim()).map(line => {
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) return { type: 'heading', level: heading[1].length, text: heading[2].trim() };
+      const bullet = line.match(/^\s*(?:[-*•]|\d+\.)\s+(.*)$/);
+      if (bullet) return { type: 'bullet', text: bullet[1].trim() };
+      return { type: 'text', text: line.trim() };
+    });
+    if (blocks[0]?.type === 'heading' && /notes/i.test(blocks[0].text)) {
+      blocks.shift();
+    }
+    return blocks;
+  }
+
+  /**
+   * Header facts of the call: [label, value]
+   */
+  describeCall(document) {
+    const facts = [['Date', new Date(document.startTime).toLocaleString()]];
+    if (document.endTime) {
+      facts.push(['Duration', this.formatOffset(document.endTime - document.startTime)]);
+    }
+    if (document.participants.length > 0) {
+      facts.push(['Participants', document.participants.map(p => p.role ? `${p.name} (${p.role})` : p.name).join(', ')]);
+    }
+    if (document.topics.length > 0) {
+      facts.push(['Topics', document.topics.join('; ')]);
+    }
+    return facts;
+  }
+
+  describeActionItem(item) {
+    const details = [item.assignee && item.assignee !== 'TBD' ? item.assignee : null, item.priority, item.due_date].filter(Boolean);
+    return `${item.task}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  }
+
+  describeMarker(marker) {
+    if (marker.type === 'pause') {
+      return `Recording paused${marker.durationMs != null ? ` for ${this.formatDuration(marker.durationMs)}` : ''}`;
+    }
+    return `[${marker.speaker}] recognition interrupted${marker.recovered ? '' : ' (not recovered)'}` +
+      (marker.droppedMs ? `, ${(marker.droppedMs / 1000).toFixed(1)}s of audio lost` : '');
+  }
+
+  /**
+   * The transcript split at every change of topic. The first topic also covers the opening of the
+   * call, which is what it was detected from; without topic changes there is one untitled section
+   */
+  buildSections(document) {
+    const offsetOf = (offset, timestamp) => offset ?? Math.max(0, timestamp - document.startTime);
+    const items = [
+      ...document.lines.map(line => ({ kind: 'line', offset: offsetOf(line.audioOffset, line.timestamp), timestamp: line.timestamp, line })),
+      ...document.markers.filter(m => m.type === 'pause' || m.type === 'gap')
+        .map(marker => ({ kind: marker.type, offset: offsetOf(marker.startOffset, marker.startTime), timestamp: marker.startTime, marker })),
+      ...document.bookmarks.map(bookmark => ({ kind: 'bookmark', offset: bookmark.offset, timestamp: bookmark.timestamp, bookmark }))
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    const topics = document.markers.filter(m => m.type === 'topic').sort((a, b) => a.startTime - b.startTime);
+    if (topics.length === 0) {
+      return [{ topic: null, items }];
+    }
+    return topics.map((topic, i) => ({
+      topic: topic.topic,
+      items: items.filter(item => (i === 0 || item.timestamp >= topic.startTime) &&
+        (i === topics.length - 1 || item.timestamp < topics[i + 1].startTime))
+    }));
+  }
+
+  /**
+   * Time into the call: 4:05, or 1:02:09 past the hour
+   */
+  formatOffset(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const pad = num => String(num).padStart(2, '0');
+    return seconds >= 3600
+      ? `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`
+      : `${Math.floor(seconds / 60)}:${pad(seconds % 60)}`;
+  }
+
+  /**
+   * Pause length: 45s, 3m 05s, 1h 02m (as in the txt and SRT exports)
+   */
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds % 3600 / 60)).padStart(2, '0')}m`;
+  }
+
+  /**
+   * Session-relative time for WebVTT: HH:MM:SS.mmm
+   */
+  formatVTTTime(ms) {
+    const pad = (num, size = 2) => Math.floor(num).toString().padStart(size, '0');
+    const totalMs = Math.max(0, Math.round(ms));
+    return `${pad(totalMs / 3600000)}:${pad((totalMs % 3600000) / 60000)}:${pad((totalMs % 60000) / 1000)}.${pad(totalMs % 1000, 3)}`;
+  }
+}
+
+module.exports = TranscriptExporter;
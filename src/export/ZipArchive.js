@@ -0,0 +1,110 @@
+const zlib = require('zlib');
+
+// CRC-32 (IEEE) lookup table, as used by the zip format
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * ZipArchive - Minimal in-memory zip writer for the office formats we export (DOCX)
+ * Entries are deflated (or stored when that is not smaller); no zip64, encryption or comments,
+ * which office documents do not need.
+ */
+class ZipArchive {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file; data is a string (written as UTF-8) or a Buffer
+   */
+  addFile(name, data, date = new Date()) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const deflated = zlib.deflateRawSync(content);
+    const compressed = deflated.length < content.length;
+
+    this.entries.push({
+      name: Buffer.from(name, 'utf8'),
+      method: compressed ? 8 : 0,
+      data: compressed ? deflated : content,
+      size: content.length,
+      crc: crc32(content),
+      ...this.toDosTime(date)
+    });
+    return this;
+  }
+
+  /**
+   * MS-DOS date and time of an entry (2 second resolution, local time, 1980 at the earliest)
+   */
+  toDosTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  toBuffer() {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    this.entries.forEach(entry => {
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+      local.writeUInt16LE(20, 4); // Version needed to extract
+      local.writeUInt16LE(0x0800, 6); // Flags: names are UTF-8
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(entry.time, 10);
+      local.writeUInt16LE(entry.date, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.data.length, 18);
+      local.writeUInt32LE(entry.size, 22);
+      local.writeUInt16LE(entry.name.length, 26);
+      local.writeUInt16LE(0, 28); // Extra field length
+      parts.push(local, entry.name, entry.data);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+      central.writeUInt16LE(20, 4); // Version made by
+      central.writeUInt16LE(20, 6); // Version needed to extract
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(entry.time, 12);
+      central.writeUInt16LE(entry.date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.data.length, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.name.length, 28);
+      central.writeUInt32LE(offset, 42); // Offset of the local header
+      directory.push(central, entry.name);
+
+      offset += local.length + entry.name.length + entry.data.length;
+    });
+
+    const directorySize = directory.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...directory, end]);
+  }
+}
+
+module.exports = ZipArchive;
@@ -0,0 +1,228 @@
+// Transcript formats read here; aliases map to them
+const FORMATS = ['vtt', 'srt', 'txt'];
+const ALIASES = { webvtt: 'vtt', text: 'txt' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0:03, 00:01:23, 00:01:23.450, 1:02:03,450, 2:05:11 PM
+const TIME = '(\\d{1,2}:\\d{2}(?::\\d{2})?(?:[.,]\\d{1,3})?(?:\\s?[AaPp][Mm])?)';
+
+// Plain-text layouts, tried in this order on the first line that matches one
+const TEXT_LAYOUTS = {
+  // "[Dana Smith] 14:02:11", what was said on the following lines (Zoom's saved captions; time of day)
+  zoom: new RegExp(`^\\[([^\\]]+)\\]\\s+${TIME}$`),
+  // "[00:01:23] Dana Smith: text", "00:01:23 Dana Smith: text" or "[2:05:11 PM] [Me] text" (this app's txt export)
+  inline: new RegExp(`^\\[?${TIME}\\]?\\s+(?:\\[([^\\]]+)\\]|([^:[\\]]{1,40}?):)\\s+(.+)$`),
+  // "Dana Smith   0:03" after a blank line, what was said on the following lines (Teams; offset into the meeting)
+  teams: new RegExp(`^([^\\s[][^[\\]]{0,59}?)\\s+${TIME}$`)
+};
+
+// "Dana Smith: text" (Zoom) or "[Dana Smith] text" (this app's SRT) at the start of a subtitle cue
+const NAMED_TEXT = /^(?:\[([^\]]{1,60})\]|([^\s:[\]<>][^:[\]<>]{0,39}?):)\s+(\S.*)$/;
+
+/**
+ * TranscriptImporter - Reads transcripts written by meeting platforms and subtitle tools
+ * WebVTT (voices from <v> tags as written by Teams and by our own export, or "Name: text" as written
+ * by Zoom), SRT ("Name: text" or "[Name] text") and the plain-text layouts in TEXT_LAYOUTS.
+ * parse() returns { format, layout, language, startTime, cues [{ speaker, offset, duration, text }] }
+ * with offsets in ms from startTime; speaker is null when the file does not say who spoke and
+ * duration when it does not say when a line ended. Sound cues ([Music], (laughs)) are left out.
+ */
+class TranscriptImporter {
+  constructor(config = {}) {
+    this.config = {
+      debug: config.debug || false,
+      ...config
+    };
+  }
+
+  log(message, data = null) {
+    if (this.config.debug) {
+      console.log(`[TranscriptImporter] ${message}`, data || '');
+    }
+  }
+
+  /**
+   * Canonical format name (vtt, srt, txt) for a format or alias, or null when not one of them
+   */
+  resolveFormat(format) {
+    const name = String(format || '').toLowerCase();
+    const resolved = ALIASES[name] || name;
+    return FORMATS.includes(resolved) ? resolved : null;
+  }
+
+  /**
+   * Format of a transcript by its content: the WEBVTT header, an SRT cue, else plain text
+   */
+  detectFormat(text) {
+    if (/^WEBVTT\b/.test(text)) return 'vtt';
+    if (/^\d+\n[\d:,]+\s*-->/.test(text.trimStart())) return 'srt';
+    return 'txt';
+  }
+
+  /**
+   * options.format skips detection; options.startTime (ms) is when the call started, or for
+   * transcripts stamped with times of day, a moment on the day it took place (default: now)
+   */
+  parse(text, options = {}) {
+    const content = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    if (options.format && !this.resolveFormat(options.format)) {
+      throw new Error(`Unsupported import format: ${options.format}`);
+    }
+    const format = this.resolveFormat(options.format) || this.detectFormat(content);
+
+    let parsed;
+    switch (format) {
+      case 'vtt':
+        parsed = this.parseVTT(content);
+        break;
+      case 'srt':
+        parsed = { layout: 'srt', language: null, timeOfDay: false, cues: this.parseCues(content) };
+        break;
+      default:
+        parsed = this.parseText(content);
+    }
+    if (parsed.cues.length === 0) {
+      throw new Error('The transcript has no lines');
+    }
+
+    // A call stamped with times of day started at its first stamp; later stamps may run past midnight
+    const date = new Date(options.startTime ?? Date.now());
+    const first = parsed.cues[0].offset;
+    const startTime = parsed.timeOfDay ? new Date(date).setHours(0, 0, 0, 0) + first : date.getTime();
+    const cues = parsed.timeOfDay
+      ? parsed.cues.map(cue => ({ ...cue, offset: (cue.offset - first + DAY_MS) % DAY_MS }))
+      : parsed.cues;
+
+    this.log('Transcript parsed', { format, layout: parsed.layout, cues: cues.length, timeOfDay: parsed.timeOfDay });
+    return { format, layout: parsed.layout, language: parsed.language, startTime, cues };
+  }
+
+  parseVTT(text) {
+    if (!/^WEBVTT\b/.test(text)) {
+      throw new Error('Not a WebVTT file (missing WEBVTT header)');
+    }
+    // Header metadata ("Language: en-US") runs up to the first blank line
+    const header = text.split(/\n\s*\n/)[0];
+    const language = header.match(/^Language:\s*(\S+)/m)?.[1] || null;
+    return { layout: 'vtt', language, timeOfDay: false, cues: this.parseCues(text) };
+  }
+
+  /**
+   * Subtitle cues (WebVTT or SRT): blocks separated by blank lines with an optional identifier, a
+   * timing line and the text. WebVTT NOTE, STYLE and REGION blocks have no timing line
+   */
+  parseCues(text) {
+    return text.split(/\n\s*\n/).flatMap(block => {
+      const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+      const timing = lines.findIndex(line => line.includes('-->'));
+      if (timing === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return [];
+
+      const [start, end] = lines[timing].split('-->').map(part => this.parseTimestamp(part.trim().split(/\s+/)[0]));
+      const cue = this.readCueText(lines.slice(timing + 1));
+      if (start === null || end === null || !cue) return [];
+      return [{ ...cue, offset: start, duration: Math.max(0, end - start) }];
+    });
+  }
+
+  /**
+   * Speaker and plain text of a subtitle cue
+   */
+  readCueText(lines) {
+    const joined = lines.join(' ');
+    const voice = joined.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    let speaker = voice ? this.decodeEntities(voice[1]).trim() : null;
+    let text = this.decodeEntities(joined.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+    if (!speaker) {
+      const named = text.match(NAMED_TEXT);
+      const name = named && (named[1] || named[2]).trim();
+      // More than a few words before a colon is a sentence, not a name
+      if (name && name.split(/\s+/).length <= 4) {
+        speaker = name;
+        text = named[3];
+      }
+    }
+
+    // Sound and marker cues: [Music], (laughs), [★ Bookmark]
+    if (!text || /^(\[[^\]]*\]|\([^)]*\))$/.test(text)) return null;
+    return { speaker, text };
+  }
+
+  /**
+   * Plain-text transcripts: a header per utterance (speaker and time) in one of TEXT_LAYOUTS. Lines
+   * before the first header (title, participants) are skipped, lines after a header are its text
+   */
+  parseText(text) {
+    let layout = null;
+    let cue = null;
+    let blank = true;
+    const cues = [];
+
+    text.split('\n').forEach(raw => {
+      const line = raw.trim();
+      const afterBlank = blank;
+      blank = !line;
+      // Blank lines, and the markers and indented translations of this app's txt export
+      if (!line || /^---.*---$/.test(line) || /^\s+\[[a-z]{2,3}(-\w+)?\]\s/i.test(raw)) return;
+
+      layout = layout || Object.keys(TEXT_LAYOUTS).find(name => TEXT_LAYOUTS[name].test(line)) || null;
+      const match = layout && (layout !== 'teams' || afterBlank) ? line.match(TEXT_LAYOUTS[layout]) : null;
+      if (match) {
+        cue = this.readTextHeader(layout, match);
+        cues.push(cue);
+      } else if (cue) {
+        cue.text = cue.text ? `${cue.text} ${line}` : line;
+      }
+    });
+
+    if (!layout) {
+      throw new Error('Unrecognized transcript layout (expected WebVTT, SRT or a Teams or Zoom text transcript)');
+    }
+
+    // Offsets start near 0:00; Zoom captions, 12-hour clocks and stamps an hour or more in are times of day
+    const timeOfDay = layout === 'zoom' || cues.some(c => c.meridiem) || cues[0].offset >= 3600000;
+    return {
+      layout,
+      language: null,
+      timeOfDay,
+      cues: cues.filter(c => c.text).map(({ speaker, offset, text }) => ({ speaker, offset, duration: null, text }))
+    };
+  }
+
+  readTextHeader(layout, match) {
+    const [stamp, speaker, text] = layout === 'inline'
+      ? [match[1], match[2] || match[3], match[4]]
+      : [match[2], match[1], ''];
+    return {
+      speaker: speaker.trim(),
+      offset: this.parseTimestamp(stamp),
+      meridiem: /[ap]m$/i.test(stamp),
+      text: text.trim()
+    };
+  }
+
+  /**
+   * ms for 0:03 (m:ss), 01:02:03.450 / 01:02:03,450 (h:mm:ss) or 2:05 PM / 2:05:11 PM; null if not a time
+   */
+  parseTimestamp(value) {
+    const match = String(value).trim().match(/^(\d+):(\d{2})(?::(\d{2}))?(?:[.,](\d{1,3}))?(?:\s?([ap])m)?$/i);
+    if (!match) return null;
+
+    const [, first, second, third, fraction, meridiem] = match;
+    const [hours, minutes, seconds] = (third !== undefined
+      ? [first, second, third]
+      : (meridiem ? [first, second, 0] : [0, first, second])).map(Number);
+    const hours24 = meridiem ? hours % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0) : hours;
+    return ((hours24 * 60 + minutes) * 60 + seconds) * 1000 + Number((fraction || '0').padEnd(3, '0'));
+  }
+
+  decodeEntities(text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+    return text.replace(/&(#\d+|[a-z]+);/gi, (entity, name) => name[0] === '#'
+      ? String.fromCharCode(Number(name.slice(1)))
+      : (entities[name.toLowerCase()] ?? entity));
+  }
+}
+
+module.exports = TranscriptImporter;
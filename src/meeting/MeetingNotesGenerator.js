@@ -33,9 +33,16 @@ class MeetingNotesGenerator {
         .map(t => `[${t.speaker}] ${t.text}`)
         .join('\n');
 
+      // Who took part and in which role (agent, customer, colleague)
+      const participants = this.formatParticipants(transcriptData.participants || []);
+
+      // Moments bookmarked during the call must make it into the notes
+      const highlights = this.formatHighlights(transcriptData.bookmarks || []);
+
       this.log('Generating meeting notes from transcript', {
         transcriptCount: transcripts.length,
-        textLength: transcriptText.length
+        textLength: transcriptText.length,
+        highlightCount: (transcriptData.bookmarks || []).length
       });
 
       // Generate meeting notes
@@ -44,11 +51,15 @@ class MeetingNotesGenerator {
         messages: [
           {
             role: "system",
-            content: "You are a professional meeting assistant. Generate comprehensive, well-structured meeting notes from the provided transcript. Focus on key points, decisions, action items, and important discussions. Format the notes in a clear, professional manner."
+            content: "You are a professional meeting assistant. Generate comprehensive, well-structured meeting notes from the provided transcript. Focus on key points, decisions, action items, and important discussions. Format the notes in a clear, professional manner." +
+              (highlights ? " The participants bookmarked some moments during the call; every bookmarked moment must be covered in the notes, under a \"Highlights\" heading." : "")
           },
           {
             role: "user",
-            content: `Please generate meeting notes from the following transcript:\n\n${transcriptText}`
+            content: `Please generate meeting notes from the following transcript:\n\n` +
+              (participants ? `Participants:\n${participants}\n\n` : '') +
+              transcriptText +
+              (highlights ? `\n\nBookmarked moments (must be included):\n${highlights}` : '')
           }
         ],
         max_tokens: 2000,
@@ -138,6 +149,25 @@ Respond ONLY with valid JSON in this exact format:
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * One line per participant: name and role
+   */
+  formatParticipants(participants) {
+    return participants.map(p => `- ${p.name}${p.role ? ` (${p.role})` : ''}`).join('\n');
+  }
+
+  /**
+   * One line per bookmark: time into the call, label and the lines it was dropped on
+   */
+  formatHighlights(bookmarks) {
+    return bookmarks.map((bookmark, i) => {
+      const minutes = Math.floor(bookmark.offset / 60000);
+      const seconds = Math.floor(bookmark.offset % 60000 / 1000).toString().padStart(2, '0');
+      const quote = bookmark.lines.map(t => `[${t.speaker}] ${t.text}`).join(' ');
+      return `${i + 1}. ${minutes}:${seconds}${bookmark.label ? ` "${bookmark.label}"` : ''}${quote ? ` - ${quote}` : ''}`;
+    }).join('\n');
+  }
 }
 
 module.exports = MeetingNotesGenerator;
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+
+// Built-in PII detectors. validate() rejects look-alikes the pattern alone cannot rule out
+const DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi
+  },
+  card: {
+    label: 'CARD',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: (value) => luhnValid(value.replace(/\D/g, ''))
+  },
+  ssn: {
+    label: 'SSN',
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}\b/g,
+    // 10-15 digits: dates, times and amounts are shorter
+    validate: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 15;
+    }
+  }
+};
+
+const MODES = ['off', 'mask', 'hash', 'drop'];
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * RedactionService - Finds PII (emails, card numbers, phone numbers, SSNs, IBANs and user-supplied
+ * patterns) in transcript text and replaces it according to a per-destination policy:
+ *   display (renderer), llm (OpenAI prompts), disk (sessions, exports, summary files), webhook
+ * Modes: off, mask ([EMAIL], cards keep their last four digits), hash ([EMAIL:1a2b3c4d], the same
+ * value gives the same token) and drop (the value is removed).
+ * Hash tokens only match within one run: the salt is random per process unless config.hashSalt
+ * (REDACTION_HASH_SALT) is set, so tokens in sessions saved by different runs cannot be compared.
+ */
+class RedactionService {
+  constructor(config = {}) {
+    this.config = {
+      enabled: config.enabled !== false,
+      detectors: config.detectors || Object.keys(DETECTORS),
+      customPatterns: config.customPatterns || [], // [{ name, pattern, flags }] or pattern strings
+      hashSalt: config.hashSalt || crypto.randomBytes(16).toString('hex'),
+      debug: config.debug || false,
+      ...config
+    };
+    // Destinations without a policy keep the defaults
+    this.config.policies = { display: 'off', llm: 'mask', disk: 'mask', webhook: 'mask', ...config.policies };
+
+    this.detectors = this.buildDetectors();
+  }
+
+  log(message, data = null) {
+    if (this.config.debug) {
+      console.log(`[RedactionService] ${message}`, data || '');
+    }
+  }
+
+  /**
+   * Enabled built-in detectors followed by the custom patterns (invalid patterns are skipped)
+   */
+  buildDetectors() {
+    const detectors = this.config.detectors
+      .filter(name => DETECTORS[name])
+      .map(name => ({ name, ...DETECTORS[name] }));
+
+    this.config.customPatterns.forEach((entry, index) => {
+      const { name = `custom-${index + 1}`, pattern, flags = 'gi' } = typeof entry === 'string' ? { pattern: entry } : entry;
+      try {
+        detectors.push({
+          name,
+          label: name.toUpperCase(),
+          pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`)
+        });
+      } catch (error) {
+        console.warn(`[RedactionService] Ignoring invalid redaction pattern "${name}": ${error.message}`);
+      }
+    });
+
+    return detectors;
+  }
+
+  /**
+   * Redaction mode for a destination ('off' when redaction is disabled)
+   */
+  getMode(destination) {
+    if (!this.config.enabled) return 'off';
+    const mode = this.config.policies[destination] || 'off';
+    return MODES.includes(mode) ? mode : 'mask';
+  }
+
+  /**
+   * PII spans in text, in order and without overlaps (the earlier, then longer match wins)
+   */
+  findMatches(text) {
+    const matches = [];
+    this.detectors.forEach(detector => {
+      for (const match of text.matchAll(detector.pattern)) {
+        if (!match[0] || (detector.validate && !detector.validate(match[0]))) continue;
+        matches.push({ type: detector.name, label: detector.label, value: match[0], start: match.index, end: match.index + match[0].length });
+      }
+    });
+
+    const kept = [];
+    matches
+      .sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start))
+      .forEach(match => {
+        if (kept.length === 0 || kept[kept.length - 1].end <= match.start) kept.push(match);
+      });
+    return kept;
+  }
+
+  /**
+   * Replacement text for a match
+   */
+  replacement(match, mode) {
+    if (mode === 'drop') return '';
+    if (mode === 'hash') {
+      const normalized = match.type === 'email' ? match.value.toLowerCase() : match.value.replace(/[\s().-]/g, '');
+      const digest = crypto.createHash('sha256').update(`${this.config.hashSalt}:${match.type}:${normalized}`).digest('hex');
+      return `[${match.label}:${digest.substring(0, 8)}]`;
+    }
+    if (match.type === 'card') {
+      return `[${match.label} ****${match.value.replace(/\D/g, '').slice(-4)}]`;
+    }
+    return `[${match.label}]`;
+  }
+
+  /**
+   * Apply matches to text; dropped values leave no double spaces behind
+   */
+  applyMatches(text, matches, mode) {
+    let result = '';
+    let cursor = 0;
+    matches.forEach(match => {
+      result += text.substring(cursor, match.start) + this.replacement(match, mode);
+      cursor = match.end;
+    });
+    result += text.substring(cursor);
+    return mode === 'drop' ? result.replace(/\s{2,}/g, ' ').replace(/\s+([?.!,;:])/g, '$1').trim() : result;
+  }
+
+  /**
+   * Redact a string for a destination
+   */
+  redactText(text, destination) {
+    const mode = this.getMode(destination);
+    if (mode === 'off' || !text) return text;
+
+    const matches = this.findMatches(text);
+    if (matches.length === 0) return text;
+
+    this.log(`Redacted ${matches.length} value(s) for ${destination}`, { types: matches.map(match => match.type) });
+    return this.applyMatches(text, matches, mode);
+  }
+
+  /**
+   * Redact per-word timings alongside their text: the first word of a match carries the replacement,
+   * the rest are removed. Words that cannot be located in the text (e.g. lexical forms) are all
+   * dropped rather than risk leaking a value
+   */
+  redactWords(words, text, matches, mode) {
+    if (!words || words.length === 0 || matches.length === 0) return words || [];
+
+    const located = [];
+    let cursor = 0;
+    for (const word of words) {
+      const start = text.indexOf(word.text, cursor);
+      if (start === -1) return [];
+      located.push({ word, start, end: start + word.text.length });
+      cursor = start + word.text.length;
+    }
+
+    const redacted = [];
+    const replaced = new Set();
+    located.forEach(({ word, start, end }) => {
+      const match = matches.find(m => m.start < end && m.end > start);
+      if (!match) {
+        redacted.push(word);
+      } else if (mode !== 'drop' && !replaced.has(match)) {
+        replaced.add(match);
+        redacted.push({ ...word, text: this.replacement(match, mode) });
+      }
+    });
+    return redacted;
+  }
+}
+
+module.exports = RedactionService;
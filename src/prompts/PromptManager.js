@@ -46,12 +46,13 @@ class PromptManager {
   /**
    * Get topic analysis prompts
    */
-  async getTopicAnalysisPrompts(conversationText) {
+  async getTopicAnalysisPrompts(conversationText, responseLanguage = 'English') {
     const systemPrompt = await this.loadPrompt('topic-analysis');
     const userPromptTemplate = await this.loadPrompt('topic-analysis-user');
     
     const userPrompt = this.replaceTemplateVariables(userPromptTemplate, {
-      conversationText: conversationText
+      conversationText: conversationText,
+      responseLanguage: responseLanguage
     });
 
     return {
@@ -97,6 +98,27 @@ class PromptManager {
     };
   }
 
+  /**
+   * Get transcript translation prompts
+   */
+  async getTranslationPrompts(text, sourceLanguage, targetLanguage) {
+    const systemPromptTemplate = await this.loadPrompt('transcript-translation');
+    const userPromptTemplate = await this.loadPrompt('transcript-translation-user');
+    
+    const systemPrompt = this.replaceTemplateVariables(systemPromptTemplate, {
+      sourceLanguage: sourceLanguage,
+      targetLanguage: targetLanguage
+    });
+    const userPrompt = this.replaceTemplateVariables(userPromptTemplate, {
+      text: text
+    });
+
+    return {
+      system: systemPrompt,
+      user: userPrompt
+    };
+  }
+
   /**
    * Clear prompt cache (useful for development/testing)
    */
@@ -1,27 +1,39 @@
 const EventEmitter = require('events');
-const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const { createSpeechProvider } = require('./providers');
+const AudioRingBuffer = require('../audio/AudioRingBuffer');
+
+// Events re-emitted from the provider unchanged (final-result is mapped onto the capture timeline)
+const FORWARDED_EVENTS = [
+  'no-match',
+  'recognition-error',
+  'recognition-stopped',
+  'session-started'
+];
 
 /**
- * SpeechRecognitionService - Azure Speech-to-Text integration
- * Handles dual speech recognition streams with continuous recognition
- * Similar to the Python implementation using Azure Speech SDK
+ * SpeechRecognitionService - Speech-to-text for the dual audio streams
+ * Delegates recognition to a pluggable provider (Azure Speech SDK by default, see ./providers)
+ * and keeps provider-independent state: per-stream status, the capture timeline and
+ * automatic recovery (reconnect with backoff, replaying audio buffered during the outage)
  */
 class SpeechRecognitionService extends EventEmitter {
   constructor(config = {}) {
     super();
     
     this.config = {
-      subscriptionKey: config.subscriptionKey || '',
-      region: config.region || 'eastus',
+      provider: config.provider || 'azure',
       language: config.language || 'en-US',
       enableInterimResults: config.enableInterimResults !== false,
       debug: config.debug || false,
+      reconnectMaxAttempts: config.reconnectMaxAttempts || 6,
+      reconnectBaseDelayMs: config.reconnectBaseDelayMs || 500,
+      reconnectMaxDelayMs: config.reconnectMaxDelayMs || 15000,
+      reconnectBufferMs: config.reconnectBufferMs || 30000, // Audio kept for replay while reconnecting
       ...config
     };
     
-    // Speech recognizers for dual streams
-    this.recognizers = new Map(); // 'microphone' and 'system' recognizers
-    this.pushStreams = new Map(); // Audio push streams
+    this.provider = createSpeechProvider(this.config.provider, this.config);
+    this.activeStreams = new Set(); // Streams started on the provider
     this.isActive = false;
     
     // Recognition state
@@ -30,6 +42,19 @@ class SpeechRecognitionService extends EventEmitter {
       system: { active: false, lastResult: null }
     };
     
+    // Maps push-stream time to session capture time per stream (audio is VAD-gated,
+    // so the recognizer's offsets skip the silences that were never pushed)
+    this.timelines = new Map(); // streamId -> { pushedMs, anchors: [{ pushedMs, captureMs }] }
+    
+    // Recovery state: streams being stopped/drained on purpose are not reconnected
+    this.stoppingStreams = new Set();
+    this.drainingStreams = new Set();
+    this.recovery = new Map(); // streamId -> { attempt, timer, buffer, reason, startedAt, gapStartOffset }
+    this.reconnectAttempts = new Map(); // streamId -> attempts since the stream last produced a result
+    this.lastCaptureOffsets = new Map(); // streamId -> capture offset (ms) of the last audio written
+    
+    this.setupProviderEvents();
+    
     this.log('SpeechRecognitionService initialized', { config: this.sanitizeConfig(this.config) });
   }
 
@@ -38,11 +63,9 @@ class SpeechRecognitionService extends EventEmitter {
    */
   async initialize() {
     try {
-      if (!this.config.subscriptionKey || !this.config.region) {
-        throw new Error('Azure Speech subscription key and region are required');
-      }
+      await this.provider.initialize();
       
-      this.log('SpeechRecognitionService initialized successfully');
+      this.log(`SpeechRecognitionService initialized successfully (provider: ${this.provider.name})`);
       this.emit('initialized');
       return true;
     } catch (error) {
@@ -52,66 +75,84 @@ class SpeechRecognitionService extends EventEmitter {
     }
   }
 
+  /**
+   * Re-emit provider events
+   */
+  setupProviderEvents() {
+    FORWARDED_EVENTS.forEach(eventName => {
+      this.provider.on(eventName, (data) => this.emit(eventName, data));
+    });
+    
+    this.provider.on('recognition-started', ({ streamId }) => {
+      this.recognitionState[streamId] = { active: true, lastResult: null };
+      this.emit('recognition-started', { streamId });
+    });
+    
+    this.provider.on('interim-result', (result) => {
+      this.reconnectAttempts.delete(result.streamId);
+      this.emit('interim-result', result);
+    });
+    
+    // A session that stops or is canceled while we still expect audio is a dropped connection
+    this.provider.on('session-stopped', (event) => {
+      this.emit('session-stopped', event);
+      this.handleStreamDropped(event.streamId, 'session stopped');
+    });
+    
+    this.provider.on('recognition-canceled', (event) => {
+      this.emit('recognition-canceled', event);
+      if (event.reason !== 'end-of-stream') {
+        this.handleStreamDropped(event.streamId, event.error || 'recognition canceled');
+      }
+    });
+    
+    this.provider.on('final-result', (result) => {
+      this.reconnectAttempts.delete(result.streamId);
+      const { offset, ...finalResult } = result;
+      finalResult.audioOffset = offset !== undefined && offset !== null
+        ? this.toCaptureOffset(result.streamId, offset)
+        : null;
+      finalResult.words = (result.words || []).map(word => ({
+        ...word,
+        offset: this.toCaptureOffset(result.streamId, word.offset)
+      }));
+      
+      console.log(`SpeechRecognitionService: Final result [${result.streamId}]: "${result.text}"`);
+      
+      if (this.recognitionState[result.streamId]) {
+        this.recognitionState[result.streamId].lastResult = {
+          text: result.text,
+          timestamp: result.timestamp,
+          confidence: result.confidence
+        };
+      }
+      
+      this.emit('final-result', finalResult);
+    });
+  }
+
   /**
    * Start speech recognition for a specific audio stream
    */
   async startRecognition(streamId, audioConfig = {}) {
     try {
-      if (this.recognizers.has(streamId)) {
+      if (this.activeStreams.has(streamId)) {
         this.log(`Recognition already active for stream: ${streamId}`);
         return false;
       }
 
-      // Create speech config
-      const speechConfig = sdk.SpeechConfig.fromSubscription(
-        this.config.subscriptionKey,
-        this.config.region
-      );
+      this.activeStreams.add(streamId);
+      this.timelines.set(streamId, { pushedMs: 0, anchors: [] });
+      this.reconnectAttempts.delete(streamId);
+      this.lastCaptureOffsets.delete(streamId);
       
-      speechConfig.speechRecognitionLanguage = this.config.language;
-      
-      // Enable speaker diarization for multi-speaker detection
-      speechConfig.setProperty('DiarizationEnabled', 'true');
-      speechConfig.setProperty('MaxSpeakerCount', '2'); // Limit to 2 speakers for better accuracy
-      
-      // Enable interim results if configured
-      if (this.config.enableInterimResults) {
-        speechConfig.setProperty(
-          sdk.PropertyId.SpeechServiceResponse_RequestDetailedResultTrueFalse,
-          'true'
-        );
-      }
-
-      // Create push audio input stream
-      const audioFormat = sdk.AudioStreamFormat.getWaveFormatPCM(16000, 16, 1);
-      const pushStream = sdk.AudioInputStream.createPushStream(audioFormat);
-      const audioStreamConfig = sdk.AudioConfig.fromStreamInput(pushStream);
-      
-      // Create speech recognizer
-      const recognizer = new sdk.SpeechRecognizer(speechConfig, audioStreamConfig);
-      
-      // Store references
-      this.recognizers.set(streamId, recognizer);
-      this.pushStreams.set(streamId, pushStream);
-      
-      // Set up event handlers
-      this.setupRecognizerEvents(streamId, recognizer);
-      
-      // Start continuous recognition
-      recognizer.startContinuousRecognitionAsync(
-        () => {
-          this.recognitionState[streamId] = { active: true, lastResult: null };
-          this.log(`Speech recognition started for stream: ${streamId}`);
-          this.emit('recognition-started', { streamId });
-        },
-        (error) => {
-          this.log(`Failed to start recognition for stream: ${streamId}`, error);
-          this.emit('recognition-error', { streamId, error });
-        }
-      );
+      await this.provider.startRecognition(streamId, audioConfig);
+      this.isActive = true;
       
       return true;
     } catch (error) {
+      this.activeStreams.delete(streamId);
+      this.timelines.delete(streamId);
       this.log(`Error starting recognition for stream: ${streamId}`, error);
       this.emit('error', { streamId, error });
       return false;
@@ -123,34 +164,17 @@ class SpeechRecognitionService extends EventEmitter {
    */
   async stopRecognition(streamId) {
     try {
-      const recognizer = this.recognizers.get(streamId);
-      const pushStream = this.pushStreams.get(streamId);
-      
-      if (!recognizer) {
+      if (!this.activeStreams.has(streamId)) {
         this.log(`No active recognition for stream: ${streamId}`);
         return false;
       }
 
-      // Stop continuous recognition
-      recognizer.stopContinuousRecognitionAsync(
-        () => {
-          this.log(`Speech recognition stopped for stream: ${streamId}`);
-          this.emit('recognition-stopped', { streamId });
-        },
-        (error) => {
-          this.log(`Error stopping recognition for stream: ${streamId}`, error);
-        }
-      );
+      this.stoppingStreams.add(streamId);
+      this.cancelRecovery(streamId);
+      await this.provider.stopRecognition(streamId);
       
-      // Clean up resources
-      recognizer.close();
-      if (pushStream) {
-        pushStream.close();
-      }
-      
-      // Remove from collections
-      this.recognizers.delete(streamId);
-      this.pushStreams.delete(streamId);
+      this.activeStreams.delete(streamId);
+      this.timelines.delete(streamId);
       this.recognitionState[streamId] = { active: false, lastResult: null };
       
       return true;
@@ -158,6 +182,9 @@ class SpeechRecognitionService extends EventEmitter {
       this.log(`Error stopping recognition for stream: ${streamId}`, error);
       this.emit('error', { streamId, error });
       return false;
+    } finally {
+      this.stoppingStreams.delete(streamId);
+      this.drainingStreams.delete(streamId);
     }
   }
 
@@ -165,7 +192,7 @@ class SpeechRecognitionService extends EventEmitter {
    * Stop all active recognitions
    */
   async stopAllRecognition() {
-    const streamIds = Array.from(this.recognizers.keys());
+    const streamIds = Array.from(this.activeStreams);
     const stopPromises = streamIds.map(streamId => this.stopRecognition(streamId));
     
     await Promise.all(stopPromises);
@@ -174,15 +201,59 @@ class SpeechRecognitionService extends EventEmitter {
     this.log('All speech recognition stopped');
   }
 
+  /**
+   * Signal end of audio on all streams and wait until the provider has
+   * delivered the remaining results (session stopped/canceled) or timeoutMs passes
+   */
+  async drainRecognition(timeoutMs = 30000) {
+    const streamIds = Array.from(this.activeStreams);
+
+    await Promise.all(streamIds.map(streamId => new Promise(resolve => {
+      const onDone = (event) => {
+        if (event.streamId === streamId) finish();
+      };
+      const finish = () => {
+        clearTimeout(timer);
+        this.off('session-stopped', onDone);
+        this.off('recognition-canceled', onDone);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.log(`Timed out draining recognition for stream: ${streamId}`);
+        finish();
+      }, timeoutMs);
+
+      this.on('session-stopped', onDone);
+      this.on('recognition-canceled', onDone);
+
+      this.drainingStreams.add(streamId);
+      this.cancelRecovery(streamId);
+      this.provider.endAudio(streamId).catch(error => {
+        this.log(`Error ending audio for stream: ${streamId}`, error);
+        finish();
+      });
+    })));
+
+    this.log('Speech recognition drained', { streamIds });
+  }
+
+  /**
+   * Tell the provider an utterance just ended (VAD speech-end)
+   */
+  flush(streamId) {
+    if (this.activeStreams.has(streamId)) {
+      this.provider.flush(streamId);
+    }
+  }
+
   /**
    * Process audio data for a specific stream
+   * captureOffset (ms since recording start) places the chunk on the session timeline
    */
-  processAudioData(streamId, audioBuffer) {
+  processAudioData(streamId, audioBuffer, captureOffset = null) {
     try {
-      const pushStream = this.pushStreams.get(streamId);
-      
-      if (!pushStream) {
-        console.log(`SpeechRecognitionService: No push stream available for: ${streamId}`);
+      if (!this.activeStreams.has(streamId)) {
+        console.log(`SpeechRecognitionService: No active recognition for: ${streamId}`);
         return false;
       }
 
@@ -200,12 +271,14 @@ class SpeechRecognitionService extends EventEmitter {
         );
       }
 
-      console.log(`SpeechRecognitionService: Writing ${audioData.byteLength} bytes to Azure push stream for ${streamId}`);
+      // While reconnecting, hold audio for replay into the new recognizer
+      const recovery = this.recovery.get(streamId);
+      if (recovery) {
+        recovery.buffer.push({ audioData: audioData.slice(0), captureOffset });
+        return true;
+      }
 
-      // Write audio data to push stream
-      pushStream.write(audioData);
-      
-      return true;
+      return this.writeAudio(streamId, audioData, captureOffset);
     } catch (error) {
       console.error(`SpeechRecognitionService: Error processing audio data for stream: ${streamId}`, error);
       this.emit('audio-processing-error', { streamId, error });
@@ -214,110 +287,211 @@ class SpeechRecognitionService extends EventEmitter {
   }
 
   /**
-   * Set up event handlers for a speech recognizer
+   * Write audio to the provider, keeping the capture timeline in step
    */
-  setupRecognizerEvents(streamId, recognizer) {
-    // Recognizing event (interim results)
-    recognizer.recognizing = (sender, event) => {
-      console.log(`SpeechRecognitionService: Recognizing event for ${streamId}, reason: ${event.result.reason}`);
-      if (event.result.reason === sdk.ResultReason.RecognizingSpeech) {
-        const text = event.result.text;
-        console.log(`SpeechRecognitionService: Interim result [${streamId}]: "${text}"`);
-        if (text && text.trim()) {
-          this.emit('interim-result', {
-            streamId,
-            text: text.trim(),
-            confidence: event.result.properties?.getProperty('Speech.Service.Response.JsonResult'),
-            timestamp: Date.now()
-          });
-        }
-      }
+  writeAudio(streamId, audioData, captureOffset) {
+    this.advanceTimeline(streamId, audioData.byteLength, captureOffset);
+    if (captureOffset !== null && captureOffset !== undefined) {
+      this.lastCaptureOffsets.set(streamId, captureOffset + audioData.byteLength / 32);
+    }
+
+    return this.provider.processAudioData(streamId, audioData, captureOffset);
+  }
+
+  /**
+   * Start recovering a stream whose recognizer dropped unexpectedly
+   */
+  handleStreamDropped(streamId, reason) {
+    if (!this.activeStreams.has(streamId) || this.stoppingStreams.has(streamId) ||
+        this.drainingStreams.has(streamId) || this.recovery.has(streamId)) {
+      return;
+    }
+
+    const bytesPerMs = 32;
+    const recovery = {
+      attempt: this.reconnectAttempts.get(streamId) || 0,
+      timer: null,
+      buffer: new AudioRingBuffer(this.config.reconnectBufferMs * bytesPerMs, (chunk) => chunk.audioData.byteLength),
+      reason,
+      startedAt: Date.now(),
+      gapStartOffset: this.lastCaptureOffsets.get(streamId) ?? null
     };
+    this.recovery.set(streamId, recovery);
+
+    this.log(`Recognition dropped for stream: ${streamId}, reconnecting`, reason);
+    this.scheduleReconnect(streamId);
+  }
+
+  /**
+   * Retry after an exponentially growing delay
+   */
+  scheduleReconnect(streamId) {
+    const recovery = this.recovery.get(streamId);
+    if (!recovery) return;
+
+    if (recovery.attempt >= this.config.reconnectMaxAttempts) {
+      this.log(`Giving up reconnecting stream: ${streamId} after ${recovery.attempt} attempts`);
+      this.recovery.delete(streamId);
+      this.reconnectAttempts.delete(streamId);
+      this.emit('stream-reconnect-failed', {
+        streamId,
+        attempts: recovery.attempt,
+        reason: recovery.reason,
+        gap: this.describeGap(recovery)
+      });
+      return;
+    }
+
+    const delayMs = Math.min(
+      this.config.reconnectBaseDelayMs * Math.pow(2, recovery.attempt),
+      this.config.reconnectMaxDelayMs
+    );
+    recovery.attempt++;
+    this.reconnectAttempts.set(streamId, recovery.attempt);
+
+    this.emit('stream-reconnecting', {
+      streamId,
+      attempt: recovery.attempt,
+      maxAttempts: this.config.reconnectMaxAttempts,
+      delayMs,
+      reason: recovery.reason,
+      gapStartOffset: recovery.gapStartOffset
+    });
+
+    recovery.timer = setTimeout(() => this.reconnect(streamId), delayMs);
+  }
+
+  /**
+   * Replace the stream's recognizer and replay the audio buffered during the outage
+   */
+  async reconnect(streamId) {
+    const recovery = this.recovery.get(streamId);
+    if (!recovery) return;
+    recovery.timer = null;
+
+    try {
+      await this.provider.stopRecognition(streamId).catch(() => {});
+      await this.provider.startRecognition(streamId, { resume: true });
+    } catch (error) {
+      this.log(`Reconnect attempt ${recovery.attempt} failed for stream: ${streamId}`, error.message);
+      this.scheduleReconnect(streamId);
+      return;
+    }
 
-    // Recognized event (final results)
-    recognizer.recognized = (sender, event) => {
-      console.log(`SpeechRecognitionService: Recognized event for ${streamId}, reason: ${event.result.reason}`);
-      if (event.result.reason === sdk.ResultReason.RecognizedSpeech) {
-        const text = event.result.text;
-        console.log(`SpeechRecognitionService: Final result [${streamId}]: "${text}"`);
-        if (text && text.trim()) {
-          this.recognitionState[streamId].lastResult = {
-            text: text.trim(),
-            timestamp: Date.now(),
-            confidence: this.extractConfidence(event.result)
-          };
-          
-          this.emit('final-result', {
-            streamId,
-            text: text.trim(),
-            confidence: this.extractConfidence(event.result),
-            timestamp: Date.now()
-          });
-        }
-      } else if (event.result.reason === sdk.ResultReason.NoMatch) {
-        console.log(`SpeechRecognitionService: No speech recognized for stream: ${streamId}`);
-        this.emit('no-match', { streamId });
+    // The stream may have been stopped while we were reconnecting
+    if (this.recovery.get(streamId) !== recovery) {
+      if (!this.activeStreams.has(streamId)) {
+        await this.provider.stopRecognition(streamId).catch(() => {});
       }
-    };
+      return;
+    }
+    this.recovery.delete(streamId);
 
-    // Session events
-    recognizer.sessionStarted = (sender, event) => {
-      this.log(`Recognition session started for stream: ${streamId}`);
-      this.emit('session-started', { streamId, sessionId: event.sessionId });
-    };
+    // New recognizer offsets restart at zero
+    this.timelines.set(streamId, { pushedMs: 0, anchors: [] });
 
-    recognizer.sessionStopped = (sender, event) => {
-      this.log(`Recognition session stopped for stream: ${streamId}`);
-      this.emit('session-stopped', { streamId, sessionId: event.sessionId });
-    };
+    const gap = this.describeGap(recovery);
+    const chunks = recovery.buffer.drain();
+    chunks.forEach(({ audioData, captureOffset }) => this.writeAudio(streamId, audioData, captureOffset));
 
-    // Error handling
-    recognizer.canceled = (sender, event) => {
-      const error = event.reason === sdk.CancellationReason.Error 
-        ? event.errorDetails 
-        : `Recognition canceled: ${event.reason}`;
-      
-      this.log(`Recognition canceled for stream: ${streamId}`, error);
-      this.emit('recognition-canceled', { streamId, error, reason: event.reason });
+    this.log(`Stream reconnected: ${streamId}`, { attempts: recovery.attempt, replayedChunks: chunks.length, gap });
+    this.emit('stream-reconnected', { streamId, attempts: recovery.attempt, gap });
+  }
+
+  /**
+   * Summarize an outage: where it started/ended on the capture timeline and how much audio was lost
+   */
+  describeGap(recovery) {
+    return {
+      reason: recovery.reason,
+      startTime: recovery.startedAt,
+      endTime: Date.now(),
+      startOffset: recovery.gapStartOffset,
+      endOffset: recovery.buffer.chunks[0]?.captureOffset ?? recovery.gapStartOffset,
+      replayedMs: Math.round(recovery.buffer.byteLength / 32),
+      droppedMs: Math.round(recovery.buffer.droppedBytes / 32)
     };
   }
 
   /**
-   * Extract confidence score from recognition result
+   * Abort any pending reconnect for a stream
    */
-  extractConfidence(result) {
-    try {
-      const jsonResult = result.properties?.getProperty('Speech.Service.Response.JsonResult');
-      if (jsonResult) {
-        const parsed = JSON.parse(jsonResult);
-        return parsed.NBest?.[0]?.Confidence || 0.0;
+  cancelRecovery(streamId) {
+    const recovery = this.recovery.get(streamId);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.recovery.delete(streamId);
+    }
+  }
+
+  /**
+   * Record where pushed audio sits on the capture timeline
+   * A new anchor is only needed when the capture offset jumps (audio was skipped)
+   */
+  advanceTimeline(streamId, byteLength, captureOffset) {
+    const timeline = this.timelines.get(streamId);
+    if (!timeline) return;
+
+    if (captureOffset !== null && captureOffset !== undefined) {
+      const lastAnchor = timeline.anchors[timeline.anchors.length - 1];
+      const expectedCaptureMs = lastAnchor
+        ? lastAnchor.captureMs + (timeline.pushedMs - lastAnchor.pushedMs)
+        : null;
+
+      if (expectedCaptureMs === null || Math.abs(captureOffset - expectedCaptureMs) > 1) {
+        timeline.anchors.push({ pushedMs: timeline.pushedMs, captureMs: captureOffset });
       }
-      return 0.0;
-    } catch (error) {
-      this.log('Error extracting confidence score', error);
-      return 0.0;
     }
+
+    timeline.pushedMs += byteLength / 32; // 16 kHz, 16-bit mono = 32 bytes per ms
+  }
+
+  /**
+   * Convert a recognizer offset (ms of pushed audio) to a session capture offset (ms)
+   */
+  toCaptureOffset(streamId, pushedMs) {
+    const anchors = this.timelines.get(streamId)?.anchors || [];
+    let anchor = null;
+    for (const candidate of anchors) {
+      if (candidate.pushedMs > pushedMs) break;
+      anchor = candidate;
+    }
+    if (!anchor) return null;
+
+    return Math.round(anchor.captureMs + (pushedMs - anchor.pushedMs));
   }
 
   /**
    * Get current recognition status
    */
   getStatus() {
-    const activeStreams = Array.from(this.recognizers.keys());
+    const activeStreams = Array.from(this.activeStreams);
     
     return {
       isActive: this.isActive,
+      provider: this.provider.name,
       activeStreams,
+      reconnectingStreams: Array.from(this.recovery.keys()),
       recognitionState: { ...this.recognitionState },
       config: this.sanitizeConfig(this.config)
     };
   }
 
+  /**
+   * Set the custom vocabulary used to bias recognition, including on streams already running
+   */
+  setPhrases(phrases = []) {
+    this.provider.setPhrases(phrases);
+    this.log(`Recognition vocabulary set: ${phrases.length} phrases`);
+  }
+
   /**
    * Update configuration
+   * Provider settings apply from the next startRecognition; switching provider requires a restart
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    this.provider.config = { ...this.provider.config, ...newConfig };
     this.log('Configuration updated', this.sanitizeConfig(this.config));
     this.emit('config-updated', this.config);
   }
@@ -326,7 +500,7 @@ class SpeechRecognitionService extends EventEmitter {
    * Check if a specific stream is active
    */
   isStreamActive(streamId) {
-    return this.recognizers.has(streamId) && this.recognitionState[streamId]?.active;
+    return this.activeStreams.has(streamId) && this.recognitionState[streamId]?.active;
   }
 
   /**
@@ -337,64 +511,17 @@ class SpeechRecognitionService extends EventEmitter {
   }
 
   /**
-   * Test Azure Speech connection
+   * Test the speech provider connection
    */
   async testConnection() {
-    try {
-      const speechConfig = sdk.SpeechConfig.fromSubscription(
-        this.config.subscriptionKey,
-        this.config.region
-      );
-      
-      // Create a simple test recognizer
-      const audioConfig = sdk.AudioConfig.fromDefaultMicrophoneInput();
-      const recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
-      
-      return new Promise((resolve, reject) => {
-        recognizer.recognizeOnceAsync(
-          (result) => {
-            recognizer.close();
-            resolve({
-              success: true,
-              result: result.reason,
-              text: result.text || 'Connection test successful'
-            });
-          },
-          (error) => {
-            recognizer.close();
-            reject({
-              success: false,
-              error: error.toString()
-            });
-          }
-        );
-        
-        // Timeout after 5 seconds
-        setTimeout(() => {
-          recognizer.close();
-          reject({
-            success: false,
-            error: 'Connection test timeout'
-          });
-        }, 5000);
-      });
-    } catch (error) {
-      return {
-        success: false,
-        error: error.toString()
-      };
-    }
+    return this.provider.testConnection();
   }
 
   /**
    * Sanitize config for logging (remove sensitive data)
    */
   sanitizeConfig(config) {
-    const sanitized = { ...config };
-    if (sanitized.subscriptionKey) {
-      sanitized.subscriptionKey = `${sanitized.subscriptionKey.substring(0, 8)}***`;
-    }
-    return sanitized;
+    return this.provider ? this.provider.sanitizeConfig(config) : { ...config };
   }
 
   /**
@@ -411,9 +538,10 @@ class SpeechRecognitionService extends EventEmitter {
    */
   async destroy() {
     await this.stopAllRecognition();
+    await this.provider.destroy();
     this.removeAllListeners();
     this.log('SpeechRecognitionService destroyed');
   }
 }
 
-module.exports = SpeechRecognitionService;
\ No newline at end of file
+module.exports = SpeechRecognitionService;
@@ -0,0 +1,251 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * VocabularyManager - Custom phrases that bias speech recognition (product and feature names)
+ * Merges a user-editable vocabulary file (one phrase per line, # comments) with terms extracted
+ * from the local knowledge base markdown (headings and **bold** terms). The custom list can be
+ * edited at runtime; listeners of 'vocabulary-updated' re-apply the phrases to live recognizers.
+ * Transcript corrections are appended to a JSON-lines file as training data, and the names and
+ * codes they introduce can be learned into the custom list.
+ */
+class VocabularyManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      vocabularyFile: config.vocabularyFile || './vocabulary.txt',
+      knowledgeBaseFile: config.knowledgeBaseFile || './knowledgebase.md',
+      extractFromKnowledgeBase: config.extractFromKnowledgeBase !== false,
+      maxPhrases: config.maxPhrases || 500, // Azure phrase lists accept up to 500 phrases
+      maxTermWords: config.maxTermWords || 6, // Longer headings are sentences, not terms
+      correctionsFile: config.correctionsFile || './vocabulary_corrections.jsonl',
+      learnFromCorrections: config.learnFromCorrections !== false,
+      ...config
+    };
+
+    this.customPhrases = [];
+    this.knowledgeBasePhrases = [];
+  }
+
+  /**
+   * Load the vocabulary file and knowledge base terms (missing files are not an error)
+   */
+  async initialize() {
+    try {
+      await this.load();
+      return true;
+    } catch (error) {
+      this.log('Failed to load vocabulary', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * (Re)read both sources
+   */
+  async load() {
+    this.customPhrases = this.parseVocabulary(await this.readOptionalFile(this.config.vocabularyFile));
+
+    this.knowledgeBasePhrases = this.config.extractFromKnowledgeBase
+      ? this.extractTerms(await this.readOptionalFile(this.config.knowledgeBaseFile))
+      : [];
+
+    this.log('Vocabulary loaded', {
+      custom: this.customPhrases.length,
+      knowledgeBase: this.knowledgeBasePhrases.length
+    });
+    this.emit('vocabulary-updated', this.getVocabulary());
+  }
+
+  async readOptionalFile(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    }
+  }
+
+  /**
+   * One phrase per line; blank lines and # comments are ignored
+   */
+  parseVocabulary(text) {
+    return this.dedupe(text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#')));
+  }
+
+  /**
+   * Pull candidate terms from markdown: headings and bold text, plus CamelCase product names inside them
+   */
+  extractTerms(markdown) {
+    const candidates = [];
+
+    for (const [, heading] of markdown.matchAll(/^#{1,6}\s+(.+)$/gm)) {
+      candidates.push(heading.replace(/^\d+[.)]\s*/, ''));
+    }
+
+    // Bold UI paths such as "Admin > Team Management" yield each step
+    for (const [, bold] of markdown.matchAll(/\*\*([^*]+)\*\*/g)) {
+      candidates.push(...bold.split('>'));
+    }
+
+    const terms = [];
+    candidates
+      .map(term => term.replace(/[:.,;!]+$/, '').trim())
+      .filter(term => term && !term.endsWith('?') && term.split(/\s+/).length <= this.config.maxTermWords)
+      .forEach(term => {
+        terms.push(term);
+        terms.push(...(term.match(/\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]+)+\b/g) || []));
+      });
+
+    return this.dedupe(terms);
+  }
+
+  /**
+   * Case-insensitive de-duplication, first spelling wins
+   */
+  dedupe(phrases) {
+    const seen = new Set();
+    return phrases.filter(phrase => {
+      const key = phrase.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Phrases to give the recognizer: custom entries first, capped at maxPhrases
+   */
+  getPhrases() {
+    return this.dedupe([...this.customPhrases, ...this.knowledgeBasePhrases]).slice(0, this.config.maxPhrases);
+  }
+
+  getVocabulary() {
+    return {
+      phrases: this.getPhrases(),
+      custom: [...this.customPhrases],
+      knowledgeBase: [...this.knowledgeBasePhrases],
+      vocabularyFile: path.resolve(this.config.vocabularyFile),
+      correctionsFile: path.resolve(this.config.correctionsFile)
+    };
+  }
+
+  /**
+   * Edit the custom vocabulary and persist it
+   * update: { phrases } replaces the list; { add, remove } edits it; { reload: true } re-reads both sources
+   */
+  async updateVocabulary(update = {}) {
+    if (update.reload) {
+      await this.load();
+      return this.getVocabulary();
+    }
+
+    let phrases = Array.isArray(update.phrases) ? update.phrases : this.customPhrases;
+    if (Array.isArray(update.add)) {
+      phrases = [...phrases, ...update.add];
+    }
+    if (Array.isArray(update.remove)) {
+      const removed = new Set(update.remove.map(phrase => phrase.trim().toLowerCase()));
+      phrases = phrases.filter(phrase => !removed.has(phrase.trim().toLowerCase()));
+    }
+
+    this.customPhrases = this.dedupe(phrases.map(phrase => String(phrase).trim()).filter(Boolean));
+    await this.save();
+
+    this.log('Vocabulary updated', { custom: this.customPhrases.length });
+    const vocabulary = this.getVocabulary();
+    this.emit('vocabulary-updated', vocabulary);
+    return vocabulary;
+  }
+
+  /**
+   * Log a transcript correction { originalText, text, language, ... } as training data and learn
+   * the terms it introduces. Returns the learned terms
+   * The logged correction may be redacted; terms are then taken from learnFrom { originalText, text,
+   * excludedSpans }, the texts as spoken with the PII spans of text ({ start, end }) that must not be learned
+   */
+  async recordCorrection(correction, learnFrom = correction) {
+    await fs.mkdir(path.dirname(path.resolve(this.config.correctionsFile)), { recursive: true });
+    await fs.appendFile(this.config.correctionsFile, JSON.stringify(correction) + '\n');
+
+    const terms = this.extractCorrectionTerms(learnFrom.originalText, learnFrom.text, learnFrom.excludedSpans);
+    const known = new Set(this.getPhrases().map(phrase => phrase.toLowerCase()));
+    const learned = terms.filter(term => !known.has(term.toLowerCase()));
+    if (this.config.learnFromCorrections && learned.length > 0) {
+      await this.updateVocabulary({ add: learned });
+    }
+    return this.config.learnFromCorrections ? learned : [];
+  }
+
+  /**
+   * Corrections logged so far (oldest first)
+   */
+  async getCorrections() {
+    return (await this.readOptionalFile(this.config.correctionsFile))
+      .split(/\r?\n/)
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Runs of words the correction added that look like terms (capitalized or containing digits):
+   * "video editor pro" -> "VideoEditorPro" yields "VideoEditorPro". Words overlapping one of
+   * excludedSpans ({ start, end } in correctedText) are never part of a term
+   */
+  extractCorrectionTerms(originalText = '', correctedText = '', excludedSpans = []) {
+    const clean = word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    const original = new Set(originalText.split(/\s+/).map(word => clean(word).toLowerCase()).filter(Boolean));
+
+    const terms = [];
+    let run = [];
+    const flush = () => {
+      if (run.length > 0 && run.length <= this.config.maxTermWords && run.some(word => /[\p{Lu}\d]/u.test(word))) {
+        terms.push(run.join(' '));
+      }
+      run = [];
+    };
+    for (const { 0: raw, index } of correctedText.matchAll(/\S+/g)) {
+      const word = clean(raw);
+      const excluded = excludedSpans.some(span => span.start < index + raw.length && span.end > index);
+      if (word && !excluded && !original.has(word.toLowerCase())) {
+        run.push(word);
+      } else {
+        flush();
+      }
+    }
+    flush();
+
+    return this.dedupe(terms);
+  }
+
+  /**
+   * Write the custom phrases back to the vocabulary file
+   */
+  async save() {
+    const header = '# Custom speech vocabulary - one phrase per line (product names, features, people)\n';
+    await fs.mkdir(path.dirname(path.resolve(this.config.vocabularyFile)), { recursive: true });
+    await fs.writeFile(this.config.vocabularyFile, header + this.customPhrases.join('\n') + '\n');
+  }
+
+  /**
+   * Logging utility
+   */
+  log(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] VocabularyManager: ${message}`, data || '');
+  }
+}
+
+module.exports = VocabularyManager;
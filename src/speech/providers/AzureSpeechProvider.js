@@ -0,0 +1,446 @@
+const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const SpeechProvider = require('./SpeechProvider');
+
+/**
+ * AzureSpeechProvider - Azure Speech SDK continuous recognition over push streams
+ * One SpeechRecognizer + PushAudioInputStream per stream; diarized streams use a ConversationTranscriber
+ * so each result carries the speaker id the service assigned (Guest-1, Guest-2, ...)
+ */
+class AzureSpeechProvider extends SpeechProvider {
+  constructor(config = {}) {
+    super({
+      subscriptionKey: config.subscriptionKey || '',
+      region: config.region || 'eastus',
+      language: config.language || 'en-US',
+      enableInterimResults: config.enableInterimResults !== false,
+      maxAlternatives: config.maxAlternatives ?? 3,
+      ...config
+    });
+
+    this.recognizers = new Map(); // streamId -> SpeechRecognizer
+    this.pushStreams = new Map(); // streamId -> PushAudioInputStream
+    this.phraseLists = new Map(); // streamId -> PhraseListGrammar
+  }
+
+  get name() {
+    return 'azure';
+  }
+
+  async initialize() {
+    if (!this.config.subscriptionKey || !this.config.region) {
+      throw new Error('Azure Speech subscription key and region are required');
+    }
+    return true;
+  }
+
+  /**
+   * Create the speech config shared by all recognizers
+   * translate: build a translation config targeting the configured translation language
+   */
+  createSpeechConfig(translate = false, diarize = false) {
+    const ConfigClass = translate ? sdk.SpeechTranslationConfig : sdk.SpeechConfig;
+    const speechConfig = ConfigClass.fromSubscription(
+      this.config.subscriptionKey,
+      this.config.region
+    );
+
+    speechConfig.speechRecognitionLanguage = this.config.language;
+    if (translate) {
+      speechConfig.addTargetLanguage(this.config.translation.targetLanguage);
+    }
+
+    // Attribute interim results to a speaker too, not just final ones
+    if (diarize) {
+      speechConfig.setProperty(sdk.PropertyId.SpeechServiceResponse_DiarizeIntermediateResults, 'true');
+    }
+
+    // Detailed output carries N-best confidence and per-word timings
+    speechConfig.outputFormat = sdk.OutputFormat.Detailed;
+    speechConfig.requestWordLevelTimestamps();
+
+    // Enable interim results if configured
+    if (this.config.enableInterimResults) {
+      speechConfig.setProperty(
+        sdk.PropertyId.SpeechServiceResponse_RequestDetailedResultTrueFalse,
+        'true'
+      );
+    }
+
+    return speechConfig;
+  }
+
+  /**
+   * Continuous language identification over the candidate locales (null for a single language)
+   */
+  createAutoDetectConfig() {
+    const candidates = this.config.candidateLanguages || [];
+    if (candidates.length < 2) {
+      return null;
+    }
+
+    const autoDetectConfig = sdk.AutoDetectSourceLanguageConfig.fromLanguages(candidates);
+    autoDetectConfig.mode = sdk.LanguageIdMode.Continuous;
+    return autoDetectConfig;
+  }
+
+  /**
+   * Locale of a result: the identified language, else the configured one
+   */
+  extractLanguage(result) {
+    if ((this.config.candidateLanguages || []).length >= 2) {
+      const detected = sdk.AutoDetectSourceLanguageResult.fromResult(result).language;
+      if (detected && detected !== 'Unknown') {
+        return detected;
+      }
+    }
+    return this.config.language;
+  }
+
+  /**
+   * Whether a stream runs through a TranslationRecognizer instead of a plain SpeechRecognizer
+   */
+  shouldTranslate(streamId) {
+    const translation = this.config.translation;
+    return !!translation?.enabled && translation.method !== 'openai' && translation.streams.includes(streamId);
+  }
+
+  /**
+   * Speaker id assigned by the conversation transcriber (null when not diarized or not yet identified)
+   */
+  extractSpeakerId(result) {
+    const speakerId = result.speakerId;
+    return speakerId && speakerId !== 'Unknown' ? speakerId : null;
+  }
+
+  /**
+   * Translation carried by a translation recognizer result (null for plain recognition)
+   */
+  extractTranslation(result) {
+    const language = this.config.translation?.targetLanguage;
+    const text = result.translations && language ? result.translations.get(language) : null;
+    return text ? { language, text: text.trim(), source: 'recognizer' } : null;
+  }
+
+  async startRecognition(streamId) {
+    // The conversation transcriber cannot translate; diarized streams are translated afterwards instead
+    const diarize = this.shouldDiarize(streamId);
+    const translate = !diarize && this.shouldTranslate(streamId);
+    const speechConfig = this.createSpeechConfig(translate, diarize);
+
+    // Create push audio input stream
+    const audioFormat = sdk.AudioStreamFormat.getWaveFormatPCM(16000, 16, 1);
+    const pushStream = sdk.AudioInputStream.createPushStream(audioFormat);
+    const audioStreamConfig = sdk.AudioConfig.fromStreamInput(pushStream);
+
+    // Create speech (translation, or conversation) recognizer, identifying the language continuously when several are configured
+    const RecognizerClass = diarize
+      ? sdk.ConversationTranscriber
+      : (translate ? sdk.TranslationRecognizer : sdk.SpeechRecognizer);
+    const autoDetectConfig = this.createAutoDetectConfig();
+    const recognizer = autoDetectConfig
+      ? RecognizerClass.FromConfig(speechConfig, autoDetectConfig, audioStreamConfig)
+      : new RecognizerClass(speechConfig, audioStreamConfig);
+
+    // Bias recognition towards the custom vocabulary
+    const phraseList = sdk.PhraseListGrammar.fromRecognizer(recognizer);
+    if (this.phrases.length > 0) {
+      phraseList.addPhrases(this.phrases);
+    }
+
+    // Store references
+    this.recognizers.set(streamId, recognizer);
+    this.pushStreams.set(streamId, pushStream);
+    this.phraseLists.set(streamId, phraseList);
+
+    // Set up event handlers
+    this.setupRecognizerEvents(streamId, recognizer, diarize);
+
+    // Start continuous recognition
+    const start = diarize
+      ? recognizer.startTranscribingAsync.bind(recognizer)
+      : recognizer.startContinuousRecognitionAsync.bind(recognizer);
+    return new Promise((resolve, reject) => {
+      start(
+        () => {
+          this.log(`Speech recognition started for stream: ${streamId}`);
+          this.emit('recognition-started', { streamId });
+          resolve(true);
+        },
+        (error) => {
+          this.log(`Failed to start recognition for stream: ${streamId}`, error);
+          this.emit('recognition-error', { streamId, error });
+          reject(new Error(`Failed to start recognition for ${streamId}: ${error}`));
+        }
+      );
+    });
+  }
+
+  processAudioData(streamId, audioData) {
+    const pushStream = this.pushStreams.get(streamId);
+    if (!pushStream) {
+      return false;
+    }
+
+    console.log(`AzureSpeechProvider: Writing ${audioData.byteLength} bytes to Azure push stream for ${streamId}`);
+    pushStream.write(audioData);
+    return true;
+  }
+
+  async endAudio(streamId) {
+    // Closing the push stream tells the recognizer no more audio is coming
+    const pushStream = this.pushStreams.get(streamId);
+    if (pushStream) {
+      pushStream.close();
+      this.pushStreams.delete(streamId);
+    }
+  }
+
+  async stopRecognition(streamId) {
+    const recognizer = this.recognizers.get(streamId);
+    const pushStream = this.pushStreams.get(streamId);
+
+    if (!recognizer) {
+      return false;
+    }
+
+    // Stop continuous recognition
+    const stop = recognizer instanceof sdk.ConversationTranscriber
+      ? recognizer.stopTranscribingAsync.bind(recognizer)
+      : recognizer.stopContinuousRecognitionAsync.bind(recognizer);
+    stop(
+      () => {
+        this.log(`Speech recognition stopped for stream: ${streamId}`);
+        this.emit('recognition-stopped', { streamId });
+      },
+      (error) => {
+        this.log(`Error stopping recognition for stream: ${streamId}`, error);
+      }
+    );
+
+    // Clean up resources
+    recognizer.close();
+    if (pushStream) {
+      pushStream.close();
+    }
+
+    this.recognizers.delete(streamId);
+    this.pushStreams.delete(streamId);
+    this.phraseLists.delete(streamId);
+
+    return true;
+  }
+
+  /**
+   * Replace the phrase list of every running recognizer (takes effect from the next utterance)
+   */
+  setPhrases(phrases) {
+    this.phrases = [...phrases];
+    for (const [streamId, phraseList] of this.phraseLists) {
+      phraseList.clear();
+      if (this.phrases.length > 0) {
+        phraseList.addPhrases(this.phrases);
+      }
+      this.log(`Phrase list updated for stream: ${streamId}`, { phrases: this.phrases.length });
+    }
+  }
+
+  /**
+   * Set up event handlers for a speech recognizer
+   * diarize: the recognizer is a ConversationTranscriber (transcribing/transcribed instead of recognizing/recognized)
+   */
+  setupRecognizerEvents(streamId, recognizer, diarize = false) {
+    // Recognizing event (interim results)
+    const onRecognizing = (sender, event) => {
+      if (event.result.reason === sdk.ResultReason.RecognizingSpeech ||
+          event.result.reason === sdk.ResultReason.TranslatingSpeech) {
+        const text = event.result.text;
+        if (text && text.trim()) {
+          this.emit('interim-result', {
+            streamId,
+            text: text.trim(),
+            language: this.extractLanguage(event.result),
+            translation: this.extractTranslation(event.result),
+            speakerId: this.extractSpeakerId(event.result),
+            timestamp: Date.now()
+          });
+        }
+      }
+    };
+
+    // Recognized event (final results)
+    const onRecognized = (sender, event) => {
+      console.log(`AzureSpeechProvider: Recognized event for ${streamId}, reason: ${event.result.reason}`);
+      if (event.result.reason === sdk.ResultReason.RecognizedSpeech ||
+          event.result.reason === sdk.ResultReason.TranslatedSpeech) {
+        const text = event.result.text;
+        if (text && text.trim()) {
+          // Result offset/duration are in 100-nanosecond ticks
+          this.emit('final-result', {
+            streamId,
+            text: text.trim(),
+            confidence: this.extractConfidence(event.result),
+            alternatives: this.extractAlternatives(event.result),
+            language: this.extractLanguage(event.result),
+            translation: this.extractTranslation(event.result),
+            words: this.extractWords(event.result),
+            speakerId: this.extractSpeakerId(event.result),
+            offset: event.result.offset / 10000,
+            duration: Math.round(event.result.duration / 10000),
+            timestamp: Date.now()
+          });
+        }
+      } else if (event.result.reason === sdk.ResultReason.NoMatch) {
+        this.emit('no-match', { streamId });
+      }
+    };
+
+    if (diarize) {
+      recognizer.transcribing = onRecognizing;
+      recognizer.transcribed = onRecognized;
+    } else {
+      recognizer.recognizing = onRecognizing;
+      recognizer.recognized = onRecognized;
+    }
+
+    // Session events
+    recognizer.sessionStarted = (sender, event) => {
+      this.emit('session-started', { streamId, sessionId: event.sessionId });
+    };
+
+    // Ignore late events from a recognizer that has already been replaced or stopped
+    recognizer.sessionStopped = (sender, event) => {
+      if (this.recognizers.get(streamId) !== recognizer) return;
+      this.emit('session-stopped', { streamId, sessionId: event.sessionId });
+    };
+
+    // Error handling
+    recognizer.canceled = (sender, event) => {
+      if (this.recognizers.get(streamId) !== recognizer) return;
+      const endOfStream = event.reason === sdk.CancellationReason.EndOfStream;
+      const error = endOfStream
+        ? 'Recognition canceled: end of stream'
+        : `${event.errorDetails || 'Recognition canceled'} (code ${event.errorCode})`;
+
+      this.emit('recognition-canceled', { streamId, error, reason: endOfStream ? 'end-of-stream' : 'error' });
+    };
+  }
+
+  /**
+   * Extract confidence score from recognition result
+   */
+  extractConfidence(result) {
+    return this.parseDetailedResult(result)?.NBest?.[0]?.Confidence || 0.0;
+  }
+
+  /**
+   * Runner-up hypotheses [{ text, confidence }] (best first, without the recognized text itself)
+   */
+  extractAlternatives(result) {
+    const nBest = this.parseDetailedResult(result)?.NBest || [];
+    const recognized = (result.text || '').trim().toLowerCase();
+    const seen = new Set([recognized]);
+    return nBest
+      .slice(1)
+      .map(hypothesis => ({ text: (hypothesis.Display || hypothesis.Lexical || '').trim(), confidence: hypothesis.Confidence ?? null }))
+      .filter(alternative => {
+        const key = alternative.text.toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.config.maxAlternatives);
+  }
+
+  /**
+   * Word timings of the best hypothesis, in ms of audio written (same basis as the result offset)
+   */
+  extractWords(result) {
+    const words = this.parseDetailedResult(result)?.NBest?.[0]?.Words || [];
+    return words.map(word => ({
+      text: word.Word,
+      offset: word.Offset / 10000,
+      duration: Math.round(word.Duration / 10000),
+      confidence: word.Confidence ?? null
+    }));
+  }
+
+  /**
+   * Detailed JSON payload of a result, or null
+   */
+  parseDetailedResult(result) {
+    try {
+      const jsonResult = result.properties?.getProperty('Speech.Service.Response.JsonResult');
+      return jsonResult ? JSON.parse(jsonResult) : null;
+    } catch (error) {
+      this.log('Error parsing detailed result', error);
+      return null;
+    }
+  }
+
+  /**
+   * Test Azure Speech connection
+   */
+  async testConnection() {
+    try {
+      const speechConfig = sdk.SpeechConfig.fromSubscription(
+        this.config.subscriptionKey,
+        this.config.region
+      );
+
+      // Create a simple test recognizer
+      const audioConfig = sdk.AudioConfig.fromDefaultMicrophoneInput();
+      const recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
+
+      return new Promise((resolve, reject) => {
+        recognizer.recognizeOnceAsync(
+          (result) => {
+            recognizer.close();
+            resolve({
+              success: true,
+              result: result.reason,
+              text: result.text || 'Connection test successful'
+            });
+          },
+          (error) => {
+            recognizer.close();
+            reject({
+              success: false,
+              error: error.toString()
+            });
+          }
+        );
+
+        // Timeout after 5 seconds
+        setTimeout(() => {
+          recognizer.close();
+          reject({
+            success: false,
+            error: 'Connection test timeout'
+          });
+        }, 5000);
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.toString()
+      };
+    }
+  }
+
+  sanitizeConfig(config = this.config) {
+    const sanitized = { ...config };
+    if (sanitized.subscriptionKey) {
+      sanitized.subscriptionKey = `${sanitized.subscriptionKey.substring(0, 8)}***`;
+    }
+    return sanitized;
+  }
+
+  async destroy() {
+    for (const streamId of Array.from(this.recognizers.keys())) {
+      await this.stopRecognition(streamId);
+    }
+    super.destroy();
+  }
+}
+
+module.exports = AzureSpeechProvider;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const SpeechProvider = require('./SpeechProvider');
+
+const BYTES_PER_MS = 32; // 16 kHz, 16-bit mono
+
+/**
+ * FakeSpeechProvider - Deterministic scripted recognizer for tests and offline demos
+ * Replays a script of expected utterances instead of recognizing speech:
+ *   { "utterances": [{ "streamId": "system", "start": 300, "end": 1500, "text": "...",
+ *                      "confidence": 0.92, "language": "es-ES", "speakerId": "Guest-1",
+ *                      "alternatives": [{ "text": "...", "confidence": 0.4 }],
+ *                      "interim": ["optional", "interim texts"] }] }
+ * speakerId is only reported on streams with diarization enabled, like a real diarizing provider.
+ * Word timings are spread evenly over the utterance unless it lists its own "words":
+ * [{ "text": "Hi", "start": 300, "end": 420 }] (timeline ms).
+ * start/end are ms on the session timeline (capture offsets). As audio for a stream is written,
+ * interim results are emitted while an utterance is "being heard" and the final result once
+ * audio past its end has arrived, so results depend only on the audio fed, never on wall time.
+ * Connection drops can be scripted too: "drops": [{ "streamId": "system", "at": 2000 }] cancels the
+ * stream once audio past `at` arrives; a restarted stream resumes the utterances not yet finalized.
+ */
+class FakeSpeechProvider extends SpeechProvider {
+  constructor(config = {}) {
+    super({
+      script: config.script || null, // Path to a JSON script, or the script object itself
+      language: config.language || 'en-US', // Reported for utterances without a language
+      defaultConfidence: config.defaultConfidence || 0.9,
+      ...config
+    });
+
+    this.utterances = [];
+    this.drops = [];
+    this.streams = new Map(); // streamId -> { writtenMs, heardUntil, segments, pending, drops, lastInterim, dropped }
+    this.droppedStreams = new Map(); // streamId -> state left behind by a scripted drop, resumed on restart
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  async initialize() {
+    if (!this.config.script) {
+      throw new Error('FakeSpeechProvider requires a script (FAKE_STT_SCRIPT)');
+    }
+    this.utterances = this.loadScript(this.config.script);
+    this.log(`Loaded ${this.utterances.length} scripted utterances`, this.drops.length ? { drops: this.drops.length } : null);
+    return true;
+  }
+
+  /**
+   * Read a script file/object and sort its utterances by start time
+   */
+  loadScript(script) {
+    const data = typeof script === 'string' ? JSON.parse(fs.readFileSync(script, 'utf8')) : script;
+    const utterances = Array.isArray(data) ? data : data.utterances || [];
+    this.drops = (Array.isArray(data) ? [] : data.drops || []).map(drop => ({ ...drop }));
+    return utterances
+      .map(utterance => ({ ...utterance }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  async startRecognition(streamId, options = {}) {
+    const resumed = options.resume ? this.droppedStreams.get(streamId) : null;
+    this.droppedStreams.delete(streamId);
+
+    this.streams.set(streamId, {
+      writtenMs: 0,
+      heardUntil: 0,
+      segments: [], // { timeMs, writtenMs, durationMs } for mapping timeline -> written audio
+      pending: resumed ? resumed.pending : this.utterances.filter(utterance => utterance.streamId === streamId),
+      drops: resumed ? resumed.drops : this.drops.filter(drop => drop.streamId === streamId).sort((a, b) => a.at - b.at),
+      lastInterim: null,
+      dropped: false
+    });
+
+    this.emit('session-started', { streamId });
+    this.emit('recognition-started', { streamId });
+    return true;
+  }
+
+  processAudioData(streamId, audioData, captureOffset = null) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.dropped) {
+      return false;
+    }
+
+    const durationMs = audioData.byteLength / BYTES_PER_MS;
+    const timeMs = captureOffset ?? stream.writtenMs;
+
+    stream.segments.push({ timeMs, writtenMs: stream.writtenMs, durationMs });
+    stream.writtenMs += durationMs;
+    stream.heardUntil = Math.max(stream.heardUntil, timeMs + durationMs);
+
+    if (stream.drops.length > 0 && stream.heardUntil > stream.drops[0].at) {
+      this.drop(streamId, stream);
+      return false;
+    }
+
+    this.advance(streamId, stream);
+    return true;
+  }
+
+  /**
+   * Simulate the service dropping the connection: audio stops being recognized
+   */
+  drop(streamId, stream) {
+    const { at } = stream.drops.shift();
+    stream.dropped = true;
+    this.log(`Scripted connection drop for stream: ${streamId} at ${at}ms`);
+    this.emit('recognition-canceled', { streamId, error: `Scripted connection drop at ${at}ms`, reason: 'error' });
+  }
+
+  /**
+   * Emit interim/final results for everything heard so far
+   */
+  advance(streamId, stream, endOfAudio = false) {
+    while (stream.pending.length > 0) {
+      const utterance = stream.pending[0];
+      if (stream.heardUntil <= utterance.start) break;
+
+      if (stream.heardUntil >= utterance.end || endOfAudio) {
+        stream.pending.shift();
+        stream.lastInterim = null;
+        this.emit('final-result', {
+          streamId,
+          text: utterance.text,
+          confidence: utterance.confidence ?? this.config.defaultConfidence,
+          alternatives: (utterance.alternatives || []).map(alternative =>
+            typeof alternative === 'string' ? { text: alternative, confidence: null } : alternative
+          ),
+          language: utterance.language || this.config.language,
+          words: this.wordTimings(utterance).map(word => ({
+            text: word.text,
+            offset: this.toWrittenMs(stream, word.start),
+            duration: word.end - word.start,
+            confidence: null
+          })),
+          offset: this.toWrittenMs(stream, utterance.start),
+          duration: utterance.end - utterance.start,
+          speakerId: this.scriptedSpeakerId(streamId, utterance),
+          timestamp: Date.now()
+        });
+        continue;
+      }
+
+      const interim = this.interimText(utterance, (stream.heardUntil - utterance.start) / (utterance.end - utterance.start));
+      if (interim && interim !== stream.lastInterim) {
+        stream.lastInterim = interim;
+        this.emit('interim-result', {
+          streamId,
+          text: interim,
+          language: utterance.language || this.config.language,
+          speakerId: this.scriptedSpeakerId(streamId, utterance),
+          timestamp: Date.now()
+        });
+      }
+      break;
+    }
+  }
+
+  scriptedSpeakerId(streamId, utterance) {
+    return this.shouldDiarize(streamId) ? utterance.speakerId || null : null;
+  }
+
+  /**
+   * Scripted word timings, or the utterance's words spread evenly over its duration (timeline ms)
+   */
+  wordTimings(utterance) {
+    if (Array.isArray(utterance.words)) {
+      return utterance.words;
+    }
+    const words = utterance.text.split(/\s+/).filter(Boolean);
+    const step = (utterance.end - utterance.start) / words.length;
+    return words.map((text, i) => ({
+      text,
+      start: Math.round(utterance.start + i * step),
+      end: Math.round(utterance.start + (i + 1) * step)
+    }));
+  }
+
+  /**
+   * Partial text for an utterance heard up to `progress` (0..1)
+   */
+  interimText(utterance, progress) {
+    if (Array.isArray(utterance.interim) && utterance.interim.length > 0) {
+      return utterance.interim[Math.min(utterance.interim.length - 1, Math.floor(progress * utterance.interim.length))];
+    }
+    const words = utterance.text.split(/\s+/);
+    return words.slice(0, Math.max(1, Math.floor(progress * words.length))).join(' ');
+  }
+
+  /**
+   * Map a timeline position to ms of audio written (what a real recognizer reports as offset)
+   */
+  toWrittenMs(stream, timeMs) {
+    for (const segment of stream.segments) {
+      if (timeMs < segment.timeMs) {
+        return segment.writtenMs; // Fell into audio that was never written (e.g. VAD silence)
+      }
+      if (timeMs < segment.timeMs + segment.durationMs) {
+        return segment.writtenMs + (timeMs - segment.timeMs);
+      }
+    }
+    return stream.writtenMs;
+  }
+
+  async endAudio(streamId) {
+    const stream = this.streams.get(streamId);
+    if (stream) {
+      this.advance(streamId, stream, true);
+    }
+    this.emit('session-stopped', { streamId });
+  }
+
+  async stopRecognition(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      return false;
+    }
+
+    if (stream.dropped) {
+      this.droppedStreams.set(streamId, stream);
+    }
+    this.streams.delete(streamId);
+    this.emit('recognition-stopped', { streamId });
+    return true;
+  }
+}
+
+module.exports = FakeSpeechProvider;
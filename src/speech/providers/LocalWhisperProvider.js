@@ -0,0 +1,302 @@
+const { spawn } = require('child_process');
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const SpeechProvider = require('./SpeechProvider');
+
+const BYTES_PER_MS = 32; // 16 kHz, 16-bit mono
+
+// Errors meaning the backend itself cannot be reached (binary missing, server down), not a bad segment
+const UNAVAILABLE_CODES = ['ENOENT', 'EACCES', 'ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH'];
+
+/**
+ * LocalWhisperProvider - Speech-to-text without a cloud dependency
+ * Audio is buffered per stream into utterance segments (cut at VAD speech-end or maxSegmentMs)
+ * and each segment is transcribed by a local whisper.cpp style backend:
+ *   transport 'process' - spawn `command ...args`, WAV on stdin, transcript on stdout
+ *   transport 'http'    - POST the WAV as multipart `file` to a local server (whisper.cpp server /inference)
+ * Only final results are produced; there are no interim results.
+ */
+class LocalWhisperProvider extends SpeechProvider {
+  constructor(config = {}) {
+    super({
+      transport: config.transport || 'process',
+      command: config.command || 'whisper-cli',
+      args: config.args || ['-m', 'models/ggml-base.en.bin', '-f', '-', '-nt', '-np'],
+      url: config.url || 'http://127.0.0.1:8080/inference',
+      language: config.language || 'en-US',
+      maxSegmentMs: config.maxSegmentMs || 15000,
+      minSegmentMs: config.minSegmentMs || 300,
+      timeoutMs: config.timeoutMs || 60000,
+      ...config
+    });
+
+    this.streams = new Map(); // streamId -> { chunks, bytes, writtenMs, segmentStartMs, queue }
+  }
+
+  get name() {
+    return 'local-whisper';
+  }
+
+  async initialize() {
+    if (!['process', 'http'].includes(this.config.transport)) {
+      throw new Error(`Unknown local speech transport: ${this.config.transport}`);
+    }
+    if (this.config.transport === 'process' && !this.config.command) {
+      throw new Error('LOCAL_STT_COMMAND is required for the process transport');
+    }
+    if (this.config.transport === 'http' && !this.config.url) {
+      throw new Error('LOCAL_STT_URL is required for the http transport');
+    }
+    return true;
+  }
+
+  async startRecognition(streamId) {
+    this.streams.set(streamId, {
+      chunks: [],
+      bytes: 0,
+      writtenMs: 0,
+      segmentStartMs: 0,
+      queue: Promise.resolve()
+    });
+
+    this.emit('session-started', { streamId });
+    this.emit('recognition-started', { streamId });
+    return true;
+  }
+
+  processAudioData(streamId, audioData) {
+    const stream = this.streams.get(streamId);
+    if (!stream) {
+      return false;
+    }
+
+    if (stream.bytes === 0) {
+      stream.segmentStartMs = stream.writtenMs;
+    }
+    stream.chunks.push(Buffer.from(audioData));
+    stream.bytes += audioData.byteLength;
+    stream.writtenMs += audioData.byteLength / BYTES_PER_MS;
+
+    if (stream.bytes >= this.config.maxSegmentMs * BYTES_PER_MS) {
+      this.flush(streamId);
+    }
+    return true;
+  }
+
+  /**
+   * Transcribe the buffered segment of a stream (queued so results stay in order)
+   */
+  flush(streamId) {
+    const stream = this.streams.get(streamId);
+    if (!stream || stream.bytes === 0) return;
+
+    const pcm = Buffer.concat(stream.chunks, stream.bytes);
+    const offset = stream.segmentStartMs;
+    stream.chunks = [];
+    stream.bytes = 0;
+
+    if (pcm.length < this.config.minSegmentMs * BYTES_PER_MS) {
+      return;
+    }
+
+    stream.queue = stream.queue.then(() => this.transcribeSegment(streamId, pcm, offset));
+  }
+
+  async endAudio(streamId) {
+    const stream = this.streams.get(streamId);
+    if (stream) {
+      this.flush(streamId);
+      await stream.queue;
+    }
+    this.emit('session-stopped', { streamId });
+  }
+
+  async stopRecognition(streamId) {
+    if (!this.streams.has(streamId)) {
+      return false;
+    }
+
+    this.streams.delete(streamId);
+    this.emit('recognition-stopped', { streamId });
+    return true;
+  }
+
+  /**
+   * Run one segment through the backend and emit its result
+   */
+  async transcribeSegment(streamId, pcm, offset) {
+    try {
+      const wav = this.createWav(pcm);
+      const text = this.config.transport === 'http'
+        ? await this.transcribeOverHttp(wav)
+        : await this.transcribeWithProcess(wav);
+
+      if (!text) {
+        this.emit('no-match', { streamId });
+        return;
+      }
+
+      this.emit('final-result', {
+        streamId,
+        text,
+        confidence: null, // whisper.cpp does not report an utterance confidence
+        alternatives: [],
+        language: this.config.language, // No language identification: always the configured locale
+        words: [], // Segment-level timing only
+        offset,
+        duration: Math.round(pcm.length / BYTES_PER_MS),
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.log(`Transcription failed for stream: ${streamId}`, error.message);
+      // Only an unreachable backend drops the stream (and gets it reconnected); a segment that failed
+      // (non-zero exit, HTTP error, timeout) is lost on its own and the stream carries on
+      if (UNAVAILABLE_CODES.includes(error.code)) {
+        this.emit('recognition-canceled', { streamId, error: error.message, reason: 'error' });
+      } else {
+        this.emit('recognition-error', { streamId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Pipe the WAV into a local binary and read the transcript from stdout
+   */
+  transcribeWithProcess(wav) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.config.command, this.config.args, { stdio: ['pipe', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`${this.config.command} timed out after ${this.config.timeoutMs}ms`));
+      }, this.config.timeoutMs);
+
+      child.stdout.on('data', (data) => { stdout += data; });
+      child.stderr.on('data', (data) => { stderr += data; });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          reject(new Error(`${this.config.command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+          return;
+        }
+        resolve(this.cleanTranscript(stdout));
+      });
+
+      child.stdin.on('error', () => {}); // Reported through 'close' instead
+      child.stdin.end(wav);
+    });
+  }
+
+  /**
+   * POST the WAV to a local transcription server
+   */
+  transcribeOverHttp(wav) {
+    const url = new URL(this.config.url);
+    const boundary = `----overlay${Date.now().toString(16)}`;
+    const fields = {
+      response_format: 'json',
+      language: this.config.language.split('-')[0]
+    };
+
+    const parts = Object.entries(fields).map(([name, value]) =>
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+    );
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="segment.wav"\r\nContent-Type: audio/wav\r\n\r\n`));
+    parts.push(wav);
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+    const body = Buffer.concat(parts);
+
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'https:' ? 443 : 80),
+      path: url.pathname + url.search,
+      method: 'POST',
+      timeout: this.config.timeoutMs,
+      headers: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Content-Length': body.length
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = (url.protocol === 'https:' ? https : http).request(options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`Transcription server responded with ${res.statusCode}: ${data}`));
+            return;
+          }
+          try {
+            resolve(this.cleanTranscript(JSON.parse(data).text || ''));
+          } catch (error) {
+            resolve(this.cleanTranscript(data)); // Plain text response
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('Transcription server request timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * Strip timestamps / blank lines from whisper output and join into one line
+   */
+  cleanTranscript(output) {
+    return output
+      .split('\n')
+      .map(line => line.replace(/^\s*\[[\d:.,\s\->]+\]\s*/, '').trim())
+      .filter(line => line && line !== '[BLANK_AUDIO]')
+      .join(' ')
+      .trim();
+  }
+
+  /**
+   * Wrap PCM16 mono 16 kHz audio in a WAV header
+   */
+  createWav(pcm) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(16000, 24);
+    header.writeUInt32LE(16000 * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+  }
+
+  async testConnection() {
+    try {
+      // Half a second of silence exercises the whole path without expecting any text
+      await (this.config.transport === 'http'
+        ? this.transcribeOverHttp(this.createWav(Buffer.alloc(500 * BYTES_PER_MS)))
+        : this.transcribeWithProcess(this.createWav(Buffer.alloc(500 * BYTES_PER_MS))));
+      return { success: true, result: 'ok', text: `Local ${this.config.transport} transcription available` };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async destroy() {
+    this.streams.clear();
+    super.destroy();
+  }
+}
+
+module.exports = LocalWhisperProvider;
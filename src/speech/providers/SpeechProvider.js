@@ -0,0 +1,127 @@
+const EventEmitter = require('events');
+
+/**
+ * SpeechProvider - Base class for speech-to-text backends
+ * A provider recognizes independent audio streams ('microphone', 'system') of 16 kHz 16-bit mono PCM.
+ *
+ * Events (all carry streamId):
+ *   recognition-started, recognition-stopped, recognition-error
+ *   session-started, session-stopped
+ *   interim-result  { streamId, text, language, timestamp }
+ *   final-result    { streamId, text, confidence, alternatives, language, offset, duration, words, timestamp }
+ *                   offset/duration are in ms of audio written to the stream; words is
+ *                   [{ text, offset, duration, confidence }] on the same basis ([] if unknown); alternatives
+ *                   are runner-up hypotheses [{ text, confidence }], best first ([] if none); language is the
+ *                   recognized (or configured) locale; providers that translate while recognizing
+ *                   add translation { language, text, source } to interim and final results
+ *                   speakerId (e.g. 'Guest-1') tells remote speakers apart on diarized streams; null when
+ *                   the stream is not diarized or the speaker is not identified yet
+ *   no-match, recognition-canceled { streamId, error, reason }
+ *                   reason is 'end-of-stream' after endAudio, anything else counts as a dropped
+ *                   connection and the stream is reconnected by SpeechRecognitionService
+ */
+class SpeechProvider extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = { ...config };
+    this.phrases = [];
+  }
+
+  /**
+   * Provider name used in logs and status
+   */
+  get name() {
+    return 'base';
+  }
+
+  /**
+   * Validate configuration / connectivity. Returns true when usable
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Begin recognizing a stream
+   * options.resume is set when restarting a stream after its connection dropped
+   */
+  async startRecognition(streamId, options = {}) {
+    throw new Error(`${this.name} provider does not implement startRecognition`);
+  }
+
+  /**
+   * Write PCM audio (ArrayBuffer) to a stream
+   * captureOffset is the chunk's position on the session timeline (ms), when known
+   */
+  processAudioData(streamId, audioData, captureOffset = null) {
+    throw new Error(`${this.name} provider does not implement processAudioData`);
+  }
+
+  /**
+   * Phrases (product names, jargon) to bias recognition towards; applies to running streams too.
+   * Providers without phrase biasing ignore it
+   */
+  setPhrases(phrases) {
+    this.phrases = [...phrases];
+  }
+
+  /**
+   * Whether speakers on a stream should be told apart (config.diarization { enabled, streams }).
+   * Providers without diarization never report a speakerId
+   */
+  shouldDiarize(streamId) {
+    const diarization = this.config.diarization;
+    return !!diarization?.enabled && diarization.streams.includes(streamId);
+  }
+
+  /**
+   * Hint that an utterance ended (e.g. VAD speech-end). Segment-based providers transcribe now
+   */
+  flush(streamId) {}
+
+  /**
+   * Signal that no more audio is coming; results for buffered audio should still be delivered,
+   * followed by session-stopped
+   */
+  async endAudio(streamId) {
+    this.emit('session-stopped', { streamId });
+  }
+
+  /**
+   * Stop recognizing a stream and release its resources
+   */
+  async stopRecognition(streamId) {
+    throw new Error(`${this.name} provider does not implement stopRecognition`);
+  }
+
+  /**
+   * Check that the backend is reachable
+   */
+  async testConnection() {
+    return { success: true, result: 'ok', text: `${this.name} provider ready` };
+  }
+
+  /**
+   * Configuration safe to log
+   */
+  sanitizeConfig(config = this.config) {
+    return { ...config };
+  }
+
+  /**
+   * Logging utility
+   */
+  log(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] SpeechProvider(${this.name}): ${message}`, data || '');
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async destroy() {
+    this.removeAllListeners();
+  }
+}
+
+module.exports = SpeechProvider;
@@ -0,0 +1,38 @@
+const SpeechProvider = require('./SpeechProvider');
+const AzureSpeechProvider = require('./AzureSpeechProvider');
+const LocalWhisperProvider = require('./LocalWhisperProvider');
+const FakeSpeechProvider = require('./FakeSpeechProvider');
+
+// Provider name (VoiceConfig SPEECH_PROVIDER) -> implementation
+const providers = {
+  'azure': AzureSpeechProvider,
+  'local-whisper': LocalWhisperProvider,
+  'fake': FakeSpeechProvider // Scripted results for tests
+};
+
+/**
+ * Register an additional provider implementation (must extend SpeechProvider)
+ */
+function registerSpeechProvider(name, ProviderClass) {
+  providers[name] = ProviderClass;
+}
+
+/**
+ * Create the provider selected by name
+ */
+function createSpeechProvider(name = 'azure', config = {}) {
+  const ProviderClass = providers[name];
+  if (!ProviderClass) {
+    throw new Error(`Unknown speech provider: ${name} (available: ${Object.keys(providers).join(', ')})`);
+  }
+  return new ProviderClass(config);
+}
+
+module.exports = {
+  SpeechProvider,
+  AzureSpeechProvider,
+  LocalWhisperProvider,
+  FakeSpeechProvider,
+  registerSpeechProvider,
+  createSpeechProvider
+};
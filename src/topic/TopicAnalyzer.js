@@ -24,6 +24,8 @@ class TopicAnalyzer extends EventEmitter {
       transcriptWindow: config.transcriptWindow || 10, // Reduced window for faster processing
       topicChangeThreshold: config.topicChangeThreshold || 0.3, // Threshold for detecting topic changes
       outputFile: config.outputFile || './current_topic.txt',
+      defaultLanguage: config.defaultLanguage || 'en-US', // Answer language when transcripts carry none
+      redactText: config.redactText || (text => text), // Applied to everything written to disk
       debug: config.debug || false,
       ...config
     };
@@ -53,6 +55,7 @@ class TopicAnalyzer extends EventEmitter {
     // Initialize conversation summary
     this.conversationSummary = new ConversationSummary({
       summaryFile: './conversation_summary.txt',
+      redactText: this.config.redactText,
       debug: this.config.debug
     });
     
@@ -149,9 +152,10 @@ class TopicAnalyzer extends EventEmitter {
       
       // Format transcripts for analysis
       const conversationText = this.formatTranscriptsForAnalysis(recentTranscripts);
+      const responseLanguage = this.getResponseLanguage(recentTranscripts);
       
-      // Generate structured insights using OpenAI
-      const insights = await this.generateTopicDescription(conversationText);
+      // Generate structured insights using OpenAI, in the language the customer is speaking
+      const insights = await this.generateTopicDescription(conversationText, responseLanguage);
       
       if (insights) {
         // Update conversation summary with new insights
@@ -174,6 +178,7 @@ class TopicAnalyzer extends EventEmitter {
             keyPoints: insights.keyPoints,
             questionActions: insights.questionActions,
             taskActions: enhancedTaskActions,
+            language: responseLanguage,
             timestamp: Date.now(),
             confidence: 0.8,
             transcriptCount: transcripts.length
@@ -229,21 +234,54 @@ class TopicAnalyzer extends EventEmitter {
    * Format transcripts for OpenAI analysis
    */
   formatTranscriptsForAnalysis(transcripts) {
+    // Tag each line with its language only when the conversation switches languages
+    const multilingual = new Set(transcripts.map(t => t.language).filter(Boolean)).size > 1;
+    
     const formattedLines = transcripts.map(transcript => {
       const timestamp = new Date(transcript.timestamp).toLocaleTimeString();
-      return `[${timestamp}] ${transcript.speaker}: ${transcript.text}`;
+      const language = multilingual && transcript.language ? ` (${transcript.language})` : '';
+      return `[${timestamp}] ${transcript.speaker}${language}: ${transcript.text}`;
     });
     
-    return formattedLines.join('\n');
+    // Speakers with a known role are introduced once, ahead of the conversation
+    const participants = [...new Map(transcripts.filter(t => t.role).map(t => [t.speaker, `${t.speaker} (${t.role})`])).values()];
+    const header = participants.length > 0 ? `Participants: ${participants.join(', ')}\n\n` : '';
+    
+    return header + formattedLines.join('\n');
+  }
+
+  /**
+   * Language to answer in: the customer's latest utterance, else anyone's, else the default.
+   * Lines without a participant role count as the customer's when they come from system audio
+   */
+  getResponseLanguage(transcripts) {
+    const withLanguage = transcripts.filter(t => t.language);
+    const latestCustomer = [...withLanguage].reverse().find(t => t.role ? t.role === 'customer' : t.streamId === 'system');
+    return (latestCustomer || withLanguage[withLanguage.length - 1])?.language || this.config.defaultLanguage;
+  }
+
+  /**
+   * Human-readable language for prompts, e.g. "Spanish (Spain) [es-ES]"
+   */
+  describeLanguage(locale) {
+    try {
+      const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(locale);
+      return `${name} [${locale}]`;
+    } catch (error) {
+      return locale;
+    }
   }
 
   /**
    * Generate structured insights using OpenAI API
    */
-  async generateTopicDescription(conversationText) {
+  async generateTopicDescription(conversationText, responseLanguage = this.config.defaultLanguage) {
     try {
       // Get prompts from PromptManager
-      const prompts = await this.promptManager.getTopicAnalysisPrompts(conversationText);
+      const prompts = await this.promptManager.getTopicAnalysisPrompts(
+        conversationText,
+        this.describeLanguage(responseLanguage)
+      );
       
       const response = await this.openai.chat.completions.create({
         model: this.config.model,
@@ -388,7 +426,7 @@ This file is automatically updated as the conversation progresses.
 Last analysis: ${timestamp}
 `;
 
-      await fs.writeFile(this.config.outputFile, content, 'utf8');
+      await fs.writeFile(this.config.outputFile, this.config.redactText(content), 'utf8');
       
       this.log('Topic file updated', { 
         file: this.config.outputFile,
@@ -0,0 +1,261 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+const INDEX_VERSION = 1;
+
+/**
+ * SessionRepository - Library of saved call sessions
+ * TranscriptManager writes one session_<timestamp>.json per call (plus a session_<timestamp>/ folder
+ * for recorded audio). The repository keeps an index.json next to them with what is needed to browse
+ * past calls without opening every file: title, tags, duration, participants, topics and word count.
+ * Files saved before the index existed, or while the app was not indexing, are picked up on initialize.
+ */
+class SessionRepository extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      directory: config.directory || './transcripts',
+      indexFile: config.indexFile || 'index.json',
+      ...config
+    };
+
+    this.sessions = new Map(); // session id -> index entry
+    this.writeQueue = Promise.resolve(); // Index writes are serialized so concurrent saves cannot interleave
+  }
+
+  get indexPath() {
+    return path.join(this.config.directory, this.config.indexFile);
+  }
+
+  /**
+   * Load the index and reconcile it with the session files on disk
+   */
+  async initialize() {
+    try {
+      await fs.mkdir(this.config.directory, { recursive: true });
+      await this.loadIndex();
+      await this.reconcile();
+      this.log('Session library loaded', { sessions: this.sessions.size });
+      return true;
+    } catch (error) {
+      this.log('Failed to load session library', error.message);
+      return false;
+    }
+  }
+
+  async loadIndex() {
+    this.sessions.clear();
+    try {
+      const index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      if (index.version === INDEX_VERSION) {
+        index.sessions.forEach(entry => this.sessions.set(entry.id, entry));
+      }
+    } catch (error) {
+      // A missing or unreadable index is rebuilt from the session files
+      if (error.code !== 'ENOENT') {
+        this.log('Session index unreadable, rebuilding', error.message);
+      }
+    }
+  }
+
+  /**
+   * Index session files the index does not know about and forget entries whose file is gone
+   */
+  async reconcile() {
+    const files = (await fs.readdir(this.config.directory))
+      .filter(file => /^session_.*\.json$/.test(file));
+    const indexed = new Set([...this.sessions.values()].map(entry => entry.file));
+
+    let changed = false;
+    for (const file of files.filter(file => !indexed.has(file))) {
+      try {
+        const session = JSON.parse(await fs.readFile(path.join(this.config.directory, file), 'utf8'));
+        const entry = this.buildEntry(file, session);
+        this.sessions.set(entry.id, entry);
+        changed = true;
+      } catch (error) {
+        this.log(`Skipping unreadable session file ${file}`, error.message);
+      }
+    }
+
+    const present = new Set(files);
+    for (const [id, entry] of this.sessions) {
+      if (!present.has(entry.file)) {
+        this.sessions.delete(id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.saveIndex();
+    }
+  }
+
+  /**
+   * Index entry for a saved session (as written by TranscriptManager.saveSession)
+   */
+  buildEntry(file, session) {
+    const transcripts = session.transcripts || [];
+    const summary = session.summary || {};
+    const topics = session.topics || [];
+
+    const participants = summary.speakers
+      ? summary.speakers.filter(stat => stat.transcriptCount > 0).map(stat => stat.speaker)
+      : [...new Set(transcripts.map(t => t.speaker))];
+
+    return {
+      id: session.id,
+      file,
+      title: session.title || topics[topics.length - 1] || `Call on ${new Date(session.startTime).toLocaleString()}`,
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      duration: session.endTime ? session.endTime - session.startTime : (summary.duration || 0),
+      participants,
+      topics,
+      tags: session.tags || [],
+      bookmarkCount: (session.bookmarks || []).length,
+      languages: Object.keys(summary.languages || {}),
+      transcriptCount: transcripts.length,
+      wordCount: summary.wordCount ?? transcripts.reduce((total, t) => total + t.text.split(/\s+/).filter(Boolean).length, 0),
+      hasAudio: !!session.audio?.files && Object.keys(session.audio.files).length > 0,
+      savedAt: session.exportedAt || Date.now()
+    };
+  }
+
+  /**
+   * Add or refresh a session after it was saved (TranscriptManager 'session-saved')
+   */
+  async indexSession(filePath, session) {
+    const entry = this.buildEntry(path.basename(filePath), session);
+    this.sessions.set(entry.id, entry);
+    await this.saveIndex();
+    this.emit('sessions-updated', this.listSessions());
+    return entry;
+  }
+
+  /**
+   * Index entries, newest first
+   * options: { query } matches title, participants, topics and tags; { limit, offset } page the result
+   */
+  listSessions(options = {}) {
+    const query = (options.query || '').trim().toLowerCase();
+    const matches = [...this.sessions.values()]
+      .filter(entry => !query || [entry.title, ...entry.participants, ...entry.topics, ...entry.tags]
+        .some(value => value && value.toLowerCase().includes(query)))
+      .sort((a, b) => b.startTime - a.startTime);
+
+    const offset = options.offset || 0;
+    return {
+      sessions: matches.slice(offset, options.limit ? offset + options.limit : undefined),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Full saved session (transcripts, markers, corrections, audio) by id
+   */
+  async getSession(id) {
+    const entry = this.getEntry(id);
+    const session = JSON.parse(await fs.readFile(path.join(this.config.directory, entry.file), 'utf8'));
+    return { ...session, title: entry.title };
+  }
+
+  /**
+   * Set a session's title, in the index and in its file
+   */
+  async renameSession(id, title) {
+    const newTitle = typeof title === 'string' ? title.trim() : '';
+    if (!newTitle) {
+      throw new Error('Session title cannot be empty');
+    }
+
+    this.log('Renaming session', { id, title: newTitle });
+    return this.updateSession(id, { title: newTitle });
+  }
+
+  /**
+   * Replace a session's tags (trimmed, de-duplicated case-insensitively)
+   */
+  async setSessionTags(id, tags) {
+    const seen = new Set();
+    const newTags = (Array.isArray(tags) ? tags : [])
+      .map(tag => String(tag).trim())
+      .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()));
+
+    this.log('Tagging session', { id, tags: newTags });
+    return this.updateSession(id, { tags: newTags });
+  }
+
+  /**
+   * Write user-editable fields (title, tags) to a session's file and index entry
+   */
+  async updateSession(id, changes) {
+    const entry = this.getEntry(id);
+
+    const filePath = path.join(this.config.directory, entry.file);
+    const session = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    Object.assign(session, changes);
+    await fs.writeFile(filePath, JSON.stringify(session, null, 2));
+
+    Object.assign(entry, changes);
+    await this.saveIndex();
+
+    this.emit('session-updated', entry);
+    this.emit('sessions-updated', this.listSessions());
+    return entry;
+  }
+
+  /**
+   * Delete a session file, its companion folder (recorded audio) and its index entry
+   */
+  async deleteSession(id) {
+    const entry = this.getEntry(id);
+    await fs.rm(path.join(this.config.directory, entry.file), { force: true });
+    await fs.rm(path.join(this.config.directory, path.basename(entry.file, '.json')), { recursive: true, force: true });
+
+    this.sessions.delete(id);
+    await this.saveIndex();
+
+    this.log('Session deleted', { id });
+    this.emit('session-deleted', entry);
+    this.emit('sessions-updated', this.listSessions());
+    return entry;
+  }
+
+  getEntry(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) {
+      throw new Error(`Session not found: ${id}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Write the index (to a temporary file first, so a crash cannot leave it half-written)
+   */
+  saveIndex() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      const index = {
+        version: INDEX_VERSION,
+        updatedAt: Date.now(),
+        sessions: [...this.sessions.values()]
+      };
+      const tempPath = `${this.indexPath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(index, null, 2));
+      await fs.rename(tempPath, this.indexPath);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Logging utility
+   */
+  log(message, data = null) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] SessionRepository: ${message}`, data || '');
+  }
+}
+
+module.exports = SessionRepository;
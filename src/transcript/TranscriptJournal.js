@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * TranscriptJournal - Append-only JSON-lines log of a session in progress
+ * Every change to the live session (final transcripts, translations, gap markers, speaker names,
+ * topics, edits) is appended as one line the moment it happens, so a crash loses at most the line
+ * being written. The journal is removed once the session has been saved at the end of the call;
+ * a journal that is still there on startup belongs to a call that never finished and can be
+ * replayed into a session.
+ *
+ * Records: { type: 'start', session } | { type: 'transcript', transcript }
+ *          { type: 'transcript-removed', transcriptId } (a duplicate dropped after it was written)
+ *          { type: 'translation', transcriptId, translation } | { type: 'marker', marker }
+ *          { type: 'speakers', speakerMap, speakerRoles } | { type: 'topic', topic }
+ *          { type: 'edit', anchorId, removeIds, insert }
+ *          { type: 'bookmark', bookmark } | { type: 'bookmark-removed', bookmarkId }
+ * each with the time it was written (at).
+ */
+class TranscriptJournal {
+  constructor(config = {}) {
+    this.config = {
+      directory: config.directory || './transcripts/journal',
+      debug: config.debug || false,
+      ...config
+    };
+
+    this.writeQueue = Promise.resolve(); // Appends are serialized so records keep their order
+  }
+
+  log(message, data = null) {
+    if (this.config.debug) {
+      console.log(`[TranscriptJournal] ${message}`, data || '');
+    }
+  }
+
+  getPath(sessionId) {
+    return path.join(this.config.directory, `${sessionId}.jsonl`);
+  }
+
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(task);
+    return this.writeQueue;
+  }
+
+  /**
+   * Open a journal for a new session
+   */
+  start(session) {
+    return this.enqueue(async () => {
+      await fs.mkdir(this.config.directory, { recursive: true });
+      await fs.writeFile(this.getPath(session.id), JSON.stringify({
+        type: 'start',
+        at: Date.now(),
+        session: {
+          id: session.id,
+          startTime: session.startTime,
+          speakerMap: session.speakerMap,
+          speakerRoles: session.speakerRoles,
+          metadata: session.metadata
+        }
+      }) + '\n');
+      this.log('Journal started', { sessionId: session.id });
+    });
+  }
+
+  append(sessionId, record) {
+    return this.enqueue(() => fs.appendFile(this.getPath(sessionId), JSON.stringify({ ...record, at: Date.now() }) + '\n'));
+  }
+
+  /**
+   * Remove a journal (its session was saved, recovered or discarded)
+   */
+  remove(sessionId) {
+    return this.enqueue(async () => {
+      await fs.rm(this.getPath(sessionId), { force: true });
+      this.log('Journal removed', { sessionId });
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this.writeQueue.catch(() => {});
+  }
+
+  async readRecords(sessionId) {
+    const text = await fs.readFile(this.getPath(sessionId), 'utf8');
+    return text.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // The line being written when the app died
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Journals left behind by calls that never finished, oldest first
+   * [{ sessionId, startTime, lastActivity, transcriptCount }]
+   */
+  async listUnfinished(excludeIds = []) {
+    let files;
+    try {
+      files = await fs.readdir(this.config.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const unfinished = [];
+    for (const file of files.filter(file => file.endsWith('.jsonl'))) {
+      const sessionId = path.basename(file, '.jsonl');
+      if (excludeIds.includes(sessionId)) continue;
+      try {
+        const session = this.replay(await this.readRecords(sessionId));
+        unfinished.push({
+          sessionId,
+          startTime: session.startTime,
+          lastActivity: session.endTime,
+          transcriptCount: session.transcripts.length
+        });
+      } catch (error) {
+        this.log(`Skipping unreadable journal ${file}`, error.message);
+      }
+    }
+    return unfinished.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Rebuild a session from its journal; it ends at the last thing that was written
+   */
+  async readSession(sessionId) {
+    return this.replay(await this.readRecords(sessionId));
+  }
+
+  replay(records) {
+    const start = records.find(record => record.type === 'start');
+    if (!start) {
+      throw new Error('Journal has no start record');
+    }
+
+    const session = {
+      id: start.session.id,
+      startTime: start.session.startTime,
+      endTime: records[records.length - 1].at,
+      transcripts: [],
+      speakerMap: { ...start.session.speakerMap },
+      speakerRoles: { ...start.session.speakerRoles },
+      markers: [],
+      corrections: [],
+      edits: [],
+      topics: [],
+      bookmarks: [],
+      metadata: { ...start.session.metadata, recovered: true }
+    };
+
+    records.forEach(record => {
+      switch (record.type) {
+        case 'transcript':
+          session.transcripts.push(record.transcript);
+          break;
+        case 'transcript-removed':
+          session.transcripts = session.transcripts.filter(t => t.id !== record.transcriptId);
+          break;
+        case 'translation': {
+          const transcript = session.transcripts.find(t => t.id === record.transcriptId);
+          if (transcript) transcript.translation = record.translation;
+          break;
+        }
+        case 'marker': {
+          // A pause is written when it starts and again when it ends
+          const index = session.markers.findIndex(m => m.id === record.marker.id);
+          if (index !== -1) {
+            session.markers[index] = record.marker;
+          } else {
+            session.markers.push(record.marker);
+          }
+          break;
+        }
+        case 'speakers':
+          session.speakerMap = { ...record.speakerMap };
+          if (record.speakerRoles) session.speakerRoles = { ...record.speakerRoles };
+          break;
+        case 'topic':
+          session.topics.push(record.topic);
+          break;
+        case 'edit': {
+          // Same splice as TranscriptManager.spliceTranscripts
+          const index = record.removeIds.length > 0
+            ? session.transcripts.findIndex(t => t.id === record.removeIds[0])
+            : (record.anchorId ? session.transcripts.findIndex(t => t.id === record.anchorId) + 1 : 0);
+          if (index !== -1 && !(record.anchorId && record.removeIds.length === 0 && index === 0)) {
+            session.transcripts.splice(index, record.removeIds.length, ...record.insert);
+          }
+          session.bookmarks.forEach(bookmark => {
+            if (bookmark.transcriptIds.some(id => record.removeIds.includes(id))) {
+              bookmark.transcriptIds = [...new Set(bookmark.transcriptIds.flatMap(id =>
+                record.removeIds.includes(id) ? record.insert.map(t => t.id) : [id]
+              ))];
+            }
+          });
+          break;
+        }
+        case 'bookmark': {
+          // Written when dropped and again when labelled or anchored to a finalized line
+          const index = session.bookmarks.findIndex(b => b.id === record.bookmark.id);
+          if (index !== -1) {
+            session.bookmarks[index] = record.bookmark;
+          } else {
+            session.bookmarks.push(record.bookmark);
+          }
+          break;
+        }
+        case 'bookmark-removed':
+          session.bookmarks = session.bookmarks.filter(b => b.id !== record.bookmarkId);
+          break;
+      }
+    });
+
+    // A call that died while paused stayed paused until the last thing that was written
+    session.markers.filter(m => m.type === 'pause' && m.endTime === null).forEach(m => {
+      m.endTime = Math.max(m.startTime, session.endTime);
+      m.endOffset = m.startOffset + m.endTime - m.startTime;
+      m.durationMs = m.endTime - m.startTime;
+    });
+    session.bookmarks.forEach(bookmark => delete bookmark.pendingStreamIds);
+
+    return session;
+  }
+}
+
+module.exports = TranscriptJournal;
@@ -1,6 +1,14 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const RedactionService = require('../privacy/RedactionService');
+const TurnBuilder = require('./TurnBuilder');
+const TranscriptJournal = require('./TranscriptJournal');
+const TranscriptExporter = require('../export/TranscriptExporter');
+const TranscriptImporter = require('../import/TranscriptImporter');
+
+// What a participant is to the call; prompts, notes and exports describe speakers by it
+const PARTICIPANT_ROLES = ['agent', 'customer', 'colleague'];
 
 /**
  * TranscriptManager - Handles transcript processing, speaker tagging, and session management
@@ -14,7 +22,8 @@ class TranscriptManager extends EventEmitter {
       enableSpeakerTagging: config.enableSpeakerTagging !== false,
       maxBufferSize: config.maxBufferSize || 1000,
       autoSave: config.autoSave !== false,
-      sessionTimeout: config.sessionTimeout || 30000,
+      sessionTimeout: config.sessionTimeout ?? 900000, // Recording stops after this long without speech (0 = never)
+      idleWarning: config.idleWarning ?? 60000, // How long before the idle stop the user is warned
       saveDirectory: config.saveDirectory || './transcripts',
       debug: config.debug || false,
       // Quick fix for duplicate transcripts
@@ -22,20 +31,57 @@ class TranscriptManager extends EventEmitter {
       suppressMicrophoneWhenSystemAudio: config.suppressMicrophoneWhenSystemAudio !== false,
       duplicateTimeWindow: config.duplicateTimeWindow || 3000, // 3 seconds
       similarityThreshold: config.similarityThreshold || 0.8, // 80% similarity
+      lowConfidenceThreshold: config.lowConfidenceThreshold ?? 0.6, // Lines below it are flagged for review
+      maxAlternatives: config.maxAlternatives ?? 3,
       preferSystemAudio: config.preferSystemAudio !== false, // Prefer "Other" over "Me"
+      reviewBeforeNotes: config.reviewBeforeNotes || false, // Notes wait until the edited transcript is finalized
+      journal: config.journal !== false, // Append every change to a crash-safe journal while recording
+      redaction: config.redaction || {}, // RedactionService config: per-destination PII policies
+      participants: config.participants || [], // [{ key, name, role }] overriding the default participants
       ...config
     };
+    // TurnBuilder config; enabled feeds turns instead of raw lines to the LLM
+    this.config.turns = { enabled: true, ...config.turns };
+    
+    // PII redaction applied to every copy of transcript text that leaves this manager
+    this.redactor = new RedactionService({ debug: this.config.debug, ...this.config.redaction });
+    
+    // Fragments of one speaker grouped into turns for topic analysis, notes and turn exports
+    this.turnBuilder = new TurnBuilder({ ...this.config.turns, tagText: (speaker, text) => this.tagText(speaker, text) });
+    
+    // CSV, WebVTT, Markdown, HTML and DOCX exports
+    this.exporter = new TranscriptExporter({ debug: this.config.debug });
+    
+    // WebVTT, SRT and Teams / Zoom text transcripts read into sessions
+    this.importer = new TranscriptImporter({ debug: this.config.debug });
+    
+    // Live sessions are journaled line by line; the 30s auto-save rewrites the whole file
+    this.journal = new TranscriptJournal({ directory: path.join(this.config.saveDirectory, 'journal'), debug: this.config.debug });
     
     // Transcript storage
     this.transcripts = [];
     this.interimTranscripts = new Map(); // streamId -> interim text
     this.currentSession = null;
+    this.lastSession = null; // Completed session, kept so speakers can still be renamed after the call
+    
+    // Edits of the current (or last) session's lines, undone / redone in stack order
+    this.undoStack = [];
+    this.redoStack = [];
     
-    // Speaker mapping
-    this.speakerMap = {
+    // Speaker mapping: speaker key -> display name, and speaker key -> participant role. Keys are stream
+    // ids, plus `${streamId}:${speakerId}` for speakers told apart by diarization (registered as they are
+    // first heard with the role of their stream, renamable). The defaults seed every new session
+    this.defaultSpeakerMap = {
       'microphone': 'Me',
       'system': 'Other'
     };
+    this.defaultSpeakerRoles = {
+      'microphone': 'agent',
+      'system': 'customer'
+    };
+    this.setDefaultParticipants(this.config.participants);
+    this.speakerMap = { ...this.defaultSpeakerMap };
+    this.speakerRoles = { ...this.defaultSpeakerRoles };
     
     // Session management
     this.sessionStartTime = null;
@@ -81,12 +127,24 @@ class TranscriptManager extends EventEmitter {
       this.sessionId = this.generateSessionId();
       this.sessionStartTime = Date.now();
       this.lastActivity = Date.now();
+      this.speakerMap = { ...this.defaultSpeakerMap };
+      this.speakerRoles = { ...this.defaultSpeakerRoles };
+      this.lastSession = null;
+      this.undoStack = [];
+      this.redoStack = [];
       
       this.currentSession = {
         id: this.sessionId,
         startTime: this.sessionStartTime,
         endTime: null,
         transcripts: [],
+        speakerMap: this.speakerMap, // Shared, so renames are saved with the session
+        speakerRoles: this.speakerRoles,
+        markers: [], // Non-speech events on the timeline, e.g. recognition gaps and pauses
+        corrections: [], // User corrections of recognized text (also vocabulary training data)
+        edits: [], // Audit trail of transcript edits, undos and redos
+        topics: [], // Conversation topics in the order they came up
+        bookmarks: [], // Moments marked as important during the call
         metadata: {
           captureMode: sessionOptions.captureMode || 'dual',
           language: sessionOptions.language || 'en-US',
@@ -103,6 +161,10 @@ class TranscriptManager extends EventEmitter {
         this.setupAutoSave();
       }
       
+      if (this.config.journal) {
+        this.journal.start(this.currentSession).catch(error => this.log('Failed to start session journal', error.message));
+      }
+      
       this.log('New transcript session started', { sessionId: this.sessionId });
       this.emit('session-started', { 
         sessionId: this.sessionId, 
@@ -130,6 +192,14 @@ class TranscriptManager extends EventEmitter {
       this.currentSession.endTime = Date.now();
       this.currentSession.transcripts = [...this.transcripts];
       
+      // A session stopped while paused ends its pause at the end of the session
+      if (this.isPaused()) {
+        this.resumeSession();
+      }
+      
+      // Lines still being spoken when a bookmark was dropped will not be finalized any more
+      this.currentSession.bookmarks.forEach(bookmark => delete bookmark.pendingStreamIds);
+      
       // Clear auto-save timer
       if (this.autoSaveTimer) {
         clearInterval(this.autoSaveTimer);
@@ -142,6 +212,11 @@ class TranscriptManager extends EventEmitter {
         savedPath = await this.saveSession(this.currentSession);
       }
       
+      // The journal has served its purpose once the session is on disk (or was not meant to be saved)
+      if (this.config.journal && (savedPath || !this.config.autoSave)) {
+        await this.journal.remove(this.currentSession.id);
+      }
+      
       const sessionSummary = {
         id: this.currentSession.id,
         startTime: this.currentSession.startTime,
@@ -157,6 +232,7 @@ class TranscriptManager extends EventEmitter {
       
       // Reset session
       const completedSession = { ...this.currentSession };
+      this.lastSession = completedSession;
       this.currentSession = null;
       this.sessionId = null;
       
@@ -171,33 +247,47 @@ class TranscriptManager extends EventEmitter {
   /**
    * Add an interim transcript result
    */
-  addInterimTranscript(streamId, text, timestamp = Date.now()) {
+  addInterimTranscript(streamId, text, timestamp = Date.now(), details = {}) {
     try {
       if (!text || !text.trim()) return;
       
-      const speaker = this.getSpeakerFromStreamId(streamId);
-      const taggedText = this.config.enableSpeakerTagging ? `[${speaker}] ${text.trim()}` : text.trim();
+      // Interim speaker ids are provisional; speakers are only registered from final results
+      const speakerId = details.speakerId || null;
+      const speakerKey = this.getSpeakerKey(streamId, speakerId);
+      const speaker = this.getSpeakerFromStreamId(streamId, speakerId);
+      const taggedText = this.tagText(speaker, text.trim());
+      const language = this.resolveLanguage(details.language);
+      const translation = details.translation || null;
       
       // Store interim result
       this.interimTranscripts.set(streamId, {
         streamId,
+        speakerId,
+        speakerKey,
         speaker,
+        role: this.speakerRoles[speakerKey] ?? this.speakerRoles[streamId] ?? null,
         text: text.trim(),
         taggedText,
+        language,
+        translation,
         timestamp,
         type: 'interim'
       });
       
       this.updateLastActivity();
       
-      this.emit('interim-transcript', {
+      this.emit('interim-transcript', this.redactTranscript({
         streamId,
+        speakerId,
+        speakerKey,
         speaker,
         text: text.trim(),
         taggedText,
+        language,
+        translation,
         timestamp,
         type: 'interim'
-      });
+      }, 'display'));
       
     } catch (error) {
       this.log('Error adding interim transcript', error);
@@ -206,8 +296,14 @@ class TranscriptManager extends EventEmitter {
 
   /**
    * Add a final transcript result
+   * details.audioOffset/duration (ms) locate the utterance in the recorded session audio;
+   * details.language is the recognized locale (defaults to the session language);
+   * details.translation { language, text, source } when the speech was translated;
+   * details.words [{ text, offset, duration, confidence }] per-word timings on the same timeline;
+   * details.speakerId tells diarized speakers on the stream apart (e.g. 'Guest-1');
+   * details.alternatives [{ text, confidence }] runner-up hypotheses, best first
    */
-  addFinalTranscript(streamId, text, confidence = 0.0, timestamp = Date.now()) {
+  addFinalTranscript(streamId, text, confidence = 0.0, timestamp = Date.now(), details = {}) {
     try {
       console.log(`TranscriptManager: addFinalTranscript called - streamId: ${streamId}, text: "${text}", confidence: ${confidence}`);
       
@@ -216,17 +312,29 @@ class TranscriptManager extends EventEmitter {
         return;
       }
       
-      const speaker = this.getSpeakerFromStreamId(streamId);
-      const taggedText = this.config.enableSpeakerTagging ? `[${speaker}] ${text.trim()}` : text.trim();
+      const speakerId = details.speakerId || null;
+      const speakerKey = this.registerSpeaker(streamId, speakerId);
+      const speaker = this.getSpeakerFromStreamId(streamId, speakerId);
+      const taggedText = this.tagText(speaker, text.trim());
       
       const transcript = {
         id: this.generateTranscriptId(),
         streamId,
+        speakerId,
+        speakerKey,
         speaker,
+        role: this.speakerRoles[speakerKey] ?? null,
         text: text.trim(),
         taggedText,
         confidence,
+        alternatives: (details.alternatives || []).slice(0, this.config.maxAlternatives),
+        lowConfidence: this.isLowConfidence(confidence),
+        language: this.resolveLanguage(details.language),
+        translation: details.translation || null,
         timestamp,
+        audioOffset: details.audioOffset ?? (this.sessionStartTime ? Math.max(0, timestamp - this.sessionStartTime) : null),
+        duration: details.duration ?? null,
+        words: details.words || [],
         type: 'final',
         sessionId: this.sessionId
       };
@@ -247,6 +355,8 @@ class TranscriptManager extends EventEmitter {
       // Update session if active
       if (this.currentSession) {
         this.currentSession.transcripts.push(transcript);
+        this.journalRecord({ type: 'transcript', transcript: this.redactTranscript(transcript, 'disk') });
+        this.anchorPendingBookmarks(transcript);
         console.log(`TranscriptManager: Added to current session, session transcript count: ${this.currentSession.transcripts.length}`);
       } else {
         console.log(`TranscriptManager: No current session active!`);
@@ -263,8 +373,9 @@ class TranscriptManager extends EventEmitter {
       this.updateLastActivity();
       
       this.log(`Final transcript [${speaker}]: ${text.trim()}`);
-      this.emit('final-transcript', transcript);
-      this.emit('transcript-updated', this.getRecentTranscripts(10));
+      this.emit('final-transcript', this.redactTranscript(transcript, 'display'));
+      // Recent transcripts feed topic analysis, so they carry the LLM redaction
+      this.emit('transcript-updated', this.getRecentContext(10, 'llm'));
       
       return transcript;
     } catch (error) {
@@ -274,21 +385,769 @@ class TranscriptManager extends EventEmitter {
   }
 
   /**
-   * Get speaker name from stream ID
+   * Attach a translation produced after recognition to a final transcript
+   */
+  setTranslation(transcriptId, translation) {
+    const transcript = this.transcripts.find(t => t.id === transcriptId)
+      || this.currentSession?.transcripts.find(t => t.id === transcriptId);
+    if (!transcript) {
+      this.log(`Cannot attach translation, transcript not found: ${transcriptId}`);
+      return null;
+    }
+    
+    transcript.translation = translation;
+    this.journalRecord({ type: 'translation', transcriptId, translation: { ...translation, text: this.redactText(translation.text, 'disk') } });
+    this.emit('transcript-translated', this.redactTranscript(transcript, 'display'));
+    return transcript;
+  }
+
+  /**
+   * Whether a line should be flagged for review (an unknown confidence of 0/null is not flagged)
+   */
+  isLowConfidence(confidence) {
+    return !!confidence && confidence < this.config.lowConfidenceThreshold;
+  }
+
+  /**
+   * Final transcripts flagged for review that have not been corrected yet
+   */
+  getLowConfidenceTranscripts(destination = null) {
+    const flagged = this.transcripts.filter(t => t.lowConfidence && !t.correction);
+    return destination ? this.redactTranscript(flagged, destination) : flagged;
+  }
+
+  /**
+   * Replace a line's text with a picked alternative or a typed correction
+   * source: 'alternative' | 'manual'. The original text is kept on the transcript and the correction
+   * is logged in session.corrections. Word timings belonged to the old text, so they are dropped.
+   * Corrections are edits: they can be undone like any other
+   */
+  async correctTranscript(transcriptId, text, source = 'manual') {
+    const session = this.currentSession || this.lastSession;
+    const transcript = this.findTranscript(transcriptId);
+    
+    const correctedText = typeof text === 'string' ? text.trim() : '';
+    if (!correctedText) {
+      throw new Error('Corrected text cannot be empty');
+    }
+    
+    const originalText = transcript.correction?.originalText ?? transcript.text;
+    const correction = {
+      transcriptId,
+      streamId: transcript.streamId,
+      speaker: transcript.speaker,
+      language: transcript.language,
+      confidence: transcript.confidence,
+      audioOffset: transcript.audioOffset,
+      duration: transcript.duration,
+      originalText,
+      text: correctedText,
+      source,
+      correctedAt: Date.now()
+    };
+    
+    const corrected = {
+      ...transcript,
+      text: correctedText,
+      taggedText: this.tagText(transcript.speaker, correctedText),
+      words: [],
+      lowConfidence: false,
+      correction: { originalText, source, correctedAt: correction.correctedAt }
+    };
+    
+    if (session) {
+      session.corrections = session.corrections || [];
+      session.corrections.push(correction);
+    }
+    
+    this.log(`Transcript corrected (${source})`, { transcriptId });
+    this.emit('transcript-corrected', { transcript: this.redactTranscript(corrected, 'display'), correction });
+    await this.applyEdit('correct', [transcript], [corrected]);
+    
+    return { transcript: corrected, correction };
+  }
+
+  /**
+   * Find a line of the current (or last) session
+   */
+  findTranscript(transcriptId) {
+    const session = this.currentSession || this.lastSession;
+    const transcript = this.transcripts.find(t => t.id === transcriptId)
+      || session?.transcripts.find(t => t.id === transcriptId);
+    if (!transcript) {
+      throw new Error(`Transcript not found: ${transcriptId}`);
+    }
+    return transcript;
+  }
+
+  /**
+   * Replace a line's text. Word timings and the translation belonged to the old text, so they are dropped
+   */
+  async editTranscript(transcriptId, text) {
+    const transcript = this.findTranscript(transcriptId);
+    const newText = typeof text === 'string' ? text.trim() : '';
+    if (!newText) {
+      throw new Error('Transcript text cannot be empty');
+    }
+    
+    return this.applyEdit('edit-text', [transcript], [{
+      ...transcript,
+      text: newText,
+      taggedText: this.tagText(transcript.speaker, newText),
+      words: [],
+      translation: null
+    }]);
+  }
+
+  /**
+   * Attribute a line to another speaker (a getSpeakers() key such as 'microphone' or 'system:Guest-2').
+   * The stream id still names the audio the line was recognized from
+   */
+  async reassignSpeaker(transcriptId, speakerKey) {
+    const transcript = this.findTranscript(transcriptId);
+    if (!(speakerKey in this.speakerMap)) {
+      throw new Error(`Unknown speaker: ${speakerKey}`);
+    }
+    
+    const speaker = this.speakerMap[speakerKey];
+    return this.applyEdit('reassign-speaker', [transcript], [{
+      ...transcript,
+      speakerKey,
+      speakerId: speakerKey.split(':')[1] || null,
+      speaker,
+      role: this.speakerRoles[speakerKey] ?? null,
+      taggedText: this.tagText(speaker, transcript.text)
+    }]);
+  }
+
+  /**
+   * Join a line with the one right after it; the result keeps the first line's id and speaker
+   */
+  async mergeTranscripts(firstId, secondId) {
+    const lines = this.getEditableLists()[0];
+    const index = lines.findIndex(t => t.id === firstId);
+    const first = lines[index];
+    const second = lines[index + 1];
+    if (!first) {
+      throw new Error(`Transcript not found: ${firstId}`);
+    }
+    if (!second || second.id !== secondId) {
+      throw new Error('Only adjacent transcripts can be merged');
+    }
+    
+    const text = `${first.text} ${second.text}`;
+    const firstWords = first.text.split(/\s+/).length;
+    const secondWords = second.text.split(/\s+/).length;
+    const confidence = (first.confidence * firstWords + second.confidence * secondWords) / (firstWords + secondWords);
+    const spansAudio = first.audioOffset != null && second.audioOffset != null && second.duration != null;
+    
+    return this.applyEdit('merge', [first, second], [{
+      ...first,
+      text,
+      taggedText: this.tagText(first.speaker, text),
+      confidence,
+      alternatives: [],
+      lowConfidence: this.isLowConfidence(confidence),
+      duration: spansAudio ? second.audioOffset + second.duration - first.audioOffset : first.duration,
+      words: [...(first.words || []), ...(second.words || [])],
+      translation: first.translation && second.translation
+        ? { ...first.translation, text: `${first.translation.text} ${second.translation.text}` }
+        : null
+    }]);
+  }
+
+  /**
+   * Split a line in two at a character position (moved back to the start of the word it falls in).
+   * Word timings place the second half on the audio timeline; without them it is estimated by length
+   */
+  async splitTranscript(transcriptId, at) {
+    const transcript = this.findTranscript(transcriptId);
+    const boundary = transcript.text.lastIndexOf(' ', at) + 1;
+    const firstText = transcript.text.substring(0, boundary).trim();
+    const secondText = transcript.text.substring(boundary).trim();
+    if (!firstText || !secondText) {
+      throw new Error('A transcript can only be split between two words');
+    }
+    
+    const firstWordCount = firstText.split(/\s+/).length;
+    const words = transcript.words || [];
+    const timed = words.length === transcript.text.split(/\s+/).length;
+    const end = transcript.audioOffset != null && transcript.duration != null ? transcript.audioOffset + transcript.duration : null;
+    let splitOffset = null;
+    if (timed) {
+      splitOffset = words[firstWordCount].offset;
+    } else if (end != null) {
+      splitOffset = transcript.audioOffset + Math.round(transcript.duration * boundary / transcript.text.length);
+    }
+    
+    // A correction applied to the whole line does not carry over to its halves
+    const { correction, ...line } = transcript;
+    const halves = [
+      { text: firstText, words: timed ? words.slice(0, firstWordCount) : [], audioOffset: transcript.audioOffset, end: splitOffset },
+      { id: this.generateTranscriptId(), text: secondText, words: timed ? words.slice(firstWordCount) : [], audioOffset: splitOffset, end }
+    ].map(({ end: halfEnd, ...half }) => ({
+      ...line,
+      ...half,
+      taggedText: this.tagText(transcript.speaker, half.text),
+      duration: half.audioOffset != null && halfEnd != null ? halfEnd - half.audioOffset : null,
+      alternatives: [],
+      translation: null
+    }));
+    
+    return this.applyEdit('split', [transcript], halves);
+  }
+
+  /**
+   * Remove a line (e.g. an echo the duplicate filter let through)
+   */
+  async deleteTranscript(transcriptId) {
+    return this.applyEdit('delete', [this.findTranscript(transcriptId)], []);
+  }
+
+  /**
+   * Revert the most recent edit
+   */
+  async undoEdit() {
+    const edit = this.undoStack.pop();
+    if (!edit) {
+      throw new Error('Nothing to undo');
+    }
+    
+    this.spliceTranscripts(edit.anchorId, edit.inserted.map(t => t.id), edit.removed.map(t => this.restoreLine(t)));
+    this.redoStack.push(edit);
+    return this.finishEdit(edit, 'undo');
+  }
+
+  /**
+   * Re-apply the most recently undone edit
+   */
+  async redoEdit() {
+    const edit = this.redoStack.pop();
+    if (!edit) {
+      throw new Error('Nothing to redo');
+    }
+    
+    this.spliceTranscripts(edit.anchorId, edit.removed.map(t => t.id), edit.inserted.map(t => this.restoreLine(t)));
+    this.undoStack.push(edit);
+    return this.finishEdit(edit, 'redo');
+  }
+
+  /**
+   * Replace lines with their edited versions; the lines before and after are kept as snapshots
+   */
+  async applyEdit(type, removed, inserted) {
+    const lines = this.getEditableLists()[0];
+    const index = lines.findIndex(t => t.id === removed[0].id);
+    const edit = {
+      id: `edit_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+      type,
+      anchorId: index > 0 ? lines[index - 1].id : null, // Line before the edited range
+      removed: removed.map(t => ({ ...t })),
+      inserted: inserted.map(t => ({ ...t }))
+    };
+    
+    this.spliceTranscripts(edit.anchorId, edit.removed.map(t => t.id), inserted);
+    this.undoStack.push(edit);
+    this.redoStack = [];
+    return this.finishEdit(edit, 'apply');
+  }
+
+  /**
+   * Lists holding the session's lines: the session's own list first, then the live buffer
+   */
+  getEditableLists() {
+    const session = this.currentSession || this.lastSession;
+    return [...new Set([session?.transcripts, this.transcripts].filter(Boolean))];
+  }
+
+  /**
+   * Swap a contiguous range of lines in every list that holds it
+   */
+  spliceTranscripts(anchorId, removeIds, insert) {
+    this.journalRecord({ type: 'edit', anchorId, removeIds, insert: this.redactTranscript(insert, 'disk') });
+    this.getEditableLists().forEach(lines => {
+      let index;
+      if (removeIds.length > 0) {
+        index = lines.findIndex(t => t.id === removeIds[0]);
+      } else {
+        index = anchorId ? lines.findIndex(t => t.id === anchorId) + 1 : 0;
+        if (anchorId && index === 0) index = -1;
+      }
+      if (index !== -1) {
+        lines.splice(index, removeIds.length, ...insert);
+      }
+    });
+    
+    // Bookmarks on replaced lines move to the lines that replace them
+    const session = this.currentSession || this.lastSession;
+    (session?.bookmarks || []).forEach(bookmark => {
+      if (bookmark.transcriptIds.some(id => removeIds.includes(id))) {
+        bookmark.transcriptIds = [...new Set(bookmark.transcriptIds.flatMap(id =>
+          removeIds.includes(id) ? insert.map(t => t.id) : [id]
+        ))];
+      }
+    });
+  }
+
+  /**
+   * Copy of a snapshot with the current name and role of its speaker (they may have been edited since)
+   */
+  restoreLine(snapshot) {
+    const key = snapshot.speakerKey || snapshot.streamId;
+    const speaker = this.speakerMap[key] || snapshot.speaker;
+    const role = this.speakerRoles[key] ?? snapshot.role ?? null;
+    return { ...snapshot, speaker, role, taggedText: this.tagText(speaker, snapshot.text) };
+  }
+
+  /**
+   * Log an edit action in the session's audit trail, notify listeners and save a completed session
+   */
+  async finishEdit(edit, action) {
+    const [before, after] = action === 'undo' ? [edit.inserted, edit.removed] : [edit.removed, edit.inserted];
+    const describe = t => ({ id: t.id, speaker: t.speaker, text: t.text });
+    const entry = {
+      editId: edit.id,
+      action,
+      type: edit.type,
+      before: before.map(describe),
+      after: after.map(describe),
+      at: Date.now()
+    };
+    
+    const session = this.currentSession || this.lastSession;
+    if (session) {
+      session.edits = session.edits || [];
+      session.edits.push(entry);
+    }
+    
+    const lines = this.getEditableLists()[0];
+    const result = {
+      edit: entry,
+      transcripts: this.redactTranscript(after.map(t => lines.find(line => line.id === t.id)).filter(Boolean), 'display'),
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0
+    };
+    
+    this.log(`Transcript edit ${action}: ${edit.type}`, { editId: edit.id });
+    this.emit('transcripts-edited', result);
+    
+    await this.saveCompletedSession();
+    return result;
+  }
+
+  /**
+   * Edit history of the current (or last) session
+   */
+  getEditHistory() {
+    const session = this.currentSession || this.lastSession;
+    return {
+      edits: session?.edits || [],
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0
+    };
+  }
+
+  /**
+   * Save the last session again after the call (renames, corrections and edits change it)
+   */
+  async saveCompletedSession() {
+    if (!this.currentSession && this.lastSession && this.config.autoSave) {
+      await this.saveSession(this.lastSession);
+    }
+  }
+
+  /**
+   * Drop a bookmark at the current moment of the call. It is anchored to the last final line and
+   * to the lines still being spoken (interim), which are attached when they are finalized
+   */
+  addBookmark(label = '', timestamp = Date.now()) {
+    if (!this.currentSession) {
+      throw new Error('Bookmarks can only be added during a call');
+    }
+    
+    const previous = [...this.currentSession.transcripts].reverse().find(t => t.timestamp <= timestamp);
+    const bookmark = {
+      id: `bookmark_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
+      label: typeof label === 'string' ? label.trim() : '',
+      timestamp,
+      offset: Math.max(0, timestamp - this.sessionStartTime),
+      transcriptIds: previous ? [previous.id] : [],
+      pendingStreamIds: Array.from(this.interimTranscripts.keys())
+    };
+    this.currentSession.bookmarks.push(bookmark);
+    this.journalRecord({ type: 'bookmark', bookmark: this.redactBookmark(bookmark, 'disk') });
+    
+    this.log('Bookmark added', bookmark);
+    this.emit('bookmark-added', bookmark);
+    return bookmark;
+  }
+
+  /**
+   * Attach a just-finalized line to the bookmarks dropped while it was being spoken
+   */
+  anchorPendingBookmarks(transcript) {
+    this.currentSession.bookmarks.forEach(bookmark => {
+      if (!bookmark.pendingStreamIds?.includes(transcript.streamId)) return;
+      bookmark.transcriptIds.push(transcript.id);
+      bookmark.pendingStreamIds = bookmark.pendingStreamIds.filter(streamId => streamId !== transcript.streamId);
+      if (bookmark.pendingStreamIds.length === 0) delete bookmark.pendingStreamIds;
+      this.journalRecord({ type: 'bookmark', bookmark: this.redactBookmark(bookmark, 'disk') });
+      this.emit('bookmark-updated', bookmark);
+    });
+  }
+
+  /**
+   * Label a bookmark of the current (or just completed) session
    */
-  getSpeakerFromStreamId(streamId) {
+  async updateBookmark(bookmarkId, changes = {}) {
+    const session = this.currentSession || this.lastSession;
+    const bookmark = session?.bookmarks?.find(b => b.id === bookmarkId);
+    if (!bookmark) {
+      throw new Error(`Bookmark not found: ${bookmarkId}`);
+    }
+    
+    if (typeof changes.label === 'string') {
+      bookmark.label = changes.label.trim();
+    }
+    this.journalRecord({ type: 'bookmark', bookmark: this.redactBookmark(bookmark, 'disk') });
+    
+    this.emit('bookmark-updated', bookmark);
+    await this.saveCompletedSession();
+    return bookmark;
+  }
+
+  async removeBookmark(bookmarkId) {
+    const session = this.currentSession || this.lastSession;
+    const index = session?.bookmarks?.findIndex(b => b.id === bookmarkId) ?? -1;
+    if (index === -1) {
+      throw new Error(`Bookmark not found: ${bookmarkId}`);
+    }
+    
+    const [bookmark] = session.bookmarks.splice(index, 1);
+    this.journalRecord({ type: 'bookmark-removed', bookmarkId });
+    
+    this.emit('bookmark-removed', bookmark);
+    await this.saveCompletedSession();
+    return bookmark;
+  }
+
+  /**
+   * Bookmarks of a session in call order, each with the lines it is anchored to. Lines that were
+   * deleted since fall back to the last line before the bookmarked moment
+   */
+  getBookmarkHighlights(session = this.currentSession || this.lastSession) {
+    const transcripts = session?.transcripts || [];
+    return [...(session?.bookmarks || [])]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(bookmark => {
+        let lines = transcripts.filter(t => bookmark.transcriptIds.includes(t.id));
+        if (lines.length === 0) {
+          const previous = [...transcripts].reverse().find(t => t.timestamp <= bookmark.timestamp);
+          lines = previous ? [previous] : [];
+        }
+        return { ...bookmark, lines };
+      });
+  }
+
+  /**
+   * Bookmark highlights with the typed labels and the quoted lines redacted for a destination
+   */
+  getBookmarks(destination = 'display', session = undefined) {
+    return this.getBookmarkHighlights(session).map(highlight => ({
+      ...this.redactBookmark(highlight, destination),
+      lines: this.redactTranscript(highlight.lines, destination)
+    }));
+  }
+
+  redactBookmark(bookmark, destination) {
+    return { ...bookmark, label: this.redactText(bookmark.label, destination) };
+  }
+
+  /**
+   * Record the conversation topic; consecutive repeats are ignored. A topic marker keeps when the
+   * topic came up, so exports can put a heading where it changed. session defaults to the call in
+   * progress (an imported session is analyzed after it was saved)
+   */
+  addSessionTopic(topic, timestamp = Date.now(), session = this.currentSession) {
+    if (!session || !topic) return;
+    const topics = session.topics;
+    if (topics[topics.length - 1] !== topic) {
+      const live = session === this.currentSession;
+      topics.push(topic);
+      if (live) this.journalRecord({ type: 'topic', topic: this.redactText(topic, 'disk') });
+      
+      const marker = {
+        id: this.generateTranscriptId(),
+        type: 'topic',
+        topic,
+        startTime: timestamp,
+        startOffset: Math.max(0, timestamp - session.startTime),
+        sessionId: session.id
+      };
+      session.markers.push(marker);
+      if (live) this.journalRecord({ type: 'marker', marker: this.redactMarker(marker, 'disk') });
+    }
+  }
+
+  /**
+   * Copy of a marker with its free text (a topic) redacted for a destination
+   */
+  redactMarker(marker, destination) {
+    return marker.type === 'topic' ? { ...marker, topic: this.redactText(marker.topic, destination) } : marker;
+  }
+
+  /**
+   * Keep the meeting notes generated for a session ({ meetingNotes, todoList } as returned by the
+   * MeetingNotesGenerator) with it, so exports can include them; a saved session is saved again
+   */
+  async setSessionNotes(session, notes) {
+    session.notes = {
+      text: notes.meetingNotes,
+      actionItems: notes.todoList?.tasks || [],
+      rescheduleMeeting: notes.todoList?.reschedule_meeting || false,
+      generatedAt: Date.now()
+    };
+    if (session === this.lastSession) {
+      await this.saveCompletedSession();
+    }
+  }
+
+  /**
+   * Get speaker name from stream ID (and the diarized speaker id, when known)
+   */
+  getSpeakerFromStreamId(streamId, speakerId = null) {
+    if (speakerId) {
+      return this.speakerMap[this.getSpeakerKey(streamId, speakerId)] || speakerId;
+    }
     return this.speakerMap[streamId] || streamId;
   }
 
+  /**
+   * speakerMap key for a stream, or for one diarized speaker on it
+   */
+  getSpeakerKey(streamId, speakerId = null) {
+    return speakerId ? `${streamId}:${speakerId}` : streamId;
+  }
+
+  /**
+   * Add a newly heard diarized speaker to the speaker map, labelled with its id until renamed
+   */
+  registerSpeaker(streamId, speakerId = null) {
+    const key = this.getSpeakerKey(streamId, speakerId);
+    if (!(key in this.speakerMap)) {
+      this.speakerMap[key] = speakerId || streamId;
+      this.speakerRoles[key] = this.speakerRoles[key] ?? this.speakerRoles[streamId] ?? null;
+      this.journalRecord({ type: 'speakers', speakerMap: this.speakerMap, speakerRoles: this.speakerRoles });
+      this.log(`New speaker detected on ${streamId}`, { key });
+      this.emit('speaker-detected', { key, streamId, speakerId, name: this.speakerMap[key] });
+    }
+    return key;
+  }
+
+  tagText(speaker, text) {
+    return this.config.enableSpeakerTagging ? `[${speaker}] ${text}` : text;
+  }
+
+  /**
+   * Copy of a transcript (or list of transcripts) with PII redacted for a destination:
+   * 'display', 'llm', 'disk' or 'webhook'. Unchanged transcripts are returned as they are
+   */
+  redactTranscript(transcript, destination) {
+    if (Array.isArray(transcript)) {
+      return transcript.map(t => this.redactTranscript(t, destination));
+    }
+    
+    const mode = this.redactor.getMode(destination);
+    if (mode === 'off') return transcript;
+    
+    const matches = this.redactor.findMatches(transcript.text);
+    const redact = text => this.redactor.redactText(text, destination);
+    const related = [
+      transcript.translation?.text,
+      transcript.correction?.originalText,
+      ...(transcript.alternatives || []).map(alternative => alternative.text)
+    ].filter(Boolean);
+    if (matches.length === 0 && related.every(text => redact(text) === text)) {
+      return transcript;
+    }
+    
+    const text = this.redactor.applyMatches(transcript.text, matches, mode);
+    return {
+      ...transcript,
+      text,
+      taggedText: this.tagText(transcript.speaker, text),
+      translation: transcript.translation ? { ...transcript.translation, text: redact(transcript.translation.text) } : null,
+      alternatives: (transcript.alternatives || []).map(alternative => ({ ...alternative, text: redact(alternative.text) })),
+      correction: transcript.correction
+        ? { ...transcript.correction, originalText: redact(transcript.correction.originalText) }
+        : transcript.correction,
+      words: this.redactor.redactWords(transcript.words, transcript.text, matches, mode),
+      redacted: true
+    };
+  }
+
+  /**
+   * Redact free text (prompts, notes) for a destination
+   */
+  redactText(text, destination) {
+    return this.redactor.redactText(text, destination);
+  }
+
+  /**
+   * Give a speaker a real name; every line already attributed to it is relabelled.
+   * Works during the call and after it (the completed session is saved again)
+   */
+  async renameSpeaker(key, name) {
+    return this.updateParticipant(key, { name });
+  }
+
+  /**
+   * Change a participant's name and/or role ({ name, role }); every line already attributed to them
+   * is relabelled. Works during the call and after it (the completed session is saved again)
+   */
+  async updateParticipant(key, changes = {}) {
+    if (!(key in this.speakerMap)) {
+      throw new Error(`Unknown speaker: ${key}`);
+    }
+    const { name, role } = this.validateParticipant(changes);
+    
+    const previousName = this.speakerMap[key];
+    const previousRole = this.speakerRoles[key] ?? null;
+    const newName = name ?? previousName;
+    const newRole = role !== undefined ? role : previousRole;
+    this.speakerMap[key] = newName;
+    this.speakerRoles[key] = newRole;
+    
+    const session = this.currentSession || this.lastSession;
+    const lines = new Set([
+      ...this.transcripts,
+      ...(session?.transcripts || []),
+      ...this.interimTranscripts.values()
+    ]);
+    lines.forEach(t => {
+      if ((t.speakerKey || t.streamId) !== key) return;
+      t.speaker = newName;
+      t.role = newRole;
+      t.taggedText = this.tagText(newName, t.text);
+    });
+    (session?.markers || []).forEach(marker => {
+      if (marker.streamId === key) marker.speaker = newName;
+    });
+    
+    this.journalRecord({ type: 'speakers', speakerMap: this.speakerMap, speakerRoles: this.speakerRoles });
+    if (newName !== previousName) {
+      this.log(`Speaker renamed: ${previousName} -> ${newName}`, { key });
+      this.emit('speaker-renamed', { key, previousName, name: newName });
+    }
+    this.emit('participant-updated', { key, previousName, previousRole, name: newName, role: newRole });
+    await this.saveCompletedSession();
+    
+    return this.getSpeakerStats();
+  }
+
+  /**
+   * Trimmed name and checked role of a participant edit; fields that are not given stay undefined
+   */
+  validateParticipant({ name, role } = {}) {
+    const participant = {};
+    if (name !== undefined) {
+      participant.name = typeof name === 'string' ? name.trim() : '';
+      if (!participant.name) {
+        throw new Error('Speaker name cannot be empty');
+      }
+    }
+    if (role !== undefined) {
+      if (role !== null && !PARTICIPANT_ROLES.includes(role)) {
+        throw new Error(`Unknown participant role: ${role} (expected ${PARTICIPANT_ROLES.join(', ')})`);
+      }
+      participant.role = role;
+    }
+    return participant;
+  }
+
+  /**
+   * Set who takes part in the next calls: [{ key, name, role }] where key is a stream id
+   * ('microphone', 'system') or a diarized speaker ('system:Guest-1'). The session in progress
+   * keeps its participants (edit them with updateParticipant)
+   */
+  setDefaultParticipants(participants = []) {
+    const validated = participants.map(participant => {
+      if (!participant.key) {
+        throw new Error('Participant key is required');
+      }
+      return { key: participant.key, ...this.validateParticipant(participant) };
+    });
+    validated.forEach(({ key, name, role }) => {
+      this.defaultSpeakerMap[key] = name ?? this.defaultSpeakerMap[key] ?? key.split(':').pop();
+      this.defaultSpeakerRoles[key] = role !== undefined ? role : (this.defaultSpeakerRoles[key] ?? null);
+    });
+    
+    if (validated.length > 0) {
+      this.log('Default participants updated', { speakerMap: this.defaultSpeakerMap, speakerRoles: this.defaultSpeakerRoles });
+    }
+    return this.getParticipants(null);
+  }
+
+  /**
+   * Participants of a session [{ key, streamId, speakerId, name, role }]; without a session, those the
+   * next call starts with. options.spokenOnly keeps the ones with lines in the session
+   */
+  getParticipants(session = this.currentSession || this.lastSession, options = {}) {
+    const speakerMap = session ? session.speakerMap || {} : this.defaultSpeakerMap;
+    const speakerRoles = session ? session.speakerRoles || {} : this.defaultSpeakerRoles;
+    const lines = session ? (session === this.currentSession ? this.transcripts : session.transcripts || []) : [];
+    
+    return Object.entries(speakerMap)
+      .filter(([key]) => !options.spokenOnly || lines.some(t => (t.speakerKey || t.streamId) === key))
+      .map(([key, name]) => {
+        const [streamId, speakerId = null] = key.split(':');
+        return { key, streamId, speakerId, name, role: speakerRoles[key] ?? null };
+      });
+  }
+
+  /**
+   * "Me (agent), Dana (customer)" for prompts and exports
+   */
+  describeParticipants(participants) {
+    return participants.map(p => p.role ? `${p.name} (${p.role})` : p.name).join(', ');
+  }
+
+  /**
+   * Per-speaker stats: lines, words and talk time (sum of utterance durations) with its share.
+   * Lists every speaker heard so far plus diarized speakers that have been detected
+   */
+  getSpeakerStats() {
+    const stats = Object.entries(this.speakerMap).map(([key, name]) => {
+      const lines = this.transcripts.filter(t => (t.speakerKey || t.streamId) === key);
+      const [streamId, speakerId = null] = key.split(':');
+      return {
+        key,
+        streamId,
+        speakerId,
+        speaker: name,
+        role: this.speakerRoles[key] ?? null,
+        transcriptCount: lines.length,
+        wordCount: lines.reduce((total, t) => total + t.text.split(' ').length, 0),
+        talkTimeMs: lines.reduce((total, t) => total + (t.duration || 0), 0)
+      };
+    }).filter(stat => stat.transcriptCount > 0 || stat.speakerId);
+    
+    const totalTalkTime = stats.reduce((total, stat) => total + stat.talkTimeMs, 0);
+    return stats.map(stat => ({
+      ...stat,
+      share: totalTalkTime > 0 ? stat.talkTimeMs / totalTalkTime : 0
+    }));
+  }
+
   /**
    * QUICK FIX: Check if a transcript should be filtered as duplicate
    */
   shouldFilterDuplicate(newTranscript) {
     try {
       // Option 1: If preferSystemAudio is enabled, suppress microphone when we have system audio
-      if (this.config.suppressMicrophoneWhenSystemAudio && newTranscript.speaker === 'Me') {
-        // Check if there's a recent "Other" transcript
-        const recentOtherTranscripts = this.getRecentTranscriptsBySpeaker('Other', 5);
+      if (this.config.suppressMicrophoneWhenSystemAudio && newTranscript.streamId === 'microphone') {
+        // Check if there's a recent "Other" transcript (any remote speaker)
+        const recentOtherTranscripts = this.getRecentTranscriptsByStream('system', 5);
         if (recentOtherTranscripts.length > 0) {
           const latestOther = recentOtherTranscripts[recentOtherTranscripts.length - 1];
           const timeDiff = newTranscript.timestamp - latestOther.timestamp;
@@ -320,11 +1179,11 @@ class TranscriptManager extends EventEmitter {
           
           // If preferSystemAudio, keep "Other" and filter "Me"
           if (this.config.preferSystemAudio) {
-            if (newTranscript.speaker === 'Me' && existingTranscript.speaker === 'Other') {
+            if (newTranscript.streamId === 'microphone' && existingTranscript.streamId === 'system') {
               console.log(`TranscriptManager: Filtering microphone duplicate in favor of system audio`);
               return true; // Filter the microphone transcript
             }
-            if (newTranscript.speaker === 'Other' && existingTranscript.speaker === 'Me') {
+            if (newTranscript.streamId === 'system' && existingTranscript.streamId === 'microphone') {
               // Remove the existing microphone transcript and keep the system audio one
               this.removeTranscript(existingTranscript.id);
               console.log(`TranscriptManager: Removed previous microphone transcript in favor of system audio`);
@@ -395,6 +1254,15 @@ class TranscriptManager extends EventEmitter {
       .slice(-count);
   }
 
+  /**
+   * Get recent transcripts from one stream (whatever its speakers are called)
+   */
+  getRecentTranscriptsByStream(streamId, count = 10) {
+    return this.transcripts
+      .filter(t => t.streamId === streamId)
+      .slice(-count);
+  }
+
   /**
    * QUICK FIX: Remove a transcript by ID
    */
@@ -410,6 +1278,8 @@ class TranscriptManager extends EventEmitter {
           if (sessionIndex !== -1) {
             this.currentSession.transcripts.splice(sessionIndex, 1);
           }
+          // The line was journaled when it was heard; recovery must not bring it back
+          this.journalRecord({ type: 'transcript-removed', transcriptId });
         }
         
         console.log(`TranscriptManager: Removed transcript ${transcriptId}`);
@@ -423,10 +1293,33 @@ class TranscriptManager extends EventEmitter {
   }
 
   /**
-   * Get recent transcripts
+   * Get recent transcripts, redacted for a destination when one is given
+   */
+  getRecentTranscripts(count = 10, destination = null) {
+    const recent = this.transcripts.slice(-count);
+    return destination ? this.redactTranscript(recent, destination) : recent;
+  }
+
+  /**
+   * Recent turns (consecutive lines of one speaker grouped), redacted for a destination when one is given
+   */
+  getRecentTurns(count = 10, destination = null) {
+    const turns = this.turnBuilder.buildTurns(this.transcripts).slice(-count);
+    return destination ? this.redactTranscript(turns, destination) : turns;
+  }
+
+  /**
+   * What the LLM sees of the conversation: recent turns, or recent lines when turns are disabled
    */
-  getRecentTranscripts(count = 10) {
-    return this.transcripts.slice(-count);
+  getRecentContext(count = 10, destination = null) {
+    return this.config.turns.enabled ? this.getRecentTurns(count, destination) : this.getRecentTranscripts(count, destination);
+  }
+
+  /**
+   * Lines grouped into turns for the LLM (unchanged when turns are disabled)
+   */
+  groupIntoTurns(transcripts) {
+    return this.config.turns.enabled ? this.turnBuilder.buildTurns(transcripts) : transcripts;
   }
 
   /**
@@ -451,7 +1344,8 @@ class TranscriptManager extends EventEmitter {
       caseSensitive = false, 
       speaker = null,
       dateRange = null,
-      limit = 50 
+      limit = 50,
+      destination = null
     } = options;
     
     let results = this.transcripts;
@@ -476,7 +1370,8 @@ class TranscriptManager extends EventEmitter {
     });
     
     // Apply limit
-    return results.slice(-limit);
+    results = results.slice(-limit);
+    return destination ? this.redactTranscript(results, destination) : results;
   }
 
   /**
@@ -488,62 +1383,92 @@ class TranscriptManager extends EventEmitter {
         totalTranscripts: 0,
         speakers: [],
         duration: 0,
+        pausedDuration: this.getPausedDuration(),
         wordCount: 0
       };
     }
     
-    const speakers = [...new Set(this.transcripts.map(t => t.speaker))];
     const wordCount = this.transcripts.reduce((total, t) => 
       total + t.text.split(' ').length, 0
     );
     
-    const speakerStats = speakers.map(speaker => {
-      const speakerTranscripts = this.transcripts.filter(t => t.speaker === speaker);
-      return {
-        speaker,
-        transcriptCount: speakerTranscripts.length,
-        wordCount: speakerTranscripts.reduce((total, t) => 
-          total + t.text.split(' ').length, 0
-        )
-      };
+    const speakerStats = this.getSpeakerStats().filter(stat => stat.transcriptCount > 0);
+    
+    const languages = {};
+    this.transcripts.forEach(t => {
+      if (t.language) languages[t.language] = (languages[t.language] || 0) + 1;
     });
     
     return {
       totalTranscripts: this.transcripts.length,
       speakers: speakerStats,
+      languages,
       duration: this.currentSession ? 
         (this.currentSession.endTime || Date.now()) - this.currentSession.startTime : 0,
+      pausedDuration: this.getPausedDuration(),
       wordCount,
+      lowConfidenceCount: this.transcripts.filter(t => t.lowConfidence).length,
+      correctionCount: this.transcripts.filter(t => t.correction).length,
       averageConfidence: this.transcripts.reduce((sum, t) => sum + t.confidence, 0) / this.transcripts.length
     };
   }
 
   /**
-   * Export transcripts in various formats
+   * Locale for a result: the recognized one, else the session's configured language
+   */
+  resolveLanguage(language) {
+    return language || this.currentSession?.metadata.language || null;
+  }
+
+  /**
+   * Export transcripts in various formats: json, txt, srt here; csv, vtt, md, html and docx (a Buffer)
+   * through the TranscriptExporter
+   * Exports are files, so they carry the 'disk' redaction unless options.destination says otherwise
+   * options.session exports a saved session instead of the live transcripts; options.turns exports
+   * turns instead of raw lines (subtitles always use the raw lines for their timing)
    */
   exportTranscripts(format = 'json', options = {}) {
-    const transcripts = options.sessionOnly && this.currentSession 
-      ? this.currentSession.transcripts 
-      : this.transcripts;
+    const session = options.session || this.currentSession || this.lastSession;
+    const lines = options.session || (options.sessionOnly && this.currentSession) ? session.transcripts : this.transcripts;
+    const subtitles = ['srt', 'vtt'].includes(this.exporter.resolveFormat(format) || format.toLowerCase());
+    const transcripts = this.redactTranscript(options.turns && !subtitles
+      ? this.turnBuilder.buildTurns(lines)
+      : lines, options.destination || 'disk');
+    const bookmarks = (session?.bookmarks || []).map(bookmark => this.redactBookmark(bookmark, options.destination || 'disk'));
+    
+    if (this.exporter.resolveFormat(format)) {
+      const document = this.buildExportDocument(session, lines, transcripts, options.destination || 'disk');
+      return this.exporter.export(format, document);
+    }
     
     switch (format.toLowerCase()) {
       case 'json':
         return JSON.stringify(transcripts, null, 2);
         
-      case 'txt':
-        return transcripts.map(t => 
-          `[${new Date(t.timestamp).toLocaleTimeString()}] ${t.taggedText}`
+      case 'txt': {
+        const gaps = (session?.markers || []).filter(m => m.type === 'gap').map(m => ({
+          timestamp: m.startTime,
+          taggedText: `--- [${m.speaker}] recognition interrupted${m.recovered ? '' : ' (not recovered)'}` +
+            `${m.droppedMs ? `, ${(m.droppedMs / 1000).toFixed(1)}s of audio lost` : ''} ---`
+        }));
+        const pauses = this.getPauseMarkers(session).map(m => ({
+          timestamp: m.startTime,
+          taggedText: `--- recording paused${m.durationMs != null ? ` for ${this.formatPause(m.durationMs)}` : ''} ---`
+        }));
+        const marks = bookmarks.map(bookmark => ({
+          timestamp: bookmark.timestamp,
+          taggedText: `--- ★ Bookmark${bookmark.label ? `: ${bookmark.label}` : ''} ---`
+        }));
+        const participants = session ? this.getParticipants(session, { spokenOnly: true }) : [];
+        const header = participants.length > 0 ? `Participants: ${this.describeParticipants(participants)}\n\n` : '';
+        return header + [...transcripts, ...gaps, ...pauses, ...marks].sort((a, b) => a.timestamp - b.timestamp).map(t => 
+          `[${new Date(t.timestamp).toLocaleTimeString()}] ${t.taggedText}` +
+          (t.translation ? `\n    [${t.translation.language}] ${t.translation.text}` : '')
         ).join('\n');
-        
-      case 'csv':
-        const headers = 'Timestamp,Speaker,Text,Confidence\n';
-        const rows = transcripts.map(t => 
-          `"${new Date(t.timestamp).toISOString()}","${t.speaker}","${t.text}","${t.confidence}"`
-        ).join('\n');
-        return headers + rows;
+      }
         
       case 'srt':
-        return this.generateSRT(transcripts);
+        return this.generateSRT(transcripts, this.getPauseMarkers(session), bookmarks);
         
       default:
         throw new Error(`Unsupported export format: ${format}`);
@@ -551,33 +1476,149 @@ class TranscriptManager extends EventEmitter {
   }
 
   /**
-   * Generate SRT subtitle format
+   * Everything the TranscriptExporter renders, redacted for the destination. lines are the session's
+   * raw lines (subtitle timing), transcripts the redacted lines or turns to show
    */
-  generateSRT(transcripts) {
-    let srt = '';
-    let index = 1;
+  buildExportDocument(session, lines, transcripts, destination) {
+    const startTime = session?.startTime || this.sessionStartTime || transcripts[0]?.timestamp || Date.now();
+    const withLines = session ? { ...session, transcripts: lines } : null;
+    const topics = (session?.topics || []).map(topic => this.redactText(topic, destination));
+    const markers = (session?.markers || []).map(marker => this.redactMarker(marker, destination));
+    const bookmarks = withLines ? this.getBookmarks(destination, withLines) : [];
+    const cues = [
+      ...this.buildSubtitleCues(this.redactTranscript(lines, destination), { tagSpeakers: false }),
+      ...this.buildMarkerCues(this.getPauseMarkers(session), bookmarks)
+    ].sort((a, b) => a.start - b.start);
     
-    transcripts.forEach((transcript, i) => {
-      const start = new Date(transcript.timestamp);
-      const end = i < transcripts.length - 1 
-        ? new Date(transcripts[i + 1].timestamp)
-        : new Date(transcript.timestamp + 3000); // 3 second default
+    return {
+      title: session?.title || topics[topics.length - 1] || `Call on ${new Date(startTime).toLocaleString()}`,
+      startTime,
+      endTime: session?.endTime || null,
+      participants: withLines
+        ? this.getParticipants(withLines, { spokenOnly: true }).map(({ name, role }) => ({ name, role }))
+        : [],
+      topics,
+      lines: transcripts,
+      markers,
+      bookmarks,
+      notes: session?.notes ? this.redactNotes(session.notes, destination) : null,
+      cues
+    };
+  }
+
+  redactNotes(notes, destination) {
+    return {
+      ...notes,
+      text: this.redactText(notes.text, destination),
+      actionItems: notes.actionItems.map(item => ({ ...item, task: this.redactText(item.task, destination) }))
+    };
+  }
+
+  /**
+   * Generate SRT subtitle format from speech boundaries (audioOffset/duration, session-relative)
+   * Pauses get a cue of their own so the jump in the timeline is visible; bookmarks a short cue
+   * at the bookmarked moment
+   */
+  generateSRT(transcripts, pauses = [], bookmarks = []) {
+    return [...this.buildSubtitleCues(transcripts), ...this.buildMarkerCues(pauses, bookmarks)].sort((a, b) => a.start - b.start).map((cue, i) =>
+      `${i + 1}\n${this.formatSRTTime(cue.start)} --> ${this.formatSRTTime(cue.end)}\n${cue.lines.join('\n')}\n`
+    ).join('\n');
+  }
+
+  /**
+   * Subtitle cues for closed pauses and for bookmarks (3s at the bookmarked moment)
+   */
+  buildMarkerCues(pauses = [], bookmarks = []) {
+    const pauseCues = pauses.filter(m => m.endOffset != null).map(m => ({
+      start: m.startOffset,
+      end: m.endOffset,
+      speaker: null,
+      lines: [`[Recording paused for ${this.formatPause(m.durationMs)}]`]
+    }));
+    const bookmarkCues = bookmarks.map(bookmark => ({
+      start: bookmark.offset,
+      end: bookmark.offset + 3000,
+      speaker: null,
+      lines: [`[★ ${bookmark.label || 'Bookmark'}]`]
+    }));
+    return [...pauseCues, ...bookmarkCues];
+  }
+
+  /**
+   * Subtitle cues { start, end, speaker, lines } in ms from session start. Long utterances with word
+   * timings are split at word boundaries so no cue exceeds maxCueMs / maxCueChars.
+   * options.tagSpeakers: false leaves the speaker out of the text (WebVTT tags voices instead)
+   */
+  buildSubtitleCues(transcripts, options = {}) {
+    const maxCueMs = options.maxCueMs || 7000;
+    const maxCueChars = options.maxCueChars || 84;
+    const tagSpeakers = options.tagSpeakers ?? this.config.enableSpeakerTagging;
+    const tag = (t, text) => tagSpeakers ? `[${t.speaker}] ${text}` : text;
+    
+    const timed = transcripts
+      .map(t => ({ t, start: t.audioOffset ?? (this.sessionStartTime ? Math.max(0, t.timestamp - this.sessionStartTime) : 0) }))
+      .sort((a, b) => a.start - b.start);
+    
+    const cues = [];
+    timed.forEach(({ t, start }, i) => {
+      const next = timed[i + 1];
+      const end = t.duration ? start + t.duration : (next ? Math.max(next.start, start + 1000) : start + 3000);
+      const words = (t.words || []).filter(word => word.offset !== null && word.offset !== undefined);
+      
+      const splittable = !t.translation && words.length > 1 &&
+        (end - start > maxCueMs || t.text.length > maxCueChars);
+      if (!splittable) {
+        cues.push({ start, end, speaker: t.speaker, lines: t.translation ? [tag(t, t.text), t.translation.text] : [tag(t, t.text)] });
+        return;
+      }
       
-      srt += `${index}\n`;
-      srt += `${this.formatSRTTime(start)} --> ${this.formatSRTTime(end)}\n`;
-      srt += `${transcript.taggedText}\n\n`;
-      index++;
+      let chunk = [];
+      const flush = () => {
+        const last = chunk[chunk.length - 1];
+        cues.push({
+          start: chunk[0].offset,
+          end: last.offset + (last.duration || 0),
+          speaker: t.speaker,
+          lines: [tag(t, chunk.map(word => word.text).join(' '))]
+        });
+        chunk = [];
+      };
+      words.forEach(word => {
+        if (chunk.length > 0) {
+          const length = chunk.map(w => w.text).join(' ').length + 1 + word.text.length;
+          if (word.offset + (word.duration || 0) - chunk[0].offset > maxCueMs || length > maxCueChars) {
+            flush();
+          }
+        }
+        chunk.push(word);
+      });
+      flush();
     });
     
-    return srt;
+    return cues;
+  }
+
+  /**
+   * Pause markers of a session, oldest first
+   */
+  getPauseMarkers(session) {
+    return (session?.markers || []).filter(m => m.type === 'pause').sort((a, b) => a.startTime - b.startTime);
   }
 
   /**
-   * Format time for SRT format
+   * Pause length for exports: 45s, 3m 05s, 1h 02m
    */
-  formatSRTTime(date) {
-    const pad = (num) => num.toString().padStart(2, '0');
-    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())},${date.getMilliseconds().toString().padStart(3, '0')}`;
+  formatPause(ms) {
+    return this.exporter.formatDuration(ms);
+  }
+
+  /**
+   * Format a session-relative time (ms) for SRT: HH:MM:SS,mmm
+   */
+  formatSRTTime(ms) {
+    const pad = (num, size = 2) => Math.floor(num).toString().padStart(size, '0');
+    const totalMs = Math.max(0, Math.round(ms));
+    return `${pad(totalMs / 3600000)}:${pad((totalMs % 3600000) / 60000)}:${pad((totalMs % 60000) / 1000)},${pad(totalMs % 1000, 3)}`;
   }
 
   /**
@@ -592,12 +1633,26 @@ class TranscriptManager extends EventEmitter {
       
       await this.ensureSaveDirectory();
       
-      const timestamp = new Date(sessionToSave.startTime).toISOString().replace(/[:.]/g, '-');
-      const filename = `session_${timestamp}.json`;
+      const filename = `${this.getSessionBaseName(sessionToSave)}.json`;
       const filePath = path.join(this.config.saveDirectory, filename);
       
       const sessionData = {
         ...sessionToSave,
+        transcripts: this.redactTranscript(sessionToSave.transcripts, 'disk'),
+        corrections: (sessionToSave.corrections || []).map(correction => ({
+          ...correction,
+          originalText: this.redactText(correction.originalText, 'disk'),
+          text: this.redactText(correction.text, 'disk')
+        })),
+        topics: (sessionToSave.topics || []).map(topic => this.redactText(topic, 'disk')),
+        markers: (sessionToSave.markers || []).map(marker => this.redactMarker(marker, 'disk')),
+        notes: sessionToSave.notes ? this.redactNotes(sessionToSave.notes, 'disk') : null,
+        bookmarks: (sessionToSave.bookmarks || []).map(bookmark => this.redactBookmark(bookmark, 'disk')),
+        edits: (sessionToSave.edits || []).map(entry => ({
+          ...entry,
+          before: entry.before.map(line => ({ ...line, text: this.redactText(line.text, 'disk') })),
+          after: entry.after.map(line => ({ ...line, text: this.redactText(line.text, 'disk') }))
+        })),
         summary: this.generateSessionSummary(),
         exportedAt: Date.now()
       };
@@ -615,6 +1670,291 @@ class TranscriptManager extends EventEmitter {
     }
   }
 
+  /**
+   * Base file name for a session's saved artifacts
+   */
+  getSessionBaseName(session = null) {
+    const sessionToName = session || this.currentSession;
+    const timestamp = new Date(sessionToName.startTime).toISOString().replace(/[:.]/g, '-');
+    // Imports also carry their source file: different transcripts can claim the same start time
+    const metadata = sessionToName.metadata || {};
+    const source = metadata.source === 'import'
+      ? `_${(metadata.sourceFile || sessionToName.id).replace(/[^\w-]+/g, '-').slice(0, 60)}`
+      : '';
+    return `session_${timestamp}${source}`;
+  }
+
+  /**
+   * Folder for a session's companion files (e.g. recorded audio), next to its JSON file
+   */
+  getSessionDirectory(session = null) {
+    return path.join(this.config.saveDirectory, this.getSessionBaseName(session));
+  }
+
+  /**
+   * Mark a stretch of a stream where recognition was interrupted (connection dropped)
+   * gap: { reason, startTime, endTime, startOffset, endOffset, replayedMs, droppedMs }
+   */
+  markGap(streamId, gap, recovered = true) {
+    const marker = {
+      id: this.generateTranscriptId(),
+      type: 'gap',
+      streamId,
+      speaker: this.getSpeakerFromStreamId(streamId),
+      recovered,
+      ...gap,
+      sessionId: this.sessionId
+    };
+
+    if (this.currentSession) {
+      this.currentSession.markers.push(marker);
+      this.journalRecord({ type: 'marker', marker });
+    }
+
+    this.log(`Recognition gap on ${streamId}`, marker);
+    this.emit('gap-marked', marker);
+    return marker;
+  }
+
+  /**
+   * Open a pause marker: nothing is heard until resumeSession(), but the session stays open
+   */
+  pauseSession() {
+    if (!this.currentSession || this.isPaused()) return null;
+    
+    const now = Date.now();
+    const marker = {
+      id: this.generateTranscriptId(),
+      type: 'pause',
+      startTime: now,
+      endTime: null,
+      startOffset: now - this.sessionStartTime,
+      endOffset: null,
+      durationMs: null,
+      sessionId: this.sessionId
+    };
+    this.currentSession.markers.push(marker);
+    this.journalRecord({ type: 'marker', marker });
+    
+    this.log('Session paused', marker);
+    this.emit('session-paused', marker);
+    return marker;
+  }
+
+  /**
+   * Close the open pause marker
+   */
+  resumeSession() {
+    const marker = this.currentSession?.markers.find(m => m.type === 'pause' && m.endTime === null);
+    if (!marker) return null;
+    
+    marker.endTime = Math.min(Date.now(), this.currentSession.endTime || Infinity);
+    marker.endOffset = marker.endTime - this.sessionStartTime;
+    marker.durationMs = marker.endTime - marker.startTime;
+    this.journalRecord({ type: 'marker', marker });
+    this.lastActivity = Date.now();
+    
+    this.log('Session resumed', marker);
+    this.emit('session-resumed', marker);
+    return marker;
+  }
+
+  isPaused() {
+    return !!this.currentSession?.markers.some(m => m.type === 'pause' && m.endTime === null);
+  }
+
+  /**
+   * Time the current session has spent paused (ms), including an open pause
+   */
+  getPausedDuration() {
+    return (this.currentSession?.markers || [])
+      .filter(m => m.type === 'pause')
+      .reduce((total, m) => total + (m.endTime ?? Date.now()) - m.startTime, 0);
+  }
+
+  /**
+   * Attach recorded audio file information to the current session
+   */
+  setSessionAudio(audio) {
+    if (!this.currentSession) return;
+    this.currentSession.audio = audio;
+    this.log('Session audio attached', audio);
+  }
+
+  /**
+   * Append a change of the live session to its journal
+   */
+  journalRecord(record) {
+    if (!this.config.journal || !this.currentSession) return;
+    this.journal.append(this.currentSession.id, record).catch(error => {
+      this.log('Failed to write session journal', error.message);
+    });
+  }
+
+  /**
+   * Sessions whose journal survived a crash (the session being recorded is not one of them)
+   */
+  async getUnfinishedSessions() {
+    return this.journal.listUnfinished(this.currentSession ? [this.currentSession.id] : []);
+  }
+
+  /**
+   * Rebuild an unfinished session from its journal and save it. It becomes the last session, so
+   * speakers can be renamed and lines corrected as after any other call
+   */
+  async recoverSession(sessionId) {
+    if (this.currentSession) {
+      throw new Error('Cannot recover a session while recording');
+    }
+    
+    const session = await this.journal.readSession(sessionId);
+    session.transcripts.forEach(t => {
+      t.speaker = session.speakerMap[t.speakerKey || t.streamId] || t.speaker;
+      t.role = session.speakerRoles[t.speakerKey || t.streamId] ?? t.role ?? null;
+      t.taggedText = this.tagText(t.speaker, t.text);
+    });
+    
+    this.transcripts = [...session.transcripts];
+    this.speakerMap = session.speakerMap;
+    this.speakerRoles = session.speakerRoles;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastSession = session;
+    
+    const savedPath = await this.saveSession(session);
+    if (!savedPath) {
+      throw new Error('Failed to save the recovered session');
+    }
+    await this.journal.remove(sessionId);
+    
+    this.log('Session recovered from journal', { sessionId, transcriptCount: session.transcripts.length });
+    this.emit('session-recovered', { sessionId, savedPath, transcriptCount: session.transcripts.length });
+    return session;
+  }
+
+  /**
+   * Turn a transcript saved by another tool (WebVTT, SRT, Teams or Zoom text; see TranscriptImporter)
+   * into a saved session with the shape of a recorded call. options: { format, startTime, language,
+   * fileName, self }. Speakers named like a default participant take that participant's place and
+   * role, options.self names the one who is "Me" (microphone), everyone else becomes a remote speaker
+   * of the system stream. It becomes the last session, so it can be reviewed, renamed and exported
+   * like any other
+   */
+  async importSession(text, options = {}) {
+    if (this.currentSession) {
+      throw new Error('Cannot import a transcript while recording');
+    }
+    
+    const imported = this.importer.parse(text, options);
+    const session = {
+      id: this.generateSessionId(),
+      startTime: imported.startTime,
+      endTime: imported.startTime + Math.max(...imported.cues.map(cue => cue.offset + (cue.duration || 0))),
+      transcripts: [],
+      speakerMap: { ...this.defaultSpeakerMap },
+      speakerRoles: { ...this.defaultSpeakerRoles },
+      markers: [],
+      corrections: [],
+      edits: [],
+      topics: [],
+      bookmarks: [],
+      metadata: {
+        captureMode: 'import',
+        language: options.language || imported.language,
+        source: 'import',
+        format: imported.format,
+        layout: imported.layout,
+        sourceFile: options.fileName || null
+      }
+    };
+    
+    const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+    if (options.self) {
+      session.speakerMap.microphone = options.self.trim();
+    }
+    const keys = new Map(); // speaker name in the file -> speaker key
+    const speakerKey = name => {
+      if (!name) return 'system';
+      if (!keys.has(name)) {
+        let key = Object.keys(session.speakerMap).find(k => sameName(session.speakerMap[k], name));
+        if (!key) {
+          let n = 1;
+          while (this.getSpeakerKey('system', `Speaker-${n}`) in session.speakerMap) n++;
+          key = this.getSpeakerKey('system', `Speaker-${n}`);
+          session.speakerMap[key] = name;
+          session.speakerRoles[key] = session.speakerRoles[key] ?? session.speakerRoles.system ?? null;
+        }
+        keys.set(name, key);
+      }
+      return keys.get(name);
+    };
+    
+    session.transcripts = imported.cues.map(cue => {
+      const key = speakerKey(cue.speaker);
+      const [streamId, speakerId = null] = key.split(':');
+      const speaker = session.speakerMap[key];
+      return {
+        id: this.generateTranscriptId(),
+        streamId,
+        speakerId,
+        speakerKey: key,
+        speaker,
+        role: session.speakerRoles[key] ?? null,
+        text: cue.text,
+        taggedText: this.tagText(speaker, cue.text),
+        confidence: 1, // The platform's transcript is the record; nothing is flagged for review
+        alternatives: [],
+        lowConfidence: false,
+        language: session.metadata.language,
+        translation: null,
+        timestamp: session.startTime + cue.offset,
+        audioOffset: cue.offset,
+        duration: cue.duration,
+        words: [],
+        type: 'final',
+        sessionId: session.id
+      };
+    });
+    
+    // The same file imported again would overwrite the first import under a second id
+    const filePath = path.join(this.config.saveDirectory, `${this.getSessionBaseName(session)}.json`);
+    if (await fs.access(filePath).then(() => true, () => false)) {
+      throw new Error(`${options.fileName || 'This transcript'} was already imported (${path.basename(filePath)})`);
+    }
+    
+    this.transcripts = [...session.transcripts];
+    this.speakerMap = session.speakerMap;
+    this.speakerRoles = session.speakerRoles;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastSession = session;
+    
+    const savedPath = await this.saveSession(session);
+    if (!savedPath) {
+      throw new Error('Failed to save the imported session');
+    }
+    
+    const result = {
+      sessionId: session.id,
+      savedPath,
+      format: imported.format,
+      layout: imported.layout,
+      transcriptCount: session.transcripts.length,
+      participants: this.getParticipants(session, { spokenOnly: true }).map(p => ({ name: p.name, role: p.role }))
+    };
+    this.log('Transcript imported', result);
+    this.emit('session-imported', result);
+    return session;
+  }
+
+  /**
+   * Throw away an unfinished session's journal
+   */
+  async discardUnfinishedSession(sessionId) {
+    await this.journal.remove(sessionId);
+    this.log('Unfinished session discarded', { sessionId });
+  }
+
   /**
    * Setup auto-save functionality
    */
@@ -645,19 +1985,10 @@ class TranscriptManager extends EventEmitter {
   }
 
   /**
-   * Update last activity timestamp
+   * Update last activity timestamp (speech on any stream); VoiceManager's idle watchdog reads it
    */
   updateLastActivity() {
     this.lastActivity = Date.now();
-    
-    // Check for session timeout
-    if (this.currentSession && this.config.sessionTimeout) {
-      const timeSinceActivity = Date.now() - this.lastActivity;
-      if (timeSinceActivity > this.config.sessionTimeout) {
-        this.log('Session timeout reached, ending session');
-        this.endSession();
-      }
-    }
   }
 
   /**
@@ -694,6 +2025,10 @@ class TranscriptManager extends EventEmitter {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    if (newConfig.turns) {
+      this.config.turns = { enabled: true, ...newConfig.turns };
+      Object.assign(this.turnBuilder.config, this.config.turns);
+    }
     this.log('Configuration updated', this.config);
     this.emit('config-updated', this.config);
   }
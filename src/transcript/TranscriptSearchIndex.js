@@ -0,0 +1,254 @@
+/**
+ * TranscriptSearchIndex - Full-text search over the lines of every saved session
+ * An in-memory inverted index (term -> line -> token positions) built from the session files and
+ * refreshed whenever a session is saved. Queries are tokenized like the text (case and accents are
+ * ignored); every term and "quoted phrase" must match. Hits are ranked with BM25 and carry a snippet
+ * with the matched words marked, plus the session id and the line's timestamp / audio offset so the
+ * caller can jump to the moment it was said.
+ */
+class TranscriptSearchIndex {
+  constructor(config = {}) {
+    this.config = {
+      k1: config.k1 || 1.2, // BM25 term-frequency saturation
+      b: config.b ?? 0.75, // BM25 length normalization
+      maxResults: config.maxResults || 20,
+      snippetChars: config.snippetChars || 160,
+      debug: config.debug || false,
+      ...config
+    };
+
+    this.documents = new Map(); // doc id -> { sessionId, transcriptId, speaker, streamId, timestamp, audioOffset, text, length }
+    this.postings = new Map(); // term -> Map(doc id -> positions)
+    this.sessions = new Map(); // session id -> { title, startTime, tags, docIds }
+    this.totalLength = 0;
+  }
+
+  log(message, data = null) {
+    if (this.config.debug) {
+      console.log(`[TranscriptSearchIndex] ${message}`, data || '');
+    }
+  }
+
+  /**
+   * Words of a text with their character ranges; case and accents are folded
+   */
+  tokenize(text) {
+    const tokens = [];
+    for (const match of (text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)) {
+      tokens.push({
+        term: match[0].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * (Re)index a saved session's lines
+   * info: library entry { title, startTime, tags } used for filters and results
+   */
+  indexSession(session, info = {}) {
+    this.removeSession(session.id);
+
+    const docIds = [];
+    (session.transcripts || []).forEach(transcript => {
+      const docId = `${session.id}/${transcript.id}`;
+      const tokens = this.tokenize(transcript.text);
+      if (tokens.length === 0) return;
+
+      this.documents.set(docId, {
+        sessionId: session.id,
+        transcriptId: transcript.id,
+        speaker: transcript.speaker,
+        streamId: transcript.streamId,
+        timestamp: transcript.timestamp,
+        audioOffset: transcript.audioOffset ?? null,
+        text: transcript.text,
+        length: tokens.length
+      });
+      this.totalLength += tokens.length;
+
+      tokens.forEach(({ term }, position) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const postings = this.postings.get(term);
+        if (!postings.has(docId)) postings.set(docId, []);
+        postings.get(docId).push(position);
+      });
+      docIds.push(docId);
+    });
+
+    this.sessions.set(session.id, {
+      title: info.title || session.title || session.id,
+      startTime: info.startTime || session.startTime,
+      tags: info.tags || session.tags || [],
+      docIds
+    });
+    this.log('Session indexed', { sessionId: session.id, lines: docIds.length });
+  }
+
+  /**
+   * Refresh a session's title / tags without reindexing its lines
+   */
+  updateSessionInfo(sessionId, info = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    if (info.title) session.title = info.title;
+    if (info.tags) session.tags = info.tags;
+  }
+
+  removeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    session.docIds.forEach(docId => {
+      this.totalLength -= this.documents.get(docId).length;
+      this.documents.delete(docId);
+    });
+    const removed = new Set(session.docIds);
+    for (const [term, postings] of this.postings) {
+      for (const docId of postings.keys()) {
+        if (removed.has(docId)) postings.delete(docId);
+      }
+      if (postings.size === 0) this.postings.delete(term);
+    }
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Split a query into required clauses: bare words and "quoted phrases" (a list of terms each)
+   */
+  parseQuery(query) {
+    const clauses = [];
+    for (const [, phrase, word] of (query || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+      const terms = this.tokenize(phrase ?? word).map(token => token.term);
+      if (terms.length > 0) clauses.push(terms);
+    }
+    return clauses;
+  }
+
+  /**
+   * Positions where a clause matches in a document: single terms anywhere, phrases as consecutive terms
+   */
+  matchClause(docId, terms) {
+    const first = this.postings.get(terms[0])?.get(docId);
+    if (!first) return [];
+    return first.filter(position => terms.every((term, i) =>
+      i === 0 || (this.postings.get(term)?.get(docId) || []).includes(position + i)
+    ));
+  }
+
+  /**
+   * Ranked hits for a query
+   * options: speaker (name), streamId, sessionId, from / to (timestamp or date string), tags (all
+   * required), sort ('relevance' | 'recent'), limit
+   */
+  search(query, options = {}) {
+    const clauses = this.parseQuery(query);
+    if (clauses.length === 0) return { query, total: 0, results: [] };
+
+    const from = options.from ? new Date(options.from).getTime() : null;
+    const to = options.to ? new Date(options.to).getTime() : null;
+    const speaker = options.speaker ? options.speaker.toLowerCase() : null;
+    const tags = (options.tags || []).map(tag => tag.toLowerCase());
+
+    // Every hit contains every term, so the rarest term's lines are the only candidates
+    const rarest = clauses.flat().reduce((best, term) =>
+      (this.postings.get(term)?.size || 0) < (this.postings.get(best)?.size || 0) ? term : best
+    );
+    const candidates = [...(this.postings.get(rarest)?.keys() || [])];
+
+    const averageLength = this.totalLength / Math.max(this.documents.size, 1);
+    const hits = [];
+    candidates.forEach(docId => {
+      const doc = this.documents.get(docId);
+      const session = this.sessions.get(doc.sessionId);
+
+      if (speaker && doc.speaker.toLowerCase() !== speaker) return;
+      if (options.streamId && doc.streamId !== options.streamId) return;
+      if (options.sessionId && doc.sessionId !== options.sessionId) return;
+      if (from && doc.timestamp < from) return;
+      if (to && doc.timestamp > to) return;
+      if (tags.length > 0 && !tags.every(tag => session.tags.some(t => t.toLowerCase() === tag))) return;
+
+      const matches = clauses.map(terms => this.matchClause(docId, terms));
+      if (matches.some(positions => positions.length === 0)) return;
+
+      // BM25 over the clause terms; a phrase scores its terms at the phrase's frequency
+      let score = 0;
+      clauses.forEach((terms, i) => {
+        const frequency = matches[i].length;
+        terms.forEach(term => {
+          const documentFrequency = this.postings.get(term).size;
+          const idf = Math.log(1 + (this.documents.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+          score += idf * (frequency * (this.config.k1 + 1)) /
+            (frequency + this.config.k1 * (1 - this.config.b + this.config.b * doc.length / averageLength));
+        });
+      });
+
+      const matchedPositions = new Set();
+      clauses.forEach((terms, i) => matches[i].forEach(position => {
+        terms.forEach((term, offset) => matchedPositions.add(position + offset));
+      }));
+
+      hits.push({ doc, session, score, matchedPositions });
+    });
+
+    hits.sort(options.sort === 'recent'
+      ? (a, b) => b.doc.timestamp - a.doc.timestamp
+      : (a, b) => b.score - a.score || b.doc.timestamp - a.doc.timestamp);
+
+    const limit = options.limit || this.config.maxResults;
+    return {
+      query,
+      total: hits.length,
+      results: hits.slice(0, limit).map(({ doc, session, score, matchedPositions }) => ({
+        sessionId: doc.sessionId,
+        sessionTitle: session.title,
+        sessionStartTime: session.startTime,
+        transcriptId: doc.transcriptId,
+        speaker: doc.speaker,
+        timestamp: doc.timestamp,
+        audioOffset: doc.audioOffset,
+        score,
+        text: doc.text,
+        ...this.buildSnippet(doc.text, matchedPositions)
+      }))
+    };
+  }
+
+  /**
+   * Text around the first match, at most snippetChars long, with highlights [{ start, end }]
+   * relative to the snippet
+   */
+  buildSnippet(text, matchedPositions) {
+    const ranges = this.tokenize(text)
+      .filter((token, position) => matchedPositions.has(position))
+      .map(({ start, end }) => ({ start, end }));
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > this.config.snippetChars) {
+      const focus = ranges[0]?.start || 0;
+      start = Math.max(0, Math.min(focus - Math.floor(this.config.snippetChars / 3), text.length - this.config.snippetChars));
+      end = start + this.config.snippetChars;
+      // Do not cut words in half
+      if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+      if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    return {
+      snippet: prefix + text.substring(start, end).trimEnd() + (end < text.length ? '…' : ''),
+      highlights: ranges
+        .filter(range => range.start >= start && range.end <= end)
+        .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }))
+    };
+  }
+
+  getStats() {
+    return { sessions: this.sessions.size, lines: this.documents.size, terms: this.postings.size };
+  }
+}
+
+module.exports = TranscriptSearchIndex;
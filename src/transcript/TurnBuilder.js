@@ -0,0 +1,99 @@
+/**
+ * TurnBuilder - Groups consecutive final results of one speaker into conversational turns
+ * Recognizers end an utterance at every short pause, so a single answer arrives as several
+ * fragments. A turn continues while the same speaker keeps talking in the same language and the
+ * pause since their previous fragment is at most maxPauseMs (measured on the audio timeline when
+ * the fragments carry audioOffset/duration, else between arrival times); maxTurnMs keeps a
+ * monologue from becoming one huge turn.
+ * Turns have the shape of a transcript (speaker, role, text, taggedText, timestamp, audioOffset, duration,
+ * language, translation, words) plus segmentIds, so consumers of transcripts can take turns as is.
+ */
+class TurnBuilder {
+  constructor(config = {}) {
+    this.config = {
+      maxPauseMs: config.maxPauseMs ?? 1500,
+      maxTurnMs: config.maxTurnMs || 60000,
+      tagText: config.tagText || ((speaker, text) => `[${speaker}] ${text}`),
+      ...config
+    };
+  }
+
+  /**
+   * Turns for a list of final transcripts, in order
+   */
+  buildTurns(transcripts) {
+    const turns = [];
+    let segments = [];
+
+    transcripts.forEach(transcript => {
+      if (segments.length > 0 && !this.continuesTurn(segments, transcript)) {
+        turns.push(this.createTurn(segments));
+        segments = [];
+      }
+      segments.push(transcript);
+    });
+    if (segments.length > 0) {
+      turns.push(this.createTurn(segments));
+    }
+
+    return turns;
+  }
+
+  /**
+   * Whether a transcript extends the turn made of segments
+   */
+  continuesTurn(segments, transcript) {
+    const first = segments[0];
+    const previous = segments[segments.length - 1];
+    if ((transcript.speakerKey || transcript.streamId) !== (previous.speakerKey || previous.streamId)) return false;
+    if ((transcript.language || null) !== (previous.language || null)) return false;
+
+    const onTimeline = transcript.audioOffset != null && previous.audioOffset != null && previous.duration != null;
+    const pause = onTimeline
+      ? transcript.audioOffset - (previous.audioOffset + previous.duration)
+      : transcript.timestamp - previous.timestamp;
+    if (pause > this.config.maxPauseMs) return false;
+
+    const turnLength = onTimeline && first.audioOffset != null
+      ? transcript.audioOffset + (transcript.duration || 0) - first.audioOffset
+      : transcript.timestamp - first.timestamp;
+    return turnLength <= this.config.maxTurnMs;
+  }
+
+  createTurn(segments) {
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+    const text = segments.map(segment => segment.text).join(' ');
+    const wordCounts = segments.map(segment => segment.text.split(/\s+/).length);
+    const totalWords = wordCounts.reduce((total, count) => total + count, 0);
+    const translated = segments.filter(segment => segment.translation);
+
+    return {
+      id: `turn_${first.id}`,
+      type: 'turn',
+      streamId: first.streamId,
+      speakerId: first.speakerId || null,
+      speakerKey: first.speakerKey || first.streamId,
+      speaker: first.speaker,
+      role: first.role || null,
+      text,
+      taggedText: this.config.tagText(first.speaker, text),
+      confidence: segments.reduce((total, segment, i) => total + (segment.confidence || 0) * wordCounts[i], 0) / totalWords,
+      language: first.language || null,
+      // A partly translated turn is not translated; the missing fragments would read as gaps
+      translation: translated.length === segments.length
+        ? { ...first.translation, text: translated.map(segment => segment.translation.text).join(' ') }
+        : null,
+      timestamp: first.timestamp,
+      audioOffset: first.audioOffset ?? null,
+      duration: first.audioOffset != null && last.audioOffset != null && last.duration != null
+        ? last.audioOffset + last.duration - first.audioOffset
+        : null,
+      words: segments.flatMap(segment => segment.words || []),
+      segmentIds: segments.map(segment => segment.id),
+      sessionId: first.sessionId
+    };
+  }
+}
+
+module.exports = TurnBuilder;
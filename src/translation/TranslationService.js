@@ -0,0 +1,81 @@
+const OpenAI = require('openai');
+const PromptManager = require('../prompts/PromptManager');
+
+/**
+ * TranslationService - Translates recognized speech into the agent's language with OpenAI
+ * Used after recognition when the speech provider cannot translate while recognizing
+ */
+class TranslationService {
+  constructor(config = {}) {
+    this.config = {
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      model: config.model || 'gpt-4o-mini',
+      targetLanguage: config.targetLanguage || 'en',
+      maxTokens: config.maxTokens || 300,
+      debug: config.debug || false,
+      ...config
+    };
+
+    this.openai = this.isConfigured() ? new OpenAI({ apiKey: this.config.apiKey }) : null;
+    this.promptManager = new PromptManager();
+  }
+
+  isConfigured() {
+    return !!this.config.apiKey && this.config.apiKey !== 'your_openai_api_key_here';
+  }
+
+  /**
+   * Text in the target language already (same primary language subtag) needs no translation
+   */
+  needsTranslation(sourceLanguage) {
+    const primary = (locale) => (locale || '').split('-')[0].toLowerCase();
+    return !sourceLanguage || primary(sourceLanguage) !== primary(this.config.targetLanguage);
+  }
+
+  /**
+   * Translate text; resolves to { language, text, source } or null when unavailable/failed
+   */
+  async translate(text, sourceLanguage = null) {
+    if (!this.openai) {
+      this.log('OpenAI API key not configured, skipping translation');
+      return null;
+    }
+
+    try {
+      const prompts = await this.promptManager.getTranslationPrompts(
+        text,
+        sourceLanguage || 'the source language',
+        this.config.targetLanguage
+      );
+
+      const response = await this.openai.chat.completions.create({
+        model: this.config.model,
+        messages: [
+          { role: 'system', content: prompts.system },
+          { role: 'user', content: prompts.user }
+        ],
+        max_tokens: this.config.maxTokens,
+        temperature: 0
+      });
+
+      const translation = response.choices[0]?.message?.content?.trim();
+      if (!translation) {
+        throw new Error('No translation generated');
+      }
+
+      this.log('Translated transcript', { sourceLanguage, targetLanguage: this.config.targetLanguage });
+      return { language: this.config.targetLanguage, text: translation, source: 'openai' };
+    } catch (error) {
+      this.log('Translation failed', error.message);
+      return null;
+    }
+  }
+
+  log(message, data = null) {
+    if (this.config.debug) {
+      console.log(`[TranslationService] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+    }
+  }
+}
+
+module.exports = TranslationService;
@@ -0,0 +1,150 @@
+const http = require('http');
+
+/**
+ * FakeOpenAIServer - Local OpenAI-compatible HTTP server for tests (no network)
+ * Serves the endpoints the app uses and records every request:
+ *   POST /v1/chat/completions          -> first chatResponses entry whose `match` fits the prompt
+ *   POST /v1/responses                 -> knowledge base answer (responsesAnswer)
+ *   GET  /v1/vector_stores/:id         -> a ready vector store
+ *   POST /webhook                      -> recorded in webhookRequests
+ * Point the OpenAI SDK at it with OPENAI_BASE_URL=<baseURL> and WEBHOOK_URL=<webhookUrl>.
+ */
+class FakeOpenAIServer {
+  constructor(config = {}) {
+    this.config = {
+      chatResponses: config.chatResponses || [], // [{ match: RegExp | string, content: string | object }]
+      defaultChatContent: config.defaultChatContent || 'OK',
+      responsesAnswer: config.responsesAnswer || 'This is a test knowledge base answer.',
+      ...config
+    };
+
+    this.requests = [];
+    this.webhookRequests = [];
+    this.server = null;
+    this.baseURL = null;
+    this.webhookUrl = null;
+  }
+
+  /**
+   * Listen on a random local port
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+    const { port } = this.server.address();
+    this.baseURL = `http://127.0.0.1:${port}/v1`;
+    this.webhookUrl = `http://127.0.0.1:${port}/webhook`;
+    return { baseURL: this.baseURL, webhookUrl: this.webhookUrl };
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  handleRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        body = raw;
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const request = { method: req.method, path: url.pathname, body };
+      this.requests.push(request);
+
+      if (req.method === 'POST' && url.pathname === '/webhook') {
+        this.webhookRequests.push(body);
+        return this.sendJson(res, 200, { received: true });
+      }
+      if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+        return this.sendJson(res, 200, this.createChatCompletion(body));
+      }
+      if (req.method === 'POST' && url.pathname === '/v1/responses') {
+        return this.sendJson(res, 200, this.createResponse(body));
+      }
+      if (req.method === 'GET' && url.pathname.startsWith('/v1/vector_stores/')) {
+        return this.sendJson(res, 200, {
+          id: url.pathname.split('/').pop(),
+          object: 'vector_store',
+          name: 'Test knowledge base',
+          status: 'completed',
+          file_counts: { in_progress: 0, completed: 1, failed: 0, cancelled: 0, total: 1 }
+        });
+      }
+
+      this.sendJson(res, 404, { error: { message: `No fake route for ${req.method} ${url.pathname}` } });
+    });
+  }
+
+  /**
+   * Pick a scripted reply by matching against the whole prompt (all message contents)
+   */
+  createChatCompletion(body) {
+    const prompt = (body?.messages || []).map(message => message.content).join('\n');
+    const responder = this.config.chatResponses.find(({ match }) =>
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    );
+    const content = responder ? responder.content : this.config.defaultChatContent;
+
+    return {
+      id: `chatcmpl-test-${this.requests.length}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body?.model || 'test-model',
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: typeof content === 'string' ? content : JSON.stringify(content) },
+        finish_reason: 'stop'
+      }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  createResponse(body) {
+    return {
+      id: `resp-test-${this.requests.length}`,
+      object: 'response',
+      model: body?.model || 'test-model',
+      status: 'completed',
+      output: [{
+        type: 'message',
+        id: `msg-test-${this.requests.length}`,
+        role: 'assistant',
+        status: 'completed',
+        content: [{ type: 'output_text', text: this.config.responsesAnswer, annotations: [] }]
+      }]
+    };
+  }
+
+  sendJson(res, statusCode, data) {
+    const payload = JSON.stringify(data);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  /**
+   * Chat completion requests whose prompt matches
+   */
+  getChatRequests(match) {
+    return this.requests
+      .filter(request => request.path === '/v1/chat/completions')
+      .filter(request => {
+        if (!match) return true;
+        const prompt = (request.body?.messages || []).map(message => message.content).join('\n');
+        return match instanceof RegExp ? match.test(prompt) : prompt.includes(match);
+      });
+  }
+}
+
+module.exports = FakeOpenAIServer;
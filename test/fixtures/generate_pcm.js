@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Regenerate the .pcm files of a fixture from its script.json
+ * Each utterance becomes a voiced tone (so VAD treats it as speech), everything else is silence.
+ *
+ * Usage: node test/fixtures/generate_pcm.js test/fixtures/support_call
+ */
+function generateFixturePcm(fixtureDir) {
+  const script = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'script.json'), 'utf8'));
+  const sampleRate = script.sampleRate || 16000;
+  const totalSamples = Math.round(script.durationMs / 1000 * sampleRate);
+
+  Object.entries(script.streams).forEach(([streamId, fileName], streamIndex) => {
+    const samples = new Int16Array(totalSamples);
+    const frequency = streamIndex === 0 ? 180 : 240; // Different "voices" per stream
+
+    script.utterances
+      .filter(utterance => utterance.streamId === streamId)
+      .forEach(utterance => {
+        const start = Math.round(utterance.start / 1000 * sampleRate);
+        const end = Math.min(totalSamples, Math.round(utterance.end / 1000 * sampleRate));
+        for (let i = start; i < end; i++) {
+          samples[i] = Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * 0.25 * 0x7FFF);
+        }
+      });
+
+    fs.writeFileSync(path.join(fixtureDir, fileName), Buffer.from(samples.buffer));
+    console.log(`Wrote ${fileName} (${samples.length} samples)`);
+  });
+}
+
+if (require.main === module) {
+  generateFixturePcm(process.argv[2] || path.join(__dirname, 'support_call'));
+}
+
+module.exports = generateFixturePcm;
@@ -0,0 +1,754 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeOpenAIServer = require('./test/FakeOpenAIServer');
+
+const FIXTURE_DIR = path.join(__dirname, 'test', 'fixtures', 'support_call');
+const FRAME_BYTES = 2048 * 2; // Same batch size the renderer capture worklet sends over IPC
+
+const TOPIC = 'Customer invoice question and follow-up scheduling';
+const TRANSLATION = 'Can we schedule a follow-up call on Friday?';
+const MEETING_NOTES = '## Meeting Notes\n- Customer asked about last week\'s invoice\n- Follow-up call requested for Friday';
+const TODO_LIST = {
+  reschedule_meeting: true,
+  tasks: [{ task: 'Review the customer invoice', assignee: 'TBD', priority: 'high', due_date: '1 week' }]
+};
+
+/**
+ * Wait for an event, failing after timeoutMs
+ */
+function waitForEvent(emitter, eventName, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), timeoutMs);
+    emitter.once(eventName, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Files of a zip archive as text (stored or deflated entries)
+ */
+function readZip(buffer) {
+  const zlib = require('zlib');
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const data = buffer.subarray(offset + 30 + nameLength + extraLength, offset + 30 + nameLength + extraLength + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset += 30 + nameLength + extraLength + size;
+  }
+  return files;
+}
+
+/**
+ * Write 16-bit PCM buffers as one WAV file, interleaved when there are several (the shorter are padded
+ * with silence); each sample is repeated to reach sampleRate
+ */
+function writeWav(filePath, pcmChannels, sampleRate = 16000) {
+  const SessionAudioRecorder = require('./src/audio/SessionAudioRecorder');
+  const repeat = sampleRate / 16000;
+  const frames = Math.max(...pcmChannels.map(pcm => pcm.length / 2)) * repeat;
+  const data = Buffer.alloc(frames * pcmChannels.length * 2);
+  pcmChannels.forEach((pcm, channel) => {
+    for (let frame = 0; frame < pcm.length / 2 * repeat; frame++) {
+      data.writeInt16LE(pcm.readInt16LE(Math.floor(frame / repeat) * 2), (frame * pcmChannels.length + channel) * 2);
+    }
+  });
+  const header = new SessionAudioRecorder({ sampleRate }).createWavHeader(data.length, pcmChannels.length);
+  fs.writeFileSync(filePath, Buffer.concat([header, data]));
+}
+
+/**
+ * Transcript importer: Zoom captions are stamped with the time of day; Teams text and SRT with offsets into the meeting
+ */
+function testTranscriptImporter() {
+  const TranscriptImporter = require('./src/import/TranscriptImporter');
+  const importer = new TranscriptImporter();
+  const callStart = new Date(2026, 2, 4, 15, 0).getTime();
+
+  const zoom = importer.parse('[Dana Smith] 23:59:50\nAre you still there?\n\n[Sam Lee] 00:00:05\nYes, one moment.\n', { startTime: callStart });
+  assert.strictEqual(zoom.layout, 'zoom');
+  assert.strictEqual(zoom.startTime, new Date(2026, 2, 4, 23, 59, 50).getTime());
+  assert.deepStrictEqual(zoom.cues.map(c => [c.speaker, c.offset, c.text]), [['Dana Smith', 0, 'Are you still there?'], ['Sam Lee', 15000, 'Yes, one moment.']]);
+  const teamsText = importer.parse('Weekly billing sync\n\nDana Smith   0:03\nHi, about the invoice\nfrom last week.\n\nSam Lee   1:02:07\nSee you at 10:30.\n', { startTime: callStart });
+  assert.deepStrictEqual(teamsText.cues.map(c => [c.speaker, c.offset, c.text]), [
+    ['Dana Smith', 3000, 'Hi, about the invoice from last week.'], ['Sam Lee', 3727000, 'See you at 10:30.']
+  ]);
+  const srt = importer.parse('1\r\n00:00:01,000 --> 00:00:03,000\r\n[Me] Hello\r\n\r\n2\r\n00:00:04,000 --> 00:00:06,000\r\nDana: Hi there\r\n');
+  assert.deepStrictEqual([srt.format, ...srt.cues.map(c => `${c.speaker}@${c.offset}: ${c.text}`)], ['srt', 'Me@1000: Hello', 'Dana@4000: Hi there']);
+  assert.throws(() => importer.parse('Just some notes\nwithout times\n'), /Unrecognized transcript layout/);
+  console.log('✅ Zoom, Teams text and SRT transcripts parsed');
+}
+
+/**
+ * Turns: one speaker's fragments are grouped for the LLM until a pause, a language switch or another speaker
+ */
+function testTurnBuilder() {
+  const TurnBuilder = require('./src/transcript/TurnBuilder');
+  const fragment = (id, speakerKey, text, audioOffset, duration, language = 'en-US') =>
+    ({ id, streamId: speakerKey.split(':')[0], speakerKey, speaker: speakerKey, text, confidence: 0.9, language, timestamp: audioOffset, audioOffset, duration });
+
+  const turns = new TurnBuilder().buildTurns([
+    fragment('a', 'system:Guest-1', 'We sign in with Okta.', 0, 900),
+    fragment('b', 'system:Guest-1', 'And SSO broke', 1400, 800),
+    fragment('c', 'system:Guest-1', 'after the update.', 2300, 900),
+    fragment('d', 'microphone', 'Okay.', 3300, 400),
+    fragment('e', 'microphone', 'Let me check.', 6000, 700),
+    fragment('f', 'microphone', 'Un momento.', 6800, 600, 'es-ES')
+  ]);
+  assert.deepStrictEqual(turns.map(t => [t.speaker, t.text]), [
+    ['system:Guest-1', 'We sign in with Okta. And SSO broke after the update.'],
+    ['microphone', 'Okay.'],
+    ['microphone', 'Let me check.'],
+    ['microphone', 'Un momento.']
+  ]);
+  assert.deepStrictEqual([turns[0].segmentIds, turns[0].duration], [['a', 'b', 'c'], 3200]);
+  console.log('✅ Consecutive fragments grouped into conversational turns');
+}
+
+/**
+ * Participants are set up before a call and edited during it; edits relabel the lines already heard
+ */
+async function testParticipants() {
+  const TranscriptManager = require('./src/transcript/TranscriptManager');
+  const saveDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-participants-'));
+
+  try {
+    const staffed = new TranscriptManager({ saveDirectory, autoSave: false, journal: false });
+    staffed.setDefaultParticipants([{ key: 'microphone', name: 'Sam', role: 'agent' }, { key: 'system', name: 'Customer' }]);
+    assert.throws(() => staffed.setDefaultParticipants([{ key: 'system', role: 'manager' }]), /Unknown participant role/);
+    staffed.startSession();
+    const customerLine = staffed.addFinalTranscript('system', 'Can my colleague from finance join us?', 0.9, Date.now(), { audioOffset: 0, duration: 2000 });
+    staffed.addFinalTranscript('microphone', 'Of course, I will add them to the "Q3 review", invite.', 0.9, Date.now() + 5000, { audioOffset: 5000, duration: 2000 });
+    assert.deepStrictEqual([customerLine.speaker, customerLine.role], ['Customer', 'customer']);
+    await staffed.updateParticipant('system', { name: 'Priya', role: 'colleague' });
+    assert.deepStrictEqual([customerLine.taggedText, customerLine.role], ['[Priya] Can my colleague from finance join us?', 'colleague']);
+    assert.ok(staffed.exportTranscripts('txt').startsWith('Participants: Sam (agent), Priya (colleague)\n'));
+    const staffedCsv = staffed.exportTranscripts('csv');
+    assert.ok(staffedCsv.includes('"Priya","colleague"'));
+    assert.ok(staffedCsv.includes(',"Of course, I will add them to the ""Q3 review"", invite.",'), 'CSV fields are RFC 4180 quoted');
+    assert.strictEqual(staffedCsv.split('\r\n').length, 4, 'CSV records end with CRLF');
+    await staffed.endSession();
+    assert.deepStrictEqual(staffed.getParticipants(null).map(p => [p.name, p.role]), [['Sam', 'agent'], ['Customer', 'customer']],
+      'edits during a call do not change the next call');
+    console.log('✅ Participants named and given roles before and during the call');
+  } finally {
+    fs.rmSync(saveDirectory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * End-to-end pipeline test: fixture PCM -> VoiceManager -> fake STT -> transcripts ->
+ * topic insights -> meeting notes -> webhook, all against local fakes (no API keys, no network)
+ */
+async function testPipeline() {
+  console.log('🧪 Testing voice pipeline end to end...');
+
+  const script = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'script.json'), 'utf8'));
+  const server = new FakeOpenAIServer({
+    chatResponses: [
+      { match: 'You translate live call transcripts', content: TRANSLATION },
+      { match: 'determine follow-up actions', content: TODO_LIST },
+      { match: 'generate meeting notes', content: MEETING_NOTES },
+      { match: 'comparing conversation topics', content: 'NO' },
+      {
+        match: 'structured insights',
+        content: {
+          topic: TOPIC,
+          keyPoints: ['Invoice from last week', 'Follow-up call on Friday'],
+          questionActions: ['Which invoice number?'],
+          taskActions: ['Schedule follow-up call']
+        }
+      }
+    ]
+  });
+  const { baseURL, webhookUrl } = await server.start();
+
+  // Run in a scratch directory: transcripts, topic and summary files are written relative to cwd
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-pipeline-'));
+  const originalCwd = process.cwd();
+  process.chdir(workDir);
+
+  Object.assign(process.env, {
+    SPEECH_PROVIDER: 'fake',
+    FAKE_STT_SCRIPT: path.join(FIXTURE_DIR, 'script.json'),
+    OPENAI_API_KEY: 'test-key',
+    OPENAI_BASE_URL: baseURL,
+    OPENAI_VECTOR_STORE_ID: 'vs_test',
+    WEBHOOK_URL: webhookUrl,
+    RECORD_SESSION_AUDIO: 'true',
+    TRANSLATE_REMOTE_SPEECH: 'true',
+    SPEECH_DIARIZATION: 'true',
+    REVIEW_BEFORE_NOTES: 'true',
+    REDACTION_PATTERNS: JSON.stringify([{ name: 'account-id', pattern: '\\bACC-\\d{6}\\b' }]),
+    SPEECH_RECONNECT_BASE_DELAY_MS: '20',
+    KNOWLEDGE_BASE_FILE: path.join(__dirname, 'knowledgebase.md')
+  });
+
+  // Loaded after the environment is set up - VoiceConfig reads it once
+  const VoiceManager = require('./src/VoiceManager');
+  const voiceManager = new VoiceManager(null);
+
+  try {
+    await voiceManager.initialize();
+    assert.ok(voiceManager.componentStatus.topicAnalyzer, 'topic analyzer should initialize against the fake server');
+    console.log('✅ VoiceManager initialized with fake speech provider');
+
+    // Vocabulary: knowledge base terms reach the recognizer, runtime edits apply and persist
+    const provider = voiceManager.speechService.provider;
+    assert.ok(provider.phrases.includes('VideoEditorPro'), 'product name should be extracted from the knowledge base');
+    assert.ok(provider.phrases.includes('Team Management'), 'bold UI terms should be extracted from the knowledge base');
+    await voiceManager.updateVocabulary({ add: ['Acme Widget'] });
+    assert.strictEqual(provider.phrases[0], 'Acme Widget', 'custom phrases should be applied first');
+    assert.ok(fs.readFileSync(path.join(workDir, 'vocabulary.txt'), 'utf8').includes('Acme Widget'), 'custom vocabulary should be saved');
+    console.log(`✅ Recognition vocabulary applied (${provider.phrases.length} phrases)`);
+
+    // Fixture audio is fed far faster than wall-clock, so time-based duplicate suppression would drop "Me"
+    voiceManager.updateTranscriptConfig({ suppressMicrophoneWhenSystemAudio: false });
+
+    const finals = [];
+    const interims = [];
+    voiceManager.transcriptManager.on('final-transcript', transcript => finals.push(transcript));
+    voiceManager.transcriptManager.on('interim-transcript', transcript => interims.push(transcript));
+    const topicUpdated = waitForEvent(voiceManager.topicAnalyzer, 'topic-updated');
+    const reconnected = waitForEvent(voiceManager.speechService, 'stream-reconnected');
+    const translated = waitForEvent(voiceManager.transcriptManager, 'transcript-translated');
+
+    assert.strictEqual(await voiceManager.startRecording(), true, 'recording should start');
+
+    // Feed both streams frame by frame, exactly like the renderer does over IPC
+    const streams = Object.fromEntries(Object.entries(script.streams).map(([streamId, fileName]) =>
+      [streamId, fs.readFileSync(path.join(FIXTURE_DIR, fileName))]
+    ));
+    const totalBytes = Math.max(...Object.values(streams).map(pcm => pcm.length));
+    for (let offset = 0; offset < totalBytes; offset += FRAME_BYTES) {
+      for (const [streamId, pcm] of Object.entries(streams)) {
+        const frame = pcm.subarray(offset, offset + FRAME_BYTES);
+        if (frame.length > 0) {
+          voiceManager.processAudioFrames(streamId, frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length));
+        }
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // The scripted connection drop must recover before the session ends
+    const recovery = await reconnected;
+    const insights = await topicUpdated;
+    const translatedTranscript = await translated;
+
+    // The first remote speaker is named during the call; lines already heard are relabelled
+    const speakerNames = { 'Guest-1': 'Dana' };
+    await voiceManager.renameSpeaker('system:Guest-1', 'Dana');
+    const speakerOf = u => u.streamId === 'microphone' ? 'Me' : (speakerNames[u.speakerId] || u.speakerId);
+
+    // A bookmark dropped now is anchored to the line just heard
+    const lastHeard = finals[finals.length - 1];
+    const bookmark = voiceManager.addBookmark();
+    assert.ok(bookmark.transcriptIds.includes(lastHeard.id), 'bookmark anchored to the nearest line');
+    await voiceManager.updateBookmark(bookmark.id, { label: 'Follow-up request' });
+
+    const recordingStopped = waitForEvent(voiceManager, 'recording-stopped');
+    assert.strictEqual(await voiceManager.stopRecording(), true, 'recording should stop');
+    const { summary: session } = await recordingStopped;
+
+    // Review: notes wait while the transcript is fixed up; every edit can be undone
+    assert.strictEqual(server.getChatRequests('generate meeting notes').length, 0, 'notes should wait for the review');
+    const lineIds = () => session.transcripts.map(t => t.id);
+    const originalIds = lineIds();
+    const agentLine = finals[1];
+    const split = await voiceManager.splitTranscript(agentLine.id, agentLine.text.indexOf('Is account') + 1);
+    assert.deepStrictEqual(split.transcripts.map(t => t.text), ['Sure, I can help with that.', 'Is account ACC-482913 still under dana@example.com?']);
+    assert.strictEqual(split.transcripts[0].duration + split.transcripts[1].duration, agentLine.duration, 'word timings place the split');
+    assert.strictEqual(split.transcripts[1].audioOffset, agentLine.words[6].offset);
+    const [, secondHalf] = split.transcripts;
+    assert.strictEqual((await voiceManager.reassignSpeaker(secondHalf.id, 'system:Guest-1')).transcripts[0].speaker, 'Dana');
+    assert.strictEqual((await voiceManager.undoTranscriptEdit()).transcripts[0].speaker, 'Me');
+    const merged = await voiceManager.mergeTranscripts(agentLine.id, secondHalf.id);
+    assert.deepStrictEqual([merged.transcripts[0].text, merged.transcripts[0].duration], [agentLine.text, agentLine.duration]);
+    await voiceManager.undoTranscriptEdit();
+    assert.strictEqual(session.transcripts.length, script.utterances.length + 1);
+    await voiceManager.redoTranscriptEdit();
+    await voiceManager.deleteTranscript(finals[2].id);
+    assert.ok(!lineIds().includes(finals[2].id));
+    const restored = await voiceManager.undoTranscriptEdit();
+    assert.strictEqual(restored.transcripts[0].text, finals[2].text);
+    assert.deepStrictEqual(lineIds(), originalIds, 'undo should restore the original lines in place');
+    await assert.rejects(voiceManager.mergeTranscripts(finals[0].id, finals[2].id), /adjacent/);
+    const history = voiceManager.getEditHistory();
+    assert.deepStrictEqual(history.edits.map(e => `${e.action}:${e.type}`), [
+      'apply:split', 'apply:reassign-speaker', 'undo:reassign-speaker', 'apply:merge', 'undo:merge', 'redo:merge', 'apply:delete', 'undo:delete'
+    ]);
+    assert.deepStrictEqual([history.canUndo, history.canRedo], [true, true]);
+    await voiceManager.finalizeReviewedSession();
+    console.log(`✅ Transcript reviewed with ${history.edits.length} edits before notes were generated`);
+
+    // Transcripts
+    assert.deepStrictEqual(
+      finals.map(t => [t.speaker, t.text]),
+      script.utterances.map(u => [speakerOf(u), u.text]),
+      'final transcripts should match the fixture script in order'
+    );
+    finals.forEach((transcript, i) => {
+      const expected = script.utterances[i];
+      assert.ok(Math.abs(transcript.audioOffset - expected.start) <= 50,
+        `audio offset of "${transcript.text}" should be ~${expected.start}ms (got ${transcript.audioOffset})`);
+      assert.strictEqual(transcript.duration, expected.end - expected.start);
+      assert.strictEqual(transcript.confidence, expected.confidence);
+      assert.strictEqual(transcript.language, expected.language || 'en-US', `language of "${transcript.text}"`);
+      assert.deepStrictEqual(transcript.words.map(w => w.text), expected.text.split(/\s+/), 'per-word timings should cover the utterance');
+      assert.ok(transcript.words.every(w => w.offset >= expected.start - 50 && w.offset + w.duration <= expected.end + 50),
+        `word timings of "${transcript.text}" should fall within the utterance`);
+    });
+
+    // Subtitles use speech boundaries, not arrival times
+    const srtBlocks = voiceManager.transcriptManager.exportTranscripts('srt', { sessionOnly: true }).trim().split(/\n\n+/);
+    const srtCues = srtBlocks.filter(cue => !cue.includes('[★'));
+    assert.strictEqual(srtCues.length, script.utterances.length);
+    assert.ok(srtBlocks.some(cue => cue.endsWith('[★ Follow-up request]')), 'bookmarks are marked in subtitles');
+    const [firstTimes] = srtCues[0].split('\n').slice(1);
+    const [srtStart, srtEnd] = firstTimes.split(' --> ').map(time => {
+      const [h, m, rest] = time.split(':');
+      const [sec, ms] = rest.split(',');
+      return ((+h * 60 + +m) * 60 + +sec) * 1000 + +ms;
+    });
+    assert.ok(Math.abs(srtStart - script.utterances[0].start) <= 50 && Math.abs(srtEnd - script.utterances[0].end) <= 50,
+      `first subtitle should span ${script.utterances[0].start}-${script.utterances[0].end}ms (got ${firstTimes})`);
+    assert.ok(interims.some(t => t.text === 'Hi, I\'m calling'), 'scripted interim results should be emitted');
+    assert.strictEqual(session.transcripts.length, script.utterances.length);
+    const exportedTurns = JSON.parse(voiceManager.transcriptManager.exportTranscripts('json', { turns: true }));
+    assert.deepStrictEqual(exportedTurns.map(t => t.segmentIds.length), [1, 1, 1], 'fixture speakers alternate, so every line is a turn');
+    console.log(`✅ ${finals.length} final transcripts (${interims.length} interim) match the fixture`);
+
+    // Low confidence: lines under the threshold are flagged with their runner-up hypotheses
+    finals.forEach((transcript, i) => {
+      const expected = script.utterances[i];
+      assert.strictEqual(transcript.lowConfidence, expected.confidence < 0.6, `low-confidence flag of "${transcript.text}"`);
+      assert.deepStrictEqual(transcript.alternatives.map(a => a.text), expected.alternatives || []);
+    });
+    assert.deepStrictEqual(voiceManager.getFlaggedTranscripts().map(t => t.id), [finals[0].id]);
+    console.log('✅ Low-confidence line flagged with alternatives');
+
+    // Recovery: audio buffered during the outage was replayed, and the gap is marked
+    const [drop] = script.drops;
+    assert.strictEqual(recovery.streamId, drop.streamId);
+    assert.strictEqual(recovery.gap.droppedMs, 0, 'no audio should be lost within the reconnect buffer');
+    const gaps = session.markers.filter(m => m.type !== 'topic');
+    assert.strictEqual(gaps.length, 1, 'the connection drop should be marked in the session');
+    assert.strictEqual(gaps[0].type, 'gap');
+    assert.strictEqual(gaps[0].streamId, drop.streamId);
+    assert.ok(Math.abs(gaps[0].startOffset - drop.at) <= 150, `gap should start near ${drop.at}ms (got ${gaps[0].startOffset})`);
+    assert.deepStrictEqual(session.markers.filter(m => m.type === 'topic').map(m => m.topic), [TOPIC], 'topic changes are on the timeline');
+    console.log(`✅ ${drop.streamId} recognizer reconnected after ${recovery.attempts} attempt(s), gap marked`);
+
+    // Diarization: remote speakers are told apart, renamed, and credited with their talk time
+    assert.strictEqual(finals[0].taggedText, `[Dana] ${script.utterances[0].text}`, 'renaming should relabel earlier lines');
+    const speakers = voiceManager.getSpeakers();
+    assert.deepStrictEqual(speakers.map(s => [s.key, s.speaker, s.role]), [
+      ['microphone', 'Me', 'agent'], ['system:Guest-1', 'Dana', 'customer'], ['system:Guest-2', 'Guest-2', 'customer']
+    ], 'diarized speakers take the role of their stream');
+    script.utterances.forEach(u => {
+      assert.strictEqual(speakers.find(s => s.speaker === speakerOf(u)).talkTimeMs, u.end - u.start, `talk time of ${speakerOf(u)}`);
+    });
+    assert.ok(Math.abs(speakers.reduce((total, s) => total + s.share, 0) - 1) < 1e-9, 'talk-time shares should add up to 100%');
+    console.log(`✅ Remote speakers diarized (${speakers.filter(s => s.speakerId).length}) and renamed`);
+
+    // Translation: only the Spanish customer utterance is translated, and exports carry both texts
+    const spanish = script.utterances.find(u => u.language === 'es-ES');
+    assert.strictEqual(translatedTranscript.text, spanish.text);
+    assert.deepStrictEqual(translatedTranscript.translation, { language: 'en', text: TRANSLATION, source: 'openai' });
+    assert.ok(finals.filter(t => t !== translatedTranscript).every(t => !t.translation), 'English utterances should not be translated');
+    assert.ok(server.getChatRequests('You translate live call transcripts')[0].body.messages[0].content.includes('from es-ES into en'));
+    const csv = voiceManager.transcriptManager.exportTranscripts('csv', { sessionOnly: true });
+    assert.ok(csv.includes(`"${spanish.text}","${TRANSLATION}"`), 'CSV export should include original and translation');
+    console.log('✅ Remote speech translated into the agent\'s language');
+
+    // Insights
+    assert.strictEqual(insights.topic, TOPIC);
+    assert.ok(insights.keyPoints.includes('Follow-up call on Friday'));
+    const analysisPrompt = server.getChatRequests('structured insights')[0].body.messages.map(m => m.content).join('\n');
+    assert.ok(analysisPrompt.includes('Guest-1: Hi, I\'m calling about the invoice'), 'topic analysis should see tagged transcripts');
+    assert.ok(analysisPrompt.includes('[en-US], the language the customer is currently speaking'), 'topic analysis should be told the answer language');
+    assert.ok(analysisPrompt.includes('Participants: Guest-1 (customer)'), 'topic analysis should know who the customer is');
+    console.log('✅ Topic insights generated from transcripts');
+
+    // Meeting notes request (PII is masked before it reaches the LLM)
+    const masked = text => text.replace('ACC-482913', '[ACCOUNT-ID]').replace('dana@example.com', '[EMAIL]');
+    const notesPrompt = server.getChatRequests('generate meeting notes')[0].body.messages[1].content;
+    script.utterances.forEach(u => {
+      assert.ok(notesPrompt.includes(`[${speakerOf(u)}] ${masked(u.text)}`), `meeting notes prompt should include "${masked(u.text)}"`);
+    });
+    assert.ok(notesPrompt.includes('Participants:\n- Me (agent)\n- Dana (customer)\n- Guest-2 (customer)\n'), 'notes should know who took part in which role');
+    const highlights = notesPrompt.split('Bookmarked moments (must be included):\n')[1];
+    assert.ok(highlights.startsWith('1. ') && highlights.includes(`"Follow-up request" - [${lastHeard.speaker}] ${masked(lastHeard.text)}`),
+      'bookmarked moments are must-include for the notes');
+    console.log('✅ Meeting notes prompt contains the full transcript');
+
+    // Redaction: the overlay shows the call as spoken, nothing else receives the PII
+    const pii = ['ACC-482913', 'dana@example.com'];
+    assert.ok(finals.some(t => t.text.includes('dana@example.com')), 'display policy is off by default');
+    const outbound = JSON.stringify(server.requests);
+    pii.forEach(value => assert.ok(!outbound.includes(value), `${value} should not reach OpenAI or the webhook`));
+    const exported = voiceManager.transcriptManager.exportTranscripts('json', { sessionOnly: true });
+    assert.ok(exported.includes('[EMAIL]') && pii.every(value => !exported.includes(value)), 'exports should be masked');
+    console.log('✅ PII masked for LLM prompts, webhook and exports');
+
+    // Webhook body
+    assert.strictEqual(server.webhookRequests.length, 1, 'exactly one webhook call');
+    const webhook = server.webhookRequests[0];
+    assert.strictEqual(webhook.meeting_notes, MEETING_NOTES);
+    assert.strictEqual(webhook.session_id, session.id);
+    assert.strictEqual(webhook.source, 'call_copilot');
+    assert.deepStrictEqual(webhook.participants, [
+      { name: 'Me', role: 'agent' }, { name: 'Dana', role: 'customer' }, { name: 'Guest-2', role: 'customer' }
+    ]);
+    assert.deepStrictEqual(webhook.todo_items, [
+      { schedulemeeting: true },
+      { task: 'Review the customer invoice', assignee: 'TBD', priority: 'high', due_date: '1 week' }
+    ]);
+    console.log('✅ Webhook payload delivered');
+
+    // Saved session + recorded audio
+    const sessionFiles = fs.readdirSync(path.join(workDir, 'transcripts')).filter(file => /^session_.*\.json$/.test(file));
+    assert.strictEqual(sessionFiles.length, 1, 'one saved session file');
+    const saved = JSON.parse(fs.readFileSync(path.join(workDir, 'transcripts', sessionFiles[0]), 'utf8'));
+    assert.strictEqual(saved.transcripts.length, script.utterances.length);
+    assert.ok(fs.existsSync(saved.audio.files.microphone) && fs.existsSync(saved.audio.files.system), 'session audio should be recorded');
+    const savedText = JSON.stringify(saved);
+    assert.ok(pii.every(value => !savedText.includes(value)), 'saved session text and word timings should be masked');
+    assert.strictEqual(saved.edits.length, 8, 'the edit audit trail should be saved with the session');
+    assert.deepStrictEqual(saved.bookmarks.map(b => b.label), ['Follow-up request']);
+    assert.ok(['conversation_summary.txt', 'current_topic.txt']
+      .filter(file => fs.existsSync(path.join(workDir, file)))
+      .every(file => pii.every(value => !fs.readFileSync(path.join(workDir, file), 'utf8').includes(value))));
+    console.log('✅ Session saved with transcripts and audio');
+    console.log('✅ Bookmark anchored, labelled and marked in notes, subtitles and the saved session');
+
+    // Renaming after the call updates the saved session
+    await voiceManager.renameSpeaker('system:Guest-2', 'Luis');
+    const resaved = JSON.parse(fs.readFileSync(path.join(workDir, 'transcripts', sessionFiles[0]), 'utf8'));
+    assert.strictEqual(resaved.speakerMap['system:Guest-2'], 'Luis');
+    assert.strictEqual(resaved.transcripts.find(t => t.speakerId === 'Guest-2').taggedText, `[Luis] ${spanish.text}`);
+    assert.ok(resaved.summary.speakers.some(s => s.speaker === 'Luis' && s.talkTimeMs > 0), 'saved talk-time stats should use the new name');
+    console.log('✅ Speaker renamed after the call');
+
+    // Picking an alternative corrects the saved session and teaches the vocabulary its new term
+    const [alternative] = finals[0].alternatives;
+    const corrected = await voiceManager.correctTranscript(finals[0].id, alternative.text, 'alternative');
+    assert.strictEqual(corrected.transcript.taggedText, `[Dana] ${alternative.text}`);
+    assert.deepStrictEqual(corrected.learnedTerms, ['INV-2041']);
+    assert.strictEqual(voiceManager.getFlaggedTranscripts().length, 0, 'corrected lines are no longer flagged');
+    const correctedSession = JSON.parse(fs.readFileSync(path.join(workDir, 'transcripts', sessionFiles[0]), 'utf8'));
+    assert.strictEqual(correctedSession.transcripts[0].text, alternative.text);
+    assert.strictEqual(saved.summary.lowConfidenceCount, 1);
+    assert.strictEqual(correctedSession.summary.correctionCount, 1);
+    assert.deepStrictEqual(correctedSession.corrections.map(c => [c.originalText, c.text, c.source]),
+      [[script.utterances[0].text, alternative.text, 'alternative']]);
+    const [logged] = await voiceManager.vocabularyManager.getCorrections();
+    assert.strictEqual(logged.text, alternative.text, 'corrections should be logged as training data');
+    assert.ok(fs.readFileSync(path.join(workDir, 'vocabulary.txt'), 'utf8').includes('INV-2041'), 'learned term should be saved');
+    console.log('✅ Low-confidence line corrected from its alternatives');
+
+    // Session library: the call is indexed for browsing, and can be retitled, re-exported and deleted
+    const { sessions: library } = voiceManager.listSessions();
+    assert.strictEqual(library.length, 1);
+    assert.strictEqual(library[0].id, session.id);
+    assert.strictEqual(library[0].title, TOPIC, 'untitled sessions are named after their topic');
+    assert.deepStrictEqual(library[0].participants, ['Me', 'Dana', 'Luis']);
+    assert.deepStrictEqual(library[0].topics, [TOPIC]);
+    assert.strictEqual(library[0].wordCount, correctedSession.summary.wordCount);
+    assert.strictEqual(voiceManager.listSessions({ query: 'luis' }).total, 1);
+    assert.strictEqual(voiceManager.listSessions({ query: 'quarterly review' }).total, 0);
+    await voiceManager.renameSession(session.id, 'Invoice call with Dana');
+    assert.strictEqual((await voiceManager.getSession(session.id)).title, 'Invoice call with Dana');
+    assert.ok((await voiceManager.exportSession('txt', session.id)).includes(`[Luis] ${spanish.text}`), 'past sessions can be re-exported');
+
+    // Document exports: subtitles with voices, and notes, highlights and topics in the documents
+    const vtt = await voiceManager.exportSession('vtt', session.id);
+    assert.ok(vtt.startsWith('WEBVTT\n\n') && vtt.includes(`<v Luis>${spanish.text}</v>`), 'WebVTT tags each cue with its voice');
+    assert.ok(/\n\d{2}:\d{2}:\d{2}\.\d{3} --> \d{2}:\d{2}:\d{2}\.\d{3}\n\[★ Follow-up request\]\n/.test(vtt), 'bookmark cue without a voice');
+    const markdown = await voiceManager.exportSession('md', session.id);
+    ['# Invoice call with Dana', '**Participants:** Me (agent), Dana (customer), Luis (customer)', '## Highlights', '## Meeting Notes',
+      '- Follow-up call requested for Friday', '- [ ] Review the customer invoice (high, 1 week)', `## ${TOPIC}`, `Dana:** ${alternative.text}`]
+      .forEach(text => assert.ok(markdown.includes(text), `Markdown export should include "${text}"`));
+    assert.strictEqual(markdown.split('## Meeting Notes').length, 2, 'the notes\' own heading is not repeated');
+    const html = await voiceManager.exportSession('html', session.id);
+    assert.ok(html.startsWith('<!DOCTYPE html>') && html.includes('<li>Review the customer invoice (high, 1 week)</li>'));
+    assert.ok(!/<script|<link|src=/.test(html), 'HTML export is self-contained');
+    const docx = await voiceManager.exportSession('docx', session.id);
+    const docxFiles = readZip(docx);
+    assert.deepStrictEqual(Object.keys(docxFiles).sort(), ['[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/_rels/document.xml.rels', 'word/document.xml', 'word/styles.xml']);
+    ['Meeting Notes', '☐ Review the customer invoice (high, 1 week)', 'Follow-up request', 'Luis: ']
+      .forEach(text => assert.ok(docxFiles['word/document.xml'].includes(text), `DOCX should include "${text}"`));
+    assert.deepStrictEqual(voiceManager.getExportFileInfo('docx', session.id), { fileName: 'Invoice call with Dana.docx', name: 'Word Document', extension: 'docx' });
+    console.log('✅ Session exported as WebVTT, Markdown, HTML and DOCX with notes, highlights and topics');
+
+    // Terms are learned from the correction as spoken, never from the PII in it or its placeholders
+    const piiCorrection = `${finals[1].text} Account 4111 1111 1111 1111 is under +1 415 555 0100 with Acme Cloud, account ACC-771234.`;
+    assert.deepStrictEqual((await voiceManager.correctTranscript(finals[1].id, piiCorrection)).learnedTerms, ['Acme Cloud']);
+    const loggedPii = (await voiceManager.vocabularyManager.getCorrections()).pop();
+    assert.ok(loggedPii.text.endsWith('Account [CARD ****1111] is under [PHONE] with Acme Cloud, account [ACCOUNT-ID].'), 'the logged correction stays redacted');
+    const vocabulary = fs.readFileSync(path.join(workDir, 'vocabulary.txt'), 'utf8');
+    ['PHONE', 'CARD', '1111', 'ACCOUNT-ID', 'ACC-771234'].forEach(value => assert.ok(!vocabulary.includes(value), `${value} should not be learned`));
+    console.log('✅ Correction with PII learned only its terms');
+
+    // A fresh library rebuilds a lost index from the session files
+    const SessionRepository = require('./src/transcript/SessionRepository');
+    fs.rmSync(path.join(workDir, 'transcripts', 'index.json'));
+    const rebuilt = new SessionRepository({ directory: path.join(workDir, 'transcripts') });
+    assert.strictEqual(await rebuilt.initialize(), true);
+    assert.strictEqual(rebuilt.listSessions().sessions[0].title, 'Invoice call with Dana');
+
+    // Full-text search across sessions, including one saved by an earlier run of the app
+    const earlierCall = {
+      id: 'session_earlier',
+      startTime: session.startTime - 7 * 86400000,
+      endTime: session.startTime - 7 * 86400000 + 60000,
+      tags: ['enterprise'],
+      transcripts: [
+        { id: 'transcript_sso', streamId: 'system', speaker: 'Customer', text: 'We still cannot sign in with SSO since the update, can you check our Okta settings?', timestamp: session.startTime - 7 * 86400000 + 5000, audioOffset: 5000 }
+      ]
+    };
+    fs.writeFileSync(path.join(workDir, 'transcripts', 'session_earlier.json'), JSON.stringify(earlierCall));
+    await voiceManager.sessionRepository.initialize();
+    await voiceManager.buildSearchIndex();
+    const ssoSearch = voiceManager.searchSessions('sso');
+    assert.strictEqual(ssoSearch.total, 1);
+    const [ssoHit] = ssoSearch.results;
+    assert.deepStrictEqual([ssoHit.sessionId, ssoHit.transcriptId, ssoHit.audioOffset], ['session_earlier', 'transcript_sso', 5000], 'hits link to the moment in the session');
+    assert.deepStrictEqual(ssoHit.highlights.map(h => ssoHit.snippet.substring(h.start, h.end)), ['SSO']);
+    assert.deepStrictEqual(voiceManager.searchSessions('"last week"').results.map(r => r.transcriptId), [finals[0].id], 'phrases match consecutive words');
+    assert.strictEqual(voiceManager.searchSessions('"week last"').total, 0);
+    assert.strictEqual(voiceManager.searchSessions('invoice', { speaker: 'dana' }).total, 1);
+    assert.strictEqual(voiceManager.searchSessions('invoice', { speaker: 'Me' }).total, 0);
+    await voiceManager.setSessionTags(session.id, ['billing']);
+    assert.strictEqual(voiceManager.searchSessions('invoice', { tags: ['Billing'] }).total, 1);
+    assert.strictEqual(voiceManager.searchSessions('sso', { tags: ['billing'] }).total, 0);
+    assert.strictEqual(voiceManager.searchSessions('sso', { from: session.startTime }).total, 0);
+    assert.strictEqual(voiceManager.searchSessions('viernes').results[0].sessionTitle, 'Invoice call with Dana');
+    console.log('✅ Saved sessions searchable with phrases, filters and highlighted snippets');
+
+    await voiceManager.deleteSession('session_earlier');
+    await voiceManager.deleteSession(session.id);
+    assert.strictEqual(voiceManager.listSessions().total, 0);
+    assert.strictEqual(voiceManager.searchSessions('invoice').total, 0, 'deleted sessions leave the search index');
+    assert.ok(!fs.existsSync(path.join(workDir, 'transcripts', sessionFiles[0])), 'session file should be deleted');
+    assert.ok(!fs.existsSync(saved.audio.files.system), 'recorded audio should be deleted with the session');
+    console.log('✅ Session library lists, renames, re-exports and deletes saved calls');
+
+    // A call whose app died mid-recording is recovered from its journal on the next start
+    assert.deepStrictEqual(await voiceManager.getUnfinishedSessions(), [], 'finished calls leave no journal behind');
+    const TranscriptManager = require('./src/transcript/TranscriptManager');
+    const crashed = new TranscriptManager({ saveDirectory: path.join(workDir, 'transcripts'), autoSave: false });
+    crashed.startSession();
+    const crashedId = crashed.currentSession.id;
+    crashed.addFinalTranscript('system', 'Our export to CSV keeps timing out on large reports.', 0.9, Date.now(), { audioOffset: 0, duration: 3000 });
+    crashed.addFinalTranscript('microphone', 'I will raise the export limit for your workspace today.', 0.92, Date.now() + 4000, { audioOffset: 4000, duration: 3000 });
+    await crashed.renameSpeaker('system', 'Priya');
+    // A microphone line dropped as a duplicate of the system audio stays dropped after recovery
+    const echo = crashed.addFinalTranscript('microphone', 'Thanks Priya, that is everything for today.', 0.9, Date.now() + 8000, { audioOffset: 8000, duration: 2000 });
+    crashed.addFinalTranscript('system', 'Thanks Priya, that is everything for today.', 0.9, Date.now() + 8500, { audioOffset: 8000, duration: 2000 });
+    await crashed.journal.flush();
+    const replayed = await crashed.journal.readSession(crashedId);
+    assert.ok(!replayed.transcripts.some(t => t.id === echo.id), 'suppressed duplicate is not replayed');
+    // So does a line removed directly (the system copy, to keep the call as it was)
+    crashed.removeTranscript(crashed.transcripts[crashed.transcripts.length - 1].id);
+    await crashed.journal.flush();
+
+    const unfinished = await voiceManager.getUnfinishedSessions();
+    assert.deepStrictEqual(unfinished.map(u => [u.sessionId, u.transcriptCount]), [[crashedId, 2]]);
+    const notesBefore = server.getChatRequests('generate meeting notes').length;
+    const recovered = await voiceManager.recoverSession(crashedId, { generateNotes: true });
+    assert.deepStrictEqual(recovered, { sessionId: crashedId, transcriptCount: 2 });
+    const recoveredEntry = voiceManager.listSessions().sessions.find(entry => entry.id === crashedId);
+    assert.ok(recoveredEntry, 'recovered call should be in the library');
+    assert.deepStrictEqual(recoveredEntry.participants, ['Me', 'Priya']);
+    assert.strictEqual(voiceManager.searchSessions('export limit').total, 1);
+    assert.strictEqual(server.getChatRequests('generate meeting notes').length, notesBefore + 1, 'notes generated for the recovered call');
+    assert.strictEqual(server.webhookRequests.filter(request => request.session_id === crashedId).length, 1, 'webhook called for the recovered call');
+    assert.ok(!fs.existsSync(crashed.journal.getPath(crashedId)), 'journal removed after recovery');
+    assert.deepStrictEqual(await voiceManager.getUnfinishedSessions(), []);
+    console.log('✅ Unfinished call recovered from its journal with notes and webhook');
+
+    // A meeting platform's transcript becomes a session that goes through topics, notes and the webhook
+    const teamsFile = path.join(workDir, 'Weekly billing sync.vtt');
+    fs.writeFileSync(teamsFile, [
+      'WEBVTT',
+      'c8e1/12-0\n00:00:02.000 --> 00:00:05.500\n<v Dana Smith>Hi, I still have a question about the invoice from last week.</v>',
+      'c8e1/13-0\n00:00:06.000 --> 00:00:09.000\n<v Sam Lee>Sure, let me pull it up &amp; check the amount.</v>',
+      '00:00:09.500 --> 00:00:10.000\n[Music]',
+      'c8e1/14-0\n00:00:10.500 --> 00:00:13.000\n<v Priya Raman>I can join a follow-up call on Friday.</v>'
+    ].join('\n\n') + '\n');
+    const callStart = new Date(2026, 2, 4, 15, 0).getTime();
+    const notesBeforeImport = server.getChatRequests('generate meeting notes').length;
+    const imported = await voiceManager.importTranscript(teamsFile, { self: 'Sam Lee', startTime: callStart });
+    assert.deepStrictEqual([imported.format, imported.transcriptCount, imported.topics], ['vtt', 3, [TOPIC]]);
+    const importedSession = voiceManager.transcriptManager.lastSession;
+    assert.deepStrictEqual(importedSession.transcripts.map(t => [t.speakerKey, t.speaker, t.role, t.timestamp - callStart, t.duration]), [
+      ['system:Speaker-1', 'Dana Smith', 'customer', 2000, 3500],
+      ['microphone', 'Sam Lee', 'agent', 6000, 3000],
+      ['system:Speaker-2', 'Priya Raman', 'customer', 10500, 2500]
+    ]);
+    assert.strictEqual(importedSession.transcripts[1].text, 'Sure, let me pull it up & check the amount.');
+    assert.deepStrictEqual(importedSession.markers.map(m => [m.type, m.topic]), [['topic', TOPIC]]);
+    const importEntry = voiceManager.sessionRepository.getEntry(imported.sessionId);
+    assert.ok(importEntry.file.endsWith('_Weekly-billing-sync-vtt.json'), 'imports are named after their source file');
+    await assert.rejects(voiceManager.importTranscript(teamsFile, { startTime: callStart }), /already imported/);
+    assert.strictEqual(voiceManager.transcriptManager.lastSession, importedSession, 'a rejected re-import changes nothing');
+    assert.deepStrictEqual([importEntry.participants, importEntry.duration], [['Sam Lee', 'Dana Smith', 'Priya Raman'], 13000]);
+    assert.strictEqual(voiceManager.searchSessions('follow-up call').results[0].sessionId, imported.sessionId);
+
+    // Review, notes and webhook exactly as after a recorded call
+    await voiceManager.updateParticipant('system:Speaker-2', { role: 'colleague' });
+    assert.strictEqual(server.getChatRequests('generate meeting notes').length, notesBeforeImport, 'notes wait for the review');
+    await voiceManager.finalizeReviewedSession();
+    assert.strictEqual(server.getChatRequests('generate meeting notes').length, notesBeforeImport + 1);
+    const importWebhook = server.webhookRequests.find(request => request.session_id === imported.sessionId);
+    assert.ok(importWebhook, 'webhook called for the imported session');
+    assert.deepStrictEqual(importWebhook.participants, [
+      { name: 'Sam Lee', role: 'agent' }, { name: 'Dana Smith', role: 'customer' }, { name: 'Priya Raman', role: 'colleague' }
+    ]);
+    assert.ok((await voiceManager.exportSession('md', imported.sessionId)).includes('## Meeting Notes'));
+
+    console.log('✅ Teams transcript imported as a session with topics, notes and webhook');
+
+    // A recorded call is transcribed from its file: stereo is the agent (left) and the customer (right), mono the customer
+    const fixturePcm = streamId => fs.readFileSync(path.join(FIXTURE_DIR, script.streams[streamId]));
+    const stereoFile = path.join(workDir, 'support call.wav');
+    const monoFile = path.join(workDir, 'customer only.wav');
+    writeWav(stereoFile, [fixturePcm('microphone'), fixturePcm('system')]);
+    writeWav(monoFile, [fixturePcm('system')], 48000);
+    voiceManager.updateTranscriptConfig({ suppressMicrophoneWhenSystemAudio: false });
+
+    for (const [file, streamIds] of [[stereoFile, ['microphone', 'system']], [monoFile, ['system']]]) {
+      const fileFinals = [];
+      const progress = [];
+      const collectFinal = transcript => fileFinals.push(transcript);
+      const collectProgress = event => progress.push(event);
+      voiceManager.transcriptManager.on('final-transcript', collectFinal);
+      voiceManager.on('file-transcription-progress', collectProgress);
+      const transcription = await voiceManager.transcribeFile(file, { speed: 20 });
+      voiceManager.transcriptManager.off('final-transcript', collectFinal);
+      voiceManager.off('file-transcription-progress', collectProgress);
+
+      const expected = script.utterances.filter(u => streamIds.includes(u.streamId));
+      assert.deepStrictEqual([transcription.completed, transcription.durationMs], [true, script.durationMs]);
+      assert.deepStrictEqual(fileFinals.map(t => [t.streamId, t.text]), expected.map(u => [u.streamId, u.text]), `lines of ${path.basename(file)}`);
+      fileFinals.forEach((transcript, i) => {
+        assert.ok(Math.abs(transcript.audioOffset - expected[i].start) <= 50,
+          `audio offset of "${transcript.text}" in ${path.basename(file)} should be ~${expected[i].start}ms (got ${transcript.audioOffset})`);
+      });
+      assert.ok(progress.every(event => event.sessionId === transcription.sessionId && event.filePath === file));
+      assert.ok(progress.every((event, i) => i === 0 || event.progress > progress[i - 1].progress), 'progress only goes up');
+      assert.strictEqual(progress[progress.length - 1].progress, 100);
+
+      const fileSession = voiceManager.transcriptManager.lastSession;
+      assert.deepStrictEqual([fileSession.id, fileSession.metadata.source, fileSession.metadata.sourceFile],
+        [transcription.sessionId, 'file', path.basename(file)]);
+      await voiceManager.finalizeReviewedSession();
+      const fileWebhooks = server.webhookRequests.filter(request => request.session_id === transcription.sessionId);
+      assert.strictEqual(fileWebhooks.length, 1, `one webhook call for ${path.basename(file)}`);
+      assert.strictEqual(fileWebhooks[0].meeting_notes, MEETING_NOTES);
+      assert.strictEqual(fileWebhooks[0].participants.some(p => p.role === 'agent'), streamIds.includes('microphone'), 'only stereo files have an agent');
+    }
+    console.log('✅ Stereo and mono WAV files transcribed as sessions with progress, notes and webhook');
+
+    // A recording nobody speaks into warns, then stops itself through the normal end of session
+    voiceManager.updateTranscriptConfig({ sessionTimeout: 600, idleWarning: 300 });
+    const idleWarning = waitForEvent(voiceManager, 'recording-idle');
+    const idleStopped = waitForEvent(voiceManager, 'recording-stopped');
+    assert.strictEqual(await voiceManager.startRecording(), true);
+    const warning = await idleWarning;
+    assert.strictEqual(warning.idle, true);
+    assert.ok(warning.stopsInMs > 0 && warning.stopsInMs <= 300, 'warned before stopping');
+    const idleStop = await idleStopped;
+    assert.strictEqual(idleStop.reason, 'idle');
+    assert.strictEqual(voiceManager.isRecording, false);
+    assert.strictEqual(voiceManager.idleWatchdog, null);
+    console.log('✅ Idle recording warned, then stopped automatically');
+
+    // Pausing keeps the session open; nothing is heard until resume and the gap stays on the timeline
+    voiceManager.updateTranscriptConfig({ sessionTimeout: 0 });
+    const micPcm = fs.readFileSync(path.join(FIXTURE_DIR, script.streams.microphone));
+    const feedMicrophone = () => {
+      const frame = micPcm.subarray(0, FRAME_BYTES);
+      voiceManager.processAudioFrames('microphone', frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.length));
+    };
+    const pausedStopped = waitForEvent(voiceManager, 'recording-stopped');
+    assert.strictEqual(await voiceManager.startRecording(), true);
+    feedMicrophone();
+    const positionBeforePause = voiceManager.audioCapture.capturePositions.get('microphone');
+    const recognizedStreams = Array.from(voiceManager.speechService.activeStreams);
+    const notesBeforePause = server.getChatRequests('generate meeting notes').length;
+
+    assert.strictEqual(await voiceManager.pauseRecording(), true);
+    assert.strictEqual(voiceManager.speechService.activeStreams.size, 0, 'recognition stops while paused');
+    feedMicrophone();
+    assert.strictEqual(voiceManager.audioCapture.capturePositions.get('microphone'), positionBeforePause, 'paused audio is dropped');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(server.getChatRequests('generate meeting notes').length, notesBeforePause, 'pausing does not end the session');
+
+    assert.strictEqual(await voiceManager.resumeRecording(), true);
+    assert.deepStrictEqual(Array.from(voiceManager.speechService.activeStreams), recognizedStreams);
+    feedMicrophone();
+    const skippedBytes = voiceManager.audioCapture.capturePositions.get('microphone') - positionBeforePause - FRAME_BYTES;
+    assert.ok(skippedBytes >= 200 * 32, 'paused time is kept on the capture timeline');
+
+    // A second stop (e.g. the idle watchdog firing while the user stops) waits for the first
+    let stops = 0;
+    const countStops = () => stops++;
+    voiceManager.on('recording-stopped', countStops);
+    assert.deepStrictEqual(await Promise.all([voiceManager.stopRecording(), voiceManager.stopRecording({ reason: 'idle' })]), [true, true]);
+    voiceManager.off('recording-stopped', countStops);
+    assert.strictEqual(stops, 1, 'the recording stops (and its session ends) once');
+    const { summary: pausedSession } = await pausedStopped;
+    const [pause] = pausedSession.markers.filter(m => m.type === 'pause');
+    assert.ok(pause.durationMs >= 200 && pause.endOffset - pause.startOffset === pause.durationMs);
+    const pausedSaved = JSON.parse(fs.readFileSync(path.join(workDir, 'transcripts', voiceManager.sessionRepository.getEntry(pausedSession.id).file), 'utf8'));
+    assert.deepStrictEqual(pausedSaved.markers.filter(m => m.type === 'pause'), [pause]);
+    assert.strictEqual(pausedSaved.summary.pausedDuration, pause.durationMs);
+    const pausedSrt = await voiceManager.exportSession('srt', pausedSession.id);
+    assert.ok(pausedSrt.includes(`${voiceManager.transcriptManager.formatSRTTime(pause.startOffset)} --> ${voiceManager.transcriptManager.formatSRTTime(pause.endOffset)}\n[Recording paused for ${voiceManager.transcriptManager.formatPause(pause.durationMs)}]`));
+    console.log('✅ Recording paused and resumed within one session');
+  } finally {
+    await voiceManager.destroy();
+    process.chdir(originalCwd);
+    await server.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Standalone checks, then the end-to-end flow; each runs even when an earlier one fails
+const TESTS = [testTranscriptImporter, testTurnBuilder, testParticipants, testPipeline];
+
+// Run the tests
+if (require.main === module) {
+  (async () => {
+    const failed = [];
+    for (const test of TESTS) {
+      try {
+        await test();
+      } catch (error) {
+        console.error(`❌ ${test.name} failed:`, error);
+        failed.push(test.name);
+      }
+    }
+    return failed;
+  })().then((failed) => {
+    if (failed.length > 0) {
+      console.error(`\n❌ Pipeline test failed: ${failed.join(', ')}`);
+      process.exit(1);
+    }
+    console.log('\n✨ Pipeline test passed');
+    process.exit(0);
+  });
+}
+
+module.exports = testPipeline;